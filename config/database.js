@@ -1,45 +1,55 @@
-const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+// Storage driver: 'supabase' (hosted, REST API), 'postgres' (DATABASE_URL) or 'sqlite' (local file).
+// Defaults to supabase when SUPABASE_URL is set, otherwise to a zero-config SQLite file.
+const DB_DRIVER = (process.env.DB_DRIVER || (process.env.SUPABASE_URL ? 'supabase' : 'sqlite')).toLowerCase();
 
-if (!supabaseUrl || !supabaseKey) {
-  console.error('Missing Supabase configuration. Please check your .env file.');
-  process.exit(1);
+function createClient(driver) {
+  switch (driver) {
+    case 'supabase':
+      return require('./drivers/supabase').createSupabaseClient({
+        url: process.env.SUPABASE_URL,
+        key: process.env.SUPABASE_SERVICE_ROLE_KEY,
+        databaseUrl: process.env.DATABASE_URL
+      });
+    case 'postgres':
+      return require('./drivers/postgres').createPostgresClient({
+        connectionString: process.env.DATABASE_URL,
+        poolSize: parseInt(process.env.DATABASE_POOL_SIZE) || 10
+      });
+    case 'sqlite':
+      return require('./drivers/sqlite').createSqliteClient({
+        filename: process.env.SQLITE_PATH || './data/wa-multi-automation.db'
+      });
+    default:
+      throw new Error(`Unknown DB_DRIVER: ${driver}. Expected supabase, postgres or sqlite`);
+  }
 }
 
-// Create optimized Supabase client with connection pooling and caching
-const supabase = createClient(supabaseUrl, supabaseKey, {
-  auth: {
-    autoRefreshToken: true,
-    persistSession: false
-  },
-  db: {
-    schema: 'public'
-  },
-  global: {
-    headers: {
-      'x-application-name': 'wa-multi-automation'
-    }
-  },
-  realtime: {
-    // Disable realtime subscriptions if not needed
-    params: {
-      eventsPerSecond: 10
-    }
-  }
-});
+// Every driver exposes the supabase-js query builder (from(table)...), so the helpers below are driver-agnostic
+const client = createClient(DB_DRIVER);
+
+// Receipt timestamp columns, in MessageAck order (1 = sent ... 4 = played)
+const ACK_TIMESTAMP_COLUMNS = [null, 'sent_at', 'delivered_at', 'read_at', 'played_at'];
 
 // Simple in-memory cache for database queries
 const queryCache = new Map();
 const CACHE_TTL = 60000; // 1 minute cache TTL
 
+// Every message_logs column except media, which can hold large base64 payloads
+const MESSAGE_SEARCH_COLUMNS = [
+  'id', 'account_id', 'direction', 'message_id', 'sender', 'recipient', 'message', 'timestamp', 'type',
+  'chat_id', 'is_group', 'group_name', 'contact_name', 'status', 'error_message', 'webhook_id', 'webhook_url',
+  'response_status', 'ack', 'ack_status', 'sent_at', 'delivered_at', 'read_at', 'played_at', 'created_at'
+].join(', ');
+
 // Database helper functions
 const db = {
+  driver: DB_DRIVER,
+
   // Account management
   async createAccount(accountData) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('whatsapp_accounts')
       .insert([accountData])
       .select();
@@ -49,7 +59,7 @@ const db = {
   },
 
   async getAccounts() {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('whatsapp_accounts')
       .select('*')
       .order('created_at', { ascending: false });
@@ -59,7 +69,7 @@ const db = {
   },
 
   async getAccount(id) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('whatsapp_accounts')
       .select('*')
       .eq('id', id)
@@ -70,7 +80,7 @@ const db = {
   },
 
   async updateAccount(id, updates) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('whatsapp_accounts')
       .update(updates)
       .eq('id', id)
@@ -81,7 +91,7 @@ const db = {
   },
 
   async deleteAccount(id) {
-    const { error } = await supabase
+    const { error } = await client
       .from('whatsapp_accounts')
       .delete()
       .eq('id', id);
@@ -93,13 +103,13 @@ const db = {
   // Webhook management
   async createWebhook(webhookData) {
     try {
-      const { data, error } = await supabase
+      const { data, error } = await client
         .from('webhooks')
         .insert([webhookData])
         .select();
       
       if (error) {
-        console.error('Supabase error creating webhook:', error);
+        console.error('Database error creating webhook:', error);
         throw error;
       }
       // Invalidate cache for this account's webhooks
@@ -125,7 +135,7 @@ const db = {
     }
     
     // If not in cache or expired, fetch from database
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('webhooks')
       .select('*')
       .eq('account_id', accountId)
@@ -143,7 +153,7 @@ const db = {
   },
 
   async getWebhook(id) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('webhooks')
       .select('*')
       .eq('id', id)
@@ -154,7 +164,7 @@ const db = {
   },
 
   async updateWebhook(id, updates) {
-    const { data, error } = await supabase
+    const { data, error } = await client
       .from('webhooks')
       .update(updates)
       .eq('id', id)
@@ -175,7 +185,7 @@ const db = {
     // Fetch webhook to get account_id for cache invalidation
     let webhookAccountId = null;
     try {
-      const { data: existing } = await supabase
+      const { data: existing } = await client
         .from('webhooks')
         .select('id, account_id')
         .eq('id', id)
@@ -183,7 +193,7 @@ const db = {
       webhookAccountId = existing?.account_id || null;
     } catch (_) {}
 
-    let { error } = await supabase
+    let { error } = await client
       .from('webhooks')
       .delete()
       .eq('id', id);
@@ -191,7 +201,7 @@ const db = {
     // If delete fails due to FK constraint from message_logs.webhook_id, nullify and retry
     if (error && error.code === '23503') {
       console.warn('Webhook delete blocked by FK; nullifying message_logs.webhook_id and retrying...', { id });
-      const nullify = await supabase
+      const nullify = await client
         .from('message_logs')
         .update({ webhook_id: null })
         .eq('webhook_id', id);
@@ -200,7 +210,7 @@ const db = {
         throw error; // throw original delete error
       }
       // Retry delete
-      const retry = await supabase
+      const retry = await client
         .from('webhooks')
         .delete()
         .eq('id', id);
@@ -215,102 +225,1087 @@ const db = {
     return true;
   },
 
-  // Message logging
-  // Optimized message logging with batching for better performance
-  async logMessage(messageData) {
-    // Initialize message queue if it doesn't exist
-    if (!this.messageQueue) {
-      this.messageQueue = [];
-      this.lastFlushTime = Date.now();
-      
-      // Set up periodic flush of message queue
-      setInterval(() => this.flushMessageQueue(), 5000); // Flush every 5 seconds
-    }
-    
-    // Add message to queue
-    this.messageQueue.push(messageData);
-    
-    // If queue is large enough or enough time has passed, flush it
-    if (this.messageQueue.length >= 10 || Date.now() - this.lastFlushTime > 5000) {
-      await this.flushMessageQueue();
+  // Webhook delivery queue (retries and dead-letter)
+  async createWebhookDelivery(deliveryData) {
+    const { data, error } = await client
+      .from('webhook_deliveries')
+      .insert([deliveryData])
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getWebhookDelivery(id) {
+    const { data, error } = await client
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async getWebhookDeliveries(accountId, status = null, limit = 100) {
+    let query = client
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('account_id', accountId);
+
+    if (status) {
+      query = query.eq('status', status);
     }
-    
-    return messageData;
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
   },
-  
-  // Flush message queue to database
-  async flushMessageQueue() {
-    if (!this.messageQueue || this.messageQueue.length === 0) return;
-    
-    // Get messages to flush and reset queue
-    const messages = [...this.messageQueue];
-    this.messageQueue = [];
-    this.lastFlushTime = Date.now();
-    
-    try {
-      // Insert messages in batch
-      let { error } = await supabase
-        .from('message_logs')
-        .insert(messages);
 
-      // Handle PostgREST schema cache errors for unknown columns
-      if (error && error.code === 'PGRST204' && typeof error.message === 'string') {
-        const unknownColMatch = error.message.match(/'([^']+)' column/);
-        const unknownCol = unknownColMatch ? unknownColMatch[1] : null;
-        if (unknownCol) {
-          console.warn(`Retrying log insert without unknown column: ${unknownCol}`);
-          const sanitized = messages.map(m => {
-            const copy = { ...m };
-            delete copy[unknownCol];
-            return copy;
-          });
-          const retry = await supabase.from('message_logs').insert(sanitized);
-          error = retry.error;
-        }
-      }
+  // Pending deliveries whose next attempt is due, oldest first
+  async getDueWebhookDeliveries(limit = 50) {
+    const { data, error } = await client
+      .from('webhook_deliveries')
+      .select('*')
+      .eq('status', 'pending')
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
 
-      if (error) {
-        console.error('Error flushing message queue:', error);
-        // Put messages back in queue if insert fails
-        this.messageQueue.unshift(...messages);
-      }
-    } catch (error) {
-      console.error('Error flushing message queue:', error);
-      // Put messages back in queue if insert fails
-      this.messageQueue.unshift(...messages);
+    if (error) throw error;
+    return data || [];
+  },
+
+  async updateWebhookDelivery(id, updates) {
+    const { data, error } = await client
+      .from('webhook_deliveries')
+      .update(updates)
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Outbound send queue
+  async createMessageJob(jobData) {
+    const { data, error } = await client
+      .from('message_jobs')
+      .insert([jobData])
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getMessageJob(id) {
+    const { data, error } = await client
+      .from('message_jobs')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async getMessageJobs(accountId, status = null, limit = 100) {
+    let query = client
+      .from('message_jobs')
+      .select('*')
+      .eq('account_id', accountId);
+
+    if (status) {
+      query = query.eq('status', status);
     }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
   },
 
-  async getMessageLogs(accountId, limit = 100) {
-    const { data, error } = await supabase
-      .from('message_logs')
+  // Oldest queued job for an account that is due to be sent
+  async getNextMessageJob(accountId) {
+    const { data, error } = await client
+      .from('message_jobs')
       .select('*')
       .eq('account_id', accountId)
-      .order('created_at', { ascending: false })
+      .eq('status', 'queued')
+      .lte('run_at', new Date().toISOString())
+      .order('run_at', { ascending: true })
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  async updateMessageJob(id, updates) {
+    const { data, error } = await client
+      .from('message_jobs')
+      .update(updates)
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Conditionally move a job between states; returns null if it was no longer in fromStatus
+  async transitionMessageJob(id, fromStatus, updates) {
+    const { data, error } = await client
+      .from('message_jobs')
+      .update(updates)
+      .eq('id', id)
+      .eq('status', fromStatus)
+      .select();
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  // Jobs interrupted mid-send (e.g. by a restart) may have gone out, so they are never sent again
+  async markInterruptedMessageJobs() {
+    const { data, error } = await client
+      .from('message_jobs')
+      .update({
+        status: 'unconfirmed',
+        last_error: 'Interrupted by a restart while sending; the message may have been sent',
+        updated_at: new Date().toISOString()
+      })
+      .eq('status', 'processing')
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length;
+  },
+
+  // Scheduled messages
+  async createScheduledMessage(scheduleData) {
+    const { data, error } = await client
+      .from('scheduled_messages')
+      .insert([scheduleData])
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getScheduledMessage(id) {
+    const { data, error } = await client
+      .from('scheduled_messages')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async getScheduledMessages(accountId = null, status = null) {
+    let query = client
+      .from('scheduled_messages')
+      .select('*');
+
+    if (accountId) {
+      query = query.eq('account_id', accountId);
+    }
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query.order('next_run_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getDueScheduledMessages(limit = 50) {
+    const { data, error } = await client
+      .from('scheduled_messages')
+      .select('*')
+      .eq('status', 'active')
+      .lte('next_run_at', new Date().toISOString())
+      .order('next_run_at', { ascending: true })
       .limit(limit);
-    
+
     if (error) throw error;
     return data || [];
   },
 
-  async getMessageStats(accountId) {
-    const { data, error } = await supabase
-      .from('message_logs')
-      .select('direction, status')
-      .eq('account_id', accountId);
-    
+  async updateScheduledMessage(id, updates) {
+    const { data, error } = await client
+      .from('scheduled_messages')
+      .update(updates)
+      .eq('id', id)
+      .select();
+
     if (error) throw error;
-    
-    const stats = {
-      total: data.length,
-      incoming: data.filter(m => m.direction === 'incoming').length,
-      outgoing: data.filter(m => m.direction === 'outgoing').length,
-      success: data.filter(m => m.status === 'success').length,
-      failed: data.filter(m => m.status === 'failed').length
-    };
-    
-    return stats;
+    return data[0];
+  },
+
+  // Broadcast campaigns
+  async createCampaign(campaignData) {
+    const { data, error } = await client
+      .from('campaigns')
+      .insert([campaignData])
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getCampaign(id) {
+    const { data, error } = await client
+      .from('campaigns')
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  // Campaign list without the (potentially large) media payload
+  async getCampaigns(status = null) {
+    let query = client
+      .from('campaigns')
+      .select('id, name, template, account_ids, status, total_recipients, sent_count, failed_count, started_at, completed_at, created_at, updated_at');
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query.order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async updateCampaign(id, updates) {
+    const { data, error } = await client
+      .from('campaigns')
+      .update(updates)
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Conditionally move a campaign between states; returns null if it was in none of fromStatuses
+  async transitionCampaign(id, fromStatuses, updates) {
+    const { data, error } = await client
+      .from('campaigns')
+      .update(updates)
+      .eq('id', id)
+      .in('status', fromStatuses)
+      .select();
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  async createCampaignRecipients(recipients) {
+    // Insert in chunks to stay well under request size limits
+    for (let i = 0; i < recipients.length; i += 500) {
+      const { error } = await client
+        .from('campaign_recipients')
+        .insert(recipients.slice(i, i + 500));
+
+      if (error) throw error;
+    }
+    return recipients.length;
+  },
+
+  async getCampaignRecipients(campaignId, status = null, limit = 1000) {
+    let query = client
+      .from('campaign_recipients')
+      .select('*')
+      .eq('campaign_id', campaignId);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Next pending recipient that is due; retried recipients go behind fresh ones
+  async getNextCampaignRecipient(campaignId) {
+    const { data, error } = await client
+      .from('campaign_recipients')
+      .select('*')
+      .eq('campaign_id', campaignId)
+      .eq('status', 'pending')
+      .or(`next_attempt_at.is.null,next_attempt_at.lte.${new Date().toISOString()}`)
+      .order('attempts', { ascending: true })
+      .order('created_at', { ascending: true })
+      .limit(1);
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  async updateCampaignRecipient(id, updates) {
+    const { data, error } = await client
+      .from('campaign_recipients')
+      .update(updates)
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  // Conditionally move a recipient between states; returns null if it was no longer in fromStatus
+  async transitionCampaignRecipient(id, fromStatus, updates) {
+    const { data, error } = await client
+      .from('campaign_recipients')
+      .update(updates)
+      .eq('id', id)
+      .eq('status', fromStatus)
+      .select();
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  // Recipient counts per status for a campaign
+  async getCampaignRecipientCounts(campaignId) {
+    const statuses = ['pending', 'sending', 'sent', 'unconfirmed', 'failed', 'cancelled'];
+    const counts = {};
+
+    for (const status of statuses) {
+      const { count, error } = await client
+        .from('campaign_recipients')
+        .select('id', { count: 'exact', head: true })
+        .eq('campaign_id', campaignId)
+        .eq('status', status);
+
+      if (error) throw error;
+      counts[status] = count || 0;
+    }
+
+    return counts;
+  },
+
+  async cancelPendingCampaignRecipients(campaignId) {
+    const { data, error } = await client
+      .from('campaign_recipients')
+      .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+      .eq('campaign_id', campaignId)
+      .eq('status', 'pending')
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length;
+  },
+
+  // Recipients interrupted mid-send (e.g. by a restart) may have been messaged, so they are never sent again
+  async markInterruptedCampaignRecipients() {
+    const { data, error } = await client
+      .from('campaign_recipients')
+      .update({
+        status: 'unconfirmed',
+        error_message: 'Interrupted by a restart while sending; the message may have been sent',
+        updated_at: new Date().toISOString()
+      })
+      .eq('status', 'sending')
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length;
+  },
+
+  // Audit events
+  async createAuditEvent(eventData) {
+    const { data, error } = await client
+      .from('audit_events')
+      .insert([eventData])
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  // filters: { action (prefix), actor (name substring), actor_type, target_id, account_id, from, to }
+  // Fetched in pages so exports aren't capped by the API's max rows per request
+  async getAuditEvents(filters = {}, limit = 200) {
+    const pageSize = 1000;
+    const events = [];
+
+    while (events.length < limit) {
+      let query = client
+        .from('audit_events')
+        .select('*');
+
+      if (filters.action) query = query.ilike('action', `${filters.action}%`);
+      if (filters.actor) query = query.ilike('actor_name', `%${filters.actor}%`);
+      if (filters.actor_type) query = query.eq('actor_type', filters.actor_type);
+      if (filters.target_id) query = query.eq('target_id', filters.target_id);
+      if (filters.account_id) query = query.eq('account_id', filters.account_id);
+      if (filters.from) query = query.gte('created_at', filters.from);
+      if (filters.to) query = query.lte('created_at', filters.to);
+
+      const from = events.length;
+      const to = Math.min(from + pageSize, limit) - 1;
+      const { data, error } = await query
+        .order('created_at', { ascending: false })
+        .range(from, to);
+
+      if (error) throw error;
+      events.push(...(data || []));
+      if (!data || data.length < to - from + 1) break;
+    }
+
+    return events;
+  },
+
+  // Dashboard users
+  async createUser(userData) {
+    const { data, error } = await client
+      .from('users')
+      .insert([userData])
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getUsers() {
+    const { data, error } = await client
+      .from('users')
+      .select('*')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getUser(id) {
+    const { data, error } = await client
+      .from('users')
+      .select('*')
+      .eq('id', id)
+      .limit(1);
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  async getUserByUsername(username) {
+    const { data, error } = await client
+      .from('users')
+      .select('*')
+      .eq('username', username)
+      .limit(1);
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  async updateUser(id, updates) {
+    const { data, error } = await client
+      .from('users')
+      .update(updates)
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  async deleteUser(id) {
+    const { error } = await client
+      .from('users')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+    return true;
+  },
+
+  // API keys
+  async createApiKey(apiKeyData) {
+    const { data, error } = await client
+      .from('api_keys')
+      .insert([apiKeyData])
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getApiKeys() {
+    const { data, error } = await client
+      .from('api_keys')
+      .select('*')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getApiKeyByHash(keyHash) {
+    const { data, error } = await client
+      .from('api_keys')
+      .select('*')
+      .eq('key_hash', keyHash)
+      .limit(1);
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  async updateApiKey(id, updates) {
+    const { data, error } = await client
+      .from('api_keys')
+      .update(updates)
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  // Message logging
+  // Optimized message logging with batching for better performance
+  async logMessage(messageData) {
+    // Initialize message queue if it doesn't exist
+    if (!this.messageQueue) {
+      this.messageQueue = [];
+      this.lastFlushTime = Date.now();
+      
+      // Set up periodic flush of message queue
+      setInterval(() => this.flushMessageQueue(), 5000); // Flush every 5 seconds
+    }
+    
+    // Add message to queue
+    this.messageQueue.push(messageData);
+    
+    // If queue is large enough or enough time has passed, flush it
+    if (this.messageQueue.length >= 10 || Date.now() - this.lastFlushTime > 5000) {
+      await this.flushMessageQueue();
+    }
+    
+    return messageData;
+  },
+  
+  // Flush message queue to database
+  async flushMessageQueue() {
+    if (!this.messageQueue || this.messageQueue.length === 0) return;
+    
+    // Get messages to flush and reset queue
+    const messages = [...this.messageQueue];
+    this.messageQueue = [];
+    this.lastFlushTime = Date.now();
+    
+    try {
+      // Insert messages in batch (a missing column means a pending migration; see migrations/)
+      const { error } = await client
+        .from('message_logs')
+        .insert(messages);
+
+      if (error) {
+        console.error('Error flushing message queue:', error);
+        // Put messages back in queue if insert fails
+        this.messageQueue.unshift(...messages);
+      }
+    } catch (error) {
+      console.error('Error flushing message queue:', error);
+      // Put messages back in queue if insert fails
+      this.messageQueue.unshift(...messages);
+    }
+  },
+
+  // Record a delivery/read receipt on outgoing log rows; returns number of rows updated
+  async updateMessageAck(messageId, ack, ackStatus) {
+    // A just-sent message may still be waiting in the log buffer
+    await this.flushMessageQueue();
+
+    const { data, error } = await client
+      .from('message_logs')
+      .select('id, ack, sent_at, delivered_at, read_at, played_at')
+      .eq('message_id', messageId)
+      .eq('direction', 'outgoing');
+
+    if (error) throw error;
+
+    const now = new Date().toISOString();
+    let updated = 0;
+
+    for (const row of data || []) {
+      // Acks can arrive out of order; never move a receipt backwards (errors always apply)
+      if (ack !== -1 && row.ack !== null && row.ack !== undefined && row.ack >= ack) continue;
+
+      const updates = { ack, ack_status: ackStatus };
+      // Fill every reached state that has no timestamp yet (e.g. read implies delivered)
+      for (let level = 1; level <= ack && level < ACK_TIMESTAMP_COLUMNS.length; level++) {
+        const column = ACK_TIMESTAMP_COLUMNS[level];
+        if (!row[column]) updates[column] = now;
+      }
+
+      const result = await client
+        .from('message_logs')
+        .update(updates)
+        .eq('id', row.id);
+
+      if (result.error) throw result.error;
+      updated++;
+    }
+
+    return updated;
+  },
+
+  async getMessageLogs(accountId, limit = 100) {
+    const { data, error } = await client
+      .from('message_logs')
+      .select('*')
+      .eq('account_id', accountId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+    
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Message search across accounts; after is the { created_at, id } of the last row of the previous page
+  async searchMessages(filters = {}, { after = null, limit = 50, ascending = false } = {}) {
+    let query = client
+      .from('message_logs')
+      .select(MESSAGE_SEARCH_COLUMNS);
+
+    if (filters.account_ids) query = query.in('account_id', filters.account_ids);
+    if (filters.directions) query = query.in('direction', filters.directions);
+    if (filters.statuses) query = query.in('status', filters.statuses);
+    if (filters.types) query = query.in('type', filters.types);
+    if (filters.sender) query = query.ilike('sender', `%${filters.sender}%`);
+    if (filters.recipient) query = query.ilike('recipient', `%${filters.recipient}%`);
+    if (filters.chat_id) query = query.eq('chat_id', filters.chat_id);
+    if (filters.is_group !== undefined) query = query.eq('is_group', filters.is_group);
+    if (filters.group_name) query = query.ilike('group_name', `%${filters.group_name}%`);
+    if (filters.from) query = query.gte('created_at', filters.from);
+    if (filters.to) query = query.lte('created_at', filters.to);
+    if (filters.q) query = query.textSearch('message', filters.q, { type: 'websearch', config: 'simple' });
+
+    if (after) {
+      const op = ascending ? 'gt' : 'lt';
+      query = query.or(`created_at.${op}.${after.created_at},and(created_at.eq.${after.created_at},id.${op}.${after.id})`);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending })
+      .order('id', { ascending })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Conversation inbox
+  // Recent chat messages without media payloads, newest first, for building the chat list
+  async getRecentChatMessages(accountId, limit = 1000) {
+    const { data, error } = await client
+      .from('message_logs')
+      .select('id, chat_id, direction, sender, recipient, message, type, is_group, group_name, contact_name, status, ack_status, created_at')
+      .eq('account_id', accountId)
+      .in('direction', ['incoming', 'outgoing'])
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return (data || []).filter(message => message.chat_id);
+  },
+
+  // One page of a chat, newest first; before is a created_at cursor
+  async getChatMessages(accountId, chatId, before = null, limit = 50) {
+    let query = client
+      .from('message_logs')
+      .select('*')
+      .eq('account_id', accountId)
+      .eq('chat_id', chatId)
+      .in('direction', ['incoming', 'outgoing']);
+
+    if (before) {
+      query = query.lt('created_at', before);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async getMessageLog(id) {
+    const { data, error } = await client
+      .from('message_logs')
+      .select('*')
+      .eq('id', id)
+      .limit(1);
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  async getChatReads(accountId) {
+    const { data, error } = await client
+      .from('chat_reads')
+      .select('chat_id, last_read_at')
+      .eq('account_id', accountId);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async markChatRead(accountId, chatId, lastReadAt) {
+    const { data, error } = await client
+      .from('chat_reads')
+      .upsert([{ account_id: accountId, chat_id: chatId, last_read_at: lastReadAt, updated_at: new Date().toISOString() }], { onConflict: 'account_id,chat_id' })
+      .select();
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  // Media objects (files in the media store, one row per distinct file)
+  async createMediaObject(objectData) {
+    const { data, error } = await client
+      .from('media_objects')
+      .insert([objectData])
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  async getMediaObject(id) {
+    const { data, error } = await client
+      .from('media_objects')
+      .select('*')
+      .eq('id', id)
+      .limit(1);
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  async getMediaObjectByHash(sha256) {
+    const { data, error } = await client
+      .from('media_objects')
+      .select('*')
+      .eq('sha256', sha256)
+      .limit(1);
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  // Media objects created and last referenced before a time, oldest first; after is the last row of the previous page
+  async getMediaObjectsBefore(createdBefore, after = null, limit = 500) {
+    let query = client
+      .from('media_objects')
+      .select('id, sha256, storage, storage_key, created_at')
+      .lt('created_at', createdBefore)
+      .or(`last_referenced_at.is.null,last_referenced_at.lt.${createdBefore}`);
+
+    if (after) {
+      query = query.or(`created_at.gt.${after.created_at},and(created_at.eq.${after.created_at},id.gt.${after.id})`);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: true })
+      .order('id', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // A new message uses an existing object; restarts its grace period against orphan cleanup
+  async touchMediaObject(id) {
+    const { error } = await client
+      .from('media_objects')
+      .update({ last_referenced_at: new Date().toISOString() })
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  // Which of these media objects are still referenced by a message
+  async getReferencedMediaIds(mediaIds) {
+    const { data, error } = await client
+      .from('message_logs')
+      .select('media_id')
+      .in('media_id', mediaIds);
+
+    if (error) throw error;
+    return new Set((data || []).map(row => row.media_id));
+  },
+
+  async deleteMediaObject(id) {
+    const { error } = await client
+      .from('media_objects')
+      .delete()
+      .eq('id', id);
+
+    if (error) throw error;
+  },
+
+  // Retention
+  async getRetentionPolicies() {
+    const { data, error } = await client
+      .from('retention_policies')
+      .select('*');
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async upsertRetentionPolicy(policyData) {
+    const { data, error } = await client
+      .from('retention_policies')
+      .upsert([{ ...policyData, updated_at: new Date().toISOString() }], { onConflict: 'account_id' })
+      .select();
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  async deleteRetentionPolicy(accountId) {
+    const { error } = await client
+      .from('retention_policies')
+      .delete()
+      .eq('account_id', accountId);
+
+    if (error) throw error;
+  },
+
+  async getClientProfile(accountId) {
+    const { data, error } = await client
+      .from('client_profiles')
+      .select('*')
+      .eq('account_id', accountId)
+      .limit(1);
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  async upsertClientProfile(profileData) {
+    const { data, error } = await client
+      .from('client_profiles')
+      .upsert([{ ...profileData, updated_at: new Date().toISOString() }], { onConflict: 'account_id' })
+      .select();
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  async deleteClientProfile(accountId) {
+    const { error } = await client
+      .from('client_profiles')
+      .delete()
+      .eq('account_id', accountId);
+
+    if (error) throw error;
+  },
+
+  async authSessionExists(sessionKey) {
+    const { data, error } = await client
+      .from('auth_sessions')
+      .select('id')
+      .eq('session_key', sessionKey)
+      .limit(1);
+
+    if (error) throw error;
+    return !!(data && data[0]);
+  },
+
+  async getAuthSession(sessionKey) {
+    const { data, error } = await client
+      .from('auth_sessions')
+      .select('*')
+      .eq('session_key', sessionKey)
+      .limit(1);
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  async saveAuthSession(sessionData) {
+    const { error } = await client
+      .from('auth_sessions')
+      .upsert([{ ...sessionData, updated_at: new Date().toISOString() }], { onConflict: 'session_key' });
+
+    if (error) throw error;
+  },
+
+  async deleteAuthSession(sessionKey) {
+    const { error } = await client
+      .from('auth_sessions')
+      .delete()
+      .eq('session_key', sessionKey);
+
+    if (error) throw error;
+  },
+
+  async createRetentionRun(runData) {
+    const { data, error } = await client
+      .from('retention_runs')
+      .insert([runData])
+      .select();
+
+    if (error) throw error;
+    return data[0];
+  },
+
+  async updateRetentionRun(id, updates) {
+    const { data, error } = await client
+      .from('retention_runs')
+      .update(updates)
+      .eq('id', id)
+      .select();
+
+    if (error) throw error;
+    return data && data[0] ? data[0] : null;
+  },
+
+  async getRetentionRuns(limit = 50) {
+    const { data, error } = await client
+      .from('retention_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Runs left 'running' by a restart; returns how many were closed
+  async failInterruptedRetentionRuns() {
+    const { data, error } = await client
+      .from('retention_runs')
+      .update({ status: 'failed', error_message: 'Interrupted by a server restart', finished_at: new Date().toISOString() })
+      .eq('status', 'running')
+      .select('id');
+
+    if (error) throw error;
+    return (data || []).length;
+  },
+
+  // Oldest messages of an account created before a time, for purging in batches
+  async getExpiredMessages(accountId, directions, createdBefore, limit = 500, columns = 'id') {
+    const { data, error } = await client
+      .from('message_logs')
+      .select(columns)
+      .eq('account_id', accountId)
+      .in('direction', directions)
+      .lt('created_at', createdBefore)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async deleteMessageLogs(ids) {
+    const { error } = await client
+      .from('message_logs')
+      .delete()
+      .in('id', ids);
+
+    if (error) throw error;
+  },
+
+  // Incoming messages that still carry media (stored or inline) and were logged before a time
+  async getMessagesWithExpiredMedia(accountId, createdBefore, limit = 500) {
+    const { data, error } = await client
+      .from('message_logs')
+      .select('id')
+      .eq('account_id', accountId)
+      .eq('direction', 'incoming')
+      .not('media', 'is', null)
+      .lt('created_at', createdBefore)
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  async clearMessageMedia(ids) {
+    const { error } = await client
+      .from('message_logs')
+      .update({ media: null, media_id: null })
+      .in('id', ids);
+
+    if (error) throw error;
+  },
+
+  // Counted in the database instead of fetching every row
+  async getMessageStats(accountId) {
+    const totals = await this.getMessageStatsTotals([accountId]);
+    const stats = { total: 0, incoming: 0, outgoing: 0, success: 0, failed: 0 };
+
+    for (const row of totals) {
+      const count = Number(row.message_count) || 0;
+      stats.total += count;
+      if (row.direction in stats) stats[row.direction] += count;
+      if (row.status in stats) stats[row.status] += count;
+    }
+
+    return stats;
+  },
+
+  // All-time counts per account, direction and status from the message_stats rollup (see migrations/)
+  async getMessageStatsTotals(accountIds = null) {
+    let query = client.from('message_stats_totals').select('*');
+    if (accountIds) query = query.in('account_id', accountIds);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  },
+
+  // Hourly or daily rollup rows from a bucket on, oldest first
+  async getMessageStatsSeries(granularity, from, accountIds = null) {
+    const rows = [];
+    const pageSize = 1000;
+
+    // PostgREST caps responses at 1000 rows, so read in pages
+    for (let offset = 0; ; offset += pageSize) {
+      let query = client
+        .from('message_stats')
+        .select('bucket, account_id, direction, status, message_count, latency_count, latency_sum_ms, latency_max_ms')
+        .eq('granularity', granularity)
+        .gte('bucket', from);
+      if (accountIds) query = query.in('account_id', accountIds);
+
+      const { data, error } = await query
+        .order('bucket', { ascending: true })
+        .order('account_id', { ascending: true })
+        .order('direction', { ascending: true })
+        .order('status', { ascending: true })
+        .range(offset, offset + pageSize - 1);
+
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < pageSize) return rows;
+    }
   }
 };
 
-module.exports = { supabase, db };
\ No newline at end of file
+module.exports = { client, db, supabase: client.supabase || null };
\ No newline at end of file
@@ -0,0 +1,110 @@
+const { createSqlClient } = require('./sqlQuery');
+
+// Plain Postgres (self-hosted, CI, or a Supabase database over its connection string)
+function createPostgresClient({ connectionString, poolSize }) {
+  if (!connectionString) {
+    throw new Error('The postgres driver needs DATABASE_URL');
+  }
+
+  let pg;
+  try {
+    pg = require('pg');
+  } catch (error) {
+    throw new Error('The postgres driver needs the pg package: npm install pg');
+  }
+
+  // Return timestamps as ISO strings and BIGINTs as numbers, like the Supabase REST API
+  const toIsoString = (value) => new Date(value).toISOString();
+  const parsers = {
+    [pg.types.builtins.TIMESTAMPTZ]: toIsoString,
+    [pg.types.builtins.TIMESTAMP]: toIsoString,
+    [pg.types.builtins.INT8]: Number
+  };
+
+  const pool = new pg.Pool({
+    connectionString,
+    max: poolSize,
+    types: {
+      getTypeParser: (oid, format) => parsers[oid] || pg.types.getTypeParser(oid, format)
+    }
+  });
+
+  pool.on('error', (error) => {
+    console.error('Postgres pool error:', error);
+  });
+
+  // Optional multi-statement script (no parameters) followed by parameterized statements, atomically
+  async function transaction(script, list) {
+    const connection = await pool.connect();
+    try {
+      await connection.query('BEGIN');
+      if (script) await connection.query(script);
+      const results = [];
+      for (const { sql, params } of list) {
+        results.push((await connection.query(sql, params)).rows);
+      }
+      await connection.query('COMMIT');
+      return results;
+    } catch (error) {
+      await connection.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  const dialect = {
+    placeholder: (index) => `$${index}`,
+    ilike: (column, placeholder) => `${column} ILIKE ${placeholder}`,
+
+    // Same expression as the GIN indexes in migrations/postgres, so they are used
+    textSearch(table, column, { query, config }, bind) {
+      if (!/^[a-z_]+$/.test(config)) throw new Error(`Invalid text search config: ${config}`);
+      return `to_tsvector('${config}', ${column}) @@ websearch_to_tsquery('${config}', ${bind(query)})`;
+    },
+
+    // pg sends JS arrays as Postgres arrays; every array/object column here is JSONB
+    encode(table, column, value) {
+      if (value === undefined) return null;
+      if (value instanceof Date) return value.toISOString();
+      if (value !== null && typeof value === 'object' && !Buffer.isBuffer(value)) return JSON.stringify(value);
+      return value;
+    },
+
+    decode: (table, row) => row,
+    prepareInsert: (table, row) => row,
+
+    async query(sql, params) {
+      const result = await pool.query(sql, params);
+      return result.rows;
+    },
+
+    async batch(list) {
+      return transaction(null, list);
+    },
+
+    // pg errors already carry the SQLSTATE code
+    normalizeError(error) {
+      return { code: error.code || null, message: error.message, details: error.detail || null, hint: error.hint || null };
+    }
+  };
+
+  return {
+    driver: 'postgres',
+    sqlDialect: 'postgres',
+    ...createSqlClient(dialect),
+
+    // Used by migrations: DDL script plus bookkeeping statements in one transaction
+    async runScript(script, statements = []) {
+      return transaction(script, statements);
+    },
+
+    async close() {
+      await pool.end();
+    },
+
+    pool
+  };
+}
+
+module.exports = { createPostgresClient };
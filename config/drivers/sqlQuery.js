@@ -0,0 +1,358 @@
+// A small subset of the supabase-js query builder on top of plain SQL, so the
+// helpers in config/database.js run unchanged against Postgres and SQLite.
+//
+// A dialect provides:
+//   placeholder(index)                       -> '$1' or '?'
+//   ilike(column, placeholder)               -> case-insensitive LIKE expression
+//   textSearch(table, column, query, bind)   -> full-text match of a user query (bind(value) -> placeholder)
+//   encode(table, column, value)             -> value as the driver expects it
+//   decode(table, row)                       -> row as supabase-js would return it
+//   prepareInsert(table, row)                -> row with client-side defaults (e.g. id)
+//   query(sql, params)                       -> rows
+//   batch([{ sql, params }])                 -> rows of each statement, run in one transaction
+//   normalizeError(error)                    -> error with a Postgres SQLSTATE code where possible
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function quote(identifier) {
+  if (!IDENTIFIER.test(identifier)) {
+    throw new Error(`Invalid identifier: ${identifier}`);
+  }
+  return `"${identifier}"`;
+}
+
+const LOGIC_OPERATORS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', is: 'is' };
+const IS_VALUES = { null: null, true: true, false: false };
+
+// Split on commas outside parentheses
+function splitTopLevel(expression) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of expression) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts;
+}
+
+// PostgREST logic tree as used by or(): 'a.lt.1,and(a.eq.1,b.lt.2)'
+function parseLogicTree(expression) {
+  return splitTopLevel(expression).map(part => {
+    const group = part.match(/^(and|or)\((.*)\)$/);
+    if (group) return { operator: group[1], value: parseLogicTree(group[2]) };
+
+    const [column, operator, ...rest] = part.split('.');
+    if (!LOGIC_OPERATORS[operator]) {
+      throw new Error(`Unsupported operator in logic tree: ${operator}`);
+    }
+    const value = rest.join('.');
+    return operator === 'is'
+      ? { column, operator: 'is', value: IS_VALUES[value] }
+      : { column, operator: LOGIC_OPERATORS[operator], value };
+  });
+}
+
+function parseColumns(columns) {
+  if (!columns || columns.trim() === '*') return '*';
+  return columns.split(',').map(column => quote(column.trim())).join(', ');
+}
+
+class SqlQuery {
+  constructor(dialect, table) {
+    this.dialect = dialect;
+    this.table = table;
+    this.operation = 'select';
+    this.columns = '*';
+    this.returning = null;
+    this.countMode = null;
+    this.head = false;
+    this.values = null;
+    this.onConflict = null;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.offsetCount = null;
+    this.singleRow = false;
+    this.maybeSingleRow = false;
+  }
+
+  // select() after insert/update/delete means "return the affected rows"
+  select(columns = '*', options = {}) {
+    if (this.operation === 'select') {
+      this.columns = columns;
+      this.countMode = options.count || null;
+      this.head = options.head === true;
+    } else {
+      this.returning = columns;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.operation = 'insert';
+    this.values = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  // Insert, or update the existing row with the same onConflict columns (e.g. 'account_id,chat_id')
+  upsert(rows, options = {}) {
+    this.insert(rows);
+    this.onConflict = (options.onConflict || 'id').split(',').map(column => column.trim());
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  filter(column, operator, value) {
+    this.filters.push({ column, operator, value });
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, '=', value); }
+  neq(column, value) { return this.filter(column, '<>', value); }
+  gt(column, value) { return this.filter(column, '>', value); }
+  gte(column, value) { return this.filter(column, '>=', value); }
+  lt(column, value) { return this.filter(column, '<', value); }
+  lte(column, value) { return this.filter(column, '<=', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  ilike(column, pattern) { return this.filter(column, 'ilike', pattern); }
+  is(column, value) { return this.filter(column, 'is', value); }
+
+  // Negated filter with a PostgREST operator name, e.g. not('media', 'is', null)
+  not(column, operator, value) {
+    if (!LOGIC_OPERATORS[operator]) {
+      throw new Error(`Unsupported operator in not(): ${operator}`);
+    }
+    return this.filter(column, 'not', { operator: LOGIC_OPERATORS[operator], value });
+  }
+
+  // Matches if any of the conditions does, in PostgREST syntax (e.g. 'status.eq.failed,ack.is.null')
+  or(expression) { return this.filter(null, 'or', expression); }
+
+  // Web-search style query ("quoted phrases", -excluded words) over a text column
+  textSearch(column, query, options = {}) {
+    return this.filter(column, 'fts', { query, config: options.config || 'simple' });
+  }
+
+  // Same null placement as Postgres (and therefore Supabase) by default
+  order(column, options = {}) {
+    const ascending = options.ascending !== false;
+    const nullsFirst = options.nullsFirst !== undefined ? options.nullsFirst : !ascending;
+    this.orders.push(`${quote(column)} ${ascending ? 'ASC' : 'DESC'} NULLS ${nullsFirst ? 'FIRST' : 'LAST'}`);
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.offsetCount = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.singleRow = true;
+    return this;
+  }
+
+  maybeSingle() {
+    this.maybeSingleRow = true;
+    return this;
+  }
+
+  then(resolve, reject) {
+    return this.execute().then(resolve, reject);
+  }
+
+  buildWhere(params) {
+    if (this.filters.length === 0) return '';
+
+    const conditions = this.filters.map(filter => this.buildCondition(filter, params));
+    return ` WHERE ${conditions.join(' AND ')}`;
+  }
+
+  buildCondition({ column, operator, value }, params) {
+    if (operator === 'or' || operator === 'and') {
+      const tree = typeof value === 'string' ? parseLogicTree(value) : value;
+      return `(${tree.map(node => this.buildCondition(node, params)).join(` ${operator.toUpperCase()} `)})`;
+    }
+    if (operator === 'not') {
+      return `NOT (${this.buildCondition({ column, ...value }, params)})`;
+    }
+
+    const name = quote(column);
+    const bind = (v) => {
+      params.push(this.dialect.encode(this.table, column, v));
+      return this.dialect.placeholder(params.length);
+    };
+
+    if (operator === 'fts') {
+      return this.dialect.textSearch(this.table, name, value, bind);
+    }
+    if (operator === 'in') {
+      if (!value || value.length === 0) return '1 = 0';
+      return `${name} IN (${value.map(bind).join(', ')})`;
+    }
+    if (operator === 'ilike') {
+      return this.dialect.ilike(name, bind(value));
+    }
+    if (operator === 'is' || value === null) {
+      if (value === null) return `${name} IS NULL`;
+      return `${name} IS ${value ? 'TRUE' : 'FALSE'}`;
+    }
+    return `${name} ${operator} ${bind(value)}`;
+  }
+
+  buildTail(params) {
+    let sql = '';
+    if (this.orders.length > 0) sql += ` ORDER BY ${this.orders.join(', ')}`;
+    if (this.limitCount !== null) {
+      params.push(this.limitCount);
+      sql += ` LIMIT ${this.dialect.placeholder(params.length)}`;
+    }
+    if (this.offsetCount !== null) {
+      params.push(this.offsetCount);
+      sql += ` OFFSET ${this.dialect.placeholder(params.length)}`;
+    }
+    return sql;
+  }
+
+  // Generated ids (see prepareInsert) must not overwrite the existing row's id
+  buildConflict(row, columns) {
+    if (!this.onConflict) return '';
+    const updates = columns.filter(column => !this.onConflict.includes(column) && (column !== 'id' || row.id !== undefined));
+    const target = this.onConflict.map(quote).join(', ');
+    return updates.length > 0
+      ? ` ON CONFLICT (${target}) DO UPDATE SET ${updates.map(column => `${quote(column)} = excluded.${quote(column)}`).join(', ')}`
+      : ` ON CONFLICT (${target}) DO NOTHING`;
+  }
+
+  buildReturning() {
+    return this.returning ? ` RETURNING ${parseColumns(this.returning)}` : '';
+  }
+
+  encodeRow(row) {
+    const columns = Object.keys(row).filter(column => row[column] !== undefined);
+    return {
+      columns,
+      values: columns.map(column => this.dialect.encode(this.table, column, row[column]))
+    };
+  }
+
+  async runSelect() {
+    const table = quote(this.table);
+    let count = null;
+
+    if (this.countMode) {
+      const params = [];
+      const rows = await this.dialect.query(`SELECT COUNT(*) AS count FROM ${table}${this.buildWhere(params)}`, params);
+      count = Number(rows[0].count);
+      if (this.head) return { data: null, count };
+    }
+
+    const params = [];
+    const sql = `SELECT ${parseColumns(this.columns)} FROM ${table}${this.buildWhere(params)}${this.buildTail(params)}`;
+    const rows = await this.dialect.query(sql, params);
+    return { data: rows, count };
+  }
+
+  // One statement per row: rows in a batch may set different columns and rely on the rest's defaults
+  async runInsert() {
+    const table = quote(this.table);
+    const returning = this.buildReturning();
+
+    const statements = this.values.map(row => {
+      const { columns, values } = this.encodeRow(this.dialect.prepareInsert(this.table, row));
+      const placeholders = values.map((_, index) => this.dialect.placeholder(index + 1));
+      const sql = columns.length > 0
+        ? `INSERT INTO ${table} (${columns.map(quote).join(', ')}) VALUES (${placeholders.join(', ')})${this.buildConflict(row, columns)}${returning}`
+        : `INSERT INTO ${table} DEFAULT VALUES${returning}`;
+      return { sql, params: values };
+    });
+
+    const results = await this.dialect.batch(statements);
+    return { data: this.returning ? results.flat() : null };
+  }
+
+  async runUpdate() {
+    const { columns, values } = this.encodeRow(this.values || {});
+    if (columns.length === 0) {
+      throw new Error('update() needs at least one column');
+    }
+
+    const params = [...values];
+    const assignments = columns.map((column, index) => `${quote(column)} = ${this.dialect.placeholder(index + 1)}`);
+    const sql = `UPDATE ${quote(this.table)} SET ${assignments.join(', ')}${this.buildWhere(params)}${this.buildReturning()}`;
+    const rows = await this.dialect.query(sql, params);
+    return { data: this.returning ? rows : null };
+  }
+
+  async runDelete() {
+    const params = [];
+    const sql = `DELETE FROM ${quote(this.table)}${this.buildWhere(params)}${this.buildReturning()}`;
+    const rows = await this.dialect.query(sql, params);
+    return { data: this.returning ? rows : null };
+  }
+
+  // Resolves to { data, error, count } like supabase-js; never rejects
+  async execute() {
+    try {
+      let result;
+      if (this.operation === 'insert') result = await this.runInsert();
+      else if (this.operation === 'update') result = await this.runUpdate();
+      else if (this.operation === 'delete') result = await this.runDelete();
+      else result = await this.runSelect();
+
+      let data = result.data ? result.data.map(row => this.dialect.decode(this.table, row)) : null;
+
+      if (this.singleRow || this.maybeSingleRow) {
+        const rows = data || [];
+        if (rows.length > 1 || (this.singleRow && rows.length === 0)) {
+          return {
+            data: null,
+            count: null,
+            error: {
+              code: 'PGRST116',
+              message: 'JSON object requested, multiple (or no) rows returned',
+              details: `The result contains ${rows.length} rows`
+            }
+          };
+        }
+        data = rows[0] || null;
+      }
+
+      return { data, error: null, count: result.count !== undefined ? result.count : null };
+    } catch (error) {
+      return { data: null, count: null, error: this.dialect.normalizeError(error) };
+    }
+  }
+}
+
+// Client with the same from(table) entry point as supabase-js
+function createSqlClient(dialect) {
+  return {
+    from: (table) => new SqlQuery(dialect, table)
+  };
+}
+
+module.exports = { createSqlClient, SqlQuery, quote };
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { createSqlClient, quote } = require('./sqlQuery');
+
+const STATEMENT_CACHE_SIZE = 200;
+
+// SQLite error codes -> Postgres SQLSTATE, which callers check (e.g. 23503 in deleteWebhook)
+const ERROR_CODES = {
+  SQLITE_CONSTRAINT_FOREIGNKEY: '23503',
+  SQLITE_CONSTRAINT_UNIQUE: '23505',
+  SQLITE_CONSTRAINT_PRIMARYKEY: '23505',
+  SQLITE_CONSTRAINT_NOTNULL: '23502',
+  SQLITE_CONSTRAINT_CHECK: '23514'
+};
+
+// Zero-config local database file; JSONB and BOOLEAN columns are stored as text and 0/1
+// Web-search style input as an FTS5 query: every word or "phrase" must match, -word must not.
+// Terms are quoted so FTS5 operators in the input are matched literally.
+function toFtsQuery(query) {
+  const include = [];
+  const exclude = [];
+  for (const term of String(query).match(/-?"[^"]*"|\S+/g) || []) {
+    const text = term.replace(/^-/, '').replace(/"/g, '').trim();
+    if (!text) continue;
+    (term.startsWith('-') ? exclude : include).push(`"${text}"`);
+  }
+  if (include.length === 0) return null;
+  return [include.join(' '), ...exclude.map(term => `NOT ${term}`)].join(' ');
+}
+
+function createSqliteClient({ filename }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw new Error('The sqlite driver needs the better-sqlite3 package: npm install better-sqlite3');
+  }
+
+  if (filename !== ':memory:') {
+    fs.ensureDirSync(path.dirname(path.resolve(filename)));
+  }
+
+  const database = new Database(filename);
+  database.pragma('journal_mode = WAL');
+  database.pragma('foreign_keys = ON');
+  database.pragma('busy_timeout = 5000');
+
+  const statements = new Map();
+  const columnTypes = new Map(); // table -> { column: declared type }
+
+  function prepare(sql) {
+    let statement = statements.get(sql);
+    if (!statement) {
+      if (statements.size >= STATEMENT_CACHE_SIZE) statements.clear();
+      statement = database.prepare(sql);
+      statements.set(sql, statement);
+    }
+    return statement;
+  }
+
+  function run(sql, params) {
+    const statement = prepare(sql);
+    if (statement.reader) return statement.all(params);
+    statement.run(params);
+    return [];
+  }
+
+  function getColumnTypes(table) {
+    if (!columnTypes.has(table)) {
+      const columns = database.prepare(`PRAGMA table_info(${quote(table)})`).all();
+      // Unknown tables aren't cached so they are picked up once created
+      if (columns.length === 0) return {};
+      columnTypes.set(table, Object.fromEntries(columns.map(column => [column.name, column.type.toUpperCase()])));
+    }
+    return columnTypes.get(table);
+  }
+
+  const dialect = {
+    placeholder: () => '?',
+
+    // LIKE is case-insensitive for ASCII text in SQLite
+    ilike: (column, placeholder) => `${column} LIKE ${placeholder}`,
+
+    // <table>_fts is an FTS5 index over the column, kept in sync by triggers (see migrations/sqlite)
+    textSearch(table, column, { query }, bind) {
+      const ftsQuery = toFtsQuery(query);
+      if (!ftsQuery) return '1 = 0';
+      const index = quote(`${table}_fts`);
+      return `rowid IN (SELECT rowid FROM ${index} WHERE ${index} MATCH ${bind(ftsQuery)})`;
+    },
+
+    encode(table, column, value) {
+      if (value === undefined || value === null) return null;
+      const type = getColumnTypes(table)[column];
+      if (type === 'JSONB') return JSON.stringify(value);
+      if (typeof value === 'boolean') return value ? 1 : 0;
+      if (value instanceof Date) return value.toISOString();
+      if (typeof value === 'object' && !Buffer.isBuffer(value)) return JSON.stringify(value);
+      return value;
+    },
+
+    decode(table, row) {
+      const types = getColumnTypes(table);
+      const decoded = { ...row };
+      for (const [column, value] of Object.entries(row)) {
+        if (value === null) continue;
+        if (types[column] === 'JSONB' && typeof value === 'string') {
+          decoded[column] = JSON.parse(value);
+        } else if (types[column] === 'BOOLEAN') {
+          decoded[column] = Boolean(value);
+        }
+      }
+      return decoded;
+    },
+
+    // No uuid_generate_v4() in SQLite
+    prepareInsert(table, row) {
+      if (row.id === undefined && getColumnTypes(table).id) {
+        return { id: crypto.randomUUID(), ...row };
+      }
+      return row;
+    },
+
+    async query(sql, params) {
+      return run(sql, params);
+    },
+
+    async batch(list) {
+      return database.transaction(() => list.map(({ sql, params }) => run(sql, params)))();
+    },
+
+    normalizeError(error) {
+      let code = ERROR_CODES[error.code];
+      if (!code && /no such column|has no column named/.test(error.message)) code = '42703';
+      if (!code && /no such table/.test(error.message)) code = '42P01';
+      return { code: code || error.code, message: error.message, details: error.code || null, hint: null };
+    }
+  };
+
+  return {
+    driver: 'sqlite',
+    sqlDialect: 'sqlite',
+    ...createSqlClient(dialect),
+
+    // Used by migrations: DDL script plus bookkeeping statements in one transaction
+    async runScript(script, list = []) {
+      try {
+        return database.transaction(() => {
+          database.exec(script);
+          return list.map(({ sql, params }) => run(sql, params));
+        })();
+      } finally {
+        // Tables and columns may have changed
+        columnTypes.clear();
+        statements.clear();
+      }
+    },
+
+    async close() {
+      database.close();
+    },
+
+    database
+  };
+}
+
+module.exports = { createSqliteClient };
@@ -0,0 +1,61 @@
+const { createClient } = require('@supabase/supabase-js');
+const { createPostgresClient } = require('./postgres');
+
+// Hosted Supabase over its REST API (PostgREST)
+function createSupabaseClient({ url, key, databaseUrl }) {
+  if (!url || !key) {
+    throw new Error('The supabase driver needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+  }
+
+  // Create optimized Supabase client with connection pooling and caching
+  const supabase = createClient(url, key, {
+    auth: {
+      autoRefreshToken: true,
+      persistSession: false
+    },
+    db: {
+      schema: 'public'
+    },
+    global: {
+      headers: {
+        'x-application-name': 'wa-multi-automation'
+      }
+    },
+    realtime: {
+      // Disable realtime subscriptions if not needed
+      params: {
+        eventsPerSecond: 10
+      }
+    }
+  });
+
+  // The REST API can't run DDL; migrations go through the project's Postgres connection string
+  let postgres = null;
+  const getPostgres = () => {
+    if (!postgres) {
+      if (!databaseUrl) {
+        throw new Error('Running migrations on Supabase needs DATABASE_URL (Project Settings > Database > Connection string)');
+      }
+      postgres = createPostgresClient({ connectionString: databaseUrl, poolSize: 1 });
+    }
+    return postgres;
+  };
+
+  return {
+    driver: 'supabase',
+    sqlDialect: 'postgres',
+    from: (table) => supabase.from(table),
+
+    async runScript(script, statements = []) {
+      return getPostgres().runScript(script, statements);
+    },
+
+    async close() {
+      if (postgres) await postgres.close();
+    },
+
+    supabase
+  };
+}
+
+module.exports = { createSupabaseClient };
@@ -6,9 +6,37 @@ const http = require('http');
 const socketIo = require('socket.io');
 require('dotenv').config();
 
-const { requireAuth, requireGuest, login, logout, getCurrentUser } = require('./middleware/auth');
+const {
+  requireAuth,
+  requireSession,
+  requirePermission,
+  requireAccountAccess,
+  hasAccountAccess,
+  requireGuest,
+  login,
+  logout,
+  getCurrentUser
+} = require('./middleware/auth');
 const { db } = require('./config/database');
 const whatsappManager = require('./utils/whatsappManager');
+const webhookQueue = require('./utils/webhookQueue');
+const sendQueue = require('./utils/sendQueue');
+const scheduler = require('./utils/scheduler');
+const apiKeys = require('./utils/apiKeys');
+const userManager = require('./utils/userManager');
+const auditLog = require('./utils/auditLog');
+const campaignManager = require('./utils/campaignManager');
+const migrator = require('./utils/migrator');
+const inbox = require('./utils/inbox');
+const messageSearch = require('./utils/messageSearch');
+const logExport = require('./utils/logExport');
+const mediaStore = require('./utils/mediaStore');
+const retention = require('./utils/retention');
+const stats = require('./utils/stats');
+const metrics = require('./utils/metrics');
+const connectionSupervisor = require('./utils/connectionSupervisor');
+const clientFactory = require('./utils/clientFactory');
+const { WEBHOOK_EVENTS, normalizeEvents } = require('./utils/webhookEvents');
 
 const app = express();
 const server = http.createServer(app);
@@ -21,8 +49,8 @@ app.use(express.json({ limit: '25mb' }));
 app.use(express.urlencoded({ extended: true, limit: '25mb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
-// Session configuration
-app.use(session({
+// Session configuration (shared with Socket.IO)
+const sessionMiddleware = session({
   secret: process.env.SESSION_SECRET || 'your-secret-key',
   resave: false,
   saveUninitialized: false,
@@ -30,7 +58,9 @@ app.use(session({
     secure: process.env.NODE_ENV === 'production',
     maxAge: 24 * 60 * 60 * 1000 // 24 hours
   }
-}));
+});
+app.use(sessionMiddleware);
+io.engine.use(sessionMiddleware);
 
 // Initialize webhook secret cache BEFORE routes that use it
 const webhookSecretCache = new Map();
@@ -39,19 +69,62 @@ setInterval(() => {
   webhookSecretCache.clear();
 }, 3600000); // Clear every hour
 
+// Socket.IO: only logged-in dashboard users may connect
+io.use(async (socket, next) => {
+  const sess = socket.request.session;
+  if (!sess || !sess.authenticated || !sess.userId) {
+    return next(new Error('Authentication required'));
+  }
+
+  try {
+    const user = await userManager.getUser(sess.userId);
+    if (!user || !user.is_active) {
+      return next(new Error('Authentication required'));
+    }
+    socket.data.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
+  const user = socket.data.user;
+
+  // Per-account rooms; users who can see every account get all account events
+  socket.join(`user:${user.id}`);
+  if (user.role === 'admin') {
+    socket.join('admins');
+  }
+  if (user.role === 'admin' || !Array.isArray(user.account_ids)) {
+    socket.join('accounts:all');
+  } else {
+    user.account_ids.forEach(accountId => socket.join(`account:${accountId}`));
+  }
 
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
   });
 });
 
+// Account scoping (API keys and users) for routes that take the account id from the URL or body
+const paramAccount = requireAccountAccess(req => req.params.id);
+const bodyAccount = requireAccountAccess(req => req.body.account_id);
+
+// 403 for a looked-up resource that belongs to an account outside the caller's scope
+const denyAccountAccess = (res) =>
+  res.status(403).json({ error: 'Forbidden', message: 'You are not allowed to access this account' });
+
+// Whether a send request asked to be queued rather than sent synchronously
+const wantsQueuedSend = (req) =>
+  req.body.queue === true || req.query.queue === 'true' || !!req.body.send_at;
+
 // JSON-based media sending API
-app.post('/api/send-media', requireAuth, async (req, res) => {
+app.post('/api/send-media', requireAuth, requirePermission('send'), bodyAccount, async (req, res) => {
   try {
-    const { account_id, number, media, caption, options } = req.body;
+    const { account_id, number, media, caption, options, send_at } = req.body;
     if (!account_id || !number || !media) {
       return res.status(400).json({ error: 'account_id, number, and media are required' });
     }
@@ -67,6 +140,22 @@ app.post('/api/send-media', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'media.mimetype is required when media.data is provided' });
     }
 
+    // Queued sends return a job id to poll instead of waiting for WhatsApp
+    if (wantsQueuedSend(req)) {
+      const job = await sendQueue.enqueue(account_id, {
+        type: 'media',
+        number,
+        media,
+        caption,
+        options,
+        run_at: send_at
+      });
+      auditLog.record(req, 'message.queue_media', {
+        targetType: 'job', targetId: job.id, accountId: account_id, after: job
+      });
+      return res.status(202).json({ job_id: job.id, status: job.status, run_at: job.run_at });
+    }
+
     const result = await whatsappManager.sendMedia(
       account_id,
       number,
@@ -74,6 +163,10 @@ app.post('/api/send-media', requireAuth, async (req, res) => {
       caption || '',
       options || {}
     );
+    auditLog.record(req, 'message.send_media', {
+      targetType: 'message', targetId: result.messageId, accountId: account_id,
+      after: { number, caption, media: { mimetype: media.mimetype, filename: media.filename, url: media.url } }
+    });
     res.json(result);
   } catch (error) {
     console.error('Error sending media:', error);
@@ -85,6 +178,30 @@ const emitToAll = (event, data) => {
   io.emit(event, data);
 };
 
+// Emit only to users who can see at least one of the accounts
+const emitToAccounts = (accountIds, event, data) => {
+  io.to(['accounts:all', ...accountIds.map(accountId => `account:${accountId}`)]).emit(event, data);
+};
+
+// Reconnect a user's sockets so they rejoin rooms for their current access list
+const refreshUserSockets = (userId) => {
+  io.in(`user:${userId}`).disconnectSockets(true);
+};
+
+// Push campaign progress to the dashboard
+campaignManager.on('progress', (progress) => emitToAccounts(progress.account_ids || [], 'campaign_progress', progress));
+
+// Push retention run progress to admins
+retention.on('run', (run) => io.to('admins').emit('retention_run', run));
+
+// Push WhatsApp client activity to the dashboard
+whatsappManager.on('qr', (data) => emitToAccounts([data.accountId], 'qr_code', data));
+whatsappManager.on('status', (data) => emitToAccounts([data.accountId], 'account_status_update', data));
+whatsappManager.on('message', (message) => emitToAccounts([message.account_id], 'new_message', message));
+whatsappManager.on('webhook_delivery', (delivery) => emitToAccounts([delivery.account_id], 'webhook_delivery', delivery));
+// Counts only, like /api/health
+whatsappManager.on('startup', (progress) => io.emit('startup_progress', progress));
+
 // Authentication routes
 app.get('/login', requireGuest, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'login.html'));
@@ -95,7 +212,7 @@ app.post('/api/auth/logout', logout);
 app.get('/api/auth/user', getCurrentUser);
 
 // Dashboard route
-app.get('/dashboard', requireAuth, (req, res) => {
+app.get('/dashboard', requireAuth, requireSession, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'dashboard.html'));
 });
 
@@ -105,22 +222,38 @@ app.get('/api/health', (req, res) => {
   res.json({
     status: 'ok',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    startup: whatsappManager.getStartupProgress()
   });
 });
 
+// Prometheus scrape endpoint; requires METRICS_TOKEN as a bearer token when it is set
+app.get('/metrics', async (req, res) => {
+  if (!metrics.authorize(req.headers.authorization)) {
+    return res.status(401).json({ error: 'Invalid metrics token' });
+  }
+
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(await metrics.render());
+  } catch (error) {
+    console.error('Error rendering metrics:', error);
+    res.status(500).json({ error: 'Failed to render metrics' });
+  }
+});
+
 // Accounts API
 app.get('/api/accounts', requireAuth, async (req, res) => {
   try {
     const accounts = await db.getAccounts();
-    res.json(accounts);
+    res.json(accounts.filter(account => hasAccountAccess(req, account.id)));
   } catch (error) {
     console.error('Error fetching accounts:', error);
     res.status(500).json({ error: 'Failed to fetch accounts' });
   }
 });
 
-app.post('/api/accounts', requireAuth, async (req, res) => {
+app.post('/api/accounts', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
   try {
     const { name, description } = req.body;
     
@@ -129,6 +262,9 @@ app.post('/api/accounts', requireAuth, async (req, res) => {
     }
 
     const account = await whatsappManager.createAccount(name, description);
+    auditLog.record(req, 'account.create', {
+      targetType: 'account', targetId: account.id, accountId: account.id, after: account
+    });
     res.json(account);
   } catch (error) {
     console.error('Error creating account:', error);
@@ -136,7 +272,7 @@ app.post('/api/accounts', requireAuth, async (req, res) => {
   }
 });
 
-app.get('/api/accounts/:id', requireAuth, async (req, res) => {
+app.get('/api/accounts/:id', requireAuth, paramAccount, async (req, res) => {
   try {
     const account = await db.getAccount(req.params.id);
     if (!account) {
@@ -149,9 +285,18 @@ app.get('/api/accounts/:id', requireAuth, async (req, res) => {
   }
 });
 
-app.delete('/api/accounts/:id', requireAuth, async (req, res) => {
+app.delete('/api/accounts/:id', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
   try {
+    // Snapshot first: deleting an account cascades to its webhooks and message logs
+    const account = await db.getAccount(req.params.id).catch(() => null);
+    const webhooks = account ? await db.getWebhooks(req.params.id).catch(() => []) : [];
+
+    connectionSupervisor.forget(req.params.id);
     await whatsappManager.deleteAccount(req.params.id);
+    auditLog.record(req, 'account.delete', {
+      targetType: 'account', targetId: req.params.id, accountId: req.params.id,
+      before: account ? { ...account, webhooks } : null
+    });
     res.json({ success: true });
   } catch (error) {
     console.error('Error deleting account:', error);
@@ -159,8 +304,108 @@ app.delete('/api/accounts/:id', requireAuth, async (req, res) => {
   }
 });
 
+// Account lifecycle: stop frees the browser but keeps the session, logout unlinks the device,
+// disable stops the account and keeps it from being started (also at boot) until it's enabled
+const ACCOUNT_ACTIONS = {
+  stop: (accountId) => whatsappManager.stopAccount(accountId),
+  start: (accountId) => whatsappManager.startAccount(accountId),
+  restart: (accountId) => whatsappManager.restartAccount(accountId),
+  logout: (accountId) => whatsappManager.logoutAccount(accountId),
+  disable: (accountId) => whatsappManager.disableAccount(accountId),
+  enable: (accountId) => whatsappManager.enableAccount(accountId)
+};
+
+for (const [action, run] of Object.entries(ACCOUNT_ACTIONS)) {
+  app.post(`/api/accounts/:id/${action}`, requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+    try {
+      const account = await db.getAccount(req.params.id).catch(() => null);
+      if (!account) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+      if (action === 'start' && whatsappManager.clients.has(account.id)) {
+        return res.status(409).json({ error: 'Account is already running' });
+      }
+      if (['start', 'restart', 'logout'].includes(action) && account.disabled) {
+        return res.status(409).json({ error: 'Account is disabled; enable it first' });
+      }
+
+      // Manual control takes over from automatic reconnects
+      connectionSupervisor.forget(account.id);
+      await run(account.id);
+
+      const after = {
+        status: whatsappManager.getAccountStatus(account.id),
+        disabled: action === 'disable' || (action !== 'enable' && Boolean(account.disabled))
+      };
+      auditLog.record(req, `account.${action}`, {
+        targetType: 'account', targetId: account.id, accountId: account.id,
+        before: { status: account.status, disabled: Boolean(account.disabled) }, after
+      });
+      res.json({ success: true, ...after });
+    } catch (error) {
+      console.error(`Error running account ${action}:`, error);
+      res.status(500).json({ error: `Failed to ${action} account` });
+    }
+  });
+}
+
+// Client profile: browser, proxy and WhatsApp Web version settings, applied when the account (re)starts
+app.get('/api/accounts/:id/client-profile', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    const account = await db.getAccount(req.params.id).catch(() => null);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    res.json({ profile: clientFactory.describe(await clientFactory.getProfile(account.id)) });
+  } catch (error) {
+    console.error('Error fetching client profile:', error);
+    res.status(500).json({ error: 'Failed to fetch client profile' });
+  }
+});
+
+app.put('/api/accounts/:id/client-profile', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    clientFactory.buildProfile(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const account = await db.getAccount(req.params.id).catch(() => null);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const before = clientFactory.describe(await clientFactory.getProfile(account.id));
+    const saved = clientFactory.describe(await clientFactory.setProfile(account.id, req.body));
+    auditLog.record(req, 'client_profile.update', {
+      targetType: 'account', targetId: account.id, accountId: account.id, before, after: saved
+    });
+    // A running client keeps its old settings until it's restarted
+    res.json({ profile: saved, restart_required: whatsappManager.clients.has(account.id) });
+  } catch (error) {
+    console.error('Error saving client profile:', error);
+    res.status(500).json({ error: 'Failed to save client profile' });
+  }
+});
+
+// Back to the defaults
+app.delete('/api/accounts/:id/client-profile', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    const before = clientFactory.describe(await clientFactory.getProfile(req.params.id));
+    await clientFactory.clearProfile(req.params.id);
+    auditLog.record(req, 'client_profile.reset', {
+      targetType: 'account', targetId: req.params.id, accountId: req.params.id, before
+    });
+    res.json({ success: true, restart_required: whatsappManager.clients.has(req.params.id) });
+  } catch (error) {
+    console.error('Error resetting client profile:', error);
+    res.status(500).json({ error: 'Failed to reset client profile' });
+  }
+});
+
 // Webhooks API
-app.get('/api/accounts/:id/webhooks', requireAuth, async (req, res) => {
+app.get('/api/accounts/:id/webhooks', requireAuth, requirePermission('manage_webhooks'), paramAccount, async (req, res) => {
   try {
     const webhooks = await db.getWebhooks(req.params.id);
     res.json(webhooks);
@@ -170,9 +415,14 @@ app.get('/api/accounts/:id/webhooks', requireAuth, async (req, res) => {
   }
 });
 
-app.post('/api/webhooks', requireAuth, async (req, res) => {
+// Event types webhooks can subscribe to
+app.get('/api/webhooks/events', requireAuth, requirePermission('manage_webhooks'), (req, res) => {
+  res.json(WEBHOOK_EVENTS);
+});
+
+app.post('/api/webhooks', requireAuth, requirePermission('manage_webhooks'), bodyAccount, async (req, res) => {
   try {
-    const { account_id, url, secret, is_active } = req.body;
+    const { account_id, url, secret, is_active, legacy_secret_header, events } = req.body;
     
     console.log('Received webhook creation request:', { account_id, url, secret, is_active });
     
@@ -181,11 +431,20 @@ app.post('/api/webhooks', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Account ID and URL are required' });
     }
 
+    let subscribedEvents;
+    try {
+      subscribedEvents = normalizeEvents(events);
+    } catch (e) {
+      return res.status(400).json({ error: e.message });
+    }
+
     const webhookData = {
       id: require('uuid').v4(),
       account_id,
       url,
       secret: secret || '',
+      legacy_secret_header: legacy_secret_header === true,
+      events: subscribedEvents,
       is_active: is_active !== false,
       created_at: new Date().toISOString()
     };
@@ -194,6 +453,9 @@ app.post('/api/webhooks', requireAuth, async (req, res) => {
 
     const webhook = await db.createWebhook(webhookData);
     console.log('Webhook created successfully:', webhook);
+    auditLog.record(req, 'webhook.create', {
+      targetType: 'webhook', targetId: webhook.id, accountId: account_id, after: webhook
+    });
     res.json(webhook);
   } catch (error) {
     console.error('Error creating webhook:', error);
@@ -201,17 +463,65 @@ app.post('/api/webhooks', requireAuth, async (req, res) => {
   }
 });
 
-app.patch('/api/webhooks/:id/toggle', requireAuth, async (req, res) => {
+app.patch('/api/webhooks/:id', requireAuth, requirePermission('manage_webhooks'), async (req, res) => {
   try {
     const webhook = await db.getWebhook(req.params.id);
     if (!webhook) {
       return res.status(404).json({ error: 'Webhook not found' });
     }
+    if (!hasAccountAccess(req, webhook.account_id)) {
+      return denyAccountAccess(res);
+    }
+
+    // Only allow updating known, editable fields
+    const updates = {};
+    const { url, secret, legacy_secret_header, events } = req.body;
+    if (url !== undefined) updates.url = url;
+    if (secret !== undefined) updates.secret = secret;
+    if (legacy_secret_header !== undefined) updates.legacy_secret_header = legacy_secret_header === true;
+    if (events !== undefined) {
+      try {
+        updates.events = normalizeEvents(events);
+      } catch (e) {
+        return res.status(400).json({ error: e.message });
+      }
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No updatable fields provided' });
+    }
+    updates.updated_at = new Date().toISOString();
+
+    const updatedWebhook = await db.updateWebhook(req.params.id, updates);
+    auditLog.record(req, 'webhook.update', {
+      targetType: 'webhook', targetId: webhook.id, accountId: webhook.account_id,
+      before: webhook, after: updatedWebhook
+    });
+    res.json(updatedWebhook);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+app.patch('/api/webhooks/:id/toggle', requireAuth, requirePermission('manage_webhooks'), async (req, res) => {
+  try {
+    const webhook = await db.getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    if (!hasAccountAccess(req, webhook.account_id)) {
+      return denyAccountAccess(res);
+    }
 
     const updatedWebhook = await db.updateWebhook(req.params.id, {
       is_active: !webhook.is_active,
       updated_at: new Date().toISOString()
     });
+    auditLog.record(req, updatedWebhook.is_active ? 'webhook.enable' : 'webhook.disable', {
+      targetType: 'webhook', targetId: webhook.id, accountId: webhook.account_id,
+      before: webhook, after: updatedWebhook
+    });
 
     res.json(updatedWebhook);
   } catch (error) {
@@ -220,15 +530,21 @@ app.patch('/api/webhooks/:id/toggle', requireAuth, async (req, res) => {
   }
 });
 
-app.delete('/api/webhooks/:id', requireAuth, async (req, res) => {
+app.delete('/api/webhooks/:id', requireAuth, requirePermission('manage_webhooks'), async (req, res) => {
   try {
     // Fetch webhook first to obtain account_id for cache invalidation
     const existing = await db.getWebhook(req.params.id);
     if (!existing) {
       return res.status(404).json({ error: 'Webhook not found' });
     }
+    if (!hasAccountAccess(req, existing.account_id)) {
+      return denyAccountAccess(res);
+    }
 
     await db.deleteWebhook(req.params.id);
+    auditLog.record(req, 'webhook.delete', {
+      targetType: 'webhook', targetId: existing.id, accountId: existing.account_id, before: existing
+    });
 
     // Invalidate any cached webhook secrets for this account in memory
     try {
@@ -249,14 +565,52 @@ app.delete('/api/webhooks/:id', requireAuth, async (req, res) => {
   }
 });
 
+// Webhook delivery queue (pending retries and dead-lettered deliveries)
+app.get('/api/accounts/:id/webhook-deliveries', requireAuth, requirePermission('manage_webhooks'), paramAccount, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const deliveries = await db.getWebhookDeliveries(req.params.id, req.query.status || null, limit);
+    res.json(deliveries);
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+app.post('/api/webhook-deliveries/:id/retry', requireAuth, requirePermission('manage_webhooks'), async (req, res) => {
+  try {
+    const delivery = await db.getWebhookDelivery(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Webhook delivery not found' });
+    }
+    if (!hasAccountAccess(req, delivery.account_id)) {
+      return denyAccountAccess(res);
+    }
+    if (delivery.status === 'delivered') {
+      return res.status(400).json({ error: 'Webhook delivery already succeeded' });
+    }
+
+    const updated = await webhookQueue.requeue(delivery.id);
+    auditLog.record(req, 'webhook_delivery.retry', {
+      targetType: 'webhook_delivery', targetId: delivery.id, accountId: delivery.account_id
+    });
+    res.json(updated);
+  } catch (error) {
+    console.error('Error retrying webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to retry webhook delivery' });
+  }
+});
+
 // Get webhook secrets for an account (for n8n configuration)
-app.get('/api/accounts/:id/webhook-secrets', requireAuth, async (req, res) => {
+app.get('/api/accounts/:id/webhook-secrets', requireAuth, requirePermission('manage_webhooks'), paramAccount, async (req, res) => {
   try {
     const webhooks = await db.getWebhooks(req.params.id);
     const webhookSecrets = webhooks.map(webhook => ({
       id: webhook.id,
       url: webhook.url,
       secret: webhook.secret,
+      legacy_secret_header: webhook.legacy_secret_header,
+      events: webhook.events,
       is_active: webhook.is_active
     }));
     res.json(webhookSecrets);
@@ -329,9 +683,9 @@ app.post('/api/webhook-reply', async (req, res) => {
 });
 
 // Message sending API (with API key authentication)
-app.post('/api/send', requireAuth, async (req, res) => {
+app.post('/api/send', requireAuth, requirePermission('send'), bodyAccount, async (req, res) => {
   try {
-    const { account_id, number, message } = req.body;
+    const { account_id, number, message, send_at } = req.body;
     
     console.log('Received send message request:', { account_id, number, message });
     
@@ -340,9 +694,21 @@ app.post('/api/send', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Account ID, number, and message are required' });
     }
 
+    // Queued sends return a job id to poll instead of waiting for WhatsApp
+    if (wantsQueuedSend(req)) {
+      const job = await sendQueue.enqueue(account_id, { type: 'text', number, message, run_at: send_at });
+      auditLog.record(req, 'message.queue', {
+        targetType: 'job', targetId: job.id, accountId: account_id, after: job
+      });
+      return res.status(202).json({ job_id: job.id, status: job.status, run_at: job.run_at });
+    }
+
     console.log('Calling whatsappManager.sendMessage...');
     const result = await whatsappManager.sendMessage(account_id, number, message);
     console.log('Message sent successfully:', result);
+    auditLog.record(req, 'message.send', {
+      targetType: 'message', targetId: result.messageId, accountId: account_id, after: { number, message }
+    });
     res.json(result);
   } catch (error) {
     console.error('Error sending message:', error);
@@ -350,25 +716,469 @@ app.post('/api/send', requireAuth, async (req, res) => {
   }
 });
 
+// Send queue jobs
+app.get('/api/jobs/:id', requireAuth, requirePermission('send', 'read_logs'), async (req, res) => {
+  try {
+    const job = await db.getMessageJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!hasAccountAccess(req, job.account_id)) {
+      return denyAccountAccess(res);
+    }
+    // Don't echo base64 media back on every poll
+    if (job.media && job.media.data) {
+      job.media = { ...job.media, data: undefined };
+    }
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: 'Failed to fetch job' });
+  }
+});
+
+app.get('/api/accounts/:id/jobs', requireAuth, requirePermission('send', 'read_logs'), paramAccount, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 100;
+    const jobs = await db.getMessageJobs(req.params.id, req.query.status || null, limit);
+    res.json(jobs.map(job => (job.media && job.media.data)
+      ? { ...job, media: { ...job.media, data: undefined } }
+      : job));
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+app.delete('/api/jobs/:id', requireAuth, requirePermission('send'), async (req, res) => {
+  try {
+    const existing = await db.getMessageJob(req.params.id).catch(() => null);
+    if (existing && !hasAccountAccess(req, existing.account_id)) {
+      return denyAccountAccess(res);
+    }
+
+    const job = await sendQueue.cancel(req.params.id);
+    if (!job) {
+      return res.status(409).json({ error: 'Job is not queued (already sent, failed, cancelled or in progress)' });
+    }
+    auditLog.record(req, 'job.cancel', {
+      targetType: 'job', targetId: job.id, accountId: job.account_id, before: existing, after: job
+    });
+    res.json(job);
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: 'Failed to cancel job' });
+  }
+});
+
+// Scheduled messages API
+app.get('/api/scheduled-messages', requireAuth, requirePermission('send', 'read_logs'), async (req, res) => {
+  try {
+    const schedules = await db.getScheduledMessages(req.query.account_id || null, req.query.status || null);
+    res.json(schedules.filter(schedule => hasAccountAccess(req, schedule.account_id)));
+  } catch (error) {
+    console.error('Error fetching scheduled messages:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled messages' });
+  }
+});
+
+app.get('/api/scheduled-messages/:id', requireAuth, requirePermission('send', 'read_logs'), async (req, res) => {
+  try {
+    const schedule = await db.getScheduledMessage(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+    if (!hasAccountAccess(req, schedule.account_id)) {
+      return denyAccountAccess(res);
+    }
+    res.json(schedule);
+  } catch (error) {
+    console.error('Error fetching scheduled message:', error);
+    res.status(500).json({ error: 'Failed to fetch scheduled message' });
+  }
+});
+
+app.post('/api/scheduled-messages', requireAuth, requirePermission('send'), bodyAccount, async (req, res) => {
+  try {
+    const schedule = await scheduler.create(req.body);
+    auditLog.record(req, 'schedule.create', {
+      targetType: 'scheduled_message', targetId: schedule.id, accountId: schedule.account_id, after: schedule
+    });
+    res.json(schedule);
+  } catch (error) {
+    console.error('Error creating scheduled message:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.patch('/api/scheduled-messages/:id', requireAuth, requirePermission('send'), bodyAccount, async (req, res) => {
+  try {
+    const existing = await db.getScheduledMessage(req.params.id).catch(() => null);
+    if (existing && !hasAccountAccess(req, existing.account_id)) {
+      return denyAccountAccess(res);
+    }
+
+    const schedule = await scheduler.update(req.params.id, req.body);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+    auditLog.record(req, 'schedule.update', {
+      targetType: 'scheduled_message', targetId: schedule.id, accountId: schedule.account_id,
+      before: existing, after: schedule
+    });
+    res.json(schedule);
+  } catch (error) {
+    console.error('Error updating scheduled message:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/scheduled-messages/:id', requireAuth, requirePermission('send'), async (req, res) => {
+  try {
+    const existing = await db.getScheduledMessage(req.params.id).catch(() => null);
+    if (existing && !hasAccountAccess(req, existing.account_id)) {
+      return denyAccountAccess(res);
+    }
+
+    const schedule = await scheduler.cancel(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Scheduled message not found' });
+    }
+    auditLog.record(req, 'schedule.cancel', {
+      targetType: 'scheduled_message', targetId: schedule.id, accountId: schedule.account_id,
+      before: existing, after: schedule
+    });
+    res.json(schedule);
+  } catch (error) {
+    console.error('Error cancelling scheduled message:', error);
+    res.status(500).json({ error: 'Failed to cancel scheduled message' });
+  }
+});
+
+// Broadcast campaigns API
+// A campaign is visible only to callers who can use all of its sending accounts
+const hasCampaignAccess = (req, campaign) =>
+  (campaign.account_ids || []).every(accountId => hasAccountAccess(req, accountId));
+
+app.get('/api/campaigns', requireAuth, requirePermission('send', 'read_logs'), async (req, res) => {
+  try {
+    const campaigns = await db.getCampaigns(req.query.status || null);
+    res.json(campaigns.filter(campaign => hasCampaignAccess(req, campaign)));
+  } catch (error) {
+    console.error('Error fetching campaigns:', error);
+    res.status(500).json({ error: 'Failed to fetch campaigns' });
+  }
+});
+
+app.post('/api/campaigns', requireAuth, requirePermission('send'), async (req, res) => {
+  try {
+    if (Array.isArray(req.body.account_ids) && !hasCampaignAccess(req, req.body)) {
+      return denyAccountAccess(res);
+    }
+
+    const { campaign, skipped } = await campaignManager.createCampaign(req.body);
+    auditLog.record(req, 'campaign.create', {
+      targetType: 'campaign', targetId: campaign.id, after: { ...campaign, skipped_recipients: skipped }
+    });
+    if (campaign.media && campaign.media.data) {
+      campaign.media = { ...campaign.media, data: undefined };
+    }
+    res.json({ ...campaign, skipped_recipients: skipped });
+  } catch (error) {
+    console.error('Error creating campaign:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/campaigns/:id', requireAuth, requirePermission('send', 'read_logs'), async (req, res) => {
+  try {
+    const campaign = await db.getCampaign(req.params.id).catch(() => null);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (!hasCampaignAccess(req, campaign)) {
+      return denyAccountAccess(res);
+    }
+    if (campaign.media && campaign.media.data) {
+      campaign.media = { ...campaign.media, data: undefined };
+    }
+    const counts = await db.getCampaignRecipientCounts(campaign.id);
+    res.json({ ...campaign, counts });
+  } catch (error) {
+    console.error('Error fetching campaign:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign' });
+  }
+});
+
+app.get('/api/campaigns/:id/recipients', requireAuth, requirePermission('send', 'read_logs'), async (req, res) => {
+  try {
+    const campaign = await db.getCampaign(req.params.id).catch(() => null);
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (!hasCampaignAccess(req, campaign)) {
+      return denyAccountAccess(res);
+    }
+
+    const limit = parseInt(req.query.limit) || 1000;
+    const recipients = await db.getCampaignRecipients(req.params.id, req.query.status || null, limit);
+    res.json(recipients);
+  } catch (error) {
+    console.error('Error fetching campaign recipients:', error);
+    res.status(500).json({ error: 'Failed to fetch campaign recipients' });
+  }
+});
+
+// Shared handler for campaign state changes; 409 when the current state doesn't allow it
+const campaignAction = (action, pastTense) => async (req, res) => {
+  try {
+    const existing = await db.getCampaign(req.params.id).catch(() => null);
+    if (!existing) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+    if (!hasCampaignAccess(req, existing)) {
+      return denyAccountAccess(res);
+    }
+
+    const campaign = await campaignManager[`${action}Campaign`](req.params.id);
+    if (!campaign) {
+      return res.status(409).json({ error: `Campaign cannot be ${pastTense} in its current state` });
+    }
+    auditLog.record(req, `campaign.${action}`, {
+      targetType: 'campaign', targetId: campaign.id,
+      before: { status: existing.status }, after: { status: campaign.status }
+    });
+    if (campaign.media && campaign.media.data) {
+      campaign.media = { ...campaign.media, data: undefined };
+    }
+    res.json(campaign);
+  } catch (error) {
+    console.error(`Error updating campaign (${action}):`, error);
+    res.status(500).json({ error: `Failed to ${action} campaign` });
+  }
+};
+
+app.post('/api/campaigns/:id/start', requireAuth, requirePermission('send'), campaignAction('start', 'started'));
+app.post('/api/campaigns/:id/pause', requireAuth, requirePermission('send'), campaignAction('pause', 'paused'));
+app.post('/api/campaigns/:id/resume', requireAuth, requirePermission('send'), campaignAction('resume', 'resumed'));
+app.post('/api/campaigns/:id/cancel', requireAuth, requirePermission('send'), campaignAction('cancel', 'cancelled'));
+
+// Audit log (admins only); same filters for the list and the CSV export
+const getAuditFilters = (req) => ({
+  action: req.query.action || null,
+  actor: req.query.actor || null,
+  actor_type: req.query.actor_type || null,
+  target_id: req.query.target_id || null,
+  account_id: req.query.account_id || null,
+  from: req.query.from || null,
+  to: req.query.to || null
+});
+
+app.get('/api/audit-events', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 200, 1000);
+    const events = await auditLog.list(getAuditFilters(req), limit);
+    res.json(events);
+  } catch (error) {
+    console.error('Error fetching audit events:', error);
+    res.status(500).json({ error: 'Failed to fetch audit events' });
+  }
+});
+
+app.get('/api/audit-events/export', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10000, 50000);
+    const events = await auditLog.list(getAuditFilters(req), limit);
+    const filename = `audit-events-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(auditLog.toCsv(events));
+  } catch (error) {
+    console.error('Error exporting audit events:', error);
+    res.status(500).json({ error: 'Failed to export audit events' });
+  }
+});
+
+// Users (admins only)
+app.get('/api/users', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    const users = await userManager.list();
+    res.json(users);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+app.post('/api/users', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    const user = await userManager.create(req.body);
+    auditLog.record(req, 'user.create', { targetType: 'user', targetId: user.id, after: user });
+    res.json(user);
+  } catch (error) {
+    console.error('Error creating user:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.patch('/api/users/:id', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    const before = await userManager.getUser(req.params.id);
+    const user = await userManager.update(req.params.id, req.body, req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    auditLog.record(req, 'user.update', {
+      targetType: 'user', targetId: user.id, before,
+      after: req.body.password ? { ...user, password: 'changed' } : user
+    });
+    refreshUserSockets(user.id);
+    res.json(user);
+  } catch (error) {
+    console.error('Error updating user:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/users/:id', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    const before = await userManager.getUser(req.params.id);
+    const deleted = await userManager.delete(req.params.id, req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    auditLog.record(req, 'user.delete', { targetType: 'user', targetId: req.params.id, before });
+    refreshUserSockets(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Retention policies and purge runs (admins only)
+app.get('/api/retention', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    res.json(await retention.getOverview());
+  } catch (error) {
+    console.error('Error fetching retention settings:', error);
+    res.status(500).json({ error: 'Failed to fetch retention settings' });
+  }
+});
+
+app.put('/api/retention/accounts/:id', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  let policy;
+  try {
+    policy = retention.buildPolicy(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const account = await db.getAccount(req.params.id).catch(() => null);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+
+    const before = (await db.getRetentionPolicies()).find(existing => existing.account_id === account.id) || null;
+    const saved = await retention.setPolicy(account.id, policy);
+    auditLog.record(req, 'retention.update', {
+      targetType: 'account', targetId: account.id, accountId: account.id, before, after: saved
+    });
+    res.json({ policy: saved, effective: retention.effectivePolicy(saved) });
+  } catch (error) {
+    console.error('Error saving retention policy:', error);
+    res.status(500).json({ error: 'Failed to save retention policy' });
+  }
+});
+
+// Back to the defaults
+app.delete('/api/retention/accounts/:id', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    await retention.clearPolicy(req.params.id);
+    auditLog.record(req, 'retention.reset', { targetType: 'account', targetId: req.params.id, accountId: req.params.id });
+    res.json({ success: true, effective: retention.effectivePolicy() });
+  } catch (error) {
+    console.error('Error resetting retention policy:', error);
+    res.status(500).json({ error: 'Failed to reset retention policy' });
+  }
+});
+
+app.get('/api/retention/runs', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    res.json(await db.getRetentionRuns(limit));
+  } catch (error) {
+    console.error('Error fetching retention runs:', error);
+    res.status(500).json({ error: 'Failed to fetch retention runs' });
+  }
+});
+
+// Start a run now; it continues in the background (progress via the retention_run socket event)
+app.post('/api/retention/runs', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  if (retention.running) {
+    return res.status(409).json({ error: 'A retention run is already in progress' });
+  }
+
+  try {
+    const run = await retention.run('manual');
+    auditLog.record(req, 'retention.run', { targetType: 'retention_run', targetId: run.id });
+    res.status(202).json(run);
+  } catch (error) {
+    console.error('Error starting retention run:', error);
+    res.status(500).json({ error: error.message || 'Failed to start retention run' });
+  }
+});
+
+// API keys (managed from the dashboard only; the plaintext key is returned once on creation)
+app.get('/api/api-keys', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    const keys = await apiKeys.list();
+    res.json(keys);
+  } catch (error) {
+    console.error('Error fetching API keys:', error);
+    res.status(500).json({ error: 'Failed to fetch API keys' });
+  }
+});
+
+app.get('/api/api-keys/permissions', requireAuth, requireSession, requirePermission('admin'), (req, res) => {
+  res.json(apiKeys.permissions);
+});
+
+app.post('/api/api-keys', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    const { apiKey, key } = await apiKeys.create(req.body);
+    auditLog.record(req, 'api_key.create', { targetType: 'api_key', targetId: apiKey.id, after: apiKey });
+    res.json({ ...apiKey, key });
+  } catch (error) {
+    console.error('Error creating API key:', error);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/api-keys/:id', requireAuth, requireSession, requirePermission('admin'), async (req, res) => {
+  try {
+    const apiKey = await apiKeys.revoke(req.params.id);
+    if (!apiKey) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    auditLog.record(req, 'api_key.revoke', { targetType: 'api_key', targetId: apiKey.id, after: apiKey });
+    res.json(apiKey);
+  } catch (error) {
+    console.error('Error revoking API key:', error);
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
 // Stats API
-app.get('/api/stats', requireAuth, async (req, res) => {
+app.get('/api/stats', requireAuth, requirePermission('read_logs'), async (req, res) => {
   try {
-    const accounts = await db.getAccounts();
+    const accounts = (await db.getAccounts()).filter(account => hasAccountAccess(req, account.id));
     const totalAccounts = accounts.length;
     const activeAccounts = accounts.filter(a => a.status === 'ready').length;
-    
-    // Get message stats from all accounts
-    let totalMessages = 0;
-    let successMessages = 0;
-    
-    for (const account of accounts) {
-      const stats = await db.getMessageStats(account.id);
-      totalMessages += stats.total;
-      successMessages += stats.success;
-    }
-    
-    const successRate = totalMessages > 0 ? Math.round((successMessages / totalMessages) * 100) : 0;
-    
+    const { totalMessages, successRate } = await stats.getTotals(accounts.map(account => account.id));
+
     res.json({
       totalAccounts,
       activeAccounts,
@@ -381,8 +1191,33 @@ app.get('/api/stats', requireAuth, async (req, res) => {
   }
 });
 
+// Time series for the dashboard charts: ?range=24h|7d|30d|90d&account_id=
+app.get('/api/stats/series', requireAuth, requirePermission('read_logs'), requireAccountAccess(req => req.query.account_id), async (req, res) => {
+  let range;
+  try {
+    range = stats.parseRange(req.query.range || '24h');
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    let accountIds = (await db.getAccounts()).map(account => account.id).filter(id => hasAccountAccess(req, id));
+    if (req.query.account_id) {
+      if (!accountIds.includes(req.query.account_id)) {
+        return res.status(404).json({ error: 'Account not found' });
+      }
+      accountIds = [req.query.account_id];
+    }
+
+    res.json(await stats.getSeries(range, accountIds));
+  } catch (error) {
+    console.error('Error fetching stats series:', error);
+    res.status(500).json({ error: 'Failed to fetch stats series' });
+  }
+});
+
 // Message logs API
-app.get('/api/accounts/:id/logs', requireAuth, async (req, res) => {
+app.get('/api/accounts/:id/logs', requireAuth, requirePermission('read_logs'), paramAccount, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 100;
     const logs = await db.getMessageLogs(req.params.id, limit);
@@ -393,8 +1228,184 @@ app.get('/api/accounts/:id/logs', requireAuth, async (req, res) => {
   }
 });
 
+// Streamed export of an account's logs (same filters as GET /api/messages)
+app.get('/api/accounts/:id/logs/export', requireAuth, requirePermission('read_logs'), paramAccount, async (req, res) => {
+  let filters;
+  let format;
+  try {
+    filters = { ...messageSearch.parseFilters(req.query), account_ids: [req.params.id] };
+    format = logExport.parseFormat(req.query.format);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const account = await db.getAccount(req.params.id);
+    if (!account) {
+      return res.status(404).json({ error: 'Account not found' });
+    }
+    const includeMedia = req.query.include_media === 'true';
+
+    auditLog.record(req, 'message.export', {
+      targetType: 'account', targetId: account.id, accountId: account.id,
+      after: { format, include_media: includeMedia, filters }
+    });
+
+    await logExport.send(res, account, filters, {
+      format,
+      includeMedia,
+      utcOffset: parseInt(req.query.utc_offset) || 0,
+      isClosed: () => res.destroyed
+    });
+  } catch (error) {
+    console.error('Error exporting message logs:', error);
+    // Once streaming has started the client can only tell from the aborted download
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.removeHeader('Content-Disposition');
+    res.removeHeader('Content-Type');
+    res.status(500).json({ error: 'Failed to export message logs' });
+  }
+});
+
+// Message search across the accounts the caller can see
+app.get('/api/messages', requireAuth, requirePermission('read_logs'), async (req, res) => {
+  let filters;
+  let page;
+  try {
+    filters = messageSearch.parseFilters(req.query);
+    page = messageSearch.parsePage(req.query);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const accounts = await db.getAccounts();
+    const accessible = accounts.filter(account => hasAccountAccess(req, account.id)).map(account => account.id);
+
+    if (filters.account_ids) {
+      if (filters.account_ids.some(accountId => !accessible.includes(accountId))) {
+        return denyAccountAccess(res);
+      }
+    } else if (accessible.length < accounts.length) {
+      filters.account_ids = accessible;
+    }
+
+    const result = await messageSearch.search(filters, page);
+    res.json(result);
+  } catch (error) {
+    console.error('Error searching messages:', error);
+    res.status(500).json({ error: 'Failed to search messages' });
+  }
+});
+
+// Conversation inbox API
+app.get('/api/accounts/:id/chats', requireAuth, requirePermission('read_logs'), paramAccount, async (req, res) => {
+  try {
+    const chats = await inbox.listChats(req.params.id);
+    res.json(chats);
+  } catch (error) {
+    console.error('Error fetching chats:', error);
+    res.status(500).json({ error: 'Failed to fetch chats' });
+  }
+});
+
+app.get('/api/accounts/:id/chats/:chatId/messages', requireAuth, requirePermission('read_logs'), paramAccount, async (req, res) => {
+  try {
+    const thread = await inbox.getThread(req.params.id, req.params.chatId, {
+      before: req.query.before || null,
+      limit: req.query.limit
+    });
+    res.json(thread);
+  } catch (error) {
+    console.error('Error fetching chat messages:', error);
+    res.status(500).json({ error: 'Failed to fetch chat messages' });
+  }
+});
+
+app.post('/api/accounts/:id/chats/:chatId/read', requireAuth, requirePermission('read_logs'), paramAccount, async (req, res) => {
+  try {
+    const read = await inbox.markRead(req.params.id, req.params.chatId);
+    res.json(read);
+  } catch (error) {
+    console.error('Error marking chat as read:', error);
+    res.status(500).json({ error: 'Failed to mark chat as read' });
+  }
+});
+
+// Images, audio and video are shown inline, anything else is downloaded
+const setMediaHeaders = (res, mimetype, filename, cacheControl) => {
+  const type = mimetype || 'application/octet-stream';
+  const inline = /^(image|audio|video)\//.test(type) && type !== 'image/svg+xml';
+  res.set({
+    'Content-Type': type,
+    'Content-Disposition': `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(filename || 'media')}`,
+    'X-Content-Type-Options': 'nosniff',
+    'Cache-Control': cacheControl
+  });
+};
+
+const pipeMedia = (stream, res) => {
+  stream.on('error', (error) => {
+    console.error('Error streaming media:', error);
+    res.destroy(error);
+  });
+  stream.pipe(res);
+};
+
+// Media of a logged message, for the dashboard
+app.get('/api/messages/:id/media', requireAuth, requirePermission('read_logs'), async (req, res) => {
+  try {
+    const message = await inbox.getMessage(req.params.id);
+    if (!message) {
+      return res.status(404).json({ error: 'Message not found' });
+    }
+    if (!hasAccountAccess(req, message.account_id)) {
+      return denyAccountAccess(res);
+    }
+    const media = message.media || {};
+    // Older rows and small files are inline; everything else lives in the media store
+    const stored = !media.data && media.media_id ? await mediaStore.open(media.media_id) : null;
+    if (!media.data && !stored) {
+      return res.status(404).json({ error: 'No media stored for this message' });
+    }
+
+    setMediaHeaders(res, media.mimetype, media.filename, 'private, max-age=3600');
+    if (stored) {
+      return pipeMedia(stored.stream, res);
+    }
+    res.send(Buffer.from(media.data, 'base64'));
+  } catch (error) {
+    console.error('Error fetching message media:', error);
+    res.status(500).json({ error: 'Failed to fetch message media' });
+  }
+});
+
+// Signed, expiring media download (the url in message logs and webhook payloads); no login needed
+app.get('/api/media/:id', async (req, res) => {
+  try {
+    if (!mediaStore.verifyUrl(req.params.id, req.query.expires, req.query.signature)) {
+      return res.status(403).json({ error: 'Invalid or expired media URL' });
+    }
+
+    const stored = await mediaStore.open(req.params.id);
+    if (!stored) {
+      return res.status(404).json({ error: 'Media not found' });
+    }
+
+    const maxAge = Math.max(parseInt(req.query.expires, 10) - Math.floor(Date.now() / 1000), 0);
+    setMediaHeaders(res, stored.object.mimetype, null, `private, max-age=${maxAge}, immutable`);
+    res.set({ 'Content-Length': stored.object.size, ETag: `"${stored.object.sha256}"` });
+    pipeMedia(stored.stream, res);
+  } catch (error) {
+    console.error('Error fetching media:', error);
+    res.status(500).json({ error: 'Failed to fetch media' });
+  }
+});
+
 // QR Code API
-app.get('/api/accounts/:id/qr', requireAuth, async (req, res) => {
+app.get('/api/accounts/:id/qr', requireAuth, requireSession, requirePermission('send'), paramAccount, async (req, res) => {
   try {
     const qrCode = whatsappManager.getQRCode(req.params.id);
     if (!qrCode) {
@@ -430,46 +1441,37 @@ app.post('/webhook/:accountId', async (req, res) => {
 });
 
 // View routes for dashboard
-app.get('/views/dashboard', requireAuth, async (req, res) => {
+app.get('/views/dashboard', requireAuth, requirePermission('read_logs'), async (req, res) => {
   try {
-    const accounts = await db.getAccounts();
-    // Aggregate stats across all accounts (similar to /api/stats)
-    let totalMessages = 0;
-    let successMessages = 0;
+    const accounts = (await db.getAccounts()).filter(account => hasAccountAccess(req, account.id));
+    // Aggregate stats across all accounts (same as /api/stats)
+    const totals = await stats.getTotals(accounts.map(account => account.id));
 
-    for (const account of accounts) {
-      const s = await db.getMessageStats(account.id);
-      totalMessages += s.total;
-      successMessages += s.success;
-    }
-
-    const stats = {
-      total: totalMessages,
-      success: successMessages,
-      successRate: totalMessages > 0 ? Math.round((successMessages / totalMessages) * 100) : 0
-    };
-    
     res.json({
       accounts,
-      stats
+      stats: {
+        total: totals.totalMessages,
+        success: totals.successMessages,
+        successRate: totals.successRate
+      }
     });
   } catch (error) {
     res.status(500).json({ error: 'Failed to load dashboard data' });
   }
 });
 
-app.get('/views/accounts', requireAuth, async (req, res) => {
+app.get('/views/accounts', requireAuth, requirePermission('read_logs'), async (req, res) => {
   try {
-    const accounts = await db.getAccounts();
+    const accounts = (await db.getAccounts()).filter(account => hasAccountAccess(req, account.id));
     res.json(accounts);
   } catch (error) {
     res.status(500).json({ error: 'Failed to load accounts' });
   }
 });
 
-app.get('/views/webhooks', requireAuth, async (req, res) => {
+app.get('/views/webhooks', requireAuth, requirePermission('manage_webhooks'), async (req, res) => {
   try {
-    const accounts = await db.getAccounts();
+    const accounts = (await db.getAccounts()).filter(account => hasAccountAccess(req, account.id));
     const webhooks = {};
     
     for (const account of accounts) {
@@ -482,9 +1484,9 @@ app.get('/views/webhooks', requireAuth, async (req, res) => {
   }
 });
 
-app.get('/views/messages', requireAuth, async (req, res) => {
+app.get('/views/messages', requireAuth, requirePermission('read_logs'), async (req, res) => {
   try {
-    const accounts = await db.getAccounts();
+    const accounts = (await db.getAccounts()).filter(account => hasAccountAccess(req, account.id));
     const messages = {};
     
     for (const account of accounts) {
@@ -497,15 +1499,68 @@ app.get('/views/messages', requireAuth, async (req, res) => {
   }
 });
 
+// Pending migrations are applied when MIGRATE_ON_START is true (the default for the zero-config SQLite driver)
+async function checkMigrations() {
+  const migrateOnStart = process.env.MIGRATE_ON_START
+    ? process.env.MIGRATE_ON_START === 'true'
+    : db.driver === 'sqlite';
+
+  try {
+    const pending = await migrator.getPending();
+    if (pending.length === 0) return true;
+
+    const names = pending.map(migration => `${migration.version}_${migration.name}`).join(', ');
+    if (!migrateOnStart) {
+      console.error(`Database has ${pending.length} pending migration(s): ${names}`);
+      console.error('Run "npm run migrate" (or set MIGRATE_ON_START=true) and start again.');
+      return false;
+    }
+
+    await migrator.up();
+    return true;
+  } catch (error) {
+    console.error('Error checking database migrations:', error);
+    return false;
+  }
+}
+
 // Initialize existing accounts on startup
 async function initializeApp() {
   try {
     console.log('Initializing WhatsApp Multi-Automation System...');
     
+    // Refuse to run against an out-of-date schema
+    console.log(`Using ${db.driver} storage driver`);
+    if (!await checkMigrations()) {
+      process.exit(1);
+    }
+    
     // Create sessions directory if it doesn't exist
     const fs = require('fs-extra');
     await fs.ensureDir('./sessions');
     
+    // Seed the first admin user from DASHBOARD_USERNAME / DASHBOARD_PASSWORD
+    await userManager.ensureDefaultAdmin()
+      .catch(error => console.error('Error creating initial admin user:', error));
+    
+    // Start retrying failed webhook deliveries
+    webhookQueue.start();
+    
+    // Start the throttled outbound send queue
+    await sendQueue.start();
+    
+    // Start firing scheduled messages into the send queue
+    scheduler.start();
+    
+    // Resume running broadcast campaigns
+    await campaignManager.start();
+    
+    // Purge expired message logs and media
+    await retention.start();
+    
+    // Bring back clients that disconnect, crash or hang
+    connectionSupervisor.start();
+    
     // Initialize existing accounts
     await whatsappManager.initializeExistingAccounts();
     
@@ -542,4 +1597,4 @@ process.on('SIGINT', () => {
   });
 });
 
-module.exports = { app, server, io, emitToAll };
\ No newline at end of file
+module.exports = { app, server, io, emitToAll, emitToAccounts };
\ No newline at end of file
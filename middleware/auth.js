@@ -1,10 +1,40 @@
-const bcrypt = require('bcryptjs');
+const apiKeys = require('../utils/apiKeys');
+const userManager = require('../utils/userManager');
+const auditLog = require('../utils/auditLog');
 require('dotenv').config();
 
-// Middleware to check if user is authenticated
-const requireAuth = (req, res, next) => {
-  if (req.session && req.session.authenticated) {
-    return next();
+// Middleware to check if user is authenticated (dashboard session or API key)
+const requireAuth = async (req, res, next) => {
+  if (req.session && req.session.authenticated && req.session.userId) {
+    try {
+      const user = await userManager.getUser(req.session.userId);
+      if (user && user.is_active) {
+        req.user = user;
+        return next();
+      }
+    } catch (error) {
+      console.error('Session user lookup error:', error);
+    }
+    // Deleted or deactivated users lose their session
+    req.session.authenticated = false;
+  }
+  
+  // API keys: Authorization: Bearer <key>
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Bearer ')) {
+    try {
+      const apiKey = await apiKeys.authenticate(authorization.slice(7).trim(), req.ip);
+      if (apiKey) {
+        req.apiKey = apiKey;
+        return next();
+      }
+    } catch (error) {
+      console.error('API key authentication error:', error);
+    }
+    return res.status(401).json({ 
+      error: 'Invalid API key',
+      message: 'The API key is unknown or has been revoked'
+    });
   }
   
   // For API routes, return JSON error
@@ -19,9 +49,54 @@ const requireAuth = (req, res, next) => {
   res.redirect('/login');
 };
 
+// Middleware for dashboard-only routes that API keys may not use (run after requireAuth)
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ 
+      error: 'Forbidden',
+      message: 'This endpoint is not available to API keys'
+    });
+  }
+  next();
+};
+
+// Middleware requiring any of the given permissions (API key permissions or the user's role)
+const requirePermission = (...permissions) => (req, res, next) => {
+  const allowed = req.apiKey
+    ? permissions.some(permission => apiKeys.hasPermission(req.apiKey, permission))
+    : !!req.user && permissions.some(permission => userManager.hasPermission(req.user, permission));
+
+  if (!allowed) {
+    return res.status(403).json({ 
+      error: 'Forbidden',
+      message: `${req.apiKey ? 'API key' : 'Your role'} is missing the "${permissions.join('" or "')}" permission`
+    });
+  }
+  next();
+};
+
+// Whether the request may act on an account (API keys and users can be limited to some accounts)
+const hasAccountAccess = (req, accountId) => {
+  if (req.apiKey && !apiKeys.hasAccountAccess(req.apiKey, accountId)) return false;
+  if (req.user && !userManager.hasAccountAccess(req.user, accountId)) return false;
+  return true;
+};
+
+// Middleware checking account access; getAccountId reads the account id from the request
+const requireAccountAccess = (getAccountId) => (req, res, next) => {
+  const accountId = getAccountId(req);
+  if (accountId && !hasAccountAccess(req, accountId)) {
+    return res.status(403).json({ 
+      error: 'Forbidden',
+      message: 'You are not allowed to access this account'
+    });
+  }
+  next();
+};
+
 // Middleware to check if user is not authenticated (for login page)
 const requireGuest = (req, res, next) => {
-  if (req.session && req.session.authenticated) {
+  if (req.session && req.session.authenticated && req.session.userId) {
     return res.redirect('/dashboard');
   }
   next();
@@ -31,15 +106,15 @@ const requireGuest = (req, res, next) => {
 const login = async (req, res) => {
   const { username, password } = req.body;
   
-  const expectedUsername = process.env.DASHBOARD_USERNAME || 'admin';
-  const expectedPassword = process.env.DASHBOARD_PASSWORD || 'admin123';
-  
   try {
-    // Check username and password
-    if (username === expectedUsername && await bcrypt.compare(password, await bcrypt.hash(expectedPassword, 10))) {
+    // Check username and password against the users table
+    const user = await userManager.authenticate(username, password);
+    if (user) {
       req.session.authenticated = true;
-      req.session.username = username;
+      req.session.userId = user.id;
+      req.session.username = user.username;
       req.session.loginTime = new Date();
+      auditLog.record(req, 'auth.login', { targetType: 'user', targetId: user.id });
       
       return res.json({ 
         success: true, 
@@ -47,6 +122,7 @@ const login = async (req, res) => {
         redirect: '/dashboard'
       });
     } else {
+      auditLog.record(req, 'auth.login_failed', { actorName: username });
       return res.status(401).json({ 
         error: 'Invalid credentials',
         message: 'Username or password is incorrect'
@@ -63,6 +139,9 @@ const login = async (req, res) => {
 
 // Logout handler
 const logout = (req, res) => {
+  if (req.session && req.session.userId) {
+    auditLog.record(req, 'auth.logout', { targetType: 'user', targetId: req.session.userId });
+  }
   req.session.destroy((err) => {
     if (err) {
       console.error('Logout error:', err);
@@ -81,13 +160,24 @@ const logout = (req, res) => {
 };
 
 // Get current user info
-const getCurrentUser = (req, res) => {
-  if (req.session && req.session.authenticated) {
-    return res.json({
-      authenticated: true,
-      username: req.session.username,
-      loginTime: req.session.loginTime
-    });
+const getCurrentUser = async (req, res) => {
+  if (req.session && req.session.authenticated && req.session.userId) {
+    try {
+      const user = await userManager.getUser(req.session.userId);
+      if (user && user.is_active) {
+        return res.json({
+          authenticated: true,
+          id: user.id,
+          username: user.username,
+          role: user.role,
+          account_ids: user.account_ids,
+          permissions: userManager.getPermissions(user),
+          loginTime: req.session.loginTime
+        });
+      }
+    } catch (error) {
+      console.error('Error fetching current user:', error);
+    }
   }
   
   res.json({ authenticated: false });
@@ -95,6 +185,10 @@ const getCurrentUser = (req, res) => {
 
 module.exports = {
   requireAuth,
+  requireSession,
+  requirePermission,
+  requireAccountAccess,
+  hasAccountAccess,
   requireGuest,
   login,
   logout,
@@ -0,0 +1,17 @@
+-- 0001 Initial schema: drops every table and all data
+DROP FUNCTION IF EXISTS get_recent_messages(UUID, INTEGER);
+DROP FUNCTION IF EXISTS get_message_stats(UUID);
+
+DROP TABLE IF EXISTS audit_events;
+DROP TABLE IF EXISTS api_keys;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS campaign_recipients;
+DROP TABLE IF EXISTS campaigns;
+DROP TABLE IF EXISTS scheduled_messages;
+DROP TABLE IF EXISTS message_jobs;
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS message_logs;
+DROP TABLE IF EXISTS webhooks;
+DROP TABLE IF EXISTS whatsapp_accounts;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
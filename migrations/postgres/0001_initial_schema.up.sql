@@ -0,0 +1,418 @@
+-- 0001 Initial schema (Supabase and Postgres)
+-- Idempotent, so databases created from the old supabase-schema.sql can run it too;
+-- it also adds columns introduced since the first release.
+
+-- Enable UUID extension
+CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
+
+-- WhatsApp Accounts Table
+CREATE TABLE IF NOT EXISTS whatsapp_accounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    status VARCHAR(50) DEFAULT 'initializing',
+    phone_number VARCHAR(50),
+    session_dir VARCHAR(500),
+    qr_code TEXT,
+    error_message TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Webhooks Table
+CREATE TABLE IF NOT EXISTS webhooks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    url VARCHAR(500) NOT NULL,
+    secret VARCHAR(255),
+    legacy_secret_header BOOLEAN DEFAULT false, -- also send plaintext X-Webhook-Secret (migration only)
+    events JSONB DEFAULT '["message"]'::jsonb, -- subscribed event types, see utils/webhookEvents.js
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Message Logs Table
+CREATE TABLE IF NOT EXISTS message_logs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    direction VARCHAR(50) NOT NULL, -- 'incoming', 'outgoing', 'webhook', 'webhook_incoming'
+    message_id VARCHAR(255),
+    sender VARCHAR(255),
+    recipient VARCHAR(255),
+    message TEXT,
+    timestamp BIGINT,
+    type VARCHAR(50),
+    chat_id VARCHAR(255),
+    is_group BOOLEAN DEFAULT false,
+    group_name VARCHAR(255),
+    media JSONB, -- Store media information as JSON
+    status VARCHAR(50) DEFAULT 'success', -- 'success', 'failed'
+    error_message TEXT,
+    webhook_id UUID REFERENCES webhooks(id),
+    webhook_url VARCHAR(500),
+    response_status INTEGER,
+    ack INTEGER, -- whatsapp-web.js MessageAck for outgoing messages (-1 error .. 4 played)
+    ack_status VARCHAR(20), -- 'error', 'pending', 'sent', 'delivered', 'read', 'played'
+    sent_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    played_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Webhook Deliveries Table (durable retry queue for failed webhook calls)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    webhook_id UUID NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    payload JSONB NOT NULL,
+    status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'delivered', 'dead'
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 8,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_error TEXT,
+    response_status INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Message Jobs Table (durable outbound send queue)
+CREATE TABLE IF NOT EXISTS message_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL DEFAULT 'text', -- 'text', 'media'
+    number VARCHAR(50) NOT NULL,
+    message TEXT,
+    media JSONB, -- { data | url, mimetype?, filename? }
+    caption TEXT,
+    options JSONB,
+    status VARCHAR(50) DEFAULT 'queued', -- 'queued', 'processing', 'sent', 'failed', 'cancelled'
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    run_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- not sent before this time
+    last_error TEXT,
+    result JSONB, -- { messageId, timestamp } once sent
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Scheduled Messages Table (one-off and cron schedules)
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    number VARCHAR(50) NOT NULL,
+    message TEXT,
+    media JSONB, -- { data | url, mimetype?, filename? }
+    caption TEXT,
+    options JSONB,
+    send_at TIMESTAMP WITH TIME ZONE, -- one-off send time
+    cron VARCHAR(100), -- recurring schedule (5 or 6 field cron expression)
+    timezone VARCHAR(64) DEFAULT 'UTC', -- IANA timezone the cron expression is evaluated in
+    status VARCHAR(50) DEFAULT 'active', -- 'active', 'completed', 'cancelled'
+    next_run_at TIMESTAMP WITH TIME ZONE,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    last_job_id UUID,
+    run_count INTEGER DEFAULT 0,
+    last_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Campaigns Table (bulk broadcasts)
+CREATE TABLE IF NOT EXISTS campaigns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    template TEXT NOT NULL, -- message or caption with {{placeholders}}
+    media JSONB, -- { data | url, mimetype?, filename? }
+    options JSONB,
+    account_ids JSONB NOT NULL, -- accounts that share the sending
+    status VARCHAR(50) DEFAULT 'draft', -- 'draft', 'running', 'paused', 'completed', 'cancelled'
+    total_recipients INTEGER DEFAULT 0,
+    sent_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Campaign Recipients Table (per-recipient delivery status)
+CREATE TABLE IF NOT EXISTS campaign_recipients (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    number VARCHAR(50) NOT NULL,
+    variables JSONB, -- CSV columns used to fill the template
+    status VARCHAR(50) DEFAULT 'pending', -- 'pending', 'sending', 'sent', 'failed', 'cancelled'
+    account_id UUID, -- account that sent (or last tried) the message
+    message_id VARCHAR(255),
+    attempts INTEGER DEFAULT 0,
+    error_message TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Audit Events Table (who did what; no foreign keys so events outlive deleted rows)
+CREATE TABLE IF NOT EXISTS audit_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    actor_type VARCHAR(20) NOT NULL, -- 'user', 'api_key', 'anonymous'
+    actor_id UUID,
+    actor_name VARCHAR(255),
+    action VARCHAR(100) NOT NULL, -- e.g. 'account.delete', 'webhook.update', 'message.send'
+    target_type VARCHAR(50),
+    target_id VARCHAR(255),
+    account_id UUID,
+    before JSONB, -- snapshot before the change (secrets redacted)
+    after JSONB, -- snapshot after the change (secrets redacted)
+    ip VARCHAR(64),
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Users Table (dashboard logins)
+CREATE TABLE IF NOT EXISTS users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    username VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL, -- bcrypt
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer', -- 'admin', 'operator', 'viewer'
+    account_ids JSONB, -- accounts the user can see; NULL = all accounts
+    is_active BOOLEAN DEFAULT true,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- API Keys Table (programmatic access; only a hash of each key is stored)
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL, -- first characters of the key, for identification
+    key_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the key
+    permissions JSONB NOT NULL, -- subset of 'send', 'read_logs', 'manage_webhooks'
+    account_ids JSONB, -- accounts the key may use; NULL = all accounts
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    last_used_ip VARCHAR(64),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Columns added after the first release (previously "Upgrading an existing database" in the README)
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM information_schema.columns
+                   WHERE table_schema = current_schema() AND table_name = 'webhooks' AND column_name = 'legacy_secret_header') THEN
+        ALTER TABLE webhooks ADD COLUMN legacy_secret_header BOOLEAN DEFAULT false;
+        -- Keep sending the plaintext header to receivers set up before deliveries were signed
+        UPDATE webhooks SET legacy_secret_header = true;
+    END IF;
+END $$;
+ALTER TABLE webhooks ADD COLUMN IF NOT EXISTS events JSONB DEFAULT '["message"]'::jsonb;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS ack INTEGER;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS ack_status VARCHAR(20);
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS sent_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS read_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS played_at TIMESTAMP WITH TIME ZONE;
+
+-- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_whatsapp_accounts_status ON whatsapp_accounts(status);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_accounts_created_at ON whatsapp_accounts(created_at);
+CREATE INDEX IF NOT EXISTS idx_webhooks_account_id ON webhooks(account_id);
+CREATE INDEX IF NOT EXISTS idx_webhooks_is_active ON webhooks(is_active);
+CREATE INDEX IF NOT EXISTS idx_message_logs_account_id ON message_logs(account_id);
+CREATE INDEX IF NOT EXISTS idx_message_logs_direction ON message_logs(direction);
+CREATE INDEX IF NOT EXISTS idx_message_logs_created_at ON message_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_message_logs_status ON message_logs(status);
+CREATE INDEX IF NOT EXISTS idx_message_logs_message_id ON message_logs(message_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_account_id ON webhook_deliveries(account_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status_next_attempt ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_message_jobs_account_status_run_at ON message_jobs(account_id, status, run_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_account_id ON scheduled_messages(account_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_status_next_run ON scheduled_messages(status, next_run_at);
+CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns(status);
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_campaign_status ON campaign_recipients(campaign_id, status);
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action);
+CREATE INDEX IF NOT EXISTS idx_audit_events_account_id ON audit_events(account_id);
+
+-- Row Level Security (RLS) Policies
+-- Enable RLS on all tables
+ALTER TABLE whatsapp_accounts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhooks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE message_jobs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scheduled_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaigns ENABLE ROW LEVEL SECURITY;
+ALTER TABLE campaign_recipients ENABLE ROW LEVEL SECURITY;
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_events ENABLE ROW LEVEL SECURITY;
+
+-- For this application, we'll allow all operations (you can customize based on your needs)
+DROP POLICY IF EXISTS "Allow all operations on whatsapp_accounts" ON whatsapp_accounts;
+CREATE POLICY "Allow all operations on whatsapp_accounts" ON whatsapp_accounts
+    FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Allow all operations on webhooks" ON webhooks;
+CREATE POLICY "Allow all operations on webhooks" ON webhooks
+    FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Allow all operations on message_logs" ON message_logs;
+CREATE POLICY "Allow all operations on message_logs" ON message_logs
+    FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Allow all operations on webhook_deliveries" ON webhook_deliveries;
+CREATE POLICY "Allow all operations on webhook_deliveries" ON webhook_deliveries
+    FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Allow all operations on message_jobs" ON message_jobs;
+CREATE POLICY "Allow all operations on message_jobs" ON message_jobs
+    FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Allow all operations on scheduled_messages" ON scheduled_messages;
+CREATE POLICY "Allow all operations on scheduled_messages" ON scheduled_messages
+    FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Allow all operations on campaigns" ON campaigns;
+CREATE POLICY "Allow all operations on campaigns" ON campaigns
+    FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Allow all operations on campaign_recipients" ON campaign_recipients;
+CREATE POLICY "Allow all operations on campaign_recipients" ON campaign_recipients
+    FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Allow all operations on api_keys" ON api_keys;
+CREATE POLICY "Allow all operations on api_keys" ON api_keys
+    FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Allow all operations on users" ON users;
+CREATE POLICY "Allow all operations on users" ON users
+    FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Allow all operations on audit_events" ON audit_events;
+CREATE POLICY "Allow all operations on audit_events" ON audit_events
+    FOR ALL USING (true);
+
+-- Functions for automatic timestamp updates
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Triggers for automatic timestamp updates
+DROP TRIGGER IF EXISTS update_whatsapp_accounts_updated_at ON whatsapp_accounts;
+CREATE TRIGGER update_whatsapp_accounts_updated_at
+    BEFORE UPDATE ON whatsapp_accounts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_webhooks_updated_at ON webhooks;
+CREATE TRIGGER update_webhooks_updated_at
+    BEFORE UPDATE ON webhooks
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_webhook_deliveries_updated_at ON webhook_deliveries;
+CREATE TRIGGER update_webhook_deliveries_updated_at
+    BEFORE UPDATE ON webhook_deliveries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_message_jobs_updated_at ON message_jobs;
+CREATE TRIGGER update_message_jobs_updated_at
+    BEFORE UPDATE ON message_jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_scheduled_messages_updated_at ON scheduled_messages;
+CREATE TRIGGER update_scheduled_messages_updated_at
+    BEFORE UPDATE ON scheduled_messages
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_campaigns_updated_at ON campaigns;
+CREATE TRIGGER update_campaigns_updated_at
+    BEFORE UPDATE ON campaigns
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_campaign_recipients_updated_at ON campaign_recipients;
+CREATE TRIGGER update_campaign_recipients_updated_at
+    BEFORE UPDATE ON campaign_recipients
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_api_keys_updated_at ON api_keys;
+CREATE TRIGGER update_api_keys_updated_at
+    BEFORE UPDATE ON api_keys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
+CREATE TRIGGER update_users_updated_at
+    BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Function to get message statistics
+CREATE OR REPLACE FUNCTION get_message_stats(account_uuid UUID)
+RETURNS TABLE(
+    total BIGINT,
+    incoming BIGINT,
+    outgoing BIGINT,
+    success BIGINT,
+    failed BIGINT
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        COUNT(*) as total,
+        COUNT(*) FILTER (WHERE direction = 'incoming') as incoming,
+        COUNT(*) FILTER (WHERE direction = 'outgoing') as outgoing,
+        COUNT(*) FILTER (WHERE status = 'success') as success,
+        COUNT(*) FILTER (WHERE status = 'failed') as failed
+    FROM message_logs
+    WHERE account_id = account_uuid;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to get recent messages
+CREATE OR REPLACE FUNCTION get_recent_messages(account_uuid UUID, limit_count INTEGER DEFAULT 100)
+RETURNS TABLE(
+    id UUID,
+    direction VARCHAR(50),
+    message TEXT,
+    sender VARCHAR(255),
+    recipient VARCHAR(255),
+    status VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE
+) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT
+        ml.id,
+        ml.direction,
+        ml.message,
+        ml.sender,
+        ml.recipient,
+        ml.status,
+        ml.created_at
+    FROM message_logs ml
+    WHERE ml.account_id = account_uuid
+    ORDER BY ml.created_at DESC
+    LIMIT limit_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Comments for documentation
+COMMENT ON TABLE whatsapp_accounts IS 'Stores WhatsApp account information and status';
+COMMENT ON TABLE webhooks IS 'Stores webhook configurations for each account';
+COMMENT ON TABLE message_logs IS 'Stores all message activity and webhook delivery logs';
+COMMENT ON TABLE webhook_deliveries IS 'Queue of failed webhook deliveries awaiting retry or dead-lettered';
+COMMENT ON TABLE message_jobs IS 'Durable per-account queue of outbound messages';
+COMMENT ON TABLE scheduled_messages IS 'One-off and recurring (cron) message schedules';
+COMMENT ON TABLE campaigns IS 'Bulk broadcast campaigns with a templated message';
+COMMENT ON TABLE campaign_recipients IS 'Per-recipient delivery status for broadcast campaigns';
+COMMENT ON TABLE api_keys IS 'Hashed API keys with permission and account scopes';
+COMMENT ON TABLE users IS 'Dashboard users with bcrypt password hashes, roles and account access lists';
+COMMENT ON TABLE audit_events IS 'Audit trail of administrative actions and manual sends';
+COMMENT ON FUNCTION get_message_stats(UUID) IS 'Returns message statistics for a specific account';
+COMMENT ON FUNCTION get_recent_messages(UUID, INTEGER) IS 'Returns recent messages for a specific account';
@@ -0,0 +1,34 @@
+-- 0002 Conversation inbox: chat threads, contact names and read state
+
+-- Display name of the contact (push name or saved chat name) on incoming messages
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS contact_name VARCHAR(255);
+
+-- Outgoing messages used to be logged without chat_id; their recipient is the chat
+UPDATE message_logs SET chat_id = recipient
+WHERE chat_id IS NULL AND direction = 'outgoing' AND recipient LIKE '%@%';
+
+CREATE INDEX IF NOT EXISTS idx_message_logs_account_chat ON message_logs(account_id, chat_id, created_at);
+
+-- Chat Reads Table (when each chat was last read in the dashboard, shared by all users)
+CREATE TABLE IF NOT EXISTS chat_reads (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    chat_id VARCHAR(255) NOT NULL,
+    last_read_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (account_id, chat_id)
+);
+
+ALTER TABLE chat_reads ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on chat_reads" ON chat_reads;
+CREATE POLICY "Allow all operations on chat_reads" ON chat_reads
+    FOR ALL USING (true);
+
+DROP TRIGGER IF EXISTS update_chat_reads_updated_at ON chat_reads;
+CREATE TRIGGER update_chat_reads_updated_at
+    BEFORE UPDATE ON chat_reads
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE chat_reads IS 'Last time each chat was read in the dashboard inbox';
@@ -0,0 +1,4 @@
+-- 0003 Message search
+DROP INDEX IF EXISTS idx_message_logs_chat_id;
+DROP INDEX IF EXISTS idx_message_logs_created_at_id;
+DROP INDEX IF EXISTS idx_message_logs_message_fts;
@@ -0,0 +1,12 @@
+-- 0003 Message search: full-text index over message text and keyset pagination
+
+-- Full-text search (GET /api/messages?q=); must match the expression used by the query
+CREATE INDEX IF NOT EXISTS idx_message_logs_message_fts ON message_logs USING GIN (to_tsvector('simple', message));
+
+-- Cursor pagination orders by (created_at, id)
+CREATE INDEX IF NOT EXISTS idx_message_logs_created_at_id ON message_logs(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_message_logs_chat_id ON message_logs(chat_id);
+
+-- Outgoing messages used to be logged without is_group
+UPDATE message_logs SET is_group = true
+WHERE chat_id LIKE '%@g.us' AND is_group IS NOT TRUE;
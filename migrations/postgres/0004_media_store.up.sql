@@ -0,0 +1,22 @@
+-- 0004 Media store: incoming media kept in a file/object store instead of inline base64
+
+-- Media Objects Table (one row per distinct file, content-addressed by SHA-256)
+CREATE TABLE IF NOT EXISTS media_objects (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    sha256 CHAR(64) NOT NULL UNIQUE,
+    mimetype VARCHAR(255),
+    size BIGINT NOT NULL,
+    storage VARCHAR(20) NOT NULL, -- 'local', 's3', 'supabase'
+    storage_key TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_objects_created_at ON media_objects(created_at);
+
+ALTER TABLE media_objects ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on media_objects" ON media_objects;
+CREATE POLICY "Allow all operations on media_objects" ON media_objects
+    FOR ALL USING (true);
+
+COMMENT ON TABLE media_objects IS 'Media files in the media store, referenced from message_logs.media.media_id';
@@ -0,0 +1,6 @@
+-- 0005 Retention
+DROP TABLE IF EXISTS retention_runs;
+DROP TABLE IF EXISTS retention_policies;
+DROP INDEX IF EXISTS idx_message_logs_account_direction_created_at;
+DROP INDEX IF EXISTS idx_message_logs_media_id;
+ALTER TABLE message_logs DROP COLUMN IF EXISTS media_id;
@@ -0,0 +1,60 @@
+-- 0005 Retention: per-account retention policies, purge run history and media references
+
+-- Stored media referenced by a message (mirrors media->>'media_id'), for finding orphaned files
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS media_id UUID;
+
+UPDATE message_logs SET media_id = (media->>'media_id')::uuid
+WHERE media_id IS NULL AND media ? 'media_id';
+
+CREATE INDEX IF NOT EXISTS idx_message_logs_media_id ON message_logs(media_id);
+CREATE INDEX IF NOT EXISTS idx_message_logs_account_direction_created_at ON message_logs(account_id, direction, created_at);
+
+-- Retention Policies Table (per-account overrides of the RETENTION_* defaults; NULL = default, 0 = keep forever)
+CREATE TABLE IF NOT EXISTS retention_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL UNIQUE REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    incoming_days INTEGER,
+    outgoing_days INTEGER,
+    webhook_days INTEGER,
+    media_days INTEGER,
+    action VARCHAR(20), -- 'delete', 'archive'
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Retention Runs Table (history of the purge job)
+CREATE TABLE IF NOT EXISTS retention_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    triggered_by VARCHAR(20) NOT NULL, -- 'schedule', 'manual'
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- 'running', 'completed', 'failed'
+    deleted_count INTEGER DEFAULT 0,
+    archived_count INTEGER DEFAULT 0,
+    media_purged_count INTEGER DEFAULT 0,
+    media_files_deleted INTEGER DEFAULT 0,
+    details JSONB, -- per account and direction counts, archive files
+    error_message TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_runs_started_at ON retention_runs(started_at);
+
+ALTER TABLE retention_policies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE retention_runs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on retention_policies" ON retention_policies;
+CREATE POLICY "Allow all operations on retention_policies" ON retention_policies
+    FOR ALL USING (true);
+
+DROP POLICY IF EXISTS "Allow all operations on retention_runs" ON retention_runs;
+CREATE POLICY "Allow all operations on retention_runs" ON retention_runs
+    FOR ALL USING (true);
+
+DROP TRIGGER IF EXISTS update_retention_policies_updated_at ON retention_policies;
+CREATE TRIGGER update_retention_policies_updated_at
+    BEFORE UPDATE ON retention_policies
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE retention_policies IS 'Per-account message and media retention overrides';
+COMMENT ON TABLE retention_runs IS 'History of the retention purge job';
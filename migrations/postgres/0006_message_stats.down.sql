@@ -0,0 +1,6 @@
+-- 0006 Message stats
+DROP VIEW IF EXISTS message_stats_totals;
+DROP TRIGGER IF EXISTS message_logs_rollup_stats ON message_logs;
+DROP FUNCTION IF EXISTS rollup_message_stats();
+DROP TABLE IF EXISTS message_stats;
+ALTER TABLE message_logs DROP COLUMN IF EXISTS latency_ms;
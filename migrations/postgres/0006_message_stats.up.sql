@@ -0,0 +1,81 @@
+-- 0006 Message stats: hourly and daily rollups of message_logs, kept up to date by a trigger
+
+-- How long each webhook delivery attempt took
+ALTER TABLE message_logs ADD COLUMN IF NOT EXISTS latency_ms INTEGER;
+
+-- Message Stats Table (counts per UTC hour/day, account, direction and status; survives retention purges)
+CREATE TABLE IF NOT EXISTS message_stats (
+    granularity VARCHAR(10) NOT NULL, -- 'hour', 'day'
+    bucket TIMESTAMP WITH TIME ZONE NOT NULL, -- start of the UTC hour/day
+    account_id UUID NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    direction VARCHAR(50) NOT NULL,
+    status VARCHAR(50) NOT NULL,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    latency_count INTEGER NOT NULL DEFAULT 0, -- rows with a latency_ms (webhook deliveries)
+    latency_sum_ms BIGINT NOT NULL DEFAULT 0,
+    latency_max_ms INTEGER,
+    PRIMARY KEY (granularity, bucket, account_id, direction, status)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_stats_account_bucket ON message_stats(granularity, account_id, bucket);
+
+CREATE OR REPLACE FUNCTION rollup_message_stats()
+RETURNS TRIGGER AS $$
+DECLARE
+    granularity_name TEXT;
+BEGIN
+    FOREACH granularity_name IN ARRAY ARRAY['hour', 'day'] LOOP
+        INSERT INTO message_stats (granularity, bucket, account_id, direction, status, message_count, latency_count, latency_sum_ms, latency_max_ms)
+        VALUES (
+            granularity_name,
+            date_trunc(granularity_name, COALESCE(NEW.created_at, NOW()) AT TIME ZONE 'UTC') AT TIME ZONE 'UTC',
+            NEW.account_id,
+            NEW.direction,
+            COALESCE(NEW.status, 'unknown'),
+            1,
+            CASE WHEN NEW.latency_ms IS NULL THEN 0 ELSE 1 END,
+            COALESCE(NEW.latency_ms, 0),
+            NEW.latency_ms
+        )
+        ON CONFLICT (granularity, bucket, account_id, direction, status) DO UPDATE SET
+            message_count = message_stats.message_count + 1,
+            latency_count = message_stats.latency_count + EXCLUDED.latency_count,
+            latency_sum_ms = message_stats.latency_sum_ms + EXCLUDED.latency_sum_ms,
+            latency_max_ms = GREATEST(message_stats.latency_max_ms, EXCLUDED.latency_max_ms);
+    END LOOP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS message_logs_rollup_stats ON message_logs;
+CREATE TRIGGER message_logs_rollup_stats
+    AFTER INSERT ON message_logs
+    FOR EACH ROW EXECUTE FUNCTION rollup_message_stats();
+
+-- Existing logs
+INSERT INTO message_stats (granularity, bucket, account_id, direction, status, message_count, latency_count, latency_sum_ms, latency_max_ms)
+SELECT g.name, date_trunc(g.name, m.created_at AT TIME ZONE 'UTC') AT TIME ZONE 'UTC', m.account_id, m.direction, COALESCE(m.status, 'unknown'),
+       COUNT(*), COUNT(m.latency_ms), COALESCE(SUM(m.latency_ms), 0), MAX(m.latency_ms)
+FROM message_logs m CROSS JOIN (VALUES ('hour'), ('day')) AS g(name)
+WHERE m.created_at IS NOT NULL
+GROUP BY 1, 2, 3, 4, 5
+ON CONFLICT (granularity, bucket, account_id, direction, status) DO NOTHING;
+
+-- All-time totals per account, direction and status
+CREATE OR REPLACE VIEW message_stats_totals AS
+SELECT account_id, direction, status,
+       SUM(message_count)::BIGINT AS message_count,
+       SUM(latency_count)::BIGINT AS latency_count,
+       SUM(latency_sum_ms)::BIGINT AS latency_sum_ms,
+       MAX(latency_max_ms) AS latency_max_ms
+FROM message_stats
+WHERE granularity = 'day'
+GROUP BY account_id, direction, status;
+
+ALTER TABLE message_stats ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on message_stats" ON message_stats;
+CREATE POLICY "Allow all operations on message_stats" ON message_stats
+    FOR ALL USING (true);
+
+COMMENT ON TABLE message_stats IS 'Hourly and daily message counts and webhook latency, maintained by a trigger on message_logs';
@@ -0,0 +1,4 @@
+-- 0007 Reconnect supervisor
+ALTER TABLE whatsapp_accounts DROP COLUMN IF EXISTS last_reconnect_reason;
+ALTER TABLE whatsapp_accounts DROP COLUMN IF EXISTS last_reconnect_at;
+ALTER TABLE whatsapp_accounts DROP COLUMN IF EXISTS reconnect_attempts;
@@ -0,0 +1,6 @@
+-- 0007 Reconnect supervisor: automatic reconnect attempts recorded on the account
+
+-- Consecutive attempts since the account was last connected (reset when it becomes ready)
+ALTER TABLE whatsapp_accounts ADD COLUMN IF NOT EXISTS reconnect_attempts INTEGER DEFAULT 0;
+ALTER TABLE whatsapp_accounts ADD COLUMN IF NOT EXISTS last_reconnect_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE whatsapp_accounts ADD COLUMN IF NOT EXISTS last_reconnect_reason TEXT;
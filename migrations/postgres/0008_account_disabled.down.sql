@@ -0,0 +1,2 @@
+-- 0008 Account disabled flag
+ALTER TABLE whatsapp_accounts DROP COLUMN IF EXISTS disabled;
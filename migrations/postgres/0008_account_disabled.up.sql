@@ -0,0 +1,3 @@
+-- 0008 Account disabled flag: disabled accounts are not started when the server boots
+
+ALTER TABLE whatsapp_accounts ADD COLUMN IF NOT EXISTS disabled BOOLEAN DEFAULT false;
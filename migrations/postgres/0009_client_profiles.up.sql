@@ -0,0 +1,32 @@
+-- 0009 Client profiles: per-account browser settings used whenever the account's client starts
+
+-- NULL = default (see utils/clientFactory.js)
+CREATE TABLE IF NOT EXISTS client_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_id UUID NOT NULL UNIQUE REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    headless BOOLEAN,
+    args JSONB, -- extra Chromium arguments, added to the defaults
+    executable_path TEXT,
+    proxy_server VARCHAR(500), -- e.g. http://proxy:8080, socks5://proxy:1080
+    proxy_username VARCHAR(255),
+    proxy_password VARCHAR(255),
+    user_agent TEXT,
+    web_version VARCHAR(50), -- WhatsApp Web version pin, e.g. 2.3000.1017054665
+    web_version_cache VARCHAR(20), -- 'local', 'remote', 'none'
+    web_version_remote_path TEXT, -- for 'remote'; {version} is replaced
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE client_profiles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on client_profiles" ON client_profiles;
+CREATE POLICY "Allow all operations on client_profiles" ON client_profiles
+    FOR ALL USING (true);
+
+DROP TRIGGER IF EXISTS update_client_profiles_updated_at ON client_profiles;
+CREATE TRIGGER update_client_profiles_updated_at
+    BEFORE UPDATE ON client_profiles
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE client_profiles IS 'Per-account browser, proxy and WhatsApp Web version settings';
@@ -0,0 +1,2 @@
+-- 0010 Auth sessions
+DROP TABLE IF EXISTS auth_sessions;
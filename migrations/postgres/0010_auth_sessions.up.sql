@@ -0,0 +1,24 @@
+-- 0010 Auth sessions: WhatsApp session archives for AUTH_STRATEGY=remote with AUTH_REMOTE_STORE=database
+
+-- One zipped (and, with AUTH_ENCRYPTION_KEY, encrypted) Chromium profile per account, base64-encoded
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_key VARCHAR(255) NOT NULL UNIQUE, -- RemoteAuth-<account id>.zip
+    data TEXT NOT NULL,
+    size INTEGER, -- bytes before base64
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE auth_sessions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Allow all operations on auth_sessions" ON auth_sessions;
+CREATE POLICY "Allow all operations on auth_sessions" ON auth_sessions
+    FOR ALL USING (true);
+
+DROP TRIGGER IF EXISTS update_auth_sessions_updated_at ON auth_sessions;
+CREATE TRIGGER update_auth_sessions_updated_at
+    BEFORE UPDATE ON auth_sessions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE auth_sessions IS 'Backed-up WhatsApp Web sessions (RemoteAuth database store)';
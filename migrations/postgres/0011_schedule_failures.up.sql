@@ -0,0 +1,4 @@
+-- 0011 Schedule failures: schedules that can't be handed to the send queue back off, then fail
+
+-- Consecutive failed runs (reset after a successful run or an edit)
+ALTER TABLE scheduled_messages ADD COLUMN IF NOT EXISTS failure_count INTEGER DEFAULT 0;
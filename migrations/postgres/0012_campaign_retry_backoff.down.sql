@@ -0,0 +1,2 @@
+-- 0012 Campaign retry backoff
+ALTER TABLE campaign_recipients DROP COLUMN IF EXISTS next_attempt_at;
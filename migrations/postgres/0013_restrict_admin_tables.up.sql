@@ -0,0 +1,11 @@
+-- 0013 Restrict admin tables: password hashes, API key hashes and the audit log are not
+-- reachable with the Supabase anon key. RLS stays enabled with no policy, so only the
+-- service role (SUPABASE_SERVICE_ROLE_KEY) and the tables' owner (DATABASE_URL) can use them.
+
+DROP POLICY IF EXISTS "Allow all operations on api_keys" ON api_keys;
+DROP POLICY IF EXISTS "Allow all operations on users" ON users;
+DROP POLICY IF EXISTS "Allow all operations on audit_events" ON audit_events;
+
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_events ENABLE ROW LEVEL SECURITY;
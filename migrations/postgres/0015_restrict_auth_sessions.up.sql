@@ -0,0 +1,6 @@
+-- 0015 Restrict auth sessions: WhatsApp session archives are not reachable with the Supabase anon key.
+-- RLS stays enabled with no policy, so only the service role and the table's owner can use it (see 0013).
+
+DROP POLICY IF EXISTS "Allow all operations on auth_sessions" ON auth_sessions;
+
+ALTER TABLE auth_sessions ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,4 @@
+-- 0016 Media last referenced: a reused media object is not purged while its new message may still be buffered
+
+-- NULL = only referenced when it was created
+ALTER TABLE media_objects ADD COLUMN IF NOT EXISTS last_referenced_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,12 @@
+-- 0001 Initial schema: drops every table and all data
+DROP TABLE IF EXISTS audit_events;
+DROP TABLE IF EXISTS api_keys;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS campaign_recipients;
+DROP TABLE IF EXISTS campaigns;
+DROP TABLE IF EXISTS scheduled_messages;
+DROP TABLE IF EXISTS message_jobs;
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS message_logs;
+DROP TABLE IF EXISTS webhooks;
+DROP TABLE IF EXISTS whatsapp_accounts;
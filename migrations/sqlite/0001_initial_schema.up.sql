@@ -0,0 +1,255 @@
+-- 0001 Initial schema (SQLite)
+-- Same tables and columns as migrations/postgres/0001_initial_schema.up.sql.
+-- Types: UUIDs and timestamps are TEXT (ISO 8601), JSONB holds JSON text, BOOLEAN holds 0/1.
+
+-- WhatsApp Accounts Table
+CREATE TABLE IF NOT EXISTS whatsapp_accounts (
+    id TEXT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    status VARCHAR(50) DEFAULT 'initializing',
+    phone_number VARCHAR(50),
+    session_dir VARCHAR(500),
+    qr_code TEXT,
+    error_message TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Webhooks Table
+CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    account_id TEXT NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    url VARCHAR(500) NOT NULL,
+    secret VARCHAR(255),
+    legacy_secret_header BOOLEAN DEFAULT 0,
+    events JSONB DEFAULT '["message"]',
+    is_active BOOLEAN DEFAULT 1,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Message Logs Table
+CREATE TABLE IF NOT EXISTS message_logs (
+    id TEXT PRIMARY KEY,
+    account_id TEXT NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    direction VARCHAR(50) NOT NULL,
+    message_id VARCHAR(255),
+    sender VARCHAR(255),
+    recipient VARCHAR(255),
+    message TEXT,
+    timestamp BIGINT,
+    type VARCHAR(50),
+    chat_id VARCHAR(255),
+    is_group BOOLEAN DEFAULT 0,
+    group_name VARCHAR(255),
+    media JSONB,
+    status VARCHAR(50) DEFAULT 'success',
+    error_message TEXT,
+    webhook_id TEXT REFERENCES webhooks(id),
+    webhook_url VARCHAR(500),
+    response_status INTEGER,
+    ack INTEGER,
+    ack_status VARCHAR(20),
+    sent_at TEXT,
+    delivered_at TEXT,
+    read_at TEXT,
+    played_at TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Webhook Deliveries Table
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    account_id TEXT NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    webhook_id TEXT NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    payload JSONB NOT NULL,
+    status VARCHAR(50) DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 8,
+    next_attempt_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_error TEXT,
+    response_status INTEGER,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Message Jobs Table
+CREATE TABLE IF NOT EXISTS message_jobs (
+    id TEXT PRIMARY KEY,
+    account_id TEXT NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL DEFAULT 'text',
+    number VARCHAR(50) NOT NULL,
+    message TEXT,
+    media JSONB,
+    caption TEXT,
+    options JSONB,
+    status VARCHAR(50) DEFAULT 'queued',
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 3,
+    run_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_error TEXT,
+    result JSONB,
+    sent_at TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Scheduled Messages Table
+CREATE TABLE IF NOT EXISTS scheduled_messages (
+    id TEXT PRIMARY KEY,
+    account_id TEXT NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    number VARCHAR(50) NOT NULL,
+    message TEXT,
+    media JSONB,
+    caption TEXT,
+    options JSONB,
+    send_at TEXT,
+    cron VARCHAR(100),
+    timezone VARCHAR(64) DEFAULT 'UTC',
+    status VARCHAR(50) DEFAULT 'active',
+    next_run_at TEXT,
+    last_run_at TEXT,
+    last_job_id TEXT,
+    run_count INTEGER DEFAULT 0,
+    last_error TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Campaigns Table
+CREATE TABLE IF NOT EXISTS campaigns (
+    id TEXT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    template TEXT NOT NULL,
+    media JSONB,
+    options JSONB,
+    account_ids JSONB NOT NULL,
+    status VARCHAR(50) DEFAULT 'draft',
+    total_recipients INTEGER DEFAULT 0,
+    sent_count INTEGER DEFAULT 0,
+    failed_count INTEGER DEFAULT 0,
+    started_at TEXT,
+    completed_at TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Campaign Recipients Table
+CREATE TABLE IF NOT EXISTS campaign_recipients (
+    id TEXT PRIMARY KEY,
+    campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+    number VARCHAR(50) NOT NULL,
+    variables JSONB,
+    status VARCHAR(50) DEFAULT 'pending',
+    account_id TEXT,
+    message_id VARCHAR(255),
+    attempts INTEGER DEFAULT 0,
+    error_message TEXT,
+    sent_at TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Audit Events Table
+CREATE TABLE IF NOT EXISTS audit_events (
+    id TEXT PRIMARY KEY,
+    actor_type VARCHAR(20) NOT NULL,
+    actor_id TEXT,
+    actor_name VARCHAR(255),
+    action VARCHAR(100) NOT NULL,
+    target_type VARCHAR(50),
+    target_id VARCHAR(255),
+    account_id TEXT,
+    before JSONB,
+    after JSONB,
+    ip VARCHAR(64),
+    user_agent TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Users Table
+CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+    account_ids JSONB,
+    is_active BOOLEAN DEFAULT 1,
+    last_login_at TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- API Keys Table
+CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    key_prefix VARCHAR(20) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    permissions JSONB NOT NULL,
+    account_ids JSONB,
+    last_used_at TEXT,
+    last_used_ip VARCHAR(64),
+    revoked_at TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_whatsapp_accounts_status ON whatsapp_accounts(status);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_accounts_created_at ON whatsapp_accounts(created_at);
+CREATE INDEX IF NOT EXISTS idx_webhooks_account_id ON webhooks(account_id);
+CREATE INDEX IF NOT EXISTS idx_webhooks_is_active ON webhooks(is_active);
+CREATE INDEX IF NOT EXISTS idx_message_logs_account_id ON message_logs(account_id);
+CREATE INDEX IF NOT EXISTS idx_message_logs_direction ON message_logs(direction);
+CREATE INDEX IF NOT EXISTS idx_message_logs_created_at ON message_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_message_logs_status ON message_logs(status);
+CREATE INDEX IF NOT EXISTS idx_message_logs_message_id ON message_logs(message_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_account_id ON webhook_deliveries(account_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_status_next_attempt ON webhook_deliveries(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_message_jobs_account_status_run_at ON message_jobs(account_id, status, run_at);
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_account_id ON scheduled_messages(account_id);
+CREATE INDEX IF NOT EXISTS idx_scheduled_messages_status_next_run ON scheduled_messages(status, next_run_at);
+CREATE INDEX IF NOT EXISTS idx_campaigns_status ON campaigns(status);
+CREATE INDEX IF NOT EXISTS idx_campaign_recipients_campaign_status ON campaign_recipients(campaign_id, status);
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action);
+CREATE INDEX IF NOT EXISTS idx_audit_events_account_id ON audit_events(account_id);
+
+-- Triggers for automatic timestamp updates (only when the update didn't set updated_at itself)
+CREATE TRIGGER IF NOT EXISTS update_whatsapp_accounts_updated_at
+    AFTER UPDATE ON whatsapp_accounts FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN UPDATE whatsapp_accounts SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id; END;
+
+CREATE TRIGGER IF NOT EXISTS update_webhooks_updated_at
+    AFTER UPDATE ON webhooks FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN UPDATE webhooks SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id; END;
+
+CREATE TRIGGER IF NOT EXISTS update_webhook_deliveries_updated_at
+    AFTER UPDATE ON webhook_deliveries FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN UPDATE webhook_deliveries SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id; END;
+
+CREATE TRIGGER IF NOT EXISTS update_message_jobs_updated_at
+    AFTER UPDATE ON message_jobs FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN UPDATE message_jobs SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id; END;
+
+CREATE TRIGGER IF NOT EXISTS update_scheduled_messages_updated_at
+    AFTER UPDATE ON scheduled_messages FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN UPDATE scheduled_messages SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id; END;
+
+CREATE TRIGGER IF NOT EXISTS update_campaigns_updated_at
+    AFTER UPDATE ON campaigns FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN UPDATE campaigns SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id; END;
+
+CREATE TRIGGER IF NOT EXISTS update_campaign_recipients_updated_at
+    AFTER UPDATE ON campaign_recipients FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN UPDATE campaign_recipients SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id; END;
+
+CREATE TRIGGER IF NOT EXISTS update_api_keys_updated_at
+    AFTER UPDATE ON api_keys FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN UPDATE api_keys SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id; END;
+
+CREATE TRIGGER IF NOT EXISTS update_users_updated_at
+    AFTER UPDATE ON users FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN UPDATE users SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id; END;
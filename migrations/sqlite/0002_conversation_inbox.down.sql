@@ -0,0 +1,4 @@
+-- 0002 Conversation inbox
+DROP TABLE IF EXISTS chat_reads;
+DROP INDEX IF EXISTS idx_message_logs_account_chat;
+ALTER TABLE message_logs DROP COLUMN contact_name;
@@ -0,0 +1,25 @@
+-- 0002 Conversation inbox: chat threads, contact names and read state
+
+-- Display name of the contact (push name or saved chat name) on incoming messages
+ALTER TABLE message_logs ADD COLUMN contact_name VARCHAR(255);
+
+-- Outgoing messages used to be logged without chat_id; their recipient is the chat
+UPDATE message_logs SET chat_id = recipient
+WHERE chat_id IS NULL AND direction = 'outgoing' AND recipient LIKE '%@%';
+
+CREATE INDEX IF NOT EXISTS idx_message_logs_account_chat ON message_logs(account_id, chat_id, created_at);
+
+-- Chat Reads Table (when each chat was last read in the dashboard, shared by all users)
+CREATE TABLE IF NOT EXISTS chat_reads (
+    id TEXT PRIMARY KEY,
+    account_id TEXT NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    chat_id VARCHAR(255) NOT NULL,
+    last_read_at TEXT NOT NULL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (account_id, chat_id)
+);
+
+CREATE TRIGGER IF NOT EXISTS update_chat_reads_updated_at
+    AFTER UPDATE ON chat_reads FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN UPDATE chat_reads SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id; END;
@@ -0,0 +1,7 @@
+-- 0003 Message search
+DROP INDEX IF EXISTS idx_message_logs_chat_id;
+DROP INDEX IF EXISTS idx_message_logs_created_at_id;
+DROP TRIGGER IF EXISTS message_logs_fts_update;
+DROP TRIGGER IF EXISTS message_logs_fts_delete;
+DROP TRIGGER IF EXISTS message_logs_fts_insert;
+DROP TABLE IF EXISTS message_logs_fts;
@@ -0,0 +1,27 @@
+-- 0003 Message search: full-text index over message text and keyset pagination
+
+-- Full-text search (GET /api/messages?q=): FTS5 index over message_logs.message, keyed by rowid.
+-- message_logs has no INTEGER PRIMARY KEY, so don't VACUUM the database (it may renumber rowids);
+-- run INSERT INTO message_logs_fts(message_logs_fts) VALUES ('rebuild') if you do.
+CREATE VIRTUAL TABLE IF NOT EXISTS message_logs_fts USING fts5(message, content='message_logs', content_rowid='rowid');
+INSERT INTO message_logs_fts(message_logs_fts) VALUES ('rebuild');
+
+CREATE TRIGGER IF NOT EXISTS message_logs_fts_insert AFTER INSERT ON message_logs
+    BEGIN INSERT INTO message_logs_fts(rowid, message) VALUES (NEW.rowid, NEW.message); END;
+
+CREATE TRIGGER IF NOT EXISTS message_logs_fts_delete AFTER DELETE ON message_logs
+    BEGIN INSERT INTO message_logs_fts(message_logs_fts, rowid, message) VALUES ('delete', OLD.rowid, OLD.message); END;
+
+CREATE TRIGGER IF NOT EXISTS message_logs_fts_update AFTER UPDATE OF message ON message_logs
+    BEGIN
+        INSERT INTO message_logs_fts(message_logs_fts, rowid, message) VALUES ('delete', OLD.rowid, OLD.message);
+        INSERT INTO message_logs_fts(rowid, message) VALUES (NEW.rowid, NEW.message);
+    END;
+
+-- Cursor pagination orders by (created_at, id)
+CREATE INDEX IF NOT EXISTS idx_message_logs_created_at_id ON message_logs(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_message_logs_chat_id ON message_logs(chat_id);
+
+-- Outgoing messages used to be logged without is_group
+UPDATE message_logs SET is_group = 1
+WHERE chat_id LIKE '%@g.us' AND (is_group IS NULL OR is_group = 0);
@@ -0,0 +1,2 @@
+-- 0004 Media store (files already in the store are left in place)
+DROP TABLE IF EXISTS media_objects;
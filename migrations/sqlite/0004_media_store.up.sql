@@ -0,0 +1,14 @@
+-- 0004 Media store: incoming media kept in a file/object store instead of inline base64
+
+-- Media Objects Table (one row per distinct file, content-addressed by SHA-256)
+CREATE TABLE IF NOT EXISTS media_objects (
+    id TEXT PRIMARY KEY,
+    sha256 CHAR(64) NOT NULL UNIQUE,
+    mimetype VARCHAR(255),
+    size INTEGER NOT NULL,
+    storage VARCHAR(20) NOT NULL, -- 'local', 's3', 'supabase'
+    storage_key TEXT NOT NULL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_media_objects_created_at ON media_objects(created_at);
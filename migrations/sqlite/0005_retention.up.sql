@@ -0,0 +1,45 @@
+-- 0005 Retention: per-account retention policies, purge run history and media references
+
+-- Stored media referenced by a message (mirrors media->>'media_id'), for finding orphaned files
+ALTER TABLE message_logs ADD COLUMN media_id TEXT;
+
+UPDATE message_logs SET media_id = json_extract(media, '$.media_id')
+WHERE media_id IS NULL AND json_valid(media) AND json_extract(media, '$.media_id') IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_message_logs_media_id ON message_logs(media_id);
+CREATE INDEX IF NOT EXISTS idx_message_logs_account_direction_created_at ON message_logs(account_id, direction, created_at);
+
+-- Retention Policies Table (per-account overrides of the RETENTION_* defaults; NULL = default, 0 = keep forever)
+CREATE TABLE IF NOT EXISTS retention_policies (
+    id TEXT PRIMARY KEY,
+    account_id TEXT NOT NULL UNIQUE REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    incoming_days INTEGER,
+    outgoing_days INTEGER,
+    webhook_days INTEGER,
+    media_days INTEGER,
+    action VARCHAR(20), -- 'delete', 'archive'
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TRIGGER IF NOT EXISTS update_retention_policies_updated_at
+    AFTER UPDATE ON retention_policies FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN UPDATE retention_policies SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id; END;
+
+-- Retention Runs Table (history of the purge job)
+CREATE TABLE IF NOT EXISTS retention_runs (
+    id TEXT PRIMARY KEY,
+    triggered_by VARCHAR(20) NOT NULL, -- 'schedule', 'manual'
+    status VARCHAR(20) NOT NULL DEFAULT 'running', -- 'running', 'completed', 'failed'
+    deleted_count INTEGER DEFAULT 0,
+    archived_count INTEGER DEFAULT 0,
+    media_purged_count INTEGER DEFAULT 0,
+    media_files_deleted INTEGER DEFAULT 0,
+    details JSONB, -- per account and direction counts, archive files
+    error_message TEXT,
+    started_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    finished_at TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_retention_runs_started_at ON retention_runs(started_at);
@@ -0,0 +1,5 @@
+-- 0006 Message stats
+DROP VIEW IF EXISTS message_stats_totals;
+DROP TRIGGER IF EXISTS message_logs_rollup_stats;
+DROP TABLE IF EXISTS message_stats;
+ALTER TABLE message_logs DROP COLUMN latency_ms;
@@ -0,0 +1,59 @@
+-- 0006 Message stats: hourly and daily rollups of message_logs, kept up to date by a trigger
+
+-- How long each webhook delivery attempt took
+ALTER TABLE message_logs ADD COLUMN latency_ms INTEGER;
+
+-- Message Stats Table (counts per UTC hour/day, account, direction and status; survives retention purges)
+CREATE TABLE IF NOT EXISTS message_stats (
+    granularity VARCHAR(10) NOT NULL, -- 'hour', 'day'
+    bucket TEXT NOT NULL, -- start of the UTC hour/day
+    account_id TEXT NOT NULL REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    direction VARCHAR(50) NOT NULL,
+    status VARCHAR(50) NOT NULL,
+    message_count INTEGER NOT NULL DEFAULT 0,
+    latency_count INTEGER NOT NULL DEFAULT 0, -- rows with a latency_ms (webhook deliveries)
+    latency_sum_ms INTEGER NOT NULL DEFAULT 0,
+    latency_max_ms INTEGER,
+    PRIMARY KEY (granularity, bucket, account_id, direction, status)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_stats_account_bucket ON message_stats(granularity, account_id, bucket);
+
+CREATE TRIGGER IF NOT EXISTS message_logs_rollup_stats
+    AFTER INSERT ON message_logs
+    BEGIN
+        INSERT INTO message_stats (granularity, bucket, account_id, direction, status, message_count, latency_count, latency_sum_ms, latency_max_ms)
+        SELECT g.name, strftime(g.format, COALESCE(NEW.created_at, 'now')), NEW.account_id, NEW.direction, COALESCE(NEW.status, 'unknown'),
+               1, NEW.latency_ms IS NOT NULL, COALESCE(NEW.latency_ms, 0), NEW.latency_ms
+        FROM (SELECT 'hour' AS name, '%Y-%m-%dT%H:00:00.000Z' AS format UNION ALL SELECT 'day', '%Y-%m-%dT00:00:00.000Z') AS g
+        WHERE true
+        ON CONFLICT (granularity, bucket, account_id, direction, status) DO UPDATE SET
+            message_count = message_count + 1,
+            latency_count = latency_count + excluded.latency_count,
+            latency_sum_ms = latency_sum_ms + excluded.latency_sum_ms,
+            latency_max_ms = CASE
+                WHEN excluded.latency_max_ms IS NULL THEN latency_max_ms
+                WHEN latency_max_ms IS NULL THEN excluded.latency_max_ms
+                ELSE max(latency_max_ms, excluded.latency_max_ms)
+            END;
+    END;
+
+-- Existing logs
+INSERT INTO message_stats (granularity, bucket, account_id, direction, status, message_count, latency_count, latency_sum_ms, latency_max_ms)
+SELECT g.name, strftime(g.format, m.created_at), m.account_id, m.direction, COALESCE(m.status, 'unknown'),
+       COUNT(*), COUNT(m.latency_ms), COALESCE(SUM(m.latency_ms), 0), MAX(m.latency_ms)
+FROM message_logs m CROSS JOIN (SELECT 'hour' AS name, '%Y-%m-%dT%H:00:00.000Z' AS format UNION ALL SELECT 'day', '%Y-%m-%dT00:00:00.000Z') AS g
+WHERE m.created_at IS NOT NULL
+GROUP BY 1, 2, 3, 4, 5
+ON CONFLICT (granularity, bucket, account_id, direction, status) DO NOTHING;
+
+-- All-time totals per account, direction and status
+CREATE VIEW IF NOT EXISTS message_stats_totals AS
+SELECT account_id, direction, status,
+       SUM(message_count) AS message_count,
+       SUM(latency_count) AS latency_count,
+       SUM(latency_sum_ms) AS latency_sum_ms,
+       MAX(latency_max_ms) AS latency_max_ms
+FROM message_stats
+WHERE granularity = 'day'
+GROUP BY account_id, direction, status;
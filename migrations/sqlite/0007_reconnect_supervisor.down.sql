@@ -0,0 +1,4 @@
+-- 0007 Reconnect supervisor
+ALTER TABLE whatsapp_accounts DROP COLUMN last_reconnect_reason;
+ALTER TABLE whatsapp_accounts DROP COLUMN last_reconnect_at;
+ALTER TABLE whatsapp_accounts DROP COLUMN reconnect_attempts;
@@ -0,0 +1,3 @@
+-- 0008 Account disabled flag: disabled accounts are not started when the server boots
+
+ALTER TABLE whatsapp_accounts ADD COLUMN disabled BOOLEAN DEFAULT 0;
@@ -0,0 +1,2 @@
+-- 0009 Client profiles
+DROP TABLE IF EXISTS client_profiles;
@@ -0,0 +1,23 @@
+-- 0009 Client profiles: per-account browser settings used whenever the account's client starts
+
+-- NULL = default (see utils/clientFactory.js)
+CREATE TABLE IF NOT EXISTS client_profiles (
+    id TEXT PRIMARY KEY,
+    account_id TEXT NOT NULL UNIQUE REFERENCES whatsapp_accounts(id) ON DELETE CASCADE,
+    headless BOOLEAN,
+    args JSONB, -- extra Chromium arguments, added to the defaults
+    executable_path TEXT,
+    proxy_server VARCHAR(500), -- e.g. http://proxy:8080, socks5://proxy:1080
+    proxy_username VARCHAR(255),
+    proxy_password VARCHAR(255),
+    user_agent TEXT,
+    web_version VARCHAR(50), -- WhatsApp Web version pin, e.g. 2.3000.1017054665
+    web_version_cache VARCHAR(20), -- 'local', 'remote', 'none'
+    web_version_remote_path TEXT, -- for 'remote'; {version} is replaced
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TRIGGER IF NOT EXISTS update_client_profiles_updated_at
+    AFTER UPDATE ON client_profiles FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN UPDATE client_profiles SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id; END;
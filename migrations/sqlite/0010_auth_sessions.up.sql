@@ -0,0 +1,15 @@
+-- 0010 Auth sessions: WhatsApp session archives for AUTH_STRATEGY=remote with AUTH_REMOTE_STORE=database
+
+-- One zipped (and, with AUTH_ENCRYPTION_KEY, encrypted) Chromium profile per account, base64-encoded
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    id TEXT PRIMARY KEY,
+    session_key VARCHAR(255) NOT NULL UNIQUE, -- RemoteAuth-<account id>.zip
+    data TEXT NOT NULL,
+    size INTEGER, -- bytes before base64
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TRIGGER IF NOT EXISTS update_auth_sessions_updated_at
+    AFTER UPDATE ON auth_sessions FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN UPDATE auth_sessions SET updated_at = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE id = NEW.id; END;
@@ -0,0 +1,2 @@
+-- 0011 Schedule failures
+ALTER TABLE scheduled_messages DROP COLUMN failure_count;
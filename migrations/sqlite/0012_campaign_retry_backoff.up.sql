@@ -0,0 +1,4 @@
+-- 0012 Campaign retry backoff: recipients that hit a transient error wait before the next attempt
+
+-- NULL = due now
+ALTER TABLE campaign_recipients ADD COLUMN next_attempt_at TEXT;
@@ -0,0 +1 @@
+-- 0013 Restrict admin tables
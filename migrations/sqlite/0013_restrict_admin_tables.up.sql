@@ -0,0 +1 @@
+-- 0013 Restrict admin tables: row level security is Postgres-only; nothing to do on SQLite
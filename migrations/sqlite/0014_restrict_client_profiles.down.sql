@@ -0,0 +1 @@
+-- 0014 Restrict client profiles
@@ -0,0 +1 @@
+-- 0014 Restrict client profiles: row level security is Postgres-only; nothing to do on SQLite
@@ -0,0 +1 @@
+-- 0015 Restrict auth sessions
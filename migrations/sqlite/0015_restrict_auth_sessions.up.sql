@@ -0,0 +1 @@
+-- 0015 Restrict auth sessions: row level security is Postgres-only; nothing to do on SQLite
@@ -0,0 +1,2 @@
+-- 0016 Media last referenced
+ALTER TABLE media_objects DROP COLUMN last_referenced_at;
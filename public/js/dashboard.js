@@ -5,7 +5,21 @@ class Dashboard {
     this.currentView = 'dashboard';
     this.accounts = [];
     this.webhooks = {};
+    this.webhookEvents = ['message'];
     this.messageLogs = {};
+    this.scheduledMessages = [];
+    this.campaigns = [];
+    this.currentCampaignId = null;
+    this.apiKeyPermissions = [];
+    this.currentUser = null;
+    this.users = [];
+    this.auditFilters = {};
+    this.logFilters = {};
+    this.inbox = { accountId: null, chats: [], chatId: null, messages: [], nextBefore: null, search: '' };
+    this.statsRange = '24h';
+    this.statsAccountId = '';
+    this.homeContent = '';
+    this.startupProgress = null;
     this.init();
   }
 
@@ -20,12 +34,37 @@ class Dashboard {
   }
 
   async init() {
+    await this.loadCurrentUser();
+    // Other views replace the home content; keep it (with permissions applied) to restore later
+    this.homeContent = document.getElementById('mainContent')?.innerHTML || '';
     this.setupEventListeners();
     this.setupSocketConnection();
+    this.loadWebhookEvents();
     await this.loadDashboard();
     this.startAutoRefresh();
   }
 
+  // Controls inside the home content, bound again whenever it's restored
+  setupHomeListeners() {
+    document.getElementById('createAccountBtn')?.addEventListener('click', () => {
+      this.showCreateAccountModal();
+    });
+
+    const range = document.getElementById('statsRange');
+    if (range) {
+      range.value = this.statsRange;
+      range.addEventListener('change', () => {
+        this.statsRange = range.value;
+        this.loadStatsCharts();
+      });
+    }
+
+    document.getElementById('statsAccount')?.addEventListener('change', (e) => {
+      this.statsAccountId = e.target.value;
+      this.loadStatsCharts();
+    });
+  }
+
   setupEventListeners() {
     // Navigation
     document.querySelectorAll('.nav-link').forEach(link => {
@@ -36,10 +75,7 @@ class Dashboard {
       });
     });
 
-    // Account management
-    document.getElementById('createAccountBtn')?.addEventListener('click', () => {
-      this.showCreateAccountModal();
-    });
+    this.setupHomeListeners();
 
     document.getElementById('createAccountForm')?.addEventListener('submit', (e) => {
       e.preventDefault();
@@ -52,6 +88,57 @@ class Dashboard {
       this.createWebhook();
     });
 
+    document.getElementById('webhookEventsForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveWebhookEvents();
+    });
+
+    // Scheduled messages
+    document.getElementById('scheduledMessageForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveScheduledMessage();
+    });
+
+    document.getElementById('scheduleMode')?.addEventListener('change', (e) => {
+      this.updateScheduleModeFields(e.target.value);
+    });
+
+    // Campaigns
+    document.getElementById('campaignForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createCampaign();
+    });
+
+    // API keys
+    document.getElementById('apiKeyForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createApiKey();
+    });
+
+    // Users
+    document.getElementById('userForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveUser();
+    });
+
+    document.getElementById('retentionForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveRetentionPolicy();
+    });
+
+    document.getElementById('clientProfileForm')?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveClientProfile();
+    });
+
+    document.getElementById('clientProfileResetBtn')?.addEventListener('click', () => {
+      this.resetClientProfile(document.getElementById('clientProfileAccountId').value);
+    });
+
+    document.getElementById('clientProfileWebCache')?.addEventListener('change', (e) => {
+      document.getElementById('clientProfileRemotePathGroup').style.display = e.target.value === 'remote' ? '' : 'none';
+    });
+
     // Message sending
     document.getElementById('sendMessageForm')?.addEventListener('submit', (e) => {
       e.preventDefault();
@@ -131,6 +218,32 @@ class Dashboard {
     });
   }
 
+  async loadCurrentUser() {
+    try {
+      const response = await fetch('/api/auth/user');
+      const user = await response.json();
+      if (!user.authenticated) {
+        window.location.href = '/login';
+        return;
+      }
+
+      this.currentUser = user;
+      document.getElementById('userName').textContent = user.username;
+      document.getElementById('userRole').textContent = user.role.charAt(0).toUpperCase() + user.role.slice(1);
+
+      // Hide controls the user's role can't use
+      document.querySelectorAll('[data-permission]').forEach(el => {
+        if (!this.can(el.dataset.permission)) el.style.display = 'none';
+      });
+    } catch (error) {
+      console.error('Error loading current user:', error);
+    }
+  }
+
+  can(permission) {
+    return !!this.currentUser && (this.currentUser.permissions || []).includes(permission);
+  }
+
   setupSocketConnection() {
     this.socket = io();
     
@@ -148,13 +261,34 @@ class Dashboard {
       this.updateAccountStatus(data);
     });
 
+    this.socket.on('qr_code', (data) => {
+      this.updateQRCode(data);
+    });
+
     this.socket.on('new_message', (data) => {
       this.addMessageToLog(data);
+      if (this.currentView === 'messages') {
+        this.handleInboxMessage(data);
+      }
     });
 
     this.socket.on('webhook_delivery', (data) => {
       this.updateWebhookStatus(data);
     });
+
+    this.socket.on('campaign_progress', (data) => {
+      this.updateCampaignProgress(data);
+    });
+
+    this.socket.on('startup_progress', (progress) => {
+      this.renderStartupProgress(progress);
+    });
+
+    this.socket.on('retention_run', (run) => {
+      if (this.currentView === 'retention') {
+        this.loadRetentionView();
+      }
+    });
   }
 
   updateConnectionStatus(connected) {
@@ -174,11 +308,60 @@ class Dashboard {
 
       this.accounts = accounts;
       this.renderDashboard(accounts, stats);
+      this.loadStartupProgress();
+      await this.loadStatsCharts();
     } catch (error) {
       this.showAlert('Error loading dashboard: ' + error.message, 'error');
     }
   }
 
+  loadHomeView() {
+    const contentContainer = document.getElementById('mainContent');
+    if (!contentContainer) return;
+
+    contentContainer.innerHTML = this.homeContent;
+    this.setupHomeListeners();
+    this.loadDashboard();
+  }
+
+  async loadStartupProgress() {
+    try {
+      const response = await fetch('/api/health');
+      if (!response.ok) return;
+      this.renderStartupProgress((await response.json()).startup);
+    } catch (error) {
+      console.error('Error loading startup progress:', error);
+    }
+  }
+
+  // Banner on the home view while saved accounts are being started
+  renderStartupProgress(progress) {
+    this.startupProgress = progress;
+    const container = document.getElementById('startupProgress');
+    if (!container) return;
+
+    if (!progress || progress.state !== 'running') {
+      container.style.display = 'none';
+      return;
+    }
+
+    const done = progress.total - progress.pending - progress.starting;
+    const failed = progress.failed + progress.timed_out;
+    const width = (count) => progress.total > 0 ? (count / progress.total) * 100 : 0;
+    container.style.display = '';
+    container.innerHTML = `
+      <div class="card-title"><i class="fas fa-spinner fa-spin"></i> Starting accounts</div>
+      <div class="card-subtitle">
+        ${done} of ${progress.total} done, ${progress.concurrency} at a time:
+        ${progress.ready} ready, ${progress.qr_ready} waiting for a QR scan, ${failed} failed${progress.timed_out ? ` (${progress.timed_out} timed out)` : ''}
+      </div>
+      <div class="campaign-progress" title="${done} of ${progress.total} done">
+        <div class="campaign-progress-sent" style="width: ${width(progress.ready + progress.qr_ready)}%"></div>
+        <div class="campaign-progress-failed" style="width: ${width(failed)}%"></div>
+      </div>
+    `;
+  }
+
   async fetchAccounts() {
     const response = await fetch('/api/accounts');
     if (!response.ok) throw new Error('Failed to fetch accounts');
@@ -193,6 +376,7 @@ class Dashboard {
 
   renderDashboard(accounts, stats) {
     this.renderStats(stats);
+    this.renderStatsAccounts(accounts);
     this.renderAccountsTable(accounts);
     this.renderRecentMessages();
   }
@@ -221,6 +405,158 @@ class Dashboard {
     `;
   }
 
+  renderStatsAccounts(accounts) {
+    const select = document.getElementById('statsAccount');
+    if (!select) return;
+
+    if (!accounts.some(account => account.id === this.statsAccountId)) this.statsAccountId = '';
+    select.innerHTML = `
+      <option value="">All accounts</option>
+      ${accounts.map(account => `<option value="${account.id}">${this.escapeHtml(account.name)}</option>`).join('')}
+    `;
+    select.value = this.statsAccountId;
+  }
+
+  async loadStatsCharts() {
+    const container = document.getElementById('statsCharts');
+    if (!container) return;
+
+    try {
+      const params = new URLSearchParams({ range: this.statsRange });
+      if (this.statsAccountId) params.set('account_id', this.statsAccountId);
+
+      const response = await fetch(`/api/stats/series?${params}`);
+      const data = await response.json();
+      if (!response.ok) throw new Error(data.error || 'Failed to fetch stats');
+
+      this.renderStatsCharts(data);
+    } catch (error) {
+      container.innerHTML = `<div class="text-center text-muted">Error loading charts: ${this.escapeHtml(error.message)}</div>`;
+    }
+  }
+
+  renderStatsCharts(data) {
+    const container = document.getElementById('statsCharts');
+    if (!container) return;
+
+    const { totals } = data;
+    const value = (number, unit = '') => number === null || number === undefined ? '-' : `${number}${unit}`;
+    const summary = [
+      ['Incoming', totals.incoming],
+      ['Outgoing', totals.outgoing],
+      ['Failed to send', totals.outgoing_failed],
+      ['Webhook success', value(totals.webhook_success_rate, '%')],
+      ['Avg webhook latency', value(totals.webhook_avg_latency_ms, ' ms')],
+      ['Max webhook latency', value(totals.webhook_max_latency_ms, ' ms')]
+    ];
+
+    container.innerHTML = `
+      <div class="stats-summary">
+        ${summary.map(([label, number]) => `
+          <div>
+            <div class="stats-summary-value">${number}</div>
+            <div class="stat-label">${label}</div>
+          </div>
+        `).join('')}
+      </div>
+      <div class="stats-chart">
+        <div class="stats-chart-title">Messages</div>
+        ${this.renderBarChart(data, [
+          ['Incoming', '#6ee7ff', point => point.incoming],
+          ['Sent', '#7c5cff', point => point.outgoing - point.outgoing_failed],
+          ['Failed', '#ff6b6b', point => point.outgoing_failed]
+        ])}
+      </div>
+      <div class="stats-chart">
+        <div class="stats-chart-title">Webhook deliveries</div>
+        ${this.renderBarChart(data, [
+          ['Delivered', '#00e6a8', point => point.webhook_success],
+          ['Failed', '#ff6b6b', point => point.webhook_failed]
+        ], ['Avg latency', '#ffd56b', point => point.webhook_avg_latency_ms, 'ms'])}
+      </div>
+    `;
+  }
+
+  // Stacked bars per bucket as inline SVG; line (optional) is drawn on its own scale
+  renderBarChart(data, stacks, line = null) {
+    const width = 720;
+    const height = 180;
+    const top = 12;
+    const bottom = 20;
+    const left = 40;
+    const right = line ? 48 : 8;
+    const plotHeight = height - top - bottom;
+    const points = data.series;
+    const slot = (width - left - right) / points.length;
+    const barWidth = Math.max(1, slot * 0.7);
+
+    const max = Math.max(1, ...points.map(point => stacks.reduce((sum, [, , valueOf]) => sum + valueOf(point), 0)));
+    const lineMax = line ? Math.max(1, ...points.map(point => line[2](point) || 0)) : 1;
+
+    const bars = points.map((point, index) => {
+      const x = left + index * slot + (slot - barWidth) / 2;
+      let base = top + plotHeight;
+      const title = [this.formatBucket(point.bucket, data.granularity)]
+        .concat(stacks.map(([label, , valueOf]) => `${label}: ${valueOf(point)}`))
+        .concat(line && line[2](point) !== null ? [`${line[0]}: ${line[2](point)} ${line[3]}`] : [])
+        .join('\n');
+
+      const rects = stacks.map(([, color, valueOf]) => {
+        const barHeight = plotHeight * valueOf(point) / max;
+        if (barHeight <= 0) return '';
+        base -= barHeight;
+        return `<rect x="${x.toFixed(1)}" y="${base.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" fill="${color}"></rect>`;
+      }).join('');
+
+      // Full-height hit area so empty buckets still show a tooltip
+      return `<g><title>${this.escapeHtml(title)}</title><rect x="${(left + index * slot).toFixed(1)}" y="${top}" width="${slot.toFixed(1)}" height="${plotHeight}" fill="transparent"></rect>${rects}</g>`;
+    }).join('');
+
+    let lineSvg = '';
+    if (line) {
+      const coordinates = points
+        .map((point, index) => [index, line[2](point)])
+        .filter(([, number]) => number !== null && number !== undefined)
+        .map(([index, number]) => `${(left + index * slot + slot / 2).toFixed(1)},${(top + plotHeight * (1 - number / lineMax)).toFixed(1)}`);
+      lineSvg = `
+        <polyline points="${coordinates.join(' ')}" fill="none" stroke="${line[1]}" stroke-width="2"></polyline>
+        <text x="${width - right + 4}" y="${top + 4}" class="stats-chart-axis">${lineMax} ${line[3]}</text>
+      `;
+    }
+
+    const labels = [0, Math.floor((points.length - 1) / 2), points.length - 1].map(index => `
+      <text x="${(left + index * slot + slot / 2).toFixed(1)}" y="${height - 4}" text-anchor="middle" class="stats-chart-axis">
+        ${this.escapeHtml(this.formatBucket(points[index].bucket, data.granularity))}
+      </text>
+    `).join('');
+
+    const legend = stacks.map(([label, color]) => [label, color])
+      .concat(line ? [[line[0], line[1]]] : [])
+      .map(([label, color]) => `<span><i style="background: ${color}"></i>${label}</span>`)
+      .join('');
+
+    return `
+      <svg class="stats-chart-svg" viewBox="0 0 ${width} ${height}" role="img">
+        <line x1="${left}" y1="${top + plotHeight}" x2="${width - right}" y2="${top + plotHeight}" class="stats-chart-grid"></line>
+        <line x1="${left}" y1="${top}" x2="${width - right}" y2="${top}" class="stats-chart-grid"></line>
+        <text x="${left - 6}" y="${top + 4}" text-anchor="end" class="stats-chart-axis">${max}</text>
+        <text x="${left - 6}" y="${top + plotHeight}" text-anchor="end" class="stats-chart-axis">0</text>
+        ${bars}
+        ${lineSvg}
+        ${labels}
+      </svg>
+      <div class="stats-chart-legend">${legend}</div>
+    `;
+  }
+
+  // Buckets are UTC hours/days, shown in local time
+  formatBucket(bucket, granularity) {
+    const date = new Date(bucket);
+    return granularity === 'hour'
+      ? date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+      : date.toLocaleDateString([], { month: 'short', day: 'numeric' });
+  }
+
   renderAccountsTable(accounts) {
     const tableBody = document.getElementById('accountsTableBody');
     if (!tableBody) return;
@@ -240,6 +576,7 @@ class Dashboard {
           <span class="status-badge status-${account.status}">
             ${this.formatStatus(account.status)}
           </span>
+          ${this.renderReconnectInfo(account)}
         </td>
         <td>${account.phone_number || 'Not connected'}</td>
         <td>${this.formatDate(account.created_at)}</td>
@@ -256,6 +593,7 @@ class Dashboard {
             <button class="btn btn-sm btn-success" onclick="dashboard.sendMessageModal('${account.id}')">
               <i class="fas fa-paper-plane"></i> Send
             </button>
+            ${this.renderLifecycleButtons(account)}
             <button class="btn btn-sm btn-danger" onclick="dashboard.deleteAccount('${account.id}')">
               <i class="fas fa-trash"></i>
             </button>
@@ -284,15 +622,56 @@ class Dashboard {
       'qr_ready': 'QR Ready',
       'initializing': 'Initializing',
       'disconnected': 'Disconnected',
-      'auth_failed': 'Auth Failed'
+      'auth_failed': 'Auth Failed',
+      'needs_rescan': 'Needs Re-scan',
+      'stopped': 'Stopped'
     };
     return statusMap[status] || status;
   }
 
+  // Automatic reconnect progress (or why the account is down) under its status badge
+  renderReconnectInfo(account) {
+    if (account.disabled) {
+      return '<div class="reconnect-info">Disabled; not started at boot</div>';
+    }
+    if (account.status === 'needs_rescan') {
+      return `<div class="reconnect-info">${this.escapeHtml(account.error_message || 'Scan a new QR code to reconnect')}</div>`;
+    }
+    if (account.status === 'ready' || !account.reconnect_attempts && !account.next_reconnect_at) return '';
+
+    const next = account.next_reconnect_at
+      ? `Retrying at ${new Date(account.next_reconnect_at).toLocaleTimeString()}`
+      : `Reconnect attempt ${account.reconnect_attempts}`;
+    return `<div class="reconnect-info" title="${this.escapeHtml(account.error_message || '')}">${next}</div>`;
+  }
+
   formatDate(dateString) {
     return new Date(dateString).toLocaleDateString();
   }
 
+  // Delivery receipt badge for outgoing messages, with receipt times as tooltip
+  renderAckBadge(message) {
+    if (message.direction !== 'outgoing' || !message.ack_status) return '';
+
+    const times = [
+      ['Sent', message.sent_at],
+      ['Delivered', message.delivered_at],
+      ['Read', message.read_at],
+      ['Played', message.played_at]
+    ]
+      .filter(([, time]) => time)
+      .map(([label, time]) => `${label}: ${new Date(time).toLocaleString()}`)
+      .join('\n');
+
+    const readTime = message.read_at ? ` ${new Date(message.read_at).toLocaleTimeString()}` : '';
+
+    return `
+      <span class="status-badge ack-badge ack-${message.ack_status}" title="${times}">
+        ${message.ack_status}${message.ack_status === 'read' ? readTime : ''}
+      </span>
+    `;
+  }
+
   navigateTo(view) {
     this.currentView = view;
     
@@ -327,6 +706,9 @@ class Dashboard {
 
   initializeView(view) {
     switch (view) {
+      case 'dashboard':
+        this.loadHomeView();
+        break;
       case 'accounts':
         this.loadAccountsView();
         break;
@@ -336,6 +718,24 @@ class Dashboard {
       case 'messages':
         this.loadMessagesView();
         break;
+      case 'scheduled':
+        this.loadScheduledView();
+        break;
+      case 'campaigns':
+        this.loadCampaignsView();
+        break;
+      case 'apikeys':
+        this.loadApiKeysView();
+        break;
+      case 'users':
+        this.loadUsersView();
+        break;
+      case 'audit':
+        this.loadAuditView();
+        break;
+      case 'retention':
+        this.loadRetentionView();
+        break;
       case 'logs':
         this.loadLogsView();
         break;
@@ -346,6 +746,7 @@ class Dashboard {
   async loadAccountsView() {
     try {
       const accounts = await this.fetchAccounts();
+      this.accounts = accounts;
       this.renderAccountsView(accounts);
     } catch (error) {
       this.showAlert('Error loading accounts: ' + error.message, 'error');
@@ -378,162 +779,603 @@ class Dashboard {
   async loadMessagesView() {
     try {
       const accounts = await this.fetchAccounts();
-      const messages = {};
-      
-      for (const account of accounts) {
-        try {
-          const response = await fetch(`/api/accounts/${account.id}/logs?limit=50`);
-          if (response.ok) {
-            messages[account.id] = await response.json();
-          }
-        } catch (error) {
-          console.error(`Error fetching messages for account ${account.id}:`, error);
-          messages[account.id] = [];
-        }
+      this.accounts = accounts;
+      if (!accounts.some(account => account.id === this.inbox.accountId)) {
+        this.inbox = { ...this.inbox, accountId: accounts[0]?.id || null, chats: [], chatId: null, messages: [], nextBefore: null };
+      }
+
+      this.renderMessagesView(accounts);
+      await this.loadInboxChats();
+      if (this.inbox.chatId) {
+        await this.openInboxChat(this.inbox.chatId);
       }
-      
-      this.renderMessagesView(accounts, messages);
     } catch (error) {
       this.showAlert('Error loading messages: ' + error.message, 'error');
     }
   }
 
-  async loadLogsView() {
+  // Inbox: chat list of the selected account plus the open conversation
+  async loadInboxChats() {
+    if (!this.inbox.accountId) return;
+
+    const response = await fetch(`/api/accounts/${this.inbox.accountId}/chats`);
+    if (!response.ok) throw new Error('Failed to fetch chats');
+    this.inbox.chats = await response.json();
+    this.renderInboxChatList();
+  }
+
+  async selectInboxAccount(accountId) {
+    this.inbox = { ...this.inbox, accountId, chats: [], chatId: null, messages: [], nextBefore: null };
+    this.renderInboxChatList();
+    this.renderInboxThread();
+
     try {
-      const accounts = await this.fetchAccounts();
-      const logs = {};
-      
-      for (const account of accounts) {
-        try {
-          const response = await fetch(`/api/accounts/${account.id}/logs?limit=100`);
-          if (response.ok) {
-            logs[account.id] = await response.json();
-          }
-        } catch (error) {
-          console.error(`Error fetching logs for account ${account.id}:`, error);
-          logs[account.id] = [];
-        }
-      }
-      
-      this.renderLogsView(accounts, logs);
+      await this.loadInboxChats();
     } catch (error) {
-      this.showAlert('Error loading logs: ' + error.message, 'error');
+      this.showAlert('Error loading chats: ' + error.message, 'error');
     }
   }
 
-  // Account Management
-  showCreateAccountModal() {
-    const modal = document.getElementById('createAccountModal');
-    const form = document.getElementById('createAccountForm');
-    
-    if (modal && form) {
-      // Reset the form before showing the modal
-      form.reset();
-      modal.classList.add('show');
-      console.log('Create account modal opened');
-    }
+  filterInboxChats(search) {
+    this.inbox.search = search;
+    this.renderInboxChatList();
   }
 
-  async createAccount() {
-    const form = document.getElementById('createAccountForm');
-    const formData = new FormData(form);
-    
-    console.log('Creating account with data:', {
-      name: formData.get('name'),
-      description: formData.get('description')
-    });
-    
-    try {
-      const response = await fetch('/api/accounts', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          name: formData.get('name'),
-          description: formData.get('description')
-        })
-      });
+  async fetchInboxThread(chatId, before = null) {
+    const params = new URLSearchParams();
+    if (before) params.set('before', before);
 
-      if (!response.ok) throw new Error('Failed to create account');
-      
-      const account = await response.json();
-      console.log('Account created successfully:', account);
-      this.showAlert('Account created successfully!', 'success');
-      
-      // Reset the form
-      form.reset();
-      console.log('Form reset');
-      
-      // Close the modal with a small delay to ensure proper execution
-      setTimeout(() => {
-        this.closeAllModals();
-        console.log('Modals closed');
-        
-        // Also specifically close the create account modal as a fallback
-        this.closeCreateAccountModal();
-      }, 100);
-      
-      // Reload dashboard to show the new account
-      await this.loadDashboard();
-      console.log('Dashboard reloaded');
+    const response = await fetch(`/api/accounts/${this.inbox.accountId}/chats/${encodeURIComponent(chatId)}/messages?${params}`);
+    if (!response.ok) throw new Error('Failed to fetch chat messages');
+    return response.json();
+  }
+
+  async openInboxChat(chatId) {
+    try {
+      const thread = await this.fetchInboxThread(chatId);
+      this.inbox.chatId = chatId;
+      this.inbox.messages = thread.messages;
+      this.inbox.nextBefore = thread.next_before;
+      this.renderInboxThread();
+      this.renderInboxChatList();
+      await this.markInboxChatRead(chatId);
     } catch (error) {
-      console.error('Error creating account:', error);
-      this.showAlert('Error creating account: ' + error.message, 'error');
+      this.showAlert('Error loading chat: ' + error.message, 'error');
     }
   }
 
-  async deleteAccount(accountId) {
-    if (!confirm('Are you sure you want to delete this account?')) return;
+  async loadOlderInboxMessages() {
+    if (!this.inbox.chatId || !this.inbox.nextBefore) return;
 
     try {
-      const response = await fetch(`/api/accounts/${accountId}`, {
-        method: 'DELETE'
-      });
-
-      if (!response.ok) throw new Error('Failed to delete account');
-      
-      this.showAlert('Account deleted successfully!', 'success');
-      this.loadDashboard();
+      const thread = await this.fetchInboxThread(this.inbox.chatId, this.inbox.nextBefore);
+      this.inbox.messages = [...thread.messages, ...this.inbox.messages];
+      this.inbox.nextBefore = thread.next_before;
+      this.renderInboxThread({ scrollToBottom: false });
     } catch (error) {
-      this.showAlert('Error deleting account: ' + error.message, 'error');
+      this.showAlert('Error loading older messages: ' + error.message, 'error');
     }
   }
 
-  showQRCode(accountId) {
-    const account = this.accounts.find(a => a.id === accountId);
-    if (!account || !account.qr_code) {
-      this.showAlert('QR code not available for this account', 'warning');
-      return;
+  // Reload the latest page of the open chat, keeping older pages already loaded
+  async refreshInboxThread() {
+    const chatId = this.inbox.chatId;
+    try {
+      const thread = await this.fetchInboxThread(chatId);
+      if (chatId !== this.inbox.chatId) return;
+
+      const oldestLatest = thread.messages[0]?.created_at;
+      const older = oldestLatest ? this.inbox.messages.filter(message => message.created_at < oldestLatest) : [];
+      this.inbox.messages = [...older, ...thread.messages];
+      if (older.length === 0) this.inbox.nextBefore = thread.next_before;
+      this.renderInboxThread();
+      await this.markInboxChatRead(chatId);
+    } catch (error) {
+      console.error('Error refreshing chat:', error);
     }
+  }
 
-    const modal = document.getElementById('qrModal');
-    modal.querySelector('.modal-title').textContent = `Scan QR Code - ${account.name} (ID: ${account.id})`;
-    const qrImage = modal.querySelector('.qr-code img');
-    qrImage.src = account.qr_code;
-    modal.classList.add('show');
+  async markInboxChatRead(chatId) {
+    const response = await fetch(`/api/accounts/${this.inbox.accountId}/chats/${encodeURIComponent(chatId)}/read`, { method: 'POST' });
+    if (!response.ok) return;
+
+    const chat = this.inbox.chats.find(c => c.chat_id === chatId);
+    if (chat) chat.unread_count = 0;
+    this.renderInboxChatList();
   }
 
-  // Webhook Management
-  async manageWebhooks(accountId) {
-    try {
-      const response = await fetch(`/api/accounts/${accountId}/webhooks`);
-      if (!response.ok) throw new Error('Failed to fetch webhooks');
-      
-      const webhooks = await response.json();
-      this.webhooks[accountId] = webhooks;
-      
-      this.showWebhooksModal(accountId, webhooks);
-    } catch (error) {
-      this.showAlert('Error loading webhooks: ' + error.message, 'error');
+  // Live message from the socket: move its chat to the top and refresh the open conversation
+  handleInboxMessage(message) {
+    if (message.account_id !== this.inbox.accountId || !message.chat_id) return;
+
+    const chat = this.inbox.chats.find(c => c.chat_id === message.chat_id) || {
+      chat_id: message.chat_id,
+      name: (message.is_group ? message.group_name : message.direction === 'incoming' && message.contact_name) || this.formatChatId(message.chat_id),
+      is_group: !!message.is_group,
+      unread_count: 0
+    };
+    chat.last_message = {
+      direction: message.direction,
+      message: message.message || (message.type && message.type !== 'chat' ? `[${message.type}]` : ''),
+      type: message.type,
+      status: message.status,
+      created_at: message.created_at
+    };
+    chat.last_message_at = message.created_at;
+    this.inbox.chats = [chat, ...this.inbox.chats.filter(c => c !== chat)];
+
+    if (message.chat_id === this.inbox.chatId) {
+      // Refetched rather than appended so the message carries its stored id (used for media)
+      this.refreshInboxThread();
+    } else {
+      if (message.direction === 'incoming') chat.unread_count++;
+      this.renderInboxChatList();
     }
   }
 
-  showWebhooksModal(accountId, webhooks) {
-    const modal = document.getElementById('webhooksModal');
-    const account = this.accounts.find(a => a.id === accountId);
-    
-    // Track which account's webhooks are being viewed
+  async sendInboxReply(event) {
+    event.preventDefault();
+    const form = event.target;
+    const text = form.elements.message.value.trim();
+    const file = form.elements.file.files[0];
+    if (!text && !file) return;
+
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+      let response;
+      if (file) {
+        const media = { data: await this.fileToBase64(file), mimetype: file.type || 'application/octet-stream', filename: file.name };
+        response = await fetch('/api/send-media', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ account_id: this.inbox.accountId, number: this.inbox.chatId, media, caption: text })
+        });
+      } else {
+        response = await fetch('/api/send', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ account_id: this.inbox.accountId, number: this.inbox.chatId, message: text })
+        });
+      }
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `HTTP ${response.status}: Failed to send message`);
+      }
+      // The sent message arrives through the new_message socket event
+      form.reset();
+      form.querySelector('.inbox-attach').classList.remove('has-file');
+    } catch (error) {
+      this.showAlert('Error sending reply: ' + error.message, 'error');
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  async loadScheduledView() {
+    try {
+      const [accounts, response] = await Promise.all([
+        this.fetchAccounts(),
+        fetch('/api/scheduled-messages')
+      ]);
+      if (!response.ok) throw new Error('Failed to fetch scheduled messages');
+
+      this.accounts = accounts;
+      this.scheduledMessages = await response.json();
+      this.renderScheduledView(accounts, this.scheduledMessages);
+    } catch (error) {
+      this.showAlert('Error loading scheduled messages: ' + error.message, 'error');
+    }
+  }
+
+  async loadCampaignsView() {
+    try {
+      const [accounts, response] = await Promise.all([
+        this.fetchAccounts(),
+        fetch('/api/campaigns')
+      ]);
+      if (!response.ok) throw new Error('Failed to fetch campaigns');
+
+      this.accounts = accounts;
+      this.campaigns = await response.json();
+      this.currentCampaignId = null;
+      this.renderCampaignsView(accounts, this.campaigns);
+    } catch (error) {
+      this.showAlert('Error loading campaigns: ' + error.message, 'error');
+    }
+  }
+
+  async loadCampaignReport(campaignId) {
+    try {
+      const [campaignResponse, recipientsResponse] = await Promise.all([
+        fetch(`/api/campaigns/${campaignId}`),
+        fetch(`/api/campaigns/${campaignId}/recipients`)
+      ]);
+      if (!campaignResponse.ok || !recipientsResponse.ok) throw new Error('Failed to fetch campaign');
+
+      const campaign = await campaignResponse.json();
+      const recipients = await recipientsResponse.json();
+      this.currentCampaignId = campaignId;
+      this.renderCampaignReport(campaign, recipients);
+    } catch (error) {
+      this.showAlert('Error loading campaign report: ' + error.message, 'error');
+    }
+  }
+
+  async loadApiKeysView() {
+    try {
+      const [accounts, keysResponse, permissionsResponse] = await Promise.all([
+        this.fetchAccounts(),
+        fetch('/api/api-keys'),
+        fetch('/api/api-keys/permissions')
+      ]);
+      if (!keysResponse.ok || !permissionsResponse.ok) throw new Error('Failed to fetch API keys');
+
+      this.accounts = accounts;
+      this.apiKeyPermissions = await permissionsResponse.json();
+      this.renderApiKeysView(accounts, await keysResponse.json());
+    } catch (error) {
+      this.showAlert('Error loading API keys: ' + error.message, 'error');
+    }
+  }
+
+  async loadUsersView() {
+    try {
+      const [accounts, response] = await Promise.all([
+        this.fetchAccounts(),
+        fetch('/api/users')
+      ]);
+      if (!response.ok) throw new Error('Failed to fetch users');
+
+      this.accounts = accounts;
+      this.users = await response.json();
+      this.renderUsersView(accounts, this.users);
+    } catch (error) {
+      this.showAlert('Error loading users: ' + error.message, 'error');
+    }
+  }
+
+  async loadAuditView(filters = this.auditFilters) {
+    try {
+      this.auditFilters = filters;
+      const [accounts, response] = await Promise.all([
+        this.fetchAccounts(),
+        fetch(`/api/audit-events?${this.buildAuditQuery(filters)}`)
+      ]);
+      if (!response.ok) throw new Error('Failed to fetch audit events');
+
+      this.accounts = accounts;
+      this.renderAuditView(accounts, await response.json(), filters);
+    } catch (error) {
+      this.showAlert('Error loading audit log: ' + error.message, 'error');
+    }
+  }
+
+  async loadRetentionView() {
+    try {
+      const [overview, runs] = await Promise.all([
+        fetch('/api/retention').then(response => {
+          if (!response.ok) throw new Error('Failed to fetch retention settings');
+          return response.json();
+        }),
+        fetch('/api/retention/runs?limit=25').then(response => {
+          if (!response.ok) throw new Error('Failed to fetch retention runs');
+          return response.json();
+        })
+      ]);
+
+      this.retention = overview;
+      this.renderRetentionView(overview, runs);
+    } catch (error) {
+      this.showAlert('Error loading retention: ' + error.message, 'error');
+    }
+  }
+
+  async loadLogsView(filters = this.logFilters) {
+    try {
+      this.logFilters = filters;
+      const [accounts, response] = await Promise.all([
+        this.fetchAccounts(),
+        fetch(`/api/messages?${this.buildLogsQuery(filters)}`)
+      ]);
+      if (!response.ok) throw new Error((await response.json()).error || 'Failed to search messages');
+
+      this.accounts = accounts;
+      this.renderLogsView(accounts, await response.json(), filters);
+    } catch (error) {
+      this.showAlert('Error loading logs: ' + error.message, 'error');
+    }
+  }
+
+  // Account Management
+  showCreateAccountModal() {
+    const modal = document.getElementById('createAccountModal');
+    const form = document.getElementById('createAccountForm');
+    
+    if (modal && form) {
+      // Reset the form before showing the modal
+      form.reset();
+      modal.classList.add('show');
+      console.log('Create account modal opened');
+    }
+  }
+
+  async createAccount() {
+    const form = document.getElementById('createAccountForm');
+    const formData = new FormData(form);
+    
+    console.log('Creating account with data:', {
+      name: formData.get('name'),
+      description: formData.get('description')
+    });
+    
+    try {
+      const response = await fetch('/api/accounts', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          name: formData.get('name'),
+          description: formData.get('description')
+        })
+      });
+
+      if (!response.ok) throw new Error('Failed to create account');
+      
+      const account = await response.json();
+      console.log('Account created successfully:', account);
+      this.showAlert('Account created successfully!', 'success');
+      // Its QR code is pushed over the socket once the client has started
+      this.awaitingQrAccountId = account.id;
+      
+      // Reset the form
+      form.reset();
+      console.log('Form reset');
+      
+      // Close the modal with a small delay to ensure proper execution
+      setTimeout(() => {
+        this.closeAllModals();
+        console.log('Modals closed');
+        
+        // Also specifically close the create account modal as a fallback
+        this.closeCreateAccountModal();
+      }, 100);
+      
+      // Reload dashboard to show the new account
+      await this.loadDashboard();
+      console.log('Dashboard reloaded');
+    } catch (error) {
+      console.error('Error creating account:', error);
+      this.showAlert('Error creating account: ' + error.message, 'error');
+    }
+  }
+
+  async deleteAccount(accountId) {
+    if (!confirm('Are you sure you want to delete this account?')) return;
+
+    try {
+      const response = await fetch(`/api/accounts/${accountId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) throw new Error('Failed to delete account');
+      
+      this.showAlert('Account deleted successfully!', 'success');
+      this.loadDashboard();
+    } catch (error) {
+      this.showAlert('Error deleting account: ' + error.message, 'error');
+    }
+  }
+
+  // Stop/start/restart/logout buttons for an account row (admins only)
+  renderLifecycleButtons(account) {
+    if (!this.can('admin')) return '';
+
+    const button = (action, icon, title, style = 'btn-secondary') => `
+      <button class="btn btn-sm ${style}" title="${title}" onclick="dashboard.accountAction('${account.id}', '${action}')">
+        <i class="fas ${icon}"></i>
+      </button>
+    `;
+
+    const profile = `
+      <button class="btn btn-sm btn-secondary" title="Browser profile" onclick="dashboard.showClientProfileModal('${account.id}')">
+        <i class="fas fa-sliders-h"></i>
+      </button>
+    `;
+
+    if (account.disabled) {
+      return profile + button('enable', 'fa-toggle-on', 'Enable (then start it)');
+    }
+    const disable = button('disable', 'fa-ban', 'Disable (stops it and skips it at startup)');
+    if (['stopped', 'needs_rescan'].includes(account.status)) {
+      return profile + button('start', 'fa-play', 'Start') + disable
+        + (account.status === 'needs_rescan' ? button('logout', 'fa-sign-out-alt', 'Log out and show a new QR code', 'btn-warning') : '');
+    }
+    return profile + button('stop', 'fa-stop', 'Stop (keeps the session)')
+      + button('restart', 'fa-redo', 'Restart')
+      + (account.status === 'ready' ? button('logout', 'fa-sign-out-alt', 'Log out (unlinks the device)', 'btn-warning') : '')
+      + disable;
+  }
+
+  async accountAction(accountId, action) {
+    const confirmations = {
+      stop: 'Stop this account? It stays logged in and can be started again.',
+      disable: 'Disable this account? It is stopped and not started again, even after a server restart, until it is enabled.',
+      logout: 'Log out this account? The device is unlinked and a new QR code must be scanned.'
+    };
+    if (confirmations[action] && !confirm(confirmations[action])) return;
+
+    try {
+      const response = await fetch(`/api/accounts/${accountId}/${action}`, { method: 'POST' });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || `Failed to ${action} account`);
+
+      const messages = {
+        stop: 'Account stopped',
+        start: 'Account starting',
+        restart: 'Account restarting',
+        logout: 'Logged out; a new QR code is on its way',
+        disable: 'Account disabled',
+        enable: 'Account enabled; start it to connect'
+      };
+      this.showAlert(messages[action], 'success');
+      this.updateAccountStatus({ accountId, status: result.status, disabled: result.disabled });
+    } catch (error) {
+      this.showAlert(`Error: ${error.message}`, 'error');
+    }
+  }
+
+  // Client profile (browser, proxy and WhatsApp Web settings)
+  async showClientProfileModal(accountId) {
+    const modal = document.getElementById('clientProfileModal');
+    const account = this.accounts.find(a => a.id === accountId);
+    if (!modal || !account) return;
+
+    try {
+      const response = await fetch(`/api/accounts/${accountId}/client-profile`);
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to load browser profile');
+
+      const profile = result.profile || {};
+      const fields = {
+        clientProfileExecutable: 'executable_path',
+        clientProfileProxy: 'proxy_server',
+        clientProfileProxyUser: 'proxy_username',
+        clientProfileUserAgent: 'user_agent',
+        clientProfileWebVersion: 'web_version',
+        clientProfileWebCache: 'web_version_cache',
+        clientProfileRemotePath: 'web_version_remote_path'
+      };
+
+      document.getElementById('clientProfileForm').reset();
+      document.getElementById('clientProfileAccountId').value = accountId;
+      Object.entries(fields).forEach(([id, setting]) => {
+        document.getElementById(id).value = profile[setting] || '';
+      });
+      document.getElementById('clientProfileHeadless').value = profile.headless === null || profile.headless === undefined ? '' : String(profile.headless);
+      document.getElementById('clientProfileArgs').value = (profile.args || []).join('\n');
+      // The stored password is never sent back; leaving the field blank keeps it
+      document.getElementById('clientProfileProxyPassword').placeholder = profile.has_proxy_password ? 'Unchanged' : '';
+      document.getElementById('clientProfileRemotePathGroup').style.display = profile.web_version_cache === 'remote' ? '' : 'none';
+
+      modal.querySelector('.modal-title').textContent = `Browser Profile: ${account.name}`;
+      modal.classList.add('show');
+      this.updateBodyScrollLock();
+    } catch (error) {
+      this.showAlert('Error loading browser profile: ' + error.message, 'error');
+    }
+  }
+
+  async saveClientProfile() {
+    const formData = new FormData(document.getElementById('clientProfileForm'));
+    const accountId = formData.get('account_id');
+    const payload = {};
+    ['executable_path', 'proxy_server', 'proxy_username', 'user_agent', 'web_version', 'web_version_cache', 'web_version_remote_path'].forEach(name => {
+      payload[name] = formData.get(name).trim() || null;
+    });
+    payload.headless = formData.get('headless') === '' ? null : formData.get('headless') === 'true';
+    payload.args = formData.get('args').split('\n').map(arg => arg.trim()).filter(Boolean);
+    if (formData.get('proxy_password')) payload.proxy_password = formData.get('proxy_password');
+
+    try {
+      const response = await fetch(`/api/accounts/${accountId}/client-profile`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to save browser profile');
+
+      this.closeAllModals();
+      this.offerProfileRestart(accountId, result.restart_required, 'Browser profile saved');
+    } catch (error) {
+      this.showAlert('Error saving browser profile: ' + error.message, 'error');
+    }
+  }
+
+  async resetClientProfile(accountId) {
+    if (!confirm('Use the default browser settings for this account?')) return;
+
+    try {
+      const response = await fetch(`/api/accounts/${accountId}/client-profile`, { method: 'DELETE' });
+      const result = await response.json();
+      if (!response.ok) throw new Error(result.error || 'Failed to reset browser profile');
+
+      this.closeAllModals();
+      this.offerProfileRestart(accountId, result.restart_required, 'Browser profile reset to defaults');
+    } catch (error) {
+      this.showAlert('Error resetting browser profile: ' + error.message, 'error');
+    }
+  }
+
+  // A running client keeps its settings until it starts again
+  offerProfileRestart(accountId, restartRequired, message) {
+    if (restartRequired && confirm(`${message}. Restart the account now to apply it?`)) {
+      this.accountAction(accountId, 'restart');
+      return;
+    }
+    this.showAlert(restartRequired ? `${message}; it applies when the account restarts` : message, 'success');
+  }
+
+  showQRCode(accountId) {
+    const account = this.accounts.find(a => a.id === accountId);
+    if (!account || !account.qr_code) {
+      this.showAlert('QR code not available for this account', 'warning');
+      return;
+    }
+
+    const modal = document.getElementById('qrModal');
+    modal.querySelector('.modal-title').textContent = `Scan QR Code - ${account.name} (ID: ${account.id})`;
+    const qrImage = modal.querySelector('.qr-code img');
+    qrImage.src = account.qr_code;
+    modal.classList.add('show');
+    this.qrAccountId = accountId;
+  }
+
+  isQRModalOpen(accountId) {
+    return this.qrAccountId === accountId && document.getElementById('qrModal')?.classList.contains('show');
+  }
+
+  // Live QR code: refresh the open modal, or open it for an account just created here
+  updateQRCode(data) {
+    const account = this.accounts.find(a => a.id === data.accountId);
+    if (!account) return;
+
+    account.qr_code = data.qr_code;
+    account.status = 'qr_ready';
+
+    if (this.isQRModalOpen(data.accountId)) {
+      document.querySelector('#qrModal .qr-code img').src = data.qr_code;
+    } else if (this.awaitingQrAccountId === data.accountId) {
+      this.awaitingQrAccountId = null;
+      this.showQRCode(data.accountId);
+    }
+    this.renderAccountLists();
+  }
+
+  // Webhook Management
+  async manageWebhooks(accountId) {
+    try {
+      const response = await fetch(`/api/accounts/${accountId}/webhooks`);
+      if (!response.ok) throw new Error('Failed to fetch webhooks');
+      
+      const webhooks = await response.json();
+      this.webhooks[accountId] = webhooks;
+      
+      this.showWebhooksModal(accountId, webhooks);
+    } catch (error) {
+      this.showAlert('Error loading webhooks: ' + error.message, 'error');
+    }
+  }
+
+  showWebhooksModal(accountId, webhooks) {
+    const modal = document.getElementById('webhooksModal');
+    const account = this.accounts.find(a => a.id === accountId);
+    
+    // Track which account's webhooks are being viewed
     this.currentWebhooksAccountId = accountId;
 
     modal.querySelector('.modal-title').textContent = `Webhooks - ${account.name} (ID: ${account.id})`;
@@ -553,12 +1395,22 @@ class Dashboard {
             <span class="status-badge ${webhook.is_active ? 'status-ready' : 'status-disconnected'}">
               ${webhook.is_active ? 'Active' : 'Inactive'}
             </span>
+            ${webhook.legacy_secret_header ? '<span class="status-badge status-qr_ready">Legacy secret header</span>' : ''}
+          </div>
+          <div class="webhook-events text-muted">
+            <strong>Events:</strong> ${(webhook.events || ['message']).join(', ')}
           </div>
         </div>
         <div class="webhook-actions">
           <button class="btn btn-sm btn-secondary" onclick="dashboard.toggleWebhook('${webhook.id}')">
             ${webhook.is_active ? 'Disable' : 'Enable'}
           </button>
+          <button class="btn btn-sm btn-primary" onclick="dashboard.showWebhookEventsModal('${webhook.id}')">
+            Events
+          </button>
+          <button class="btn btn-sm btn-warning" onclick="dashboard.setLegacySecretHeader('${webhook.id}', ${!webhook.legacy_secret_header})" title="Send plaintext X-Webhook-Secret header">
+            ${webhook.legacy_secret_header ? 'Disable legacy header' : 'Enable legacy header'}
+          </button>
           <button class="btn btn-sm btn-danger" onclick="dashboard.deleteWebhook('${webhook.id}')">
             Delete
           </button>
@@ -589,9 +1441,73 @@ class Dashboard {
     }
     accountIdInput.value = accountId;
     
+    this.renderEventCheckboxes(document.getElementById('webhookEventsOptions'), ['message']);
+    
+    modal.classList.add('show');
+  }
+
+  async loadWebhookEvents() {
+    try {
+      const response = await fetch('/api/webhooks/events');
+      if (response.ok) {
+        this.webhookEvents = await response.json();
+      }
+    } catch (error) {
+      console.error('Error fetching webhook events:', error);
+    }
+  }
+
+  renderEventCheckboxes(container, selected) {
+    if (!container) return;
+    container.innerHTML = this.webhookEvents.map(event => `
+      <label class="form-label">
+        <input type="checkbox" name="events" value="${event}" ${selected.includes(event) ? 'checked' : ''}>
+        ${event}
+      </label>
+    `).join('');
+  }
+
+  showWebhookEventsModal(webhookId) {
+    const webhook = Object.values(this.webhooks).flat().find(w => w.id === webhookId);
+    if (!webhook) {
+      this.showAlert('Webhook not found', 'error');
+      return;
+    }
+
+    const modal = document.getElementById('webhookEventsModal');
+    document.getElementById('webhookEventsWebhookId').value = webhookId;
+    this.renderEventCheckboxes(document.getElementById('editWebhookEventsOptions'), webhook.events || ['message']);
     modal.classList.add('show');
   }
 
+  async saveWebhookEvents() {
+    const form = document.getElementById('webhookEventsForm');
+    const formData = new FormData(form);
+    const webhookId = formData.get('webhook_id');
+
+    try {
+      const response = await fetch(`/api/webhooks/${webhookId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ events: formData.getAll('events') })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to update webhook events');
+      }
+
+      this.showAlert('Webhook events updated successfully!', 'success');
+      document.getElementById('webhookEventsModal').classList.remove('show');
+      this.updateBodyScrollLock();
+      if (this.currentWebhooksAccountId) {
+        this.manageWebhooks(this.currentWebhooksAccountId);
+      }
+    } catch (error) {
+      this.showAlert('Error updating webhook events: ' + error.message, 'error');
+    }
+  }
+
   async createWebhook() {
     const form = document.getElementById('createWebhookForm');
     const formData = new FormData(form);
@@ -600,7 +1516,9 @@ class Dashboard {
       account_id: formData.get('account_id'),
       url: formData.get('url'),
       secret: formData.get('secret'),
-      is_active: formData.get('is_active') === 'on'
+      is_active: formData.get('is_active') === 'on',
+      legacy_secret_header: formData.get('legacy_secret_header') === 'on',
+      events: formData.getAll('events')
     };
     
     console.log('Creating webhook with data:', webhookData);
@@ -649,6 +1567,25 @@ class Dashboard {
     }
   }
 
+  async setLegacySecretHeader(webhookId, enabled) {
+    try {
+      const response = await fetch(`/api/webhooks/${webhookId}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ legacy_secret_header: enabled })
+      });
+
+      if (!response.ok) throw new Error('Failed to update webhook');
+      
+      this.showAlert('Webhook updated successfully!', 'success');
+      if (this.currentWebhooksAccountId) {
+        this.manageWebhooks(this.currentWebhooksAccountId);
+      }
+    } catch (error) {
+      this.showAlert('Error updating webhook: ' + error.message, 'error');
+    }
+  }
+
   async deleteWebhook(webhookId) {
     if (!confirm('Are you sure you want to delete this webhook?')) return;
 
@@ -764,24 +1701,670 @@ class Dashboard {
         });
       }
 
-      console.log('Response status:', response.status);
+      console.log('Response status:', response.status);
+      if (!response.ok) {
+        const errorData = await response.json();
+        console.error('API Error:', errorData);
+        throw new Error(errorData.error || `HTTP ${response.status}: Failed to send message`);
+      }
+      const result = await response.json();
+      console.log('Send successful:', result);
+      this.showAlert('Message sent successfully!', 'success');
+      this.closeAllModals();
+      form.reset();
+      await this.loadDashboard();
+    } catch (error) {
+      console.error('Error sending message:', error);
+      this.showAlert('Error sending message: ' + error.message, 'error');
+    }
+  }
+
+  // Scheduled Messages
+  showScheduledMessageModal(scheduleId = null) {
+    const modal = document.getElementById('scheduledMessageModal');
+    const form = document.getElementById('scheduledMessageForm');
+    const schedule = scheduleId ? this.scheduledMessages.find(s => s.id === scheduleId) : null;
+
+    form.reset();
+    document.getElementById('scheduleAccountId').innerHTML = this.accounts.map(account => `
+      <option value="${account.id}">${account.name} (${this.formatStatus(account.status)})</option>
+    `).join('');
+
+    const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    document.getElementById('scheduleId').value = schedule ? schedule.id : '';
+    document.getElementById('scheduleTimezone').value = schedule ? schedule.timezone : browserTimezone;
+    document.getElementById('scheduleMediaCurrent').textContent =
+      schedule && schedule.media ? `Current: ${schedule.media.filename || schedule.media.url || 'attached media'}` : '';
+
+    if (schedule) {
+      document.getElementById('scheduleAccountId').value = schedule.account_id;
+      document.getElementById('scheduleNumber').value = schedule.number;
+      document.getElementById('scheduleMessage').value = schedule.message || '';
+      document.getElementById('scheduleCron').value = schedule.cron || '';
+      if (schedule.send_at) {
+        // datetime-local expects local time without timezone suffix
+        const sendAt = new Date(schedule.send_at);
+        sendAt.setMinutes(sendAt.getMinutes() - sendAt.getTimezoneOffset());
+        document.getElementById('scheduleSendAt').value = sendAt.toISOString().slice(0, 16);
+      }
+    }
+
+    const mode = schedule && schedule.cron ? 'cron' : 'once';
+    document.getElementById('scheduleMode').value = mode;
+    this.updateScheduleModeFields(mode);
+
+    modal.querySelector('.modal-title').textContent = schedule ? 'Edit Scheduled Message' : 'Schedule Message';
+    modal.classList.add('show');
+    this.updateBodyScrollLock();
+  }
+
+  updateScheduleModeFields(mode) {
+    document.getElementById('scheduleOnceFields').style.display = mode === 'once' ? 'block' : 'none';
+    document.getElementById('scheduleCronFields').style.display = mode === 'cron' ? 'block' : 'none';
+  }
+
+  async saveScheduledMessage() {
+    const form = document.getElementById('scheduledMessageForm');
+    const formData = new FormData(form);
+    const scheduleId = formData.get('id');
+    const mode = formData.get('mode');
+
+    const payload = {
+      account_id: formData.get('account_id'),
+      number: formData.get('number'),
+      message: formData.get('message') || null
+    };
+
+    if (mode === 'cron') {
+      payload.cron = formData.get('cron');
+      payload.timezone = formData.get('timezone') || 'UTC';
+    } else {
+      const sendAt = formData.get('send_at');
+      payload.send_at = sendAt ? new Date(sendAt).toISOString() : null;
+    }
+
+    try {
+      const mediaFile = document.getElementById('scheduleMediaFile');
+      const file = mediaFile?.files && mediaFile.files[0];
+      if (file) {
+        payload.media = { data: await this.fileToBase64(file), mimetype: file.type, filename: file.name };
+        payload.caption = payload.message || '';
+      }
+
+      const response = await fetch(scheduleId ? `/api/scheduled-messages/${scheduleId}` : '/api/scheduled-messages', {
+        method: scheduleId ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save scheduled message');
+      }
+
+      this.showAlert('Scheduled message saved successfully!', 'success');
+      this.closeAllModals();
+      this.loadScheduledView();
+    } catch (error) {
+      this.showAlert('Error saving scheduled message: ' + error.message, 'error');
+    }
+  }
+
+  async cancelScheduledMessage(scheduleId) {
+    if (!confirm('Are you sure you want to cancel this scheduled message?')) return;
+
+    try {
+      const response = await fetch(`/api/scheduled-messages/${scheduleId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) throw new Error('Failed to cancel scheduled message');
+
+      this.showAlert('Scheduled message cancelled', 'success');
+      this.loadScheduledView();
+    } catch (error) {
+      this.showAlert('Error cancelling scheduled message: ' + error.message, 'error');
+    }
+  }
+
+  // Campaigns
+  showCampaignModal() {
+    const modal = document.getElementById('campaignModal');
+    document.getElementById('campaignForm').reset();
+    document.getElementById('campaignAccountOptions').innerHTML = this.accounts.map(account => `
+      <label class="form-label">
+        <input type="checkbox" name="account_ids" value="${account.id}" ${account.status === 'ready' ? 'checked' : ''}>
+        ${account.name} (${this.formatStatus(account.status)})
+      </label>
+    `).join('');
+    modal.classList.add('show');
+    this.updateBodyScrollLock();
+  }
+
+  async createCampaign() {
+    const form = document.getElementById('campaignForm');
+    const formData = new FormData(form);
+    const csvFile = document.getElementById('campaignCsv').files[0];
+    const mediaFile = document.getElementById('campaignMediaFile').files[0];
+
+    const payload = {
+      name: formData.get('name'),
+      template: formData.get('template'),
+      account_ids: formData.getAll('account_ids'),
+      start: document.getElementById('campaignStartNow').checked
+    };
+
+    if (payload.account_ids.length === 0) {
+      this.showAlert('Select at least one sending account', 'error');
+      return;
+    }
+
+    try {
+      payload.csv = await csvFile.text();
+      if (mediaFile) {
+        payload.media = { data: await this.fileToBase64(mediaFile), mimetype: mediaFile.type, filename: mediaFile.name };
+      }
+
+      const response = await fetch('/api/campaigns', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to create campaign');
+      }
+
+      const campaign = await response.json();
+      const skipped = campaign.skipped_recipients ? ` (${campaign.skipped_recipients} invalid or duplicate rows skipped)` : '';
+      this.showAlert(`Campaign created with ${campaign.total_recipients} recipients${skipped}`, 'success');
+      this.closeAllModals();
+      this.loadCampaignReport(campaign.id);
+    } catch (error) {
+      this.showAlert('Error creating campaign: ' + error.message, 'error');
+    }
+  }
+
+  async campaignAction(campaignId, action) {
+    if (action === 'cancel' && !confirm('Cancel this campaign? Recipients not yet messaged will be skipped.')) return;
+
+    try {
+      const response = await fetch(`/api/campaigns/${campaignId}/${action}`, {
+        method: 'POST'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || `Failed to ${action} campaign`);
+      }
+
+      if (this.currentCampaignId === campaignId) {
+        this.loadCampaignReport(campaignId);
+      } else {
+        this.loadCampaignsView();
+      }
+    } catch (error) {
+      this.showAlert('Error updating campaign: ' + error.message, 'error');
+    }
+  }
+
+  // Live progress pushed over Socket.IO
+  updateCampaignProgress(progress) {
+    if (this.currentView !== 'campaigns') return;
+
+    if (this.currentCampaignId === progress.campaign_id) {
+      this.loadCampaignReport(progress.campaign_id);
+      return;
+    }
+
+    const campaign = this.campaigns.find(c => c.id === progress.campaign_id);
+    if (!this.currentCampaignId && campaign) {
+      Object.assign(campaign, {
+        status: progress.status,
+        sent_count: progress.sent ?? campaign.sent_count,
+        failed_count: progress.failed ?? campaign.failed_count
+      });
+      this.renderCampaignsView(this.accounts, this.campaigns);
+    }
+  }
+
+  renderCampaignActions(campaign) {
+    const actions = {
+      draft: ['start', 'cancel'],
+      running: ['pause', 'cancel'],
+      paused: ['resume', 'cancel']
+    }[campaign.status] || [];
+    const buttons = {
+      start: '<i class="fas fa-play"></i> Start',
+      resume: '<i class="fas fa-play"></i> Resume',
+      pause: '<i class="fas fa-pause"></i> Pause',
+      cancel: '<i class="fas fa-ban"></i> Cancel'
+    };
+    const classes = { start: 'btn-success', resume: 'btn-success', pause: 'btn-warning', cancel: 'btn-danger' };
+
+    return actions.map(action => `
+      <button class="btn btn-sm ${classes[action]}" onclick="dashboard.campaignAction('${campaign.id}', '${action}')">
+        ${buttons[action]}
+      </button>
+    `).join('');
+  }
+
+  renderCampaignProgressBar(campaign) {
+    const total = campaign.total_recipients || 0;
+    const done = (campaign.sent_count || 0) + (campaign.failed_count || 0);
+    const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+    return `
+      <div class="campaign-progress" title="${done} of ${total} processed">
+        <div class="campaign-progress-sent" style="width: ${total > 0 ? (campaign.sent_count / total) * 100 : 0}%"></div>
+        <div class="campaign-progress-failed" style="width: ${total > 0 ? (campaign.failed_count / total) * 100 : 0}%"></div>
+      </div>
+      <small class="text-muted">${percent}% &middot; ${campaign.sent_count || 0} sent, ${campaign.failed_count || 0} failed of ${total}</small>
+    `;
+  }
+
+  formatCampaignStatus(status) {
+    const classes = {
+      running: 'status-ready',
+      paused: 'status-qr_ready',
+      draft: 'status-initializing',
+      completed: 'status-ready',
+      cancelled: 'status-disconnected'
+    };
+    return `<span class="status-badge ${classes[status] || 'status-initializing'}">${status}</span>`;
+  }
+
+  // Account checkboxes for an API key or user; selected null = every account
+  renderAccountScopeOptions(selected) {
+    const all = !Array.isArray(selected);
+    return `
+      <label class="form-label">
+        <input type="checkbox" name="all_accounts" ${all ? 'checked' : ''} onchange="dashboard.toggleAllAccounts(this)">
+        <strong>All accounts</strong>, including ones added later
+      </label>
+      ${this.accounts.map(account => `
+        <label class="form-label">
+          <input type="checkbox" name="account_ids" value="${account.id}" ${!all && selected.includes(account.id) ? 'checked' : ''} ${all ? 'disabled' : ''}>
+          ${account.name}
+        </label>
+      `).join('')}
+    `;
+  }
+
+  toggleAllAccounts(checkbox) {
+    checkbox.closest('.event-options').querySelectorAll('input[name="account_ids"]').forEach(input => {
+      input.disabled = checkbox.checked;
+    });
+  }
+
+  // null (every account) or exactly the checked accounts, which may be none
+  getAccountScope(formData) {
+    return formData.get('all_accounts') ? null : formData.getAll('account_ids');
+  }
+
+  formatAccountScope(accountIds, accountNames) {
+    if (!Array.isArray(accountIds)) return 'All accounts';
+    if (accountIds.length === 0) return '<span class="text-muted">No accounts</span>';
+    return accountIds.map(id => accountNames[id] || id).join(', ');
+  }
+
+  // API Keys
+  showApiKeyModal() {
+    const modal = document.getElementById('apiKeyModal');
+    document.getElementById('apiKeyForm').reset();
+    document.getElementById('apiKeyPermissionOptions').innerHTML = this.apiKeyPermissions.map(permission => `
+      <label class="form-label">
+        <input type="checkbox" name="permissions" value="${permission}" ${permission === 'send' ? 'checked' : ''}>
+        ${permission}
+      </label>
+    `).join('');
+    document.getElementById('apiKeyAccountOptions').innerHTML = this.renderAccountScopeOptions([]);
+    modal.classList.add('show');
+    this.updateBodyScrollLock();
+  }
+
+  async createApiKey() {
+    const formData = new FormData(document.getElementById('apiKeyForm'));
+    const payload = {
+      name: formData.get('name'),
+      permissions: formData.getAll('permissions'),
+      account_ids: this.getAccountScope(formData)
+    };
+
+    try {
+      const response = await fetch('/api/api-keys', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to create API key');
+      }
+
+      const apiKey = await response.json();
+      this.closeAllModals();
+      document.getElementById('apiKeyCreatedValue').value = apiKey.key;
+      document.getElementById('apiKeyCreatedModal').classList.add('show');
+      this.updateBodyScrollLock();
+      this.loadApiKeysView();
+    } catch (error) {
+      this.showAlert('Error creating API key: ' + error.message, 'error');
+    }
+  }
+
+  async revokeApiKey(apiKeyId) {
+    if (!confirm('Revoke this API key? Services using it will stop working immediately.')) return;
+
+    try {
+      const response = await fetch(`/api/api-keys/${apiKeyId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) throw new Error('Failed to revoke API key');
+
+      this.showAlert('API key revoked', 'success');
+      this.loadApiKeysView();
+    } catch (error) {
+      this.showAlert('Error revoking API key: ' + error.message, 'error');
+    }
+  }
+
+  // Users
+  showUserModal(userId = null) {
+    const modal = document.getElementById('userModal');
+    const user = userId ? this.users.find(u => u.id === userId) : null;
+
+    document.getElementById('userForm').reset();
+    document.getElementById('userId').value = user ? user.id : '';
+    document.getElementById('userUsername').value = user ? user.username : '';
+    document.getElementById('userUsername').disabled = !!user;
+    document.getElementById('userPassword').required = !user;
+    document.getElementById('userPasswordHint').textContent = user
+      ? 'Leave blank to keep the current password'
+      : 'At least 8 characters';
+    document.getElementById('userRoleSelect').value = user ? user.role : 'viewer';
+    document.getElementById('userActive').checked = user ? user.is_active : true;
+    document.getElementById('userActiveGroup').style.display = user ? 'block' : 'none';
+
+    document.getElementById('userAccountOptions').innerHTML = this.renderAccountScopeOptions(user ? user.account_ids : []);
+
+    modal.querySelector('.modal-title').textContent = user ? `Edit ${user.username}` : 'Add User';
+    modal.classList.add('show');
+    this.updateBodyScrollLock();
+  }
+
+  async saveUser() {
+    const formData = new FormData(document.getElementById('userForm'));
+    const userId = formData.get('id');
+    const payload = {
+      role: formData.get('role'),
+      account_ids: this.getAccountScope(formData)
+    };
+
+    if (formData.get('password')) payload.password = formData.get('password');
+    if (userId) {
+      payload.is_active = document.getElementById('userActive').checked;
+    } else {
+      payload.username = formData.get('username');
+    }
+
+    try {
+      const response = await fetch(userId ? `/api/users/${userId}` : '/api/users', {
+        method: userId ? 'PATCH' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save user');
+      }
+
+      this.showAlert('User saved successfully!', 'success');
+      this.closeAllModals();
+      this.loadUsersView();
+    } catch (error) {
+      this.showAlert('Error saving user: ' + error.message, 'error');
+    }
+  }
+
+  async deleteUser(userId) {
+    if (!confirm('Are you sure you want to delete this user?')) return;
+
+    try {
+      const response = await fetch(`/api/users/${userId}`, {
+        method: 'DELETE'
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to delete user');
+      }
+
+      this.showAlert('User deleted successfully!', 'success');
+      this.loadUsersView();
+    } catch (error) {
+      this.showAlert('Error deleting user: ' + error.message, 'error');
+    }
+  }
+
+  // Retention
+  showRetentionModal(accountId) {
+    const modal = document.getElementById('retentionModal');
+    const entry = this.retention.accounts.find(a => a.account_id === accountId);
+    if (!modal || !entry) return;
+
+    const policy = entry.policy || {};
+    const defaults = this.retention.defaults;
+    const fields = {
+      retentionIncoming: 'incoming_days',
+      retentionOutgoing: 'outgoing_days',
+      retentionWebhook: 'webhook_days',
+      retentionMedia: 'media_days'
+    };
+
+    document.getElementById('retentionForm').reset();
+    document.getElementById('retentionAccountId').value = accountId;
+    Object.entries(fields).forEach(([id, setting]) => {
+      const input = document.getElementById(id);
+      input.value = policy[setting] ?? '';
+      input.placeholder = `Default: ${this.formatRetentionDays(defaults[setting])}`;
+      if (this.retention.max_chat_days && ['incoming_days', 'outgoing_days'].includes(setting)) {
+        input.min = 1;
+        input.max = this.retention.max_chat_days;
+      }
+    });
+    document.getElementById('retentionAction').value = policy.action || '';
+
+    modal.querySelector('.modal-title').textContent = `Retention: ${entry.name}`;
+    modal.classList.add('show');
+    this.updateBodyScrollLock();
+  }
+
+  async saveRetentionPolicy() {
+    const formData = new FormData(document.getElementById('retentionForm'));
+    const accountId = formData.get('account_id');
+    const payload = {};
+    ['incoming_days', 'outgoing_days', 'webhook_days', 'media_days', 'action'].forEach(name => {
+      payload[name] = formData.get(name) || null;
+    });
+
+    try {
+      const response = await fetch(`/api/retention/accounts/${accountId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to save retention policy');
+      }
+
+      this.showAlert('Retention policy saved', 'success');
+      this.closeAllModals();
+      this.loadRetentionView();
+    } catch (error) {
+      this.showAlert('Error saving retention policy: ' + error.message, 'error');
+    }
+  }
+
+  async resetRetentionPolicy(accountId) {
+    if (!confirm('Use the default retention settings for this account?')) return;
+
+    try {
+      const response = await fetch(`/api/retention/accounts/${accountId}`, { method: 'DELETE' });
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to reset retention policy');
+      }
+
+      this.showAlert('Retention policy reset to defaults', 'success');
+      this.loadRetentionView();
+    } catch (error) {
+      this.showAlert('Error resetting retention policy: ' + error.message, 'error');
+    }
+  }
+
+  async runRetentionNow() {
+    if (!confirm('Purge expired messages and media now? This cannot be undone.')) return;
+
+    try {
+      const response = await fetch('/api/retention/runs', { method: 'POST' });
       if (!response.ok) {
         const errorData = await response.json();
-        console.error('API Error:', errorData);
-        throw new Error(errorData.error || `HTTP ${response.status}: Failed to send message`);
+        throw new Error(errorData.error || 'Failed to start retention run');
       }
+
+      this.showAlert('Retention run started', 'success');
+      this.loadRetentionView();
+    } catch (error) {
+      this.showAlert('Error starting retention run: ' + error.message, 'error');
+    }
+  }
+
+  formatRetentionDays(days) {
+    return days ? `${days} day${days === 1 ? '' : 's'}` : 'Forever';
+  }
+
+  // Audit Log
+  buildAuditQuery(filters) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    return params.toString();
+  }
+
+  // Read the filter form; date inputs are converted to a full-day ISO range
+  readAuditFilters() {
+    const from = document.getElementById('auditFrom').value;
+    const to = document.getElementById('auditTo').value;
+    return {
+      action: document.getElementById('auditAction').value,
+      actor: document.getElementById('auditActor').value.trim(),
+      account_id: document.getElementById('auditAccount').value,
+      from: from ? new Date(`${from}T00:00:00`).toISOString() : '',
+      to: to ? new Date(`${to}T23:59:59.999`).toISOString() : ''
+    };
+  }
+
+  buildLogsQuery(filters, cursor = null) {
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+    });
+    if (cursor) params.set('cursor', cursor);
+    return params.toString();
+  }
+
+  // Read the search form; date inputs are converted to a full-day ISO range
+  readLogFilters() {
+    const from = document.getElementById('logsFrom').value;
+    const to = document.getElementById('logsTo').value;
+    return {
+      q: document.getElementById('logsQuery').value.trim(),
+      account_id: document.getElementById('logsAccount').value,
+      direction: document.getElementById('logsDirection').value,
+      status: document.getElementById('logsStatus').value,
+      type: document.getElementById('logsType').value.trim(),
+      sender: document.getElementById('logsSender').value.trim(),
+      recipient: document.getElementById('logsRecipient').value.trim(),
+      chat_id: document.getElementById('logsChat').value.trim(),
+      is_group: document.getElementById('logsGroup').value,
+      from: from ? new Date(`${from}T00:00:00`).toISOString() : '',
+      to: to ? new Date(`${to}T23:59:59.999`).toISOString() : '',
+      order: document.getElementById('logsOrder').value
+    };
+  }
+
+  applyLogFilters(event) {
+    if (event) event.preventDefault();
+    this.loadLogsView(this.readLogFilters());
+  }
+
+  resetLogFilters() {
+    this.loadLogsView({});
+  }
+
+  // Next page of the current search, appended to the table
+  async loadMoreLogs(button) {
+    button.disabled = true;
+    try {
+      const response = await fetch(`/api/messages?${this.buildLogsQuery(this.logFilters, button.dataset.cursor)}`);
+      if (!response.ok) throw new Error((await response.json()).error || 'Failed to search messages');
+
       const result = await response.json();
-      console.log('Send successful:', result);
-      this.showAlert('Message sent successfully!', 'success');
-      this.closeAllModals();
-      form.reset();
-      await this.loadDashboard();
+      document.getElementById('logsTableBody').insertAdjacentHTML('beforeend', this.renderLogRows(result.messages));
+      button.dataset.cursor = result.next_cursor || '';
+      button.closest('.logs-more').hidden = !result.next_cursor;
     } catch (error) {
-      console.error('Error sending message:', error);
-      this.showAlert('Error sending message: ' + error.message, 'error');
+      this.showAlert('Error loading more logs: ' + error.message, 'error');
+    } finally {
+      button.disabled = false;
     }
   }
 
+  // Exports are per account, with the current search filters
+  exportLogs() {
+    const { account_id: accountId, order, ...filters } = this.readLogFilters();
+    if (!accountId) {
+      this.showAlert('Choose an account to export its logs', 'warning');
+      return;
+    }
+
+    const params = new URLSearchParams(this.buildLogsQuery(filters));
+    params.set('format', document.getElementById('logsExportFormat').value);
+    if (document.getElementById('logsExportMedia').checked) params.set('include_media', 'true');
+    params.set('utc_offset', -new Date().getTimezoneOffset());
+    window.location.href = `/api/accounts/${accountId}/logs/export?${params}`;
+  }
+
+  // Jump from a log row to its conversation in the inbox
+  openChatFromLogs(accountId, chatId) {
+    this.inbox = { ...this.inbox, accountId, chatId, chats: [], messages: [], nextBefore: null };
+    this.navigateTo('messages');
+  }
+
+  applyAuditFilters() {
+    this.loadAuditView(this.readAuditFilters());
+  }
+
+  exportAuditEvents() {
+    window.location.href = `/api/audit-events/export?${this.buildAuditQuery(this.readAuditFilters())}`;
+  }
+
+  // Audit events and messages include unauthenticated input (e.g. failed login usernames)
+  escapeHtml(value) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   // Convert File to base64 data string (no data URL prefix)
   fileToBase64(file) {
     return new Promise((resolve, reject) => {
@@ -926,9 +2509,32 @@ class Dashboard {
 
   updateAccountStatus(data) {
     const account = this.accounts.find(a => a.id === data.accountId);
-    if (account) {
-      account.status = data.status;
+    if (!account) return;
+
+    account.status = data.status;
+    if (data.disabled !== undefined) account.disabled = data.disabled;
+    if (data.phone_number) account.phone_number = data.phone_number;
+    if (data.error_message) account.error_message = data.error_message;
+    if (data.reconnect_attempts !== undefined) account.reconnect_attempts = data.reconnect_attempts;
+    account.next_reconnect_at = data.next_reconnect_at || null;
+    if (data.status === 'ready') account.reconnect_attempts = 0;
+    if (data.status !== 'qr_ready') account.qr_code = null;
+
+    // Scanned: the QR code is no longer needed
+    if (data.status === 'ready' && this.isQRModalOpen(data.accountId)) {
+      document.getElementById('qrModal').classList.remove('show');
+      this.updateBodyScrollLock();
+      this.showAlert(`${this.escapeHtml(account.name)} is connected`, 'success');
+    }
+    this.renderAccountLists();
+  }
+
+  // Re-render whichever view lists accounts and their status
+  renderAccountLists() {
+    if (this.currentView === 'dashboard') {
       this.renderAccountsTable(this.accounts);
+    } else if (this.currentView === 'accounts') {
+      this.renderAccountsView(this.accounts);
     }
   }
 
@@ -943,7 +2549,7 @@ class Dashboard {
           <span class="message-direction">${message.direction}</span>
           <span class="message-time">${this.formatDate(message.created_at)}</span>
         </div>
-        <div class="message-content">${message.message}</div>
+        <div class="message-content">${this.escapeHtml(message.message)}</div>
       `;
       
       messagesContainer.insertBefore(messageEl, messagesContainer.firstChild);
@@ -956,9 +2562,11 @@ class Dashboard {
     }
   }
 
+  // Only deliveries that have given up are worth interrupting for; retries are in the Logs view
   updateWebhookStatus(data) {
-    // Update webhook delivery status in real-time
-    console.log('Webhook delivery:', data);
+    if (data.status === 'failed' && !data.will_retry) {
+      this.showAlert(`Webhook delivery to ${this.escapeHtml(data.webhook_url)} failed: ${this.escapeHtml(data.error_message)}`, 'error');
+    }
   }
 
   // View rendering functions
@@ -973,9 +2581,11 @@ class Dashboard {
       </div>
       
       <div class="content-actions">
-        <button class="btn btn-primary" onclick="dashboard.showCreateAccountModal()">
-          <i class="fas fa-plus"></i> Create Account
-        </button>
+        ${this.can('admin') ? `
+          <button class="btn btn-primary" onclick="dashboard.showCreateAccountModal()">
+            <i class="fas fa-plus"></i> Create Account
+          </button>
+        ` : ''}
       </div>
       
       <div class="table-container">
@@ -1005,6 +2615,7 @@ class Dashboard {
                   <span class="status-badge status-${account.status}">
                     ${this.formatStatus(account.status)}
                   </span>
+                  ${this.renderReconnectInfo(account)}
                 </td>
                 <td>${account.phone_number || 'Not connected'}</td>
                 <td>${this.formatDate(account.created_at)}</td>
@@ -1021,6 +2632,7 @@ class Dashboard {
                     <button class="btn btn-sm btn-success" onclick="dashboard.sendMessageModal('${account.id}')">
                       <i class="fas fa-paper-plane"></i> Send
                     </button>
+                    ${this.renderLifecycleButtons(account)}
                     <button class="btn btn-sm btn-danger" onclick="dashboard.deleteAccount('${account.id}')">
                       <i class="fas fa-trash"></i>
                     </button>
@@ -1095,108 +2707,857 @@ class Dashboard {
     `;
   }
 
-  renderMessagesView(accounts, messages) {
+  renderMessagesView(accounts) {
     const contentContainer = document.getElementById('mainContent');
     if (!contentContainer) return;
 
     contentContainer.innerHTML = `
       <div class="content-header">
-        <h2>Recent Messages</h2>
-        <p>View recent messages from all accounts</p>
+        <h2>Inbox</h2>
+        <p>Conversations of each account, updated live</p>
       </div>
-      
-      <div class="messages-grid">
-        ${accounts.map(account => `
-          <div class="message-account-card">
-            <div class="card-header">
-              <h3>${account.name}</h3>
-              <div class="text-muted" style="font-size: 0.8em; margin-top: 2px;">
-                <i class="fas fa-fingerprint"></i> ID: ${account.id}
-              </div>
-              <span class="status-badge status-${account.status}">
-                ${this.formatStatus(account.status)}
-              </span>
-            </div>
-            
-            <div class="message-list">
-              ${(messages[account.id] || []).slice(0, 10).map(message => `
-                <div class="message-item">
-                  <div class="message-header">
-                    <span class="message-direction ${message.direction}">${message.direction}</span>
-                    <span class="message-time">${this.formatDate(message.created_at)}</span>
-                  </div>
-                  <div class="message-content">${message.message || 'No content'}</div>
-                  <div class="message-status">
-                    <span class="status-badge ${message.status === 'success' ? 'status-ready' : 'status-disconnected'}">
-                      ${message.status}
-                    </span>
-                  </div>
-                </div>
-              `).join('')}
-              
-              ${(messages[account.id] || []).length === 0 ? 
-                '<div class="text-center text-muted">No messages yet</div>' : ''
-              }
-            </div>
+
+      <div class="content-actions">
+        <select class="form-input inbox-account-select" onchange="dashboard.selectInboxAccount(this.value)">
+          ${accounts.map(account => `
+            <option value="${account.id}" ${account.id === this.inbox.accountId ? 'selected' : ''}>
+              ${this.escapeHtml(account.name)} (${this.formatStatus(account.status)})
+            </option>
+          `).join('')}
+        </select>
+      </div>
+
+      ${accounts.length === 0 ? '<div class="text-center text-muted">No accounts yet</div>' : `
+        <div class="inbox">
+          <div class="inbox-sidebar">
+            <input type="search" class="form-input inbox-search" placeholder="Search chats"
+                   value="${this.escapeHtml(this.inbox.search)}" oninput="dashboard.filterInboxChats(this.value)">
+            <div class="inbox-chat-list" id="inboxChatList"></div>
           </div>
-        `).join('')}
+          <div class="inbox-thread" id="inboxThread"></div>
+        </div>
+      `}
+    `;
+
+    this.renderInboxChatList();
+    this.renderInboxThread();
+  }
+
+  renderInboxChatList() {
+    const container = document.getElementById('inboxChatList');
+    if (!container) return;
+
+    const search = this.inbox.search.trim().toLowerCase();
+    const chats = this.inbox.chats.filter(chat => !search ||
+      chat.name.toLowerCase().includes(search) || chat.chat_id.toLowerCase().includes(search));
+
+    if (chats.length === 0) {
+      container.innerHTML = `<div class="text-center text-muted">${search ? 'No matching chats' : 'No conversations yet'}</div>`;
+      return;
+    }
+
+    container.innerHTML = chats.map(chat => `
+      <div class="inbox-chat ${chat.chat_id === this.inbox.chatId ? 'active' : ''}"
+           data-chat-id="${this.escapeHtml(chat.chat_id)}" onclick="dashboard.openInboxChat(this.dataset.chatId)">
+        <div class="inbox-chat-avatar"><i class="fas ${chat.is_group ? 'fa-users' : 'fa-user'}"></i></div>
+        <div class="inbox-chat-body">
+          <div class="inbox-chat-header">
+            <span class="inbox-chat-name">${this.escapeHtml(chat.name)}</span>
+            <span class="inbox-chat-time">${this.formatInboxTime(chat.last_message_at)}</span>
+          </div>
+          <div class="inbox-chat-preview">
+            <span>${chat.last_message.direction === 'outgoing' ? '<i class="fas fa-reply"></i> ' : ''}${this.escapeHtml(chat.last_message.message)}</span>
+            ${chat.unread_count > 0 ? `<span class="inbox-unread">${chat.unread_count}</span>` : ''}
+          </div>
+        </div>
+      </div>
+    `).join('');
+  }
+
+  renderInboxThread({ scrollToBottom = true } = {}) {
+    const container = document.getElementById('inboxThread');
+    if (!container) return;
+
+    const chat = this.inbox.chats.find(c => c.chat_id === this.inbox.chatId);
+    if (!this.inbox.chatId) {
+      container.innerHTML = '<div class="inbox-empty text-muted"><i class="fas fa-comments"></i><p>Select a conversation</p></div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="inbox-thread-header">
+        <div>
+          <strong>${this.escapeHtml(chat ? chat.name : this.formatChatId(this.inbox.chatId))}</strong>
+          <span class="text-muted">${this.escapeHtml(this.inbox.chatId)}</span>
+        </div>
+        <a class="btn btn-sm btn-secondary" title="Download this conversation as a transcript"
+           href="/api/accounts/${this.inbox.accountId}/logs/export?format=txt&chat_id=${encodeURIComponent(this.inbox.chatId)}&utc_offset=${-new Date().getTimezoneOffset()}">
+          <i class="fas fa-file-export"></i> Export
+        </a>
+      </div>
+      <div class="inbox-messages" id="inboxMessages">
+        ${this.inbox.nextBefore ? `
+          <div class="text-center">
+            <button class="btn btn-sm btn-secondary" onclick="dashboard.loadOlderInboxMessages()">Load older messages</button>
+          </div>
+        ` : ''}
+        ${this.inbox.messages.map(message => this.renderInboxBubble(message, chat)).join('')}
+      </div>
+      ${this.can('send') ? `
+        <form class="inbox-reply" onsubmit="dashboard.sendInboxReply(event)">
+          <label class="btn btn-sm btn-secondary inbox-attach" title="Attach a file">
+            <i class="fas fa-paperclip"></i>
+            <input type="file" name="file" hidden onchange="this.parentElement.classList.toggle('has-file', this.files.length > 0)">
+          </label>
+          <textarea name="message" class="form-input" rows="1" placeholder="Type a reply"
+                    onkeydown="if (event.key === 'Enter' && !event.shiftKey) { event.preventDefault(); this.form.requestSubmit(); }"></textarea>
+          <button type="submit" class="btn btn-primary"><i class="fas fa-paper-plane"></i></button>
+        </form>
+      ` : ''}
+    `;
+
+    if (scrollToBottom) {
+      const messages = document.getElementById('inboxMessages');
+      messages.scrollTop = messages.scrollHeight;
+    }
+  }
+
+  renderInboxBubble(message, chat) {
+    const author = chat?.is_group && message.direction === 'incoming'
+      ? `<div class="inbox-bubble-author">${this.escapeHtml(message.contact_name || message.sender)}</div>`
+      : '';
+
+    return `
+      <div class="inbox-bubble ${message.direction}">
+        ${author}
+        ${this.renderInboxMedia(message)}
+        ${message.message ? `<div class="inbox-bubble-text">${this.escapeHtml(message.message)}</div>` : ''}
+        <div class="inbox-bubble-meta">
+          ${message.status === 'failed' ? `<span class="status-badge status-disconnected" title="${this.escapeHtml(message.error_message)}">failed</span>` : ''}
+          ${this.renderAckBadge(message)}
+          <span>${new Date(message.created_at).toLocaleString()}</span>
+        </div>
       </div>
     `;
   }
 
-  renderLogsView(accounts, logs) {
+  // Images, audio and video stored with the message are previewed; anything else is a download link
+  renderInboxMedia(message) {
+    const media = message.media;
+    if (!media) return '';
+
+    const filename = this.escapeHtml(media.filename || media.mimetype || 'Attachment');
+    if (!media.has_data) {
+      return `<div class="inbox-attachment"><i class="fas fa-paperclip"></i> ${filename}</div>`;
+    }
+
+    const url = `/api/messages/${message.id}/media`;
+    const mimetype = media.mimetype || '';
+    if (mimetype.startsWith('image/') && mimetype !== 'image/svg+xml') {
+      return `<a href="${url}" target="_blank" rel="noopener"><img class="inbox-media" src="${url}" alt="${filename}" loading="lazy"></a>`;
+    }
+    if (mimetype.startsWith('video/')) {
+      return `<video class="inbox-media" src="${url}" controls preload="metadata"></video>`;
+    }
+    if (mimetype.startsWith('audio/')) {
+      return `<audio src="${url}" controls preload="none"></audio>`;
+    }
+    return `<a class="inbox-attachment" href="${url}"><i class="fas fa-file-download"></i> ${filename}</a>`;
+  }
+
+  // Time today, otherwise the date
+  formatInboxTime(dateString) {
+    if (!dateString) return '';
+    const date = new Date(dateString);
+    return date.toDateString() === new Date().toDateString() ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) : date.toLocaleDateString();
+  }
+
+  // 919876543210@c.us -> +919876543210
+  formatChatId(chatId) {
+    const [user, server] = chatId.split('@');
+    return server === 'c.us' ? `+${user}` : chatId;
+  }
+
+  renderScheduledView(accounts, schedules) {
+    const contentContainer = document.getElementById('mainContent');
+    if (!contentContainer) return;
+
+    const accountNames = Object.fromEntries(accounts.map(a => [a.id, a.name]));
+
+    contentContainer.innerHTML = `
+      <div class="content-header">
+        <h2>Scheduled Messages</h2>
+        <p>One-off and recurring messages sent automatically</p>
+      </div>
+      
+      <div class="content-actions">
+        <button class="btn btn-primary" onclick="dashboard.showScheduledMessageModal()">
+          <i class="fas fa-plus"></i> Schedule Message
+        </button>
+      </div>
+      
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Account</th>
+              <th>Recipient</th>
+              <th>Message</th>
+              <th>Schedule</th>
+              <th>Next Run</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${schedules.map(schedule => `
+              <tr>
+                <td>${accountNames[schedule.account_id] || schedule.account_id}</td>
+                <td>${schedule.number}</td>
+                <td>
+                  ${schedule.media ? '<i class="fas fa-paperclip"></i> ' : ''}${schedule.message || schedule.caption || ''}
+                </td>
+                <td>
+                  ${schedule.cron
+                    ? `<code>${schedule.cron}</code> <span class="text-muted">(${schedule.timezone})</span>`
+                    : `Once: ${new Date(schedule.send_at).toLocaleString()}`}
+                </td>
+                <td>${schedule.next_run_at ? new Date(schedule.next_run_at).toLocaleString() : '-'}</td>
+                <td>
+                  <span class="status-badge ${schedule.status === 'active' ? 'status-ready' : schedule.status === 'completed' ? 'status-qr_ready' : schedule.status === 'failed' ? 'status-auth_failed' : 'status-disconnected'}">
+                    ${schedule.status}
+                  </span>
+                  ${schedule.run_count ? `<div class="text-muted" style="font-size: 0.8em;">Sent ${schedule.run_count}x</div>` : ''}
+                  ${schedule.last_error ? `<div class="log-error">${schedule.last_error}</div>` : ''}
+                </td>
+                <td>
+                  <div class="btn-group">
+                    ${schedule.status !== 'cancelled' ? `
+                      <button class="btn btn-sm btn-secondary" onclick="dashboard.showScheduledMessageModal('${schedule.id}')">
+                        <i class="fas fa-edit"></i>
+                      </button>
+                      <button class="btn btn-sm btn-danger" onclick="dashboard.cancelScheduledMessage('${schedule.id}')">
+                        <i class="fas fa-ban"></i>
+                      </button>
+                    ` : ''}
+                  </div>
+                </td>
+              </tr>
+            `).join('')}
+            ${schedules.length === 0 ? `
+              <tr>
+                <td colspan="7" class="text-center text-muted">No scheduled messages</td>
+              </tr>
+            ` : ''}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  renderCampaignsView(accounts, campaigns) {
+    const contentContainer = document.getElementById('mainContent');
+    if (!contentContainer) return;
+
+    const accountNames = Object.fromEntries(accounts.map(a => [a.id, a.name]));
+
+    contentContainer.innerHTML = `
+      <div class="content-header">
+        <h2>Campaigns</h2>
+        <p>Throttled bulk broadcasts to opted-in recipients</p>
+      </div>
+      
+      <div class="content-actions">
+        <button class="btn btn-primary" onclick="dashboard.showCampaignModal()">
+          <i class="fas fa-plus"></i> New Campaign
+        </button>
+      </div>
+      
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Campaign</th>
+              <th>Accounts</th>
+              <th>Status</th>
+              <th>Progress</th>
+              <th>Created</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${campaigns.map(campaign => `
+              <tr>
+                <td><a href="#" onclick="dashboard.loadCampaignReport('${campaign.id}'); return false;">${campaign.name}</a></td>
+                <td>${(campaign.account_ids || []).map(id => accountNames[id] || id).join(', ')}</td>
+                <td>${this.formatCampaignStatus(campaign.status)}</td>
+                <td style="min-width: 200px;">${this.renderCampaignProgressBar(campaign)}</td>
+                <td>${new Date(campaign.created_at).toLocaleString()}</td>
+                <td>
+                  <div class="btn-group">
+                    <button class="btn btn-sm btn-secondary" onclick="dashboard.loadCampaignReport('${campaign.id}')">
+                      <i class="fas fa-chart-bar"></i> Report
+                    </button>
+                    ${this.renderCampaignActions(campaign)}
+                  </div>
+                </td>
+              </tr>
+            `).join('')}
+            ${campaigns.length === 0 ? `
+              <tr>
+                <td colspan="6" class="text-center text-muted">No campaigns yet</td>
+              </tr>
+            ` : ''}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  renderCampaignReport(campaign, recipients) {
+    const contentContainer = document.getElementById('mainContent');
+    if (!contentContainer) return;
+
+    const accountNames = Object.fromEntries(this.accounts.map(a => [a.id, a.name]));
+    const counts = campaign.counts || {};
+
+    contentContainer.innerHTML = `
+      <div class="content-header">
+        <h2>${campaign.name}</h2>
+        <p>${this.formatCampaignStatus(campaign.status)}
+          ${campaign.started_at ? `Started ${new Date(campaign.started_at).toLocaleString()}` : 'Not started'}
+          ${campaign.completed_at ? ` &middot; Finished ${new Date(campaign.completed_at).toLocaleString()}` : ''}
+        </p>
+      </div>
+      
+      <div class="content-actions">
+        <button class="btn btn-secondary" onclick="dashboard.loadCampaignsView()">
+          <i class="fas fa-arrow-left"></i> All Campaigns
+        </button>
+        ${this.renderCampaignActions(campaign)}
+      </div>
+      
+      <div class="stats-grid">
+        <div class="stat-card"><div class="stat-number">${campaign.total_recipients}</div><div class="stat-label">Recipients</div></div>
+        <div class="stat-card"><div class="stat-number">${counts.sent || 0}</div><div class="stat-label">Sent</div></div>
+        <div class="stat-card"><div class="stat-number">${counts.failed || 0}</div><div class="stat-label">Failed</div></div>
+        ${counts.unconfirmed ? `<div class="stat-card"><div class="stat-number">${counts.unconfirmed}</div><div class="stat-label">Unconfirmed</div></div>` : ''}
+        <div class="stat-card"><div class="stat-number">${(counts.pending || 0) + (counts.sending || 0)}</div><div class="stat-label">Remaining</div></div>
+      </div>
+      
+      <div class="card">
+        ${this.renderCampaignProgressBar(campaign)}
+        <pre class="campaign-template">${campaign.template}</pre>
+        ${campaign.media ? `<small class="text-muted"><i class="fas fa-paperclip"></i> ${campaign.media.filename || campaign.media.url || campaign.media.mimetype}</small>` : ''}
+      </div>
+      
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Number</th>
+              <th>Status</th>
+              <th>Account</th>
+              <th>Attempts</th>
+              <th>Sent At</th>
+              <th>Error</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${recipients.map(recipient => `
+              <tr>
+                <td>${recipient.number}</td>
+                <td><span class="status-badge ${recipient.status === 'sent' ? 'status-ready' : recipient.status === 'failed' || recipient.status === 'cancelled' ? 'status-disconnected' : 'status-initializing'}">${recipient.status}</span></td>
+                <td>${recipient.account_id ? (accountNames[recipient.account_id] || recipient.account_id) : '-'}</td>
+                <td>${recipient.attempts || 0}</td>
+                <td>${recipient.sent_at ? new Date(recipient.sent_at).toLocaleString() : '-'}</td>
+                <td>${recipient.error_message ? `<span class="log-error">${recipient.error_message}</span>` : ''}</td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  renderApiKeysView(accounts, apiKeys) {
+    const contentContainer = document.getElementById('mainContent');
+    if (!contentContainer) return;
+
+    const accountNames = Object.fromEntries(accounts.map(a => [a.id, a.name]));
+
+    contentContainer.innerHTML = `
+      <div class="content-header">
+        <h2>API Keys</h2>
+        <p>Programmatic access with <code>Authorization: Bearer &lt;key&gt;</code></p>
+      </div>
+      
+      <div class="content-actions">
+        <button class="btn btn-primary" onclick="dashboard.showApiKeyModal()">
+          <i class="fas fa-plus"></i> Create API Key
+        </button>
+      </div>
+      
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Key</th>
+              <th>Permissions</th>
+              <th>Accounts</th>
+              <th>Last Used</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${apiKeys.map(apiKey => `
+              <tr>
+                <td>${apiKey.name}</td>
+                <td><code>${apiKey.key_prefix}&hellip;</code></td>
+                <td>${(apiKey.permissions || []).join(', ')}</td>
+                <td>${this.formatAccountScope(apiKey.account_ids, accountNames)}</td>
+                <td>
+                  ${apiKey.last_used_at ? new Date(apiKey.last_used_at).toLocaleString() : 'Never'}
+                  ${apiKey.last_used_ip ? `<div class="text-muted" style="font-size: 0.8em;">${apiKey.last_used_ip}</div>` : ''}
+                </td>
+                <td>
+                  <span class="status-badge ${apiKey.revoked_at ? 'status-disconnected' : 'status-ready'}">
+                    ${apiKey.revoked_at ? 'revoked' : 'active'}
+                  </span>
+                </td>
+                <td>
+                  ${apiKey.revoked_at ? '' : `
+                    <button class="btn btn-sm btn-danger" onclick="dashboard.revokeApiKey('${apiKey.id}')">
+                      <i class="fas fa-ban"></i> Revoke
+                    </button>
+                  `}
+                </td>
+              </tr>
+            `).join('')}
+            ${apiKeys.length === 0 ? `
+              <tr>
+                <td colspan="7" class="text-center text-muted">No API keys yet</td>
+              </tr>
+            ` : ''}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  renderUsersView(accounts, users) {
+    const contentContainer = document.getElementById('mainContent');
+    if (!contentContainer) return;
+
+    const accountNames = Object.fromEntries(accounts.map(a => [a.id, a.name]));
+
+    contentContainer.innerHTML = `
+      <div class="content-header">
+        <h2>Users</h2>
+        <p>Dashboard logins, roles and account access</p>
+      </div>
+      
+      <div class="content-actions">
+        <button class="btn btn-primary" onclick="dashboard.showUserModal()">
+          <i class="fas fa-plus"></i> Add User
+        </button>
+      </div>
+      
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Username</th>
+              <th>Role</th>
+              <th>Accounts</th>
+              <th>Status</th>
+              <th>Last Login</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${users.map(user => `
+              <tr>
+                <td>${user.username}${user.id === this.currentUser?.id ? ' <span class="text-muted">(you)</span>' : ''}</td>
+                <td>${user.role}</td>
+                <td>${user.role === 'admin' ? 'All accounts' : this.formatAccountScope(user.account_ids, accountNames)}</td>
+                <td>
+                  <span class="status-badge ${user.is_active ? 'status-ready' : 'status-disconnected'}">
+                    ${user.is_active ? 'active' : 'disabled'}
+                  </span>
+                </td>
+                <td>${user.last_login_at ? new Date(user.last_login_at).toLocaleString() : 'Never'}</td>
+                <td>
+                  <div class="btn-group">
+                    <button class="btn btn-sm btn-secondary" onclick="dashboard.showUserModal('${user.id}')">
+                      <i class="fas fa-edit"></i>
+                    </button>
+                    ${user.id !== this.currentUser?.id ? `
+                      <button class="btn btn-sm btn-danger" onclick="dashboard.deleteUser('${user.id}')">
+                        <i class="fas fa-trash"></i>
+                      </button>
+                    ` : ''}
+                  </div>
+                </td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  renderAuditView(accounts, events, filters) {
+    const contentContainer = document.getElementById('mainContent');
+    if (!contentContainer) return;
+
+    const accountNames = Object.fromEntries(accounts.map(a => [a.id, a.name]));
+    const actions = ['auth', 'account', 'webhook', 'webhook_delivery', 'message', 'job', 'schedule', 'campaign', 'user', 'api_key', 'retention'];
+    const toDateInput = (iso) => {
+      if (!iso) return '';
+      const date = new Date(iso);
+      date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+      return date.toISOString().slice(0, 10);
+    };
+    const actorIcons = { user: 'fa-user', api_key: 'fa-key', anonymous: 'fa-user-secret' };
+
+    contentContainer.innerHTML = `
+      <div class="content-header">
+        <h2>Audit Log</h2>
+        <p>Who changed accounts, webhooks, users and API keys, and who sent messages</p>
+      </div>
+      
+      <div class="content-actions audit-filters">
+        <select id="auditAction" class="form-input">
+          <option value="">All actions</option>
+          ${actions.map(action => `<option value="${action}." ${filters.action === `${action}.` ? 'selected' : ''}>${action}.*</option>`).join('')}
+        </select>
+        <input type="text" id="auditActor" class="form-input" placeholder="Actor" value="${this.escapeHtml(filters.actor)}">
+        <select id="auditAccount" class="form-input">
+          <option value="">All accounts</option>
+          ${accounts.map(account => `<option value="${account.id}" ${filters.account_id === account.id ? 'selected' : ''}>${account.name}</option>`).join('')}
+        </select>
+        <input type="date" id="auditFrom" class="form-input" value="${toDateInput(filters.from)}" title="From">
+        <input type="date" id="auditTo" class="form-input" value="${toDateInput(filters.to)}" title="To">
+        <button class="btn btn-primary" onclick="dashboard.applyAuditFilters()">
+          <i class="fas fa-filter"></i> Filter
+        </button>
+        <button class="btn btn-secondary" onclick="dashboard.exportAuditEvents()">
+          <i class="fas fa-file-csv"></i> Export CSV
+        </button>
+      </div>
+      
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Actor</th>
+              <th>Action</th>
+              <th>Target</th>
+              <th>Account</th>
+              <th>Source</th>
+              <th>Changes</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${events.map(event => `
+              <tr>
+                <td>${new Date(event.created_at).toLocaleString()}</td>
+                <td><i class="fas ${actorIcons[event.actor_type] || 'fa-user'}" title="${event.actor_type}"></i> ${this.escapeHtml(event.actor_name || event.actor_id || '-')}</td>
+                <td><code>${this.escapeHtml(event.action)}</code></td>
+                <td>${event.target_type ? `${this.escapeHtml(event.target_type)} <span class="text-muted">${this.escapeHtml(event.target_id)}</span>` : '-'}</td>
+                <td>${event.account_id ? (accountNames[event.account_id] || event.account_id) : '-'}</td>
+                <td>
+                  ${this.escapeHtml(event.ip || '-')}
+                  ${event.user_agent ? `<div class="text-muted" style="font-size: 0.8em;" title="${this.escapeHtml(event.user_agent)}">${this.escapeHtml(event.user_agent.slice(0, 40))}</div>` : ''}
+                </td>
+                <td>
+                  ${event.before || event.after ? `
+                    <details class="audit-changes">
+                      <summary>View</summary>
+                      ${event.before ? `<div><strong>Before</strong><pre>${this.escapeHtml(JSON.stringify(event.before, null, 2))}</pre></div>` : ''}
+                      ${event.after ? `<div><strong>After</strong><pre>${this.escapeHtml(JSON.stringify(event.after, null, 2))}</pre></div>` : ''}
+                    </details>
+                  ` : ''}
+                </td>
+              </tr>
+            `).join('')}
+            ${events.length === 0 ? `
+              <tr>
+                <td colspan="7" class="text-center text-muted">No audit events match these filters</td>
+              </tr>
+            ` : ''}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  renderRetentionView(overview, runs) {
+    const contentContainer = document.getElementById('mainContent');
+    if (!contentContainer) return;
+
+    const settings = ['incoming_days', 'outgoing_days', 'webhook_days', 'media_days'];
+    const runStatus = { running: 'status-initializing', completed: 'status-ready', failed: 'status-auth_failed' };
+    const days = (effective, policy, setting) => {
+      const label = this.formatRetentionDays(effective[setting]);
+      return policy && policy[setting] !== null && policy[setting] !== undefined ? `<strong>${label}</strong>` : label;
+    };
+    const duration = (run) => {
+      if (!run.finished_at) return '-';
+      const seconds = Math.round((new Date(run.finished_at) - new Date(run.started_at)) / 1000);
+      return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    };
+    const defaults = overview.defaults;
+
+    contentContainer.innerHTML = `
+      <div class="content-header">
+        <h2>Retention</h2>
+        <p>
+          By default incoming messages are kept ${this.formatRetentionDays(defaults.incoming_days)}, outgoing ${this.formatRetentionDays(defaults.outgoing_days)},
+          webhook logs ${this.formatRetentionDays(defaults.webhook_days)} and media ${this.formatRetentionDays(defaults.media_days)}; expired messages are ${defaults.action === 'archive' ? 'archived, then deleted' : 'deleted'}.
+          ${overview.max_chat_days ? `Chats are never kept longer than ${overview.max_chat_days} days.` : ''}
+          The job runs every ${Math.round(overview.interval_ms / 60000)} minutes.
+        </p>
+      </div>
+      
+      <div class="content-actions">
+        <button class="btn btn-danger" onclick="dashboard.runRetentionNow()" ${overview.running ? 'disabled' : ''}>
+          <i class="fas fa-broom"></i> ${overview.running ? 'Run in progress...' : 'Run Now'}
+        </button>
+        <button class="btn btn-secondary" onclick="dashboard.loadRetentionView()">
+          <i class="fas fa-sync"></i> Refresh
+        </button>
+      </div>
+      
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Account</th>
+              <th>Incoming</th>
+              <th>Outgoing</th>
+              <th>Webhook logs</th>
+              <th>Media</th>
+              <th>Expired messages</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${overview.accounts.map(({ account_id, name, policy, effective }) => `
+              <tr>
+                <td>${this.escapeHtml(name)}${policy ? '' : ' <span class="text-muted">(defaults)</span>'}</td>
+                ${settings.map(setting => `<td>${days(effective, policy, setting)}</td>`).join('')}
+                <td>${effective.action === 'archive' ? 'Archive' : 'Delete'}</td>
+                <td>
+                  <div class="btn-group">
+                    <button class="btn btn-sm btn-secondary" onclick="dashboard.showRetentionModal('${account_id}')" title="Edit policy">
+                      <i class="fas fa-edit"></i>
+                    </button>
+                    ${policy ? `
+                      <button class="btn btn-sm btn-secondary" onclick="dashboard.resetRetentionPolicy('${account_id}')" title="Use defaults">
+                        <i class="fas fa-undo"></i>
+                      </button>
+                    ` : ''}
+                  </div>
+                </td>
+              </tr>
+            `).join('')}
+            ${overview.accounts.length === 0 ? `
+              <tr>
+                <td colspan="7" class="text-center text-muted">No accounts</td>
+              </tr>
+            ` : ''}
+          </tbody>
+        </table>
+      </div>
+      
+      <h3 class="retention-runs-title">Run history</h3>
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Started</th>
+              <th>Trigger</th>
+              <th>Status</th>
+              <th>Deleted</th>
+              <th>Archived</th>
+              <th>Media removed</th>
+              <th>Files deleted</th>
+              <th>Duration</th>
+              <th>Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${runs.map(run => `
+              <tr>
+                <td>${new Date(run.started_at).toLocaleString()}</td>
+                <td>${run.triggered_by}</td>
+                <td><span class="status-badge ${runStatus[run.status] || ''}">${run.status}</span></td>
+                <td>${run.deleted_count || 0}</td>
+                <td>${run.archived_count || 0}</td>
+                <td>${run.media_purged_count || 0}</td>
+                <td>${run.media_files_deleted || 0}</td>
+                <td>${duration(run)}</td>
+                <td>
+                  ${run.error_message ? `<span class="retention-error">${this.escapeHtml(run.error_message)}</span>` : ''}
+                  ${run.details && Object.keys(run.details.accounts || {}).length > 0 ? `
+                    <details class="audit-changes">
+                      <summary>Per account</summary>
+                      <pre>${this.escapeHtml(JSON.stringify(run.details, null, 2))}</pre>
+                    </details>
+                  ` : ''}
+                </td>
+              </tr>
+            `).join('')}
+            ${runs.length === 0 ? `
+              <tr>
+                <td colspan="9" class="text-center text-muted">The retention job hasn't run yet</td>
+              </tr>
+            ` : ''}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  renderLogsView(accounts, result, filters) {
     const contentContainer = document.getElementById('mainContent');
     if (!contentContainer) return;
 
+    const toDateInput = (iso) => {
+      if (!iso) return '';
+      const date = new Date(iso);
+      date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+      return date.toISOString().slice(0, 10);
+    };
+    const options = (values, selected) => values
+      .map(([value, label]) => `<option value="${value}" ${selected === value ? 'selected' : ''}>${label}</option>`)
+      .join('');
+
     contentContainer.innerHTML = `
       <div class="content-header">
         <h2>System Logs</h2>
-        <p>View detailed logs for all accounts</p>
+        <p>Search messages and webhook deliveries across all accounts</p>
       </div>
-      
-      <div class="logs-grid">
-        ${accounts.map(account => `
-          <div class="log-account-card">
-            <div class="card-header">
-              <h3>${account.name}</h3>
-              <div class="text-muted" style="font-size: 0.8em; margin-top: 2px;">
-                <i class="fas fa-fingerprint"></i> ID: ${account.id}
-              </div>
-              <span class="status-badge status-${account.status}">
-                ${this.formatStatus(account.status)}
-              </span>
-            </div>
-            
-            <div class="log-list">
-              ${(logs[account.id] || []).map(log => `
-                <div class="log-item">
-                  <div class="log-header">
-                    <span class="log-direction ${log.direction}">${log.direction}</span>
-                    <span class="log-time">${this.formatDate(log.created_at)}</span>
-                  </div>
-                  <div class="log-content">${log.message || 'No content'}</div>
-                  <div class="log-status">
-                    <span class="status-badge ${log.status === 'success' ? 'status-ready' : 'status-disconnected'}">
-                      ${log.status}
-                    </span>
-                  </div>
-                  ${log.error_message ? `
-                    <div class="log-error">
-                      <strong>Error:</strong> ${log.error_message}
-                    </div>
-                  ` : ''}
-                </div>
-              `).join('')}
-              
-              ${(logs[account.id] || []).length === 0 ? 
-                '<div class="text-center text-muted">No logs available</div>' : ''
-              }
-            </div>
-          </div>
-        `).join('')}
+
+      <form class="content-actions logs-filters" onsubmit="dashboard.applyLogFilters(event)">
+        <input type="search" id="logsQuery" class="form-input logs-query" placeholder='Search message text ("exact phrase", -exclude)' value="${this.escapeHtml(filters.q)}">
+        <select id="logsAccount" class="form-input">
+          <option value="">All accounts</option>
+          ${accounts.map(account => `<option value="${account.id}" ${filters.account_id === account.id ? 'selected' : ''}>${this.escapeHtml(account.name)}</option>`).join('')}
+        </select>
+        <select id="logsDirection" class="form-input">
+          ${options([['', 'All directions'], ['incoming', 'Incoming'], ['outgoing', 'Outgoing'], ['webhook', 'Webhook'], ['webhook_incoming', 'Webhook incoming']], filters.direction || '')}
+        </select>
+        <select id="logsStatus" class="form-input">
+          ${options([['', 'All statuses'], ['success', 'Success'], ['failed', 'Failed']], filters.status || '')}
+        </select>
+        <input type="text" id="logsType" class="form-input" placeholder="Type (chat, image, ...)" value="${this.escapeHtml(filters.type)}">
+        <input type="text" id="logsSender" class="form-input" placeholder="Sender" value="${this.escapeHtml(filters.sender)}">
+        <input type="text" id="logsRecipient" class="form-input" placeholder="Recipient" value="${this.escapeHtml(filters.recipient)}">
+        <input type="text" id="logsChat" class="form-input" placeholder="Chat ID" value="${this.escapeHtml(filters.chat_id)}">
+        <select id="logsGroup" class="form-input">
+          ${options([['', 'Groups and direct'], ['true', 'Groups only'], ['false', 'Direct only']], filters.is_group || '')}
+        </select>
+        <input type="date" id="logsFrom" class="form-input" value="${toDateInput(filters.from)}" title="From">
+        <input type="date" id="logsTo" class="form-input" value="${toDateInput(filters.to)}" title="To">
+        <select id="logsOrder" class="form-input">
+          ${options([['desc', 'Newest first'], ['asc', 'Oldest first']], filters.order || 'desc')}
+        </select>
+        <button type="submit" class="btn btn-primary">
+          <i class="fas fa-search"></i> Search
+        </button>
+        <button type="button" class="btn btn-secondary" onclick="dashboard.resetLogFilters()">
+          Reset
+        </button>
+        <span class="logs-export">
+          <select id="logsExportFormat" class="form-input" title="Export format">
+            ${options([['csv', 'CSV'], ['jsonl', 'JSON Lines'], ['txt', 'Chat transcripts']], 'csv')}
+          </select>
+          <label title="Bundle stored media with the export in a zip">
+            <input type="checkbox" id="logsExportMedia"> Include media
+          </label>
+          <button type="button" class="btn btn-secondary" onclick="dashboard.exportLogs()">
+            <i class="fas fa-file-export"></i> Export
+          </button>
+        </span>
+      </form>
+
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>Time</th>
+              <th>Account</th>
+              <th>Direction</th>
+              <th>Contact</th>
+              <th>Message</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody id="logsTableBody">
+            ${this.renderLogRows(result.messages)}
+            ${result.messages.length === 0 ? `
+              <tr>
+                <td colspan="6" class="text-center text-muted">No messages match these filters</td>
+              </tr>
+            ` : ''}
+          </tbody>
+        </table>
+      </div>
+
+      <div class="text-center logs-more" ${result.next_cursor ? '' : 'hidden'}>
+        <button class="btn btn-secondary" data-cursor="${result.next_cursor || ''}" onclick="dashboard.loadMoreLogs(this)">
+          Load more
+        </button>
       </div>
     `;
   }
+
+  renderLogRows(messages) {
+    const accountNames = Object.fromEntries(this.accounts.map(a => [a.id, a.name]));
+
+    return messages.map(log => {
+      const contact = log.direction === 'incoming'
+        ? (log.contact_name ? `${this.escapeHtml(log.contact_name)} <span class="text-muted">${this.escapeHtml(log.sender)}</span>` : this.escapeHtml(log.sender))
+        : this.escapeHtml(log.recipient || log.webhook_url || '-');
+      const group = log.is_group && log.group_name ? `<div class="text-muted"><i class="fas fa-users"></i> ${this.escapeHtml(log.group_name)}</div>` : '';
+
+      return `
+        <tr>
+          <td>${new Date(log.created_at).toLocaleString()}</td>
+          <td>${this.escapeHtml(accountNames[log.account_id] || log.account_id)}</td>
+          <td><span class="log-direction ${log.direction}">${log.direction}</span></td>
+          <td>
+            ${contact}
+            ${group}
+            ${log.chat_id ? `
+              <div>
+                <a href="#" class="text-muted" data-account-id="${log.account_id}" data-chat-id="${this.escapeHtml(log.chat_id)}"
+                   onclick="event.preventDefault(); dashboard.openChatFromLogs(this.dataset.accountId, this.dataset.chatId)">
+                  <i class="fas fa-comments"></i> Open chat
+                </a>
+              </div>
+            ` : ''}
+          </td>
+          <td class="log-content">
+            ${log.message ? this.escapeHtml(log.message) : `<span class="text-muted">${log.type ? `[${this.escapeHtml(log.type)}]` : 'No content'}</span>`}
+            ${log.error_message ? `<div class="log-error"><strong>Error:</strong> ${this.escapeHtml(log.error_message)}</div>` : ''}
+          </td>
+          <td>
+            <span class="status-badge ${log.status === 'success' ? 'status-ready' : 'status-disconnected'}">
+              ${log.status}
+            </span>
+            ${this.renderAckBadge(log)}
+          </td>
+        </tr>
+      `;
+    }).join('');
+  }
 }
 
 // Initialize dashboard when DOM is loaded
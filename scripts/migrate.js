@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+// Database migrations CLI
+//   node scripts/migrate.js up            apply all pending migrations (npm run migrate)
+//   node scripts/migrate.js status        list migrations and when they were applied (npm run migrate:status)
+//   node scripts/migrate.js down [steps]  revert the last migration, or the last <steps> (npm run migrate:down)
+const { client, db } = require('../config/database');
+const migrator = require('../utils/migrator');
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+  console.log(`Storage driver: ${db.driver}`);
+
+  if (command === 'up') {
+    const applied = await migrator.up();
+    console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Database is up to date');
+  } else if (command === 'status') {
+    const migrations = await migrator.status();
+    for (const migration of migrations) {
+      const state = migration.unknown
+        ? `applied ${migration.applied_at} (no migration file in this version)`
+        : migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+      console.log(`${migration.version}_${migration.name}  ${state}`);
+    }
+    const pending = migrations.filter(migration => !migration.applied_at).length;
+    console.log(pending > 0 ? `${pending} pending migration(s)` : 'Database is up to date');
+  } else if (command === 'down') {
+    const steps = arg === undefined ? 1 : parseInt(arg);
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error(`Invalid number of steps: ${arg}`);
+    }
+    const reverted = await migrator.down(steps);
+    console.log(reverted.length > 0 ? `${reverted.length} migration(s) reverted` : 'No applied migrations to revert');
+  } else {
+    throw new Error(`Unknown command: ${command}. Expected up, status or down`);
+  }
+}
+
+main()
+  .then(() => client.close())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Migration failed:', error.message || error);
+    process.exit(1);
+  });
@@ -0,0 +1,86 @@
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const apiKeys = require('../utils/apiKeys');
+const { requireAuth, requirePermission, requireAccountAccess } = require('../middleware/auth');
+
+test.before(async () => {
+  await setupDatabase();
+});
+
+// Run a middleware against a fake request (kept, so req.apiKey carries over); returns the status it answered with, or 'next'
+async function run(middleware, req) {
+  let outcome = null;
+  const res = {
+    status(code) { outcome = code; return this; },
+    json() { return this; },
+    redirect() { outcome = 'redirect'; }
+  };
+  req.headers = req.headers || {};
+  req.path = req.path || '/api/send';
+  await middleware(req, res, () => { outcome = 'next'; });
+  return outcome;
+}
+
+test('keys are returned once and stored hashed', async () => {
+  const { apiKey, key } = await apiKeys.create({ name: 'Billing', permissions: ['send'] });
+
+  assert.match(key, /^wam_/);
+  assert.strictEqual(apiKey.key_hash, undefined);
+  assert.strictEqual(apiKey.key_prefix, key.slice(0, 12));
+  assert.strictEqual((await apiKeys.authenticate(key)).id, apiKey.id);
+  assert.strictEqual(await apiKeys.authenticate('wam_unknown'), null);
+  assert.strictEqual(await apiKeys.authenticate('not-a-key'), null);
+});
+
+test('revoked keys stop working', async () => {
+  const { apiKey, key } = await apiKeys.create({ name: 'Revoked', permissions: ['send'] });
+  await apiKeys.authenticate(key);
+  await apiKeys.revoke(apiKey.id);
+
+  assert.strictEqual(await apiKeys.authenticate(key), null);
+  assert.strictEqual(await run(requireAuth, { headers: { authorization: `Bearer ${key}` } }), 401);
+});
+
+test('permissions must be known and at least one', async () => {
+  await assert.rejects(apiKeys.create({ name: 'x', permissions: [] }), /At least one permission/);
+  await assert.rejects(apiKeys.create({ name: 'x', permissions: ['admin'] }), /Unknown permission\(s\): admin/);
+  await assert.rejects(apiKeys.create({ name: 'x', permissions: ['send'], account_ids: 'a' }), /account_ids must be an array/);
+});
+
+test('null means every account, a list only those and an empty list none', async () => {
+  const all = (await apiKeys.create({ name: 'All', permissions: ['send'], account_ids: null })).apiKey;
+  const omitted = (await apiKeys.create({ name: 'Omitted', permissions: ['send'] })).apiKey;
+  const some = (await apiKeys.create({ name: 'Some', permissions: ['send'], account_ids: ['a', 'a', 'b'] })).apiKey;
+  const none = (await apiKeys.create({ name: 'None', permissions: ['send'], account_ids: [] })).apiKey;
+
+  assert.strictEqual(all.account_ids, null);
+  assert.strictEqual(omitted.account_ids, null);
+  assert.deepStrictEqual(some.account_ids, ['a', 'b']);
+  assert.deepStrictEqual(none.account_ids, []);
+
+  assert.strictEqual(apiKeys.hasAccountAccess(all, 'c'), true);
+  assert.strictEqual(apiKeys.hasAccountAccess(some, 'b'), true);
+  assert.strictEqual(apiKeys.hasAccountAccess(some, 'c'), false);
+  assert.strictEqual(apiKeys.hasAccountAccess(none, 'a'), false);
+});
+
+test('requests with a key are limited to its permissions and accounts', async () => {
+  const { key } = await apiKeys.create({ name: 'Scoped', permissions: ['read_logs'], account_ids: ['a'] });
+  const req = { headers: { authorization: `Bearer ${key}` } };
+
+  assert.strictEqual(await run(requireAuth, req), 'next');
+  assert.strictEqual(await run(requirePermission('read_logs'), req), 'next');
+  assert.strictEqual(await run(requirePermission('send', 'read_logs'), req), 'next');
+  assert.strictEqual(await run(requirePermission('send'), req), 403);
+  req.params = { id: 'a' };
+  assert.strictEqual(await run(requireAccountAccess(r => r.params.id), req), 'next');
+  req.params = { id: 'b' };
+  assert.strictEqual(await run(requireAccountAccess(r => r.params.id), req), 403);
+});
+
+test('requests without a session or key are refused', async () => {
+  assert.strictEqual(await run(requireAuth, {}), 401);
+  assert.strictEqual(await run(requireAuth, { path: '/dashboard' }), 'redirect');
+});
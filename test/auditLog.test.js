@@ -0,0 +1,56 @@
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const whatsappManager = require('../utils/whatsappManager');
+const auditLog = require('../utils/auditLog');
+
+const SECRET = 'whsec_do_not_store_me';
+
+let db;
+test.before(async () => {
+  db = await setupDatabase();
+});
+
+const req = { session: { userId: 'u1', username: 'admin' }, headers: { 'user-agent': 'test' }, ip: '127.0.0.1' };
+
+test('secrets are redacted at any depth', () => {
+  const snapshot = auditLog.snapshot({
+    name: 'Sales',
+    password_hash: '$2a$10$abc',
+    webhooks: [{ url: 'https://example.com', secret: SECRET, headers: { nested: { key: 'k' } } }],
+    media: { mimetype: 'image/png', data: 'iVBORw0KGgo' },
+    empty_secret: { secret: null }
+  });
+
+  assert.deepStrictEqual(snapshot, {
+    name: 'Sales',
+    password_hash: '[redacted]',
+    webhooks: [{ url: 'https://example.com', secret: '[redacted]', headers: { nested: { key: '[redacted]' } } }],
+    media: { mimetype: 'image/png', data: '[omitted]' },
+    empty_secret: { secret: null }
+  });
+  assert.strictEqual(auditLog.snapshot(undefined), null);
+  assert.strictEqual(auditLog.snapshot('text'), 'text');
+});
+
+test('deleting an account does not store its webhook secrets', async () => {
+  const account = await db.createAccount({ name: 'To delete', status: 'disconnected' });
+  await db.createWebhook({ account_id: account.id, url: 'https://example.com/hook', secret: SECRET, is_active: true });
+
+  // As DELETE /api/accounts/:id does
+  const before = await db.getAccount(account.id);
+  const webhooks = await db.getWebhooks(account.id);
+  await whatsappManager.deleteAccount(account.id);
+  await auditLog.record(req, 'account.delete', {
+    targetType: 'account', targetId: account.id, accountId: account.id,
+    before: { ...before, webhooks }
+  });
+
+  const [event] = await auditLog.list({ action: 'account.delete', target_id: account.id });
+  assert.strictEqual(event.before.webhooks.length, 1);
+  assert.strictEqual(event.before.webhooks[0].secret, '[redacted]');
+  assert.strictEqual(event.before.webhooks[0].url, 'https://example.com/hook');
+  assert.ok(!JSON.stringify(event).includes(SECRET));
+  assert.ok(!auditLog.toCsv([event]).includes(SECRET));
+});
@@ -0,0 +1,164 @@
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { parseCsv, parseCsvRecords } = require('../utils/csv');
+const whatsappManager = require('../utils/whatsappManager');
+const campaignManager = require('../utils/campaignManager');
+const sendQueue = require('../utils/sendQueue');
+
+let db;
+let accountId;
+test.before(async () => {
+  db = await setupDatabase();
+  accountId = (await db.createAccount({ name: 'Campaigns', status: 'ready' })).id;
+});
+
+async function runningCampaign(recipients, template = 'Hi {{ Name }}') {
+  const { campaign } = await campaignManager.createCampaign({
+    name: 'Test', template, account_ids: [accountId], recipients, start: true
+  });
+  return campaign;
+}
+
+// Claim the next due recipient for accountId the way poll() does
+async function claimNext(campaignId) {
+  const recipient = await db.getNextCampaignRecipient(campaignId);
+  if (!recipient) return null;
+  return db.transitionCampaignRecipient(recipient.id, 'pending', {
+    status: 'sending', account_id: accountId, attempts: (recipient.attempts || 0) + 1
+  });
+}
+
+test('parses quoted fields, escaped quotes, embedded newlines and CRLF', () => {
+  const csv = '\uFEFFnumber,name,note\r\n1555000111,"Doe, Jane","said ""hi""\nthen left"\r\n\r\n1555000222,Bob,\n';
+  assert.deepStrictEqual(parseCsv(csv), [
+    ['number', 'name', 'note'],
+    ['1555000111', 'Doe, Jane', 'said "hi"\nthen left'],
+    ['1555000222', 'Bob', '']
+  ]);
+});
+
+test('CSV records are keyed by trimmed, lower-cased headers', () => {
+  const { columns, records } = parseCsvRecords(' Phone , First Name\n 1555000111 , Ann \n1555000222');
+  assert.deepStrictEqual(columns, ['phone', 'first name']);
+  assert.deepStrictEqual(records, [
+    { phone: '1555000111', 'first name': 'Ann' },
+    { phone: '1555000222', 'first name': '' }
+  ]);
+});
+
+test('recipients skip short and duplicate numbers and keep the other columns', () => {
+  const { recipients, skipped } = campaignManager.parseRecipients({
+    csv: 'phone,Name,City\n+1 (555) 000-111,Ann,Paris\n15550001 11,Ann again,Rome\n123,Too short,\n,No number,\n1555000222,Bob,Oslo'
+  });
+
+  assert.strictEqual(skipped, 3);
+  assert.deepStrictEqual(recipients, [
+    { number: '+1 (555) 000-111', variables: { name: 'Ann', city: 'Paris', number: '+1 (555) 000-111' } },
+    { number: '1555000222', variables: { name: 'Bob', city: 'Oslo', number: '1555000222' } }
+  ]);
+});
+
+test('JSON recipients are accepted; a CSV without a number column is not', () => {
+  const { recipients } = campaignManager.parseRecipients({ recipients: [{ Number: '1555000333', Name: 'Cy' }] });
+  assert.deepStrictEqual(recipients, [{ number: '1555000333', variables: { name: 'Cy', number: '1555000333' } }]);
+
+  assert.throws(() => campaignManager.parseRecipients({ csv: 'name\nAnn' }), /"number" or "phone" column/);
+  assert.throws(() => campaignManager.parseRecipients({}), /Either csv or recipients is required/);
+});
+
+test('placeholders without a matching column are rejected', async () => {
+  await assert.rejects(
+    campaignManager.createCampaign({ name: 'x', template: 'Hi {{name}}, {{code}}', account_ids: [accountId], recipients: [{ number: '1555000444', name: 'Di' }] }),
+    /without a matching column: code/
+  );
+});
+
+test('sends the rendered template and marks the recipient sent', async (t) => {
+  const send = t.mock.method(whatsappManager, 'sendMessage', async () => ({ messageId: 'm1' }));
+  const campaign = await runningCampaign([{ number: '1555000555', name: 'Eve' }]);
+
+  const recipient = await claimNext(campaign.id);
+  await campaignManager.send(campaign.id, recipient);
+
+  assert.strictEqual(send.mock.calls[0].arguments[2], 'Hi Eve');
+  const [stored] = await db.getCampaignRecipients(campaign.id);
+  assert.strictEqual(stored.status, 'sent');
+  assert.strictEqual(stored.message_id, 'm1');
+});
+
+test('transient errors back off before the recipient is claimed again', async (t) => {
+  t.mock.method(whatsappManager, 'sendMessage', async () => { throw new Error('Protocol error: Target closed'); });
+  const campaign = await runningCampaign([{ number: '1555000666', name: 'Fay' }, { number: '1555000777', name: 'Gil' }]);
+
+  const first = await claimNext(campaign.id);
+  const before = Date.now();
+  await campaignManager.send(campaign.id, first);
+
+  const waiting = (await db.getCampaignRecipients(campaign.id)).find(row => row.id === first.id);
+  assert.strictEqual(waiting.status, 'pending');
+  const delay = new Date(waiting.next_attempt_at) - before;
+  assert.ok(delay >= 29000 && delay <= 31000, `expected a 30s backoff, got ${delay}ms`);
+
+  // The other recipient goes first; then nothing is due
+  const second = await claimNext(campaign.id);
+  assert.notStrictEqual(second.id, first.id);
+  assert.strictEqual(await db.getNextCampaignRecipient(campaign.id), null);
+
+  // Due again once the backoff has passed; the last attempt fails for good
+  await db.updateCampaignRecipient(first.id, { next_attempt_at: new Date(Date.now() - 1000).toISOString(), attempts: 2 });
+  const retried = await claimNext(campaign.id);
+  assert.strictEqual(retried.id, first.id);
+  await campaignManager.send(campaign.id, retried);
+
+  const failed = (await db.getCampaignRecipients(campaign.id)).find(row => row.id === first.id);
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.next_attempt_at, null);
+});
+
+test('a sent recipient is not retried when recording the send fails', async (t) => {
+  const send = t.mock.method(whatsappManager, 'sendMessage', async () => ({ messageId: 'm2' }));
+  const campaign = await runningCampaign([{ number: '1555000888', name: 'Hal' }]);
+  const recipient = await claimNext(campaign.id);
+
+  const update = db.updateCampaignRecipient.bind(db);
+  const writes = t.mock.method(db, 'updateCampaignRecipient', async (id, updates) => {
+    if (updates.status === 'sent') throw new Error('read ECONNRESET');
+    return update(id, updates);
+  });
+  t.mock.method(console, 'error', () => {});
+  await campaignManager.send(campaign.id, recipient);
+
+  assert.strictEqual(send.mock.callCount(), 1);
+  assert.deepStrictEqual(writes.mock.calls.map(call => call.arguments[1].status), ['sent', 'sent', 'sent', 'unconfirmed']);
+  const [stored] = await db.getCampaignRecipients(campaign.id);
+  assert.strictEqual(stored.status, 'unconfirmed');
+  assert.match(stored.error_message, /^Sent, but saving the result failed/);
+
+  // Final: nothing is left to claim and the campaign completes
+  assert.strictEqual(await db.getNextCampaignRecipient(campaign.id), null);
+  const current = await db.getCampaign(campaign.id);
+  assert.strictEqual(current.status, 'completed');
+  assert.strictEqual(current.failed_count, 1);
+});
+
+test('after a restart, recipients interrupted mid-send are not messaged again', async (t) => {
+  const send = t.mock.method(whatsappManager, 'sendMessage', async () => ({ messageId: 'm3' }));
+  t.mock.method(whatsappManager, 'getAllAccountStatuses', () => ({ [accountId]: 'ready' }));
+  t.mock.method(sendQueue, 'canSend', () => true);
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+  const campaign = await runningCampaign([{ number: '1555000999', name: 'Ida' }]);
+  await claimNext(campaign.id);
+
+  await campaignManager.start();
+  campaignManager.stop();
+  await campaignManager.poll();
+
+  const [stored] = await db.getCampaignRecipients(campaign.id);
+  assert.strictEqual(stored.status, 'unconfirmed');
+  assert.match(stored.error_message, /Interrupted by a restart/);
+  assert.strictEqual(send.mock.callCount(), 0);
+  assert.strictEqual((await db.getCampaign(campaign.id)).status, 'completed');
+});
@@ -0,0 +1,20 @@
+// Shared setup for the tests. node --test runs every file in its own process, so each
+// file gets a fresh in-memory SQLite database; require this before anything that loads
+// config/database.
+process.env.DB_DRIVER = 'sqlite';
+process.env.SQLITE_PATH = ':memory:';
+
+// Apply every migration and return the db helpers
+async function setupDatabase() {
+  const migrator = require('../utils/migrator');
+  const log = console.log;
+  console.log = () => {}; // "Applied migration ..." for each file
+  try {
+    await migrator.up();
+  } finally {
+    console.log = log;
+  }
+  return require('../config/database').db;
+}
+
+module.exports = { setupDatabase };
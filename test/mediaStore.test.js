@@ -0,0 +1,76 @@
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'media-test-'));
+process.env.MEDIA_LOCAL_PATH = path.join(directory, 'media');
+process.env.MEDIA_URL_SECRET_FILE = path.join(directory, 'media-url-secret');
+process.env.SESSION_SECRET = 'your-super-secret-session-key-here';
+delete process.env.MEDIA_URL_SECRET;
+
+const mediaStore = require('../utils/mediaStore');
+
+test.before(async () => {
+  await setupDatabase();
+});
+
+test.after(() => fs.remove(directory));
+
+test('without a secret, a random key is generated once and kept', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const { url } = mediaStore.signUrl('m1');
+  const signature = new URL(url).searchParams.get('signature');
+
+  const stored = fs.readFileSync(process.env.MEDIA_URL_SECRET_FILE, 'utf8');
+  assert.match(stored, /^[0-9a-f]{64}$/);
+  assert.strictEqual(warn.mock.callCount(), 1);
+
+  // Not the placeholder SESSION_SECRET from env.example
+  const expires = new URL(url).searchParams.get('expires');
+  const forged = crypto.createHmac('sha256', process.env.SESSION_SECRET).update(`m1.${expires}`).digest('hex');
+  assert.notStrictEqual(signature, forged);
+  assert.strictEqual(mediaStore.verifyUrl('m1', expires, forged), false);
+
+  // A restart reads the same key back
+  mediaStore.urlSecret = null;
+  assert.strictEqual(mediaStore.signature('m1', expires), signature);
+  assert.strictEqual(warn.mock.callCount(), 1);
+});
+
+test('signed URLs verify until they expire, for their id only', () => {
+  const { url, expires_at } = mediaStore.signUrl('m2', 60);
+  const params = new URL(url).searchParams;
+  const expires = params.get('expires');
+  const signature = params.get('signature');
+
+  assert.strictEqual(new Date(expires_at).getTime(), expires * 1000);
+  assert.strictEqual(mediaStore.verifyUrl('m2', expires, signature), true);
+  assert.strictEqual(mediaStore.verifyUrl('m3', expires, signature), false);
+  assert.strictEqual(mediaStore.verifyUrl('m2', Number(expires) + 1, signature), false);
+  assert.strictEqual(mediaStore.verifyUrl('m2', expires, signature.slice(1)), false);
+  assert.strictEqual(mediaStore.verifyUrl('m2', expires, undefined), false);
+  assert.strictEqual(mediaStore.verifyUrl('m2', 'soon', signature), false);
+
+  const expired = new URL(mediaStore.signUrl('m2', -1).url).searchParams;
+  assert.strictEqual(mediaStore.verifyUrl('m2', expired.get('expires'), expired.get('signature')), false);
+});
+
+test('identical files are stored once', async () => {
+  const data = Buffer.from('hello media').toString('base64');
+  const first = await mediaStore.save({ mimetype: 'text/plain', data, filename: 'a.txt' });
+  const second = await mediaStore.save({ mimetype: 'text/plain', data, filename: 'b.txt' });
+
+  assert.strictEqual(first.media_id, second.media_id);
+  assert.strictEqual(second.filename, 'b.txt');
+  assert.strictEqual(first.size, 11);
+  assert.strictEqual(first.data, undefined);
+
+  const { stream } = await mediaStore.open(first.media_id);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  assert.strictEqual(Buffer.concat(chunks).toString(), 'hello media');
+});
@@ -0,0 +1,59 @@
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs-extra');
+const path = require('path');
+
+const migrator = require('../utils/migrator');
+const { client } = require('../config/database');
+
+// "Applied migration ..." / "Reverted migration ..." for each file
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+});
+
+test('every migration has an up and a down file, in both dialects', async () => {
+  const migrations = await migrator.list();
+  assert.ok(migrations.length > 0);
+  assert.ok(migrations.every(migration => migration.up && migration.down));
+  assert.deepStrictEqual(migrations.map(m => m.version), [...migrations.map(m => m.version)].sort());
+
+  const postgres = (await fs.readdir(path.join(__dirname, '..', 'migrations', 'postgres'))).sort();
+  const sqlite = (await fs.readdir(path.join(__dirname, '..', 'migrations', 'sqlite'))).sort();
+  assert.deepStrictEqual(postgres, sqlite);
+});
+
+test('up applies everything once; running it again applies nothing', async () => {
+  const migrations = await migrator.list();
+  assert.strictEqual((await migrator.getPending()).length, migrations.length);
+
+  await setupDatabase();
+  assert.deepStrictEqual(await migrator.getPending(), []);
+  assert.deepStrictEqual(await migrator.up(), []);
+
+  const status = await migrator.status();
+  assert.deepStrictEqual(status.map(row => row.version), migrations.map(m => m.version));
+  assert.ok(status.every(row => row.applied_at && !row.unknown));
+});
+
+test('down reverts the latest migrations and up reapplies them', async () => {
+  const migrations = await migrator.list();
+  const lastTwo = migrations.slice(-2).map(m => m.version);
+
+  const reverted = await migrator.down(2);
+  assert.deepStrictEqual(reverted.map(m => m.version), [...lastTwo].reverse());
+  assert.deepStrictEqual((await migrator.getPending()).map(m => m.version), lastTwo);
+
+  const applied = await migrator.up();
+  assert.deepStrictEqual(applied.map(m => m.version), lastTwo);
+  assert.deepStrictEqual(await migrator.getPending(), []);
+});
+
+test('applied versions without a file are reported, and cannot be reverted', async () => {
+  await client.from('schema_migrations').insert({ version: '9999', name: 'from_the_future', applied_at: new Date().toISOString() });
+
+  const unknown = (await migrator.status()).pop();
+  assert.strictEqual(unknown.version, '9999');
+  assert.strictEqual(unknown.unknown, true);
+  await assert.rejects(migrator.down(), /No \.down\.sql file for applied migration 9999_from_the_future/);
+});
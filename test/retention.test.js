@@ -0,0 +1,112 @@
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+process.env.MEDIA_URL_SECRET = 'test secret';
+
+const { client } = require('../config/database');
+const retention = require('../utils/retention');
+const mediaStore = require('../utils/mediaStore');
+
+const DAY = 86400000;
+
+let db;
+test.before(async () => {
+  db = await setupDatabase();
+});
+
+// Log rows for an account, created the given number of days ago
+async function seed(accountId, rows) {
+  const { data, error } = await client.from('message_logs').insert(rows.map(({ daysAgo, ...row }) => ({
+    account_id: accountId,
+    message: `${row.direction} ${daysAgo}d`,
+    created_at: new Date(Date.now() - daysAgo * DAY).toISOString(),
+    ...row
+  }))).select();
+  if (error) throw error;
+  return data;
+}
+
+async function remaining(accountId) {
+  const { data } = await client.from('message_logs').select('message, media').eq('account_id', accountId).order('created_at');
+  return data.map(row => (row.media ? `${row.message} +media` : row.message));
+}
+
+async function runNow() {
+  const run = await db.createRetentionRun({
+    triggered_by: 'manual', status: 'running', started_at: new Date().toISOString(), created_at: new Date().toISOString()
+  });
+  return retention.execute(run);
+}
+
+test('the cutoff is the given number of days before now', () => {
+  const cutoff = new Date(retention.cutoff(30)).getTime();
+  assert.ok(Math.abs(Date.now() - 30 * DAY - cutoff) < 1000);
+});
+
+test('per-account settings fall back to the defaults; chats are capped at 90 days', () => {
+  assert.deepStrictEqual(retention.effectivePolicy(), {
+    action: 'delete', incoming_days: 90, outgoing_days: 90, webhook_days: 30, media_days: 30
+  });
+  assert.deepStrictEqual(retention.effectivePolicy({ incoming_days: 7, outgoing_days: 0, webhook_days: 0, media_days: null, action: 'archive' }), {
+    action: 'archive', incoming_days: 7, outgoing_days: 90, webhook_days: 0, media_days: 30
+  });
+});
+
+test('policies are validated', () => {
+  assert.deepStrictEqual(retention.buildPolicy({ incoming_days: '14', webhook_days: 0, media_days: '' }), {
+    incoming_days: 14, outgoing_days: null, webhook_days: 0, media_days: null, action: null
+  });
+  assert.throws(() => retention.buildPolicy({ incoming_days: 1.5 }), /incoming_days must be a whole number/);
+  assert.throws(() => retention.buildPolicy({ webhook_days: -1 }), /webhook_days must be a whole number/);
+  assert.throws(() => retention.buildPolicy({ outgoing_days: 0 }), /at most 90 days/);
+  assert.throws(() => retention.buildPolicy({ incoming_days: 91 }), /at most 90 days/);
+  assert.throws(() => retention.buildPolicy({ action: 'shred' }), /action must be one of: delete, archive/);
+});
+
+test('a run deletes what is past each cutoff and keeps the rest', async () => {
+  const account = await db.createAccount({ name: 'Retention', status: 'ready' });
+  await retention.setPolicy(account.id, { outgoing_days: 7, webhook_days: 0 });
+  const media = { mimetype: 'image/png', data: 'iVBORw0KGgo' };
+  await seed(account.id, [
+    { direction: 'incoming', daysAgo: 100 },
+    { direction: 'incoming', daysAgo: 40, media },
+    { direction: 'incoming', daysAgo: 10, media },
+    { direction: 'outgoing', daysAgo: 8 },
+    { direction: 'outgoing', daysAgo: 6 },
+    { direction: 'webhook', daysAgo: 365 }
+  ]);
+
+  const run = await runNow();
+
+  assert.strictEqual(run.status, 'completed');
+  assert.deepStrictEqual(await remaining(account.id), [
+    'webhook 365d',
+    'incoming 40d',
+    'incoming 10d +media',
+    'outgoing 6d'
+  ]);
+  assert.deepStrictEqual(run.details.accounts[account.id], { name: 'Retention', action: 'delete', incoming: 1, outgoing: 1, media: 1 });
+  assert.strictEqual(run.deleted_count, 2);
+  assert.strictEqual(run.media_purged_count, 1);
+});
+
+test('unreferenced media is deleted unless it was reused within the grace period', async (t) => {
+  const remove = t.mock.method(mediaStore, 'remove', async object => db.deleteMediaObject(object.id));
+  const twoHoursAgo = new Date(Date.now() - 2 * 3600000).toISOString();
+  const object = async (content) => db.createMediaObject({
+    sha256: crypto.createHash('sha256').update(content).digest('hex'),
+    mimetype: 'text/plain', size: content.length, storage: 'local', storage_key: `old/${content}`, created_at: twoHoursAgo
+  });
+  const orphan = await object('orphan');
+  const reused = await object('reused');
+
+  // The same file arrives again; its new message is still in the log buffer
+  const saved = await mediaStore.save({ mimetype: 'text/plain', data: Buffer.from('reused').toString('base64') });
+  assert.strictEqual(saved.media_id, reused.id);
+
+  assert.strictEqual(await retention.deleteOrphanedMedia(), 1);
+  assert.deepStrictEqual(remove.mock.calls.map(call => call.arguments[0].id), [orphan.id]);
+  assert.ok(await db.getMediaObject(reused.id));
+});
@@ -0,0 +1,142 @@
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const sendQueue = require('../utils/sendQueue');
+const scheduler = require('../utils/scheduler');
+
+let db;
+let accountId;
+test.before(async () => {
+  db = await setupDatabase();
+  accountId = (await db.createAccount({ name: 'Scheduler', status: 'ready' })).id;
+});
+
+test('cron schedules run at the next occurrence in their timezone', () => {
+  const from = new Date('2024-03-04T10:00:00Z'); // a Monday, 15:30 in Kolkata
+  assert.strictEqual(
+    scheduler.getNextRun({ cron: '0 9 * * 1-5', timezone: 'Asia/Kolkata' }, from),
+    '2024-03-05T03:30:00.000Z'
+  );
+  assert.strictEqual(
+    scheduler.getNextRun({ cron: '0 9 * * 1-5', timezone: 'UTC' }, new Date('2024-03-08T10:00:00Z')),
+    '2024-03-11T09:00:00.000Z' // Friday after 9:00 -> Monday
+  );
+});
+
+test('one-off schedules run at send_at', () => {
+  const schedule = scheduler.buildSchedule({ account_id: accountId, number: '1', message: 'hi', send_at: '2030-01-01T08:00:00+01:00' });
+  assert.strictEqual(schedule.send_at, '2030-01-01T07:00:00.000Z');
+  assert.strictEqual(schedule.next_run_at, '2030-01-01T07:00:00.000Z');
+});
+
+test('setting a cron replaces send_at and the other way round', () => {
+  const existing = scheduler.buildSchedule({ account_id: accountId, number: '1', message: 'hi', send_at: '2030-01-01T07:00:00Z' });
+  const recurring = scheduler.buildSchedule({ cron: '*/5 * * * *' }, existing);
+  assert.strictEqual(recurring.send_at, null);
+  assert.strictEqual(recurring.cron, '*/5 * * * *');
+
+  const once = scheduler.buildSchedule({ send_at: '2030-02-01T07:00:00Z' }, recurring);
+  assert.strictEqual(once.cron, null);
+});
+
+test('rejects invalid schedules', () => {
+  const base = { account_id: accountId, number: '1', message: 'hi' };
+  assert.throws(() => scheduler.buildSchedule({ ...base, cron: 'every day' }), /Invalid cron expression/);
+  assert.throws(() => scheduler.buildSchedule({ ...base, cron: '0 9 * * *', timezone: 'Mars/Olympus' }), /Invalid timezone/);
+  assert.throws(() => scheduler.buildSchedule({ ...base, send_at: 'tomorrow' }), /send_at must be a valid ISO timestamp/);
+  assert.throws(() => scheduler.buildSchedule(base), /Either send_at or cron is required/);
+  assert.throws(() => scheduler.buildSchedule({ ...base, message: null, cron: '0 9 * * *' }), /Either message or media is required/);
+});
+
+test('a run that fails backs off, then the schedule fails', async (t) => {
+  t.mock.method(sendQueue, 'enqueue', async () => { throw new Error('media must include either data (base64) or url'); });
+  t.mock.method(console, 'error', () => {});
+
+  let schedule = await scheduler.create({ account_id: accountId, number: '1', message: 'hi', cron: '* * * * *' });
+  const delays = [];
+  for (let run = 1; run <= 5; run++) {
+    const firedAt = Date.now();
+    await scheduler.fire(schedule);
+    schedule = await db.getScheduledMessage(schedule.id);
+    if (schedule.next_run_at) delays.push(Math.round((new Date(schedule.next_run_at) - firedAt) / 60000));
+  }
+
+  assert.deepStrictEqual(delays, [1, 2, 4, 8]);
+  assert.strictEqual(schedule.status, 'failed');
+  assert.strictEqual(schedule.failure_count, 5);
+  assert.strictEqual(schedule.next_run_at, null);
+  assert.match(schedule.last_error, /media must include/);
+
+  // Not picked up again
+  const due = await db.getDueScheduledMessages(50);
+  assert.ok(!due.some(row => row.id === schedule.id));
+
+  // Editing re-arms it
+  const edited = await scheduler.update(schedule.id, { message: 'fixed' });
+  assert.strictEqual(edited.status, 'active');
+  assert.strictEqual(edited.failure_count, 0);
+});
+
+test('a successful run resets the failure count', async (t) => {
+  const schedule = await scheduler.create({ account_id: accountId, number: '1', message: 'hi', cron: '* * * * *' });
+  await db.updateScheduledMessage(schedule.id, { failure_count: 3 });
+  t.mock.method(sendQueue, 'enqueue', async () => ({ id: 'job-1' }));
+
+  await scheduler.fire({ ...schedule, failure_count: 3 });
+
+  const stored = await db.getScheduledMessage(schedule.id);
+  assert.strictEqual(stored.failure_count, 0);
+  assert.strictEqual(stored.run_count, 1);
+  assert.strictEqual(stored.status, 'active');
+});
+
+test('a run whose job was queued is not fired again when saving the job id fails', async (t) => {
+  const schedule = await scheduler.create({ account_id: accountId, number: '1', message: 'once', send_at: new Date(Date.now() - 1000).toISOString() });
+  const enqueue = t.mock.method(sendQueue, 'enqueue', async () => ({ id: 'job-2' }));
+  const update = db.updateScheduledMessage.bind(db);
+  t.mock.method(db, 'updateScheduledMessage', async (id, updates) => {
+    if (updates.last_job_id) throw new Error('read ECONNRESET');
+    return update(id, updates);
+  });
+  t.mock.method(console, 'error', () => {});
+
+  await scheduler.processDue();
+  await scheduler.processDue();
+
+  assert.strictEqual(enqueue.mock.callCount(), 1);
+  const stored = await db.getScheduledMessage(schedule.id);
+  assert.strictEqual(stored.status, 'completed');
+  assert.strictEqual(stored.run_count, 1);
+  assert.strictEqual(stored.failure_count, 0);
+});
+
+test('nothing is queued when the run cannot be recorded', async (t) => {
+  const schedule = await scheduler.create({ account_id: accountId, number: '1', message: 'once', send_at: new Date(Date.now() - 1000).toISOString() });
+  const enqueue = t.mock.method(sendQueue, 'enqueue', async () => ({ id: 'job-3' }));
+  const writes = t.mock.method(db, 'updateScheduledMessage', async () => { throw new Error('read ECONNRESET'); });
+  t.mock.method(console, 'error', () => {});
+
+  await scheduler.fire(schedule);
+  assert.strictEqual(enqueue.mock.callCount(), 0);
+
+  // Still due, so the next check fires it
+  writes.mock.restore();
+  await scheduler.processDue();
+  assert.strictEqual(enqueue.mock.callCount(), 1);
+  assert.strictEqual((await db.getScheduledMessage(schedule.id)).last_job_id, 'job-3');
+});
+
+test('a one-off run that could not be queued is retried', async (t) => {
+  t.mock.method(sendQueue, 'enqueue', async () => { throw new Error('account_id and number are required'); });
+  t.mock.method(console, 'error', () => {});
+  const schedule = await scheduler.create({ account_id: accountId, number: '1', message: 'once', send_at: new Date(Date.now() - 1000).toISOString() });
+
+  await scheduler.fire(schedule);
+
+  const stored = await db.getScheduledMessage(schedule.id);
+  assert.strictEqual(stored.status, 'active');
+  assert.strictEqual(stored.run_count, 0);
+  assert.strictEqual(stored.failure_count, 1);
+  assert.ok(new Date(stored.next_run_at) > new Date());
+});
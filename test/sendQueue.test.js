@@ -0,0 +1,100 @@
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const whatsappManager = require('../utils/whatsappManager');
+const sendQueue = require('../utils/sendQueue');
+
+let db;
+let accountId;
+test.before(async () => {
+  db = await setupDatabase();
+  accountId = (await db.createAccount({ name: 'Send queue', status: 'ready' })).id;
+});
+
+async function queuedJob() {
+  const job = await sendQueue.enqueue(accountId, { number: '14155552671', message: 'hello' });
+  return db.getMessageJob(job.id);
+}
+
+test('a sent job is marked sent', async (t) => {
+  t.mock.method(whatsappManager, 'sendMessage', async () => ({ message_id: 'm1' }));
+  const job = await queuedJob();
+
+  await sendQueue.process(job);
+
+  const stored = await db.getMessageJob(job.id);
+  assert.strictEqual(stored.status, 'sent');
+  assert.deepStrictEqual(stored.result, { message_id: 'm1' });
+});
+
+test('a transient send error queues the job again', async (t) => {
+  t.mock.method(whatsappManager, 'sendMessage', async () => { throw new Error('Navigation timeout of 30000 ms exceeded'); });
+  const job = await queuedJob();
+
+  await sendQueue.process(job);
+
+  const stored = await db.getMessageJob(job.id);
+  assert.strictEqual(stored.status, 'queued');
+  assert.strictEqual(stored.attempts, 1);
+});
+
+test('a job is never queued again once the message went out', async (t) => {
+  const send = t.mock.method(whatsappManager, 'sendMessage', async () => ({ message_id: 'm2' }));
+  const job = await queuedJob();
+
+  const writes = t.mock.method(db, 'updateMessageJob', async () => { throw new Error('read ECONNRESET'); });
+  t.mock.method(console, 'error', () => {});
+
+  await sendQueue.process(job);
+
+  assert.strictEqual(send.mock.callCount(), 1);
+  assert.deepStrictEqual(writes.mock.calls.map(call => call.arguments[1].status), ['sent', 'sent', 'sent', 'unconfirmed']);
+  assert.strictEqual((await db.getMessageJob(job.id)).status, 'processing');
+
+  // Left 'processing', which a restart closes as unconfirmed rather than queueing it
+  writes.mock.restore();
+  await db.markInterruptedMessageJobs();
+  assert.strictEqual((await db.getMessageJob(job.id)).status, 'unconfirmed');
+});
+
+test('a sent job whose result could not be saved is marked unconfirmed', async (t) => {
+  t.mock.method(whatsappManager, 'sendMessage', async () => ({ message_id: 'm3' }));
+  const job = await queuedJob();
+
+  const update = db.updateMessageJob.bind(db);
+  t.mock.method(db, 'updateMessageJob', async (id, updates) => {
+    if (updates.status === 'sent') throw new Error('value too long for type character varying');
+    return update(id, updates);
+  });
+  t.mock.method(console, 'error', () => {});
+
+  await sendQueue.process(job);
+
+  const stored = await db.getMessageJob(job.id);
+  assert.strictEqual(stored.status, 'unconfirmed');
+  assert.match(stored.last_error, /^Sent, but saving the result failed/);
+  assert.strictEqual(await db.getNextMessageJob(accountId), null);
+});
+
+test('after a restart, jobs interrupted mid-send are not sent again', async (t) => {
+  const send = t.mock.method(whatsappManager, 'sendMessage', async () => ({ message_id: 'm4' }));
+  t.mock.method(whatsappManager, 'getAllAccountStatuses', () => ({ [accountId]: 'ready' }));
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(console, 'log', () => {});
+  const job = await queuedJob();
+  await db.transitionMessageJob(job.id, 'queued', { status: 'processing', attempts: 1 });
+
+  await sendQueue.start();
+  sendQueue.stop();
+  await sendQueue.poll();
+
+  const stored = await db.getMessageJob(job.id);
+  assert.strictEqual(stored.status, 'unconfirmed');
+  assert.match(stored.last_error, /Interrupted by a restart/);
+  assert.strictEqual(send.mock.callCount(), 0);
+});
+
+test('an unknown job id is not found rather than an error', async () => {
+  assert.strictEqual(await db.getMessageJob('00000000-0000-0000-0000-000000000000'), null);
+});
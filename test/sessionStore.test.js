@@ -0,0 +1,125 @@
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const unzipper = require('unzipper');
+
+// Sessions and RemoteAuth's zips live under the working directory
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'session-test-'));
+const cwd = process.cwd();
+process.chdir(directory);
+process.env.AUTH_STRATEGY = 'encrypted';
+process.env.AUTH_ENCRYPTION_KEY = 'correct horse battery staple';
+process.env.AUTH_ARCHIVE_PATH = path.join(directory, 'archives');
+
+const sessionStore = require('../utils/sessionStore');
+
+test.before(async () => {
+  await setupDatabase();
+});
+
+test.after(async () => {
+  process.chdir(cwd);
+  await fs.remove(directory);
+});
+
+const ZIP = Buffer.from('PK\u0003\u0004 not really a zip');
+
+test('archives are encrypted and decrypt back to the same bytes', () => {
+  const stored = sessionStore.encrypt(ZIP);
+
+  assert.strictEqual(stored.subarray(0, 4).toString(), 'WAS1');
+  assert.ok(!stored.includes(ZIP));
+  assert.notDeepStrictEqual(sessionStore.encrypt(ZIP), stored); // fresh IV every time
+  assert.deepStrictEqual(sessionStore.decrypt(stored), ZIP);
+  // Saved before a key was set
+  assert.deepStrictEqual(sessionStore.decrypt(ZIP), ZIP);
+});
+
+test('the wrong key, no key or a changed archive is refused', (t) => {
+  const stored = sessionStore.encrypt(ZIP);
+  const key = sessionStore.key;
+  t.after(() => { sessionStore.key = key; });
+
+  sessionStore.key = crypto.createHash('sha256').update('another key').digest();
+  assert.throws(() => sessionStore.decrypt(stored), /unable to authenticate data/);
+
+  sessionStore.key = null;
+  assert.throws(() => sessionStore.decrypt(stored), /set AUTH_ENCRYPTION_KEY/);
+
+  sessionStore.key = key;
+  const tampered = Buffer.from(stored);
+  tampered[tampered.length - 1] ^= 1;
+  assert.throws(() => sessionStore.decrypt(tampered), /unable to authenticate data/);
+});
+
+test('RemoteAuth saves and extracts sessions through the store', async () => {
+  const session = 'RemoteAuth-a1';
+  await fs.writeFile(`${session}.zip`, ZIP);
+  await sessionStore.save({ session });
+  await fs.remove(`${session}.zip`);
+
+  assert.strictEqual(await sessionStore.sessionExists({ session }), true);
+  assert.strictEqual(await sessionStore.sessionExists({ session: 'RemoteAuth-unknown' }), false);
+  const onDisk = await fs.readFile(path.join(process.env.AUTH_ARCHIVE_PATH, `${session}.zip`));
+  assert.strictEqual(onDisk.subarray(0, 4).toString(), 'WAS1');
+
+  await sessionStore.extract({ session, path: 'restored.zip' });
+  assert.deepStrictEqual(await fs.readFile('restored.zip'), ZIP);
+  await assert.rejects(sessionStore.extract({ session: 'RemoteAuth-unknown', path: 'x.zip' }), /No stored session/);
+});
+
+test('a failed backup is logged, never thrown back to RemoteAuth', async (t) => {
+  t.mock.method(sessionStore.store(), 'put', async () => { throw new Error('read ECONNRESET'); });
+  const errors = t.mock.method(console, 'error', () => {});
+  await fs.writeFile('RemoteAuth-a2.zip', ZIP);
+
+  await sessionStore.save({ session: 'RemoteAuth-a2' });
+
+  assert.strictEqual(errors.mock.callCount(), 1);
+  assert.match(errors.mock.calls[0].arguments[1].message, /ECONNRESET/);
+});
+
+// A LocalAuth profile with session data and a cache RemoteAuth doesn't keep
+async function localSession(accountId) {
+  const dir = path.join('sessions', `session-${accountId}`, 'Default');
+  await fs.outputFile(path.join(dir, 'Local Storage', 'leveldb', '000003.log'), 'local storage');
+  await fs.outputFile(path.join(dir, 'IndexedDB', 'https_web.whatsapp.com_0.indexeddb.leveldb', 'CURRENT'), 'indexeddb');
+  await fs.outputFile(path.join(dir, 'Cache', 'data_0'), 'cache');
+}
+
+test('a LocalAuth session is moved to the store once', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  await localSession('a3');
+
+  await sessionStore.importLocalSession('a3');
+
+  assert.strictEqual(await fs.pathExists(path.join('sessions', 'session-a3')), false);
+  assert.strictEqual(await fs.pathExists('RemoteAuth-a3.zip'), false);
+  await sessionStore.extract({ session: 'RemoteAuth-a3', path: 'a3.zip' });
+  const zip = await unzipper.Open.buffer(await fs.readFile('a3.zip'));
+  assert.deepStrictEqual(zip.files.filter(file => file.type === 'File').map(file => file.path).sort(), [
+    'Default/IndexedDB/https_web.whatsapp.com_0.indexeddb.leveldb/CURRENT',
+    'Default/Local Storage/leveldb/000003.log'
+  ]);
+
+  // An already stored session is left alone
+  await localSession('a3');
+  const put = t.mock.method(sessionStore.store(), 'put');
+  await sessionStore.importLocalSession('a3');
+  assert.strictEqual(put.mock.callCount(), 0);
+  assert.strictEqual(await fs.pathExists(path.join('sessions', 'session-a3')), true);
+});
+
+test('the LocalAuth session is kept when storing it fails', async (t) => {
+  t.mock.method(sessionStore.store(), 'put', async () => { throw new Error('read ECONNRESET'); });
+  await localSession('a4');
+
+  await assert.rejects(sessionStore.importLocalSession('a4'), /ECONNRESET/);
+
+  assert.strictEqual(await fs.pathExists(path.join('sessions', 'session-a4', 'Default', 'Local Storage')), true);
+  assert.strictEqual(await fs.pathExists('RemoteAuth-a4.zip'), false);
+});
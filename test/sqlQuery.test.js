@@ -0,0 +1,108 @@
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createSqlClient, quote } = require('../config/drivers/sqlQuery');
+
+// Postgres-style dialect that records the SQL instead of running it
+function recorder(rows = []) {
+  const statements = [];
+  const dialect = {
+    placeholder: index => `$${index}`,
+    ilike: (column, placeholder) => `${column} ILIKE ${placeholder}`,
+    textSearch: (table, column, query, bind) => `${column} @@ websearch_to_tsquery(${bind(query.query)})`,
+    encode: (table, column, value) => value,
+    decode: (table, row) => row,
+    prepareInsert: (table, row) => row,
+    query: async (sql, params) => { statements.push({ sql, params }); return rows; },
+    batch: async (list) => { statements.push(...list); return list.map(() => rows); },
+    normalizeError: error => error
+  };
+  return { client: createSqlClient(dialect), statements };
+}
+
+test('builds selects with filters, ordering and paging', async () => {
+  const { client, statements } = recorder();
+  await client.from('message_logs')
+    .select('id, message')
+    .eq('account_id', 'a')
+    .in('direction', ['incoming', 'outgoing'])
+    .gte('created_at', '2024-01-01')
+    .ilike('sender', '%bob%')
+    .not('media', 'is', null)
+    .order('created_at', { ascending: false })
+    .range(20, 29);
+
+  assert.deepStrictEqual(statements, [{
+    sql: 'SELECT "id", "message" FROM "message_logs" WHERE "account_id" = $1 AND "direction" IN ($2, $3) AND "created_at" >= $4' +
+      ' AND "sender" ILIKE $5 AND NOT ("media" IS NULL) ORDER BY "created_at" DESC NULLS FIRST LIMIT $6 OFFSET $7',
+    params: ['a', 'incoming', 'outgoing', '2024-01-01', '%bob%', 10, 20]
+  }]);
+});
+
+test('translates PostgREST or() trees', async () => {
+  const { client, statements } = recorder();
+  await client.from('message_logs').select('*')
+    .or('created_at.lt.2024-01-02T00:00:00.000Z,and(created_at.eq.2024-01-02T00:00:00.000Z,id.lt.b),ack.is.null');
+
+  assert.strictEqual(statements[0].sql,
+    'SELECT * FROM "message_logs" WHERE ("created_at" < $1 OR ("created_at" = $2 AND "id" < $3) OR "ack" IS NULL)');
+  assert.deepStrictEqual(statements[0].params, ['2024-01-02T00:00:00.000Z', '2024-01-02T00:00:00.000Z', 'b']);
+});
+
+test('an empty in() matches nothing instead of producing invalid SQL', async () => {
+  const { client, statements } = recorder();
+  await client.from('webhooks').select('*').in('id', []);
+  assert.strictEqual(statements[0].sql, 'SELECT * FROM "webhooks" WHERE 1 = 0');
+});
+
+test('upserts only update the columns provided, never the conflict target', async () => {
+  const { client, statements } = recorder();
+  await client.from('chat_reads').upsert({ account_id: 'a', chat_id: 'c', last_read_at: 't' }, { onConflict: 'account_id,chat_id' }).select();
+
+  assert.strictEqual(statements[0].sql,
+    'INSERT INTO "chat_reads" ("account_id", "chat_id", "last_read_at") VALUES ($1, $2, $3)' +
+    ' ON CONFLICT ("account_id", "chat_id") DO UPDATE SET "last_read_at" = excluded."last_read_at" RETURNING *');
+});
+
+test('updates and deletes are filtered and return rows only when asked', async () => {
+  const { client, statements } = recorder([{ id: 'j' }]);
+  const updated = await client.from('message_jobs').update({ status: 'sent', result: undefined }).eq('id', 'j').eq('status', 'processing').select();
+  const deleted = await client.from('message_jobs').delete().eq('id', 'j');
+
+  assert.strictEqual(statements[0].sql, 'UPDATE "message_jobs" SET "status" = $1 WHERE "id" = $2 AND "status" = $3 RETURNING *');
+  assert.deepStrictEqual(statements[0].params, ['sent', 'j', 'processing']);
+  assert.deepStrictEqual(updated.data, [{ id: 'j' }]);
+  assert.strictEqual(statements[1].sql, 'DELETE FROM "message_jobs" WHERE "id" = $1');
+  assert.strictEqual(deleted.data, null);
+});
+
+test('single() errors like PostgREST when no row matches; maybeSingle() returns null', async () => {
+  const { client } = recorder([]);
+  const single = await client.from('webhooks').select('*').eq('id', 'x').single();
+  const maybe = await client.from('webhooks').select('*').eq('id', 'x').maybeSingle();
+
+  assert.strictEqual(single.error.code, 'PGRST116');
+  assert.deepStrictEqual(maybe, { data: null, error: null, count: null });
+});
+
+test('identifiers are checked, so column names cannot inject SQL', async () => {
+  assert.strictEqual(quote('account_id'), '"account_id"');
+  assert.throws(() => quote('id"; DROP TABLE users; --'), /Invalid identifier/);
+
+  const { client } = recorder();
+  const { error } = await client.from('users').select('*').eq('id = id OR 1', 1);
+  assert.match(error.message, /Invalid identifier/);
+});
+
+test('sqlite stores JSON and booleans and reads them back', async () => {
+  const db = await setupDatabase();
+  const account = await db.createAccount({ name: 'Types', status: 'ready' });
+  const webhook = await db.createWebhook({ account_id: account.id, url: 'https://example.com', events: ['message', 'ready'], is_active: false });
+
+  const [stored] = await db.getWebhooks(account.id);
+  assert.strictEqual(stored.id, webhook.id);
+  assert.deepStrictEqual(stored.events, ['message', 'ready']);
+  assert.strictEqual(stored.is_active, false);
+  assert.match(stored.id, /^[0-9a-f-]{36}$/);
+});
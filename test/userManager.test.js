@@ -0,0 +1,94 @@
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const userManager = require('../utils/userManager');
+const { requirePermission, hasAccountAccess } = require('../middleware/auth');
+
+test.before(async () => {
+  await setupDatabase();
+  const log = console.log;
+  console.log = () => {};
+  try {
+    await userManager.ensureDefaultAdmin();
+  } finally {
+    console.log = log;
+  }
+});
+
+test('roles grant their permissions', () => {
+  assert.deepStrictEqual(userManager.getPermissions({ role: 'admin' }), ['send', 'read_logs', 'manage_webhooks', 'admin']);
+  assert.strictEqual(userManager.hasPermission({ role: 'operator' }, 'send'), true);
+  assert.strictEqual(userManager.hasPermission({ role: 'operator' }, 'admin'), false);
+  assert.strictEqual(userManager.hasPermission({ role: 'viewer' }, 'read_logs'), true);
+  assert.strictEqual(userManager.hasPermission({ role: 'viewer' }, 'send'), false);
+  assert.strictEqual(userManager.hasPermission({ role: 'unknown' }, 'read_logs'), false);
+});
+
+test('requirePermission checks the user role', () => {
+  const check = (user, ...permissions) => {
+    let status = 'next';
+    const res = { status(code) { status = code; return this; }, json() { return this; } };
+    requirePermission(...permissions)({ user }, res, () => {});
+    return status;
+  };
+
+  assert.strictEqual(check({ role: 'viewer' }, 'send'), 403);
+  assert.strictEqual(check({ role: 'viewer' }, 'send', 'read_logs'), 'next');
+  assert.strictEqual(check({ role: 'operator' }, 'admin'), 403);
+  assert.strictEqual(check(undefined, 'read_logs'), 403);
+});
+
+test('null means every account, a list only those and an empty list none', () => {
+  assert.strictEqual(userManager.normalizeAccountIds(undefined), null);
+  assert.strictEqual(userManager.normalizeAccountIds(null), null);
+  assert.deepStrictEqual(userManager.normalizeAccountIds(['a', 'a', 'b']), ['a', 'b']);
+  assert.deepStrictEqual(userManager.normalizeAccountIds([]), []);
+  assert.throws(() => userManager.normalizeAccountIds('a'), /account_ids must be an array/);
+
+  assert.strictEqual(userManager.hasAccountAccess({ role: 'operator', account_ids: null }, 'a'), true);
+  assert.strictEqual(userManager.hasAccountAccess({ role: 'operator', account_ids: ['a'] }, 'a'), true);
+  assert.strictEqual(userManager.hasAccountAccess({ role: 'operator', account_ids: ['a'] }, 'b'), false);
+  assert.strictEqual(userManager.hasAccountAccess({ role: 'viewer', account_ids: [] }, 'a'), false);
+  // Admins see everything whatever their list says
+  assert.strictEqual(userManager.hasAccountAccess({ role: 'admin', account_ids: [] }, 'a'), true);
+});
+
+test('an operator locked down to no accounts stays locked down', async () => {
+  const user = await userManager.create({ username: 'locked', password: 'password1', role: 'operator', account_ids: ['a'] });
+  const updated = await userManager.update(user.id, { account_ids: [] });
+
+  assert.deepStrictEqual(updated.account_ids, []);
+  assert.strictEqual(hasAccountAccess({ user: updated }, 'a'), false);
+  assert.strictEqual(hasAccountAccess({ user: updated }, 'b'), false);
+});
+
+test('users authenticate with their password and never expose the hash', async () => {
+  const user = await userManager.create({ username: 'jane', password: 'correct horse', role: 'viewer' });
+  assert.strictEqual(user.password_hash, undefined);
+  assert.strictEqual(user.account_ids, null);
+
+  assert.strictEqual((await userManager.authenticate('jane', 'correct horse')).id, user.id);
+  assert.strictEqual(await userManager.authenticate('jane', 'wrong'), null);
+
+  await userManager.update(user.id, { is_active: false });
+  assert.strictEqual(await userManager.authenticate('jane', 'correct horse'), null);
+});
+
+test('rejects bad input', async () => {
+  await assert.rejects(userManager.create({ username: 'x', password: 'short' }), /at least 8 characters/);
+  await assert.rejects(userManager.create({ username: 'x', password: 'password1', role: 'root' }), /Invalid role: root/);
+  await assert.rejects(userManager.create({ username: 'admin', password: 'password1' }), /Username already exists/);
+});
+
+test('the last active admin cannot be removed or demoted', async () => {
+  const [admin] = (await userManager.list()).filter(user => user.role === 'admin');
+
+  await assert.rejects(userManager.update(admin.id, { role: 'viewer' }, admin.id), /your own admin access/);
+  await assert.rejects(userManager.update(admin.id, { role: 'viewer' }), /At least one active admin/);
+  await assert.rejects(userManager.delete(admin.id), /At least one active admin/);
+
+  const second = await userManager.create({ username: 'admin2', password: 'password1', role: 'admin' });
+  await assert.rejects(userManager.delete(second.id, second.id), /delete your own user/);
+  assert.strictEqual((await userManager.update(admin.id, { role: 'operator' }, second.id)).role, 'operator');
+});
@@ -0,0 +1,28 @@
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const webhookQueue = require('../utils/webhookQueue');
+
+let db;
+test.before(async () => {
+  db = await setupDatabase();
+});
+
+test('retry delays double per attempt, between half and all of the step', (t) => {
+  t.mock.method(Math, 'random', () => 0);
+  assert.deepStrictEqual([1, 2, 3].map(attempt => webhookQueue.getRetryDelay(attempt)), [2500, 5000, 10000]);
+
+  Math.random.mock.mockImplementation(() => 0.999999);
+  assert.deepStrictEqual([1, 2, 3].map(attempt => webhookQueue.getRetryDelay(attempt)), [4999, 9999, 19999]);
+});
+
+test('retry delays are capped at WEBHOOK_RETRY_MAX_MS', (t) => {
+  t.mock.method(Math, 'random', () => 0.999999);
+  assert.ok(webhookQueue.getRetryDelay(30) <= 3600000);
+  assert.ok(webhookQueue.getRetryDelay(30) >= 1800000);
+});
+
+test('an unknown delivery id is not found rather than an error', async () => {
+  assert.strictEqual(await db.getWebhookDelivery('00000000-0000-0000-0000-000000000000'), null);
+});
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+
+const { signPayload, verifySignature } = require('../utils/webhookSignature');
+
+const SECRET = 'whsec_test';
+const BODY = JSON.stringify({ event: 'message', data: { message: 'hi' } });
+const now = () => Math.floor(Date.now() / 1000);
+
+test('signs timestamp.body with HMAC-SHA256', () => {
+  const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${BODY}`).digest('hex');
+  assert.strictEqual(signPayload(SECRET, 1700000000, BODY), `sha256=${expected}`);
+});
+
+test('accepts its own signature', () => {
+  const timestamp = now();
+  assert.strictEqual(verifySignature(SECRET, signPayload(SECRET, timestamp, BODY), String(timestamp), BODY), true);
+});
+
+test('rejects a changed body, another secret or a changed timestamp', () => {
+  const timestamp = now();
+  const signature = signPayload(SECRET, timestamp, BODY);
+
+  assert.strictEqual(verifySignature(SECRET, signature, timestamp, BODY.replace('hi', 'ho')), false);
+  assert.strictEqual(verifySignature('other', signature, timestamp, BODY), false);
+  assert.strictEqual(verifySignature(SECRET, signature, timestamp - 1, BODY), false);
+});
+
+test('rejects timestamps outside the tolerance', () => {
+  const stale = now() - 301;
+  assert.strictEqual(verifySignature(SECRET, signPayload(SECRET, stale, BODY), stale, BODY), false);
+  assert.strictEqual(verifySignature(SECRET, signPayload(SECRET, stale, BODY), stale, BODY, 600), true);
+
+  const future = now() + 301;
+  assert.strictEqual(verifySignature(SECRET, signPayload(SECRET, future, BODY), future, BODY), false);
+});
+
+test('rejects missing or malformed input', () => {
+  const timestamp = now();
+  const signature = signPayload(SECRET, timestamp, BODY);
+
+  assert.strictEqual(verifySignature('', signature, timestamp, BODY), false);
+  assert.strictEqual(verifySignature(SECRET, '', timestamp, BODY), false);
+  assert.strictEqual(verifySignature(SECRET, signature, '', BODY), false);
+  assert.strictEqual(verifySignature(SECRET, signature, 'yesterday', BODY), false);
+  assert.strictEqual(verifySignature(SECRET, signature.slice(0, -2), timestamp, BODY), false);
+});
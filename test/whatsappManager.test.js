@@ -0,0 +1,48 @@
+const { setupDatabase } = require('./helpers');
+const test = require('node:test');
+const assert = require('node:assert');
+
+const whatsappManager = require('../utils/whatsappManager');
+
+let db;
+test.before(async () => {
+  db = await setupDatabase();
+});
+
+test('a failed launch is reported even when its status cannot be saved', async (t) => {
+  const account = await db.createAccount({ name: 'Broken', status: 'initializing' });
+  t.mock.method(whatsappManager, 'createClient', async () => { throw new Error('Failed to launch the browser process'); });
+  t.mock.method(db, 'updateAccount', async () => { throw new Error('read ECONNRESET'); });
+  const errors = t.mock.method(console, 'error', () => {});
+
+  const statuses = [];
+  const onStatus = ({ accountId, status }) => accountId === account.id && statuses.push(status);
+  whatsappManager.on('status', onStatus);
+  t.after(() => whatsappManager.off('status', onStatus));
+
+  assert.strictEqual(await whatsappManager.startupLaunch(account), 'failed');
+  assert.deepStrictEqual(statuses, ['disconnected']);
+  assert.ok(errors.mock.calls.some(call => String(call.arguments[1]).includes('ECONNRESET')));
+});
+
+test('starting a stopped account never leaves an unhandled rejection', async (t) => {
+  const account = await db.createAccount({ name: 'Stopped', status: 'stopped' });
+  t.mock.method(whatsappManager, 'createClient', async () => { throw new Error('Failed to launch the browser process'); });
+  t.mock.method(console, 'error', () => {});
+
+  const disconnected = new Promise(resolve => whatsappManager.on('status', function onStatus({ accountId, status }) {
+    if (accountId !== account.id || status !== 'disconnected') return;
+    whatsappManager.off('status', onStatus);
+    resolve();
+  }));
+  // Fails only after the account was marked as initializing
+  const update = db.updateAccount.bind(db);
+  t.mock.method(db, 'updateAccount', async (id, updates) => {
+    if (updates.status === 'disconnected') throw new Error('read ECONNRESET');
+    return update(id, updates);
+  });
+
+  await whatsappManager.startAccount(account.id);
+  await disconnected;
+  assert.strictEqual(whatsappManager.getAccountStatus(account.id), 'disconnected');
+});
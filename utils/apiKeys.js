@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+
+// Permissions an API key can be granted
+const API_KEY_PERMISSIONS = [
+  'send',            // send messages, queued jobs, schedules and campaigns
+  'read_logs',       // message logs, stats and dashboard data views
+  'manage_webhooks'  // create, edit and delete webhooks; replay deliveries
+];
+
+const KEY_PREFIX = 'wam_';
+const CACHE_TTL_MS = 60000;
+const LAST_USED_INTERVAL_MS = 60000; // Don't write last_used_at on every request
+
+class ApiKeyManager {
+  constructor() {
+    this.permissions = API_KEY_PERMISSIONS;
+    this.cache = new Map(); // key hash -> { apiKey, expiresAt }
+  }
+
+  // Keys are random, so a plain SHA-256 is enough to store them and look them up
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  normalizePermissions(permissions) {
+    if (!Array.isArray(permissions) || permissions.length === 0) {
+      throw new Error('At least one permission is required');
+    }
+    const unknown = permissions.filter(permission => !API_KEY_PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permission(s): ${unknown.join(', ')}`);
+    }
+    return [...new Set(permissions)];
+  }
+
+  // Returns the stored row and the plaintext key; the key is never shown again
+  async create({ name, permissions, account_ids }) {
+    if (!name) {
+      throw new Error('name is required');
+    }
+    if (account_ids !== undefined && account_ids !== null && !Array.isArray(account_ids)) {
+      throw new Error('account_ids must be an array');
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const apiKey = await db.createApiKey({
+      name,
+      key_prefix: key.slice(0, 12),
+      key_hash: this.hashKey(key),
+      permissions: this.normalizePermissions(permissions),
+      // null/omitted means every account; an empty list means none
+      account_ids: Array.isArray(account_ids) ? [...new Set(account_ids)] : null,
+      created_at: new Date().toISOString()
+    });
+
+    return { apiKey: this.sanitize(apiKey), key };
+  }
+
+  async revoke(id) {
+    const apiKey = await db.updateApiKey(id, {
+      revoked_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+    if (apiKey) this.cache.delete(apiKey.key_hash);
+    return apiKey ? this.sanitize(apiKey) : null;
+  }
+
+  async list() {
+    const apiKeys = await db.getApiKeys();
+    return apiKeys.map(apiKey => this.sanitize(apiKey));
+  }
+
+  // Resolve a bearer token to an active key, or null
+  async authenticate(token, ip = null) {
+    if (!token || !token.startsWith(KEY_PREFIX)) return null;
+
+    const keyHash = this.hashKey(token);
+    const cached = this.cache.get(keyHash);
+    let apiKey = cached && cached.expiresAt > Date.now() ? cached.apiKey : undefined;
+
+    if (apiKey === undefined) {
+      apiKey = await db.getApiKeyByHash(keyHash);
+      this.cache.set(keyHash, { apiKey, expiresAt: Date.now() + CACHE_TTL_MS });
+    }
+
+    if (!apiKey || apiKey.revoked_at) return null;
+
+    this.touch(apiKey, ip);
+    return apiKey;
+  }
+
+  // Record last use in the background
+  touch(apiKey, ip) {
+    const lastUsed = apiKey.last_used_at ? new Date(apiKey.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed < LAST_USED_INTERVAL_MS) return;
+
+    apiKey.last_used_at = new Date().toISOString();
+    apiKey.last_used_ip = ip;
+    db.updateApiKey(apiKey.id, { last_used_at: apiKey.last_used_at, last_used_ip: ip })
+      .catch(error => console.error('Error recording API key usage:', error));
+  }
+
+  hasPermission(apiKey, permission) {
+    return Array.isArray(apiKey.permissions) && apiKey.permissions.includes(permission);
+  }
+
+  hasAccountAccess(apiKey, accountId) {
+    return !Array.isArray(apiKey.account_ids) || apiKey.account_ids.includes(accountId);
+  }
+
+  sanitize(apiKey) {
+    const { key_hash, ...rest } = apiKey;
+    return rest;
+  }
+}
+
+module.exports = new ApiKeyManager();
@@ -0,0 +1,87 @@
+const { db } = require('../config/database');
+const { toCsv } = require('./csv');
+
+// Fields never written to before/after snapshots
+const REDACTED_FIELDS = ['secret', 'password', 'password_hash', 'key_hash', 'key'];
+
+const EXPORT_COLUMNS = [
+  'created_at', 'actor_type', 'actor_id', 'actor_name', 'action', 'target_type', 'target_id',
+  'account_id', 'ip', 'user_agent', 'before', 'after'
+];
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (REDACTED_FIELDS.includes(key)) {
+      copy[key] = field ? '[redacted]' : field;
+    } else if (key === 'media' && field && field.data) {
+      copy[key] = { ...redact(field), data: '[omitted]' };
+    } else {
+      copy[key] = redact(field);
+    }
+  }
+  return copy;
+}
+
+class AuditLog {
+  // Who made the request: a dashboard user, an API key or nobody (e.g. failed login)
+  getActor(req) {
+    if (req.apiKey) {
+      return { actor_type: 'api_key', actor_id: req.apiKey.id, actor_name: req.apiKey.name };
+    }
+    if (req.user) {
+      return { actor_type: 'user', actor_id: req.user.id, actor_name: req.user.username };
+    }
+    if (req.session && req.session.userId) {
+      return { actor_type: 'user', actor_id: req.session.userId, actor_name: req.session.username };
+    }
+    return { actor_type: 'anonymous', actor_id: null, actor_name: null };
+  }
+
+  // Copy a row for storage without secrets or inline media, at any depth
+  // (e.g. the webhooks of a deleted account)
+  snapshot(value) {
+    if (value === undefined || value === null) return null;
+    return redact(value);
+  }
+
+  // Never blocks or fails the request; errors are only logged.
+  // details: { targetType, targetId, accountId, before, after, actorName }
+  record(req, action, details = {}) {
+    const actor = this.getActor(req);
+
+    return db.createAuditEvent({
+      ...actor,
+      actor_name: actor.actor_name || details.actorName || null,
+      action,
+      target_type: details.targetType || null,
+      target_id: details.targetId ? String(details.targetId) : null,
+      account_id: details.accountId || null,
+      before: this.snapshot(details.before),
+      after: this.snapshot(details.after),
+      ip: req.ip || null,
+      user_agent: req.headers['user-agent'] || null,
+      created_at: new Date().toISOString()
+    }).catch(error => {
+      console.error(`Error recording audit event ${action}:`, error);
+      return null;
+    });
+  }
+
+  async list(filters = {}, limit = 200) {
+    return db.getAuditEvents(filters, limit);
+  }
+
+  toCsv(events) {
+    return toCsv(events.map(event => ({
+      ...event,
+      before: event.before ? JSON.stringify(event.before) : '',
+      after: event.after ? JSON.stringify(event.after) : ''
+    })), EXPORT_COLUMNS);
+  }
+}
+
+module.exports = new AuditLog();
@@ -0,0 +1,383 @@
+const EventEmitter = require('events');
+const { db } = require('../config/database');
+const whatsappManager = require('./whatsappManager');
+const sendQueue = require('./sendQueue');
+const { parseCsvRecords } = require('./csv');
+
+const POLL_INTERVAL_MS = parseInt(process.env.CAMPAIGN_INTERVAL_MS) || 1000;
+const MAX_ATTEMPTS = parseInt(process.env.SEND_MAX_ATTEMPTS) || 3;
+// Wait before retrying a recipient after a transient error (doubles per attempt)
+const RETRY_BASE_MS = 30000;
+const RETRY_MAX_MS = 600000; // 10 minutes
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+// Fill {{placeholders}} from a recipient's CSV columns (names are case-insensitive)
+function renderTemplate(template, variables = {}) {
+  return String(template || '').replace(PLACEHOLDER_PATTERN, (_, name) => {
+    const value = variables[name.toLowerCase()];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+function getPlaceholders(template) {
+  return [...String(template || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1].toLowerCase());
+}
+
+// Runs broadcast campaigns, sharing the send queue's per-account throttle.
+// Emits 'progress' with { campaign_id, status, counts, recipient? } after every state change.
+class CampaignManager extends EventEmitter {
+  constructor() {
+    super();
+    this.timer = null;
+    this.polling = false;
+    this.inFlight = new Map(); // campaignId -> sends in progress
+  }
+
+  // Validate a campaign request and store it with its recipients.
+  // input: { name, template, account_ids, csv | recipients: [{ number, ...variables }], media?, options?, start? }
+  async createCampaign(input) {
+    const { name, template, media, options } = input;
+    const accountIds = Array.isArray(input.account_ids) ? [...new Set(input.account_ids.filter(Boolean))] : [];
+
+    if (!name || !template) {
+      throw new Error('name and template are required');
+    }
+    if (accountIds.length === 0) {
+      throw new Error('At least one account_id is required');
+    }
+    if (media && !media.data && !media.url) {
+      throw new Error('media must include either data (base64) or url');
+    }
+    if (media && media.data && !media.mimetype) {
+      throw new Error('media.mimetype is required when media.data is provided');
+    }
+
+    for (const accountId of accountIds) {
+      const account = await db.getAccount(accountId).catch(() => null);
+      if (!account) {
+        throw new Error(`Account not found: ${accountId}`);
+      }
+    }
+
+    const { recipients, skipped } = this.parseRecipients(input);
+    if (recipients.length === 0) {
+      throw new Error('No valid recipients found');
+    }
+
+    // Every placeholder must be fillable from the uploaded columns
+    const columns = new Set(['number']);
+    recipients.forEach(recipient => Object.keys(recipient.variables).forEach(key => columns.add(key)));
+    const missing = [...new Set(getPlaceholders(template))].filter(name => !columns.has(name));
+    if (missing.length > 0) {
+      throw new Error(`Template placeholders without a matching column: ${missing.join(', ')}`);
+    }
+
+    const campaign = await db.createCampaign({
+      name,
+      template,
+      media: media || null,
+      options: options || {},
+      account_ids: accountIds,
+      status: 'draft',
+      total_recipients: recipients.length,
+      sent_count: 0,
+      failed_count: 0,
+      created_at: new Date().toISOString()
+    });
+
+    try {
+      await db.createCampaignRecipients(recipients.map(recipient => ({
+        campaign_id: campaign.id,
+        number: recipient.number,
+        variables: recipient.variables,
+        status: 'pending',
+        attempts: 0,
+        created_at: new Date().toISOString()
+      })));
+    } catch (error) {
+      // Don't leave a half-imported campaign behind
+      await db.updateCampaign(campaign.id, { status: 'cancelled', updated_at: new Date().toISOString() }).catch(() => {});
+      throw error;
+    }
+
+    const result = input.start ? await this.startCampaign(campaign.id) : campaign;
+    return { campaign: result || campaign, skipped };
+  }
+
+  // Recipients from CSV text (header row with a `number` or `phone` column) or a JSON array.
+  // Rows without a usable number and duplicate numbers are skipped.
+  parseRecipients(input) {
+    let rows;
+    if (input.csv) {
+      const { columns, records } = parseCsvRecords(input.csv);
+      if (!columns.includes('number') && !columns.includes('phone')) {
+        throw new Error('CSV must have a "number" or "phone" column');
+      }
+      rows = records;
+    } else if (Array.isArray(input.recipients)) {
+      rows = input.recipients.map(row => Object.fromEntries(
+        Object.entries(row || {}).map(([key, value]) => [key.trim().toLowerCase(), value])
+      ));
+    } else {
+      throw new Error('Either csv or recipients is required');
+    }
+
+    const seen = new Set();
+    const recipients = [];
+    let skipped = 0;
+
+    for (const row of rows) {
+      const { number: rawNumber, phone, ...variables } = row;
+      const number = String(rawNumber || phone || '').trim();
+      const digits = number.replace(/\D/g, '');
+
+      if (digits.length < 7 || seen.has(digits)) {
+        skipped++;
+        continue;
+      }
+
+      seen.add(digits);
+      recipients.push({ number, variables: { ...variables, number } });
+    }
+
+    return { recipients, skipped };
+  }
+
+  async startCampaign(campaignId) {
+    const campaign = await db.transitionCampaign(campaignId, ['draft'], {
+      status: 'running',
+      started_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+    if (campaign) this.emitProgress(campaign);
+    return campaign;
+  }
+
+  async pauseCampaign(campaignId) {
+    const campaign = await db.transitionCampaign(campaignId, ['running'], {
+      status: 'paused',
+      updated_at: new Date().toISOString()
+    });
+    if (campaign) this.emitProgress(campaign);
+    return campaign;
+  }
+
+  async resumeCampaign(campaignId) {
+    const campaign = await db.transitionCampaign(campaignId, ['paused'], {
+      status: 'running',
+      updated_at: new Date().toISOString()
+    });
+    if (campaign) this.emitProgress(campaign);
+    return campaign;
+  }
+
+  // Messages already being sent finish; everything still pending is cancelled
+  async cancelCampaign(campaignId) {
+    const campaign = await db.transitionCampaign(campaignId, ['draft', 'running', 'paused'], {
+      status: 'cancelled',
+      completed_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+    if (!campaign) return null;
+
+    await db.cancelPendingCampaignRecipients(campaignId);
+    await this.refreshProgress(campaign);
+    return campaign;
+  }
+
+  async start() {
+    if (this.timer) return;
+
+    try {
+      const interrupted = await db.markInterruptedCampaignRecipients();
+      if (interrupted > 0) {
+        console.warn(`${interrupted} campaign message(s) were interrupted mid-send and marked unconfirmed`);
+      }
+    } catch (error) {
+      console.error('Error closing interrupted campaign messages:', error);
+    }
+
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    console.log('Campaign worker started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Give every ready, idle account of each running campaign its next recipient
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const campaigns = await db.getCampaigns('running');
+      const statuses = whatsappManager.getAllAccountStatuses();
+
+      for (const campaign of campaigns) {
+        for (const accountId of campaign.account_ids || []) {
+          if (statuses[accountId] !== 'ready' || !sendQueue.canSend(accountId)) continue;
+
+          const recipient = await db.getNextCampaignRecipient(campaign.id);
+          if (!recipient) {
+            // In-flight sends complete the campaign themselves, and recipients waiting
+            // for a retry keep it running; otherwise it is done now
+            if (!this.inFlight.get(campaign.id)) {
+              const counts = await db.getCampaignRecipientCounts(campaign.id);
+              if (counts.pending === 0 && counts.sending === 0) {
+                await this.refreshProgress(campaign);
+              }
+            }
+            break;
+          }
+
+          // Claim the recipient so another account doesn't pick it up too
+          const claimed = await db.transitionCampaignRecipient(recipient.id, 'pending', {
+            status: 'sending',
+            account_id: accountId,
+            attempts: (recipient.attempts || 0) + 1,
+            updated_at: new Date().toISOString()
+          });
+          if (!claimed) continue;
+
+          sendQueue.reserve(accountId);
+          this.inFlight.set(campaign.id, (this.inFlight.get(campaign.id) || 0) + 1);
+          this.send(campaign.id, claimed).finally(() => {
+            sendQueue.release(accountId);
+            const remaining = this.inFlight.get(campaign.id) - 1;
+            if (remaining > 0) this.inFlight.set(campaign.id, remaining);
+            else this.inFlight.delete(campaign.id);
+          });
+        }
+      }
+    } catch (error) {
+      console.error('Error polling campaigns:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async send(campaignId, recipient) {
+    const accountId = recipient.account_id;
+
+    try {
+      // Full row (with media); also picks up a pause/cancel that raced the claim
+      const campaign = await db.getCampaign(campaignId);
+      if (campaign.status !== 'running') {
+        await db.transitionCampaignRecipient(recipient.id, 'sending', {
+          status: campaign.status === 'cancelled' ? 'cancelled' : 'pending',
+          attempts: recipient.attempts - 1,
+          updated_at: new Date().toISOString()
+        });
+        return;
+      }
+
+      const text = renderTemplate(campaign.template, recipient.variables);
+      let result;
+      let failure = null;
+
+      try {
+        result = campaign.media
+          ? await whatsappManager.sendMedia(accountId, recipient.number, campaign.media, text, campaign.options || {})
+          : await whatsappManager.sendMessage(accountId, recipient.number, text, campaign.options || {});
+      } catch (error) {
+        failure = error;
+      } finally {
+        sendQueue.recordSend(accountId);
+      }
+
+      // Written outside the send's try: a sent message is never retried because of a database error
+      const updated = failure
+        ? await db.updateCampaignRecipient(recipient.id, this.getFailureUpdate(recipient, failure))
+        : await this.markSent(recipient, result);
+
+      await this.refreshProgress(campaign, updated);
+    } catch (error) {
+      console.error(`Error processing campaign ${campaignId} recipient ${recipient.id}:`, error);
+    }
+  }
+
+  // If 'sent' can't be saved the recipient becomes 'unconfirmed': final, so it neither keeps
+  // the campaign running nor is sent again
+  async markSent(recipient, result) {
+    try {
+      return await sendQueue.retryWrite(() => db.updateCampaignRecipient(recipient.id, {
+        status: 'sent',
+        message_id: result.messageId || null,
+        error_message: null,
+        next_attempt_at: null,
+        sent_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }));
+    } catch (error) {
+      console.error(`Campaign recipient ${recipient.id} was sent but couldn't be marked as sent:`, error);
+      return sendQueue.retryWrite(() => db.updateCampaignRecipient(recipient.id, {
+        status: 'unconfirmed',
+        error_message: `Sent, but saving the result failed: ${error.message}`,
+        next_attempt_at: null,
+        updated_at: new Date().toISOString()
+      }));
+    }
+  }
+
+  // Transient errors are retried with exponential backoff until MAX_ATTEMPTS
+  getFailureUpdate(recipient, error) {
+    const retry = sendQueue.isTransientError(error) && recipient.attempts < MAX_ATTEMPTS;
+    const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, recipient.attempts - 1));
+
+    return {
+      status: retry ? 'pending' : 'failed',
+      error_message: error.message,
+      next_attempt_at: retry ? new Date(Date.now() + delay).toISOString() : null,
+      updated_at: new Date().toISOString()
+    };
+  }
+
+  // Recount recipients, store the totals, complete the campaign when nothing is left and notify listeners
+  async refreshProgress(campaign, recipient = null) {
+    const counts = await db.getCampaignRecipientCounts(campaign.id);
+    const updates = {
+      sent_count: counts.sent,
+      // Unconfirmed sends need checking by hand, so they count with the failures
+      failed_count: counts.failed + counts.unconfirmed,
+      updated_at: new Date().toISOString()
+    };
+
+    let current = await db.updateCampaign(campaign.id, updates);
+
+    if (current.status === 'running' && counts.pending === 0 && counts.sending === 0) {
+      current = await db.transitionCampaign(campaign.id, ['running'], {
+        status: 'completed',
+        completed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }) || current;
+    }
+
+    this.emitProgress(current, counts, recipient);
+    return counts;
+  }
+
+  emitProgress(campaign, counts = null, recipient = null) {
+    this.emit('progress', {
+      campaign_id: campaign.id,
+      account_ids: campaign.account_ids,
+      status: campaign.status,
+      total: campaign.total_recipients,
+      sent: campaign.sent_count,
+      failed: campaign.failed_count,
+      counts,
+      recipient: recipient ? {
+        id: recipient.id,
+        number: recipient.number,
+        status: recipient.status,
+        account_id: recipient.account_id,
+        error_message: recipient.error_message
+      } : null
+    });
+  }
+}
+
+module.exports = new CampaignManager();
@@ -0,0 +1,184 @@
+const { Client } = require('whatsapp-web.js');
+const { db } = require('../config/database');
+const sessionStore = require('./sessionStore');
+
+// Chromium arguments every client starts with, tuned for fast startup and low memory use
+const DEFAULT_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--no-first-run',
+  '--no-zygote',
+  // '--single-process', // can cause hangs on some platforms; avoid
+  '--disable-gpu',
+  '--disable-extensions',
+  '--disable-component-extensions-with-background-pages',
+  '--disable-default-apps',
+  '--mute-audio',
+  '--no-default-browser-check',
+  '--disable-background-timer-throttling',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-renderer-backgrounding',
+  '--disable-background-networking',
+  '--disable-breakpad',
+  '--disable-sync',
+  '--disable-translate',
+  '--metrics-recording-only',
+  '--disable-features=site-per-process,TranslateUI,BlinkGenPropertyTrees',
+  '--disable-hang-monitor',
+  '--disable-ipc-flooding-protection'
+];
+// Set through their own profile settings
+const RESERVED_ARGS = ['--proxy-server', '--user-agent'];
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks4:', 'socks5:'];
+const WEB_VERSION_CACHES = ['local', 'remote', 'none'];
+const TEXT_SETTINGS = ['executable_path', 'proxy_server', 'proxy_username', 'user_agent', 'web_version', 'web_version_cache', 'web_version_remote_path'];
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '';
+}
+
+// Builds every whatsapp-web.js Client from its account's profile (client_profiles), so a client
+// is set up the same way whether the account was just created or is starting again
+class ClientFactory {
+  // Validate a profile; empty settings fall back to the defaults. A missing proxy_password
+  // is left out, so saving the other settings keeps the stored one.
+  buildProfile(input) {
+    const profile = {};
+
+    for (const setting of TEXT_SETTINGS) {
+      const value = input[setting];
+      if (!isEmpty(value) && typeof value !== 'string') {
+        throw new Error(`${setting} must be a string`);
+      }
+      profile[setting] = isEmpty(value) ? null : value.trim();
+    }
+
+    if (isEmpty(input.headless)) {
+      profile.headless = null;
+    } else if (typeof input.headless === 'boolean') {
+      profile.headless = input.headless;
+    } else {
+      throw new Error('headless must be true or false');
+    }
+
+    if (isEmpty(input.args)) {
+      profile.args = null;
+    } else {
+      if (!Array.isArray(input.args) || input.args.some(arg => typeof arg !== 'string' || !arg.trim().startsWith('--'))) {
+        throw new Error('args must be a list of Chromium switches starting with --');
+      }
+      const args = input.args.map(arg => arg.trim());
+      const reserved = args.find(arg => RESERVED_ARGS.includes(arg.split('=')[0]));
+      if (reserved) {
+        throw new Error(`${reserved.split('=')[0]} is set with its own setting, not in args`);
+      }
+      profile.args = args.length > 0 ? args : null;
+    }
+
+    if (profile.proxy_server) {
+      let url;
+      try {
+        url = new URL(profile.proxy_server.includes('://') ? profile.proxy_server : `http://${profile.proxy_server}`);
+      } catch (error) {
+        url = null;
+      }
+      if (!url || !PROXY_PROTOCOLS.includes(url.protocol) || !url.hostname) {
+        throw new Error('proxy_server must look like http://host:port or socks5://host:port');
+      }
+      if (url.username || url.password) {
+        throw new Error('Put proxy credentials in proxy_username and proxy_password, not in proxy_server');
+      }
+    }
+
+    if (input.proxy_password !== undefined) {
+      if (!isEmpty(input.proxy_password) && typeof input.proxy_password !== 'string') {
+        throw new Error('proxy_password must be a string');
+      }
+      profile.proxy_password = isEmpty(input.proxy_password) ? null : input.proxy_password;
+    }
+    // Credentials only go with a proxy, and a password only with a user name
+    if (!profile.proxy_server) profile.proxy_username = null;
+    if (!profile.proxy_username) profile.proxy_password = null;
+
+    if (profile.web_version && !/^\d+(\.\d+)+(-[\w.]+)?$/.test(profile.web_version)) {
+      throw new Error('web_version must be a WhatsApp Web version such as 2.3000.1017054665');
+    }
+    if (profile.web_version_cache && !WEB_VERSION_CACHES.includes(profile.web_version_cache)) {
+      throw new Error(`web_version_cache must be one of: ${WEB_VERSION_CACHES.join(', ')}`);
+    }
+    if (profile.web_version_cache === 'remote' && !profile.web_version_remote_path) {
+      throw new Error('web_version_remote_path is required for the remote web_version_cache');
+    }
+    if (profile.web_version_cache !== 'remote') {
+      profile.web_version_remote_path = null;
+    }
+
+    return profile;
+  }
+
+  // A stored profile as the API shows it: the proxy password is never sent back
+  describe(profile) {
+    if (!profile) return null;
+    const { proxy_password, ...rest } = profile;
+    return { ...rest, has_proxy_password: !!proxy_password };
+  }
+
+  async getProfile(accountId) {
+    return db.getClientProfile(accountId);
+  }
+
+  async setProfile(accountId, input) {
+    return db.upsertClientProfile({ account_id: accountId, ...this.buildProfile(input) });
+  }
+
+  async clearProfile(accountId) {
+    return db.deleteClientProfile(accountId);
+  }
+
+  // whatsapp-web.js Client options for a profile (null = defaults) and auth strategy
+  options(profile, authStrategy) {
+    const settings = profile || {};
+    const args = [...DEFAULT_ARGS, ...(settings.args || [])];
+    if (settings.proxy_server) {
+      args.push(`--proxy-server=${settings.proxy_server}`);
+    }
+
+    const options = {
+      authStrategy,
+      puppeteer: {
+        headless: settings.headless === null || settings.headless === undefined ? true : settings.headless,
+        args,
+        // Reduce memory usage
+        defaultViewport: { width: 800, height: 600 },
+        ...(settings.executable_path ? { executablePath: settings.executable_path } : {})
+      }
+    };
+
+    if (settings.proxy_server && settings.proxy_username) {
+      options.proxyAuthentication = { username: settings.proxy_username, password: settings.proxy_password || '' };
+    }
+    if (settings.user_agent) {
+      options.userAgent = settings.user_agent;
+    }
+    if (settings.web_version) {
+      options.webVersion = settings.web_version;
+    }
+    if (settings.web_version_cache === 'remote') {
+      options.webVersionCache = { type: 'remote', remotePath: settings.web_version_remote_path };
+    } else if (settings.web_version_cache) {
+      options.webVersionCache = { type: settings.web_version_cache };
+    }
+
+    return options;
+  }
+
+  // A new, not yet initialized client for an account, set up from its stored profile
+  async create(accountId) {
+    const profile = await this.getProfile(accountId);
+    return new Client(this.options(profile, await sessionStore.create(accountId)));
+  }
+}
+
+module.exports = new ClientFactory();
@@ -0,0 +1,256 @@
+const { db } = require('../config/database');
+const whatsappManager = require('./whatsappManager');
+
+// Reconnect settings (override via environment)
+const CHECK_INTERVAL_MS = parseInt(process.env.RECONNECT_CHECK_INTERVAL_MS) || 30000;
+const INIT_TIMEOUT_MS = parseInt(process.env.RECONNECT_INIT_TIMEOUT_MS) || 180000; // 3 minutes
+const MAX_ATTEMPTS = parseInt(process.env.RECONNECT_MAX_ATTEMPTS) || 5;
+const BACKOFF_BASE_MS = parseInt(process.env.RECONNECT_BACKOFF_BASE_MS) || 10000;
+const BACKOFF_MAX_MS = parseInt(process.env.RECONNECT_BACKOFF_MAX_MS) || 600000; // 10 minutes
+const STATE_TIMEOUT_MS = 10000;
+// Consecutive unhealthy getState() checks before a ready client is restarted
+const UNHEALTHY_CHECKS = 2;
+
+// Statuses that mean the client is gone and should be brought back
+const RECONNECT_STATUSES = ['disconnected', 'failed'];
+// getState() results after the device was unlinked from the phone; only a new QR scan helps
+const LOGGED_OUT_STATES = ['UNPAIRED', 'UNPAIRED_IDLE'];
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('Timed out')), ms); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Watches every WhatsApp client and brings back the ones that disconnect, crash or hang.
+// Restarts back off exponentially; after RECONNECT_MAX_ATTEMPTS the account is marked needs_rescan.
+class ConnectionSupervisor {
+  constructor() {
+    this.timer = null;
+    this.checking = false;
+    this.accounts = new Map(); // accountId -> { attempts, timer, unhealthyChecks, gaveUp }
+  }
+
+  start() {
+    if (this.timer) return;
+
+    whatsappManager.on('status', (event) => this.handleStatus(event));
+    this.timer = setInterval(() => this.check(), CHECK_INTERVAL_MS);
+    console.log('Connection supervisor started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    for (const state of this.accounts.values()) {
+      clearTimeout(state.timer);
+    }
+    this.accounts.clear();
+  }
+
+  state(accountId) {
+    if (!this.accounts.has(accountId)) {
+      this.accounts.set(accountId, { attempts: 0, timer: null, unhealthyChecks: 0, gaveUp: false });
+    }
+    return this.accounts.get(accountId);
+  }
+
+  // Forget an account (deleted, or stopped on purpose); cancels a pending reconnect
+  forget(accountId) {
+    const state = this.accounts.get(accountId);
+    if (state) clearTimeout(state.timer);
+    this.accounts.delete(accountId);
+  }
+
+  handleStatus({ accountId, status, error_message: reason }) {
+    if (!this.timer) return;
+
+    if (status === 'ready') {
+      this.reset(accountId);
+    } else if (RECONNECT_STATUSES.includes(status)) {
+      this.schedule(accountId, reason || status);
+    }
+  }
+
+  // Connected again: start counting from zero next time
+  reset(accountId) {
+    const state = this.accounts.get(accountId);
+    if (!state) return;
+
+    clearTimeout(state.timer);
+    this.accounts.delete(accountId);
+    if (state.attempts > 0) {
+      console.log(`Account ${accountId} reconnected after ${state.attempts} attempt(s)`);
+      db.updateAccount(accountId, { reconnect_attempts: 0, updated_at: new Date().toISOString() })
+        .catch(error => console.error('Error resetting reconnect attempts:', error));
+    }
+  }
+
+  // Exponential backoff with equal jitter (between half and all of the step), capped at RECONNECT_BACKOFF_MAX_MS
+  getDelay(attempt) {
+    const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * Math.pow(2, attempt - 1));
+    return Math.floor(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  schedule(accountId, reason) {
+    const state = this.state(accountId);
+    if (state.timer || state.gaveUp) return;
+
+    if (state.attempts >= MAX_ATTEMPTS) {
+      this.giveUp(accountId, reason).catch(error => console.error('Error marking account for re-scan:', error));
+      return;
+    }
+
+    const delay = this.getDelay(state.attempts + 1);
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      this.reconnect(accountId, reason).catch(error => console.error(`Error reconnecting account ${accountId}:`, error));
+    }, delay);
+
+    console.log(`Reconnecting account ${accountId} in ${Math.round(delay / 1000)}s (attempt ${state.attempts + 1}/${MAX_ATTEMPTS}): ${reason}`);
+    // A crashed or hung client is as good as disconnected until it's back
+    whatsappManager.setStatus(accountId, 'disconnected', {
+      reconnect_attempts: state.attempts,
+      next_reconnect_at: new Date(Date.now() + delay).toISOString(),
+      error_message: reason
+    });
+    db.updateAccount(accountId, { status: 'disconnected', error_message: reason, updated_at: new Date().toISOString() })
+      .catch(error => console.error('Error updating account status:', error));
+  }
+
+  // Throw the client away and start a new one from the saved session
+  async reconnect(accountId, reason) {
+    const state = this.state(accountId);
+
+    let account;
+    try {
+      account = await db.getAccount(accountId);
+    } catch (_) {
+      account = null;
+    }
+    if (!account) {
+      this.forget(accountId);
+      return;
+    }
+
+    state.attempts++;
+    state.unhealthyChecks = 0;
+    await db.updateAccount(accountId, {
+      reconnect_attempts: state.attempts,
+      last_reconnect_at: new Date().toISOString(),
+      last_reconnect_reason: reason,
+      updated_at: new Date().toISOString()
+    });
+
+    await whatsappManager.destroyClient(accountId);
+    // Not awaited: a hung initialize() is caught by the initializing timeout
+    whatsappManager.reconnectAccount(account)
+      .catch(error => console.error(`Error reconnecting account ${accountId}:`, error));
+  }
+
+  // Out of attempts: free the browser and wait for someone to scan a new QR code
+  async giveUp(accountId, reason) {
+    const state = this.state(accountId);
+    state.gaveUp = true;
+
+    const message = state.attempts > 0
+      ? `Gave up reconnecting after ${state.attempts} attempts: ${reason}`
+      : reason;
+    console.warn(`Account ${accountId} needs a new QR scan: ${message}`);
+
+    await whatsappManager.destroyClient(accountId);
+    await db.updateAccount(accountId, {
+      status: 'needs_rescan',
+      error_message: message,
+      updated_at: new Date().toISOString()
+    });
+    whatsappManager.setStatus(accountId, 'needs_rescan', { error_message: message, reconnect_attempts: state.attempts });
+    await whatsappManager.sendToWebhooks(accountId, 'disconnected', { reason: message, needs_rescan: true });
+  }
+
+  // Periodic health check of every client
+  async check() {
+    if (this.checking) return;
+    this.checking = true;
+
+    try {
+      for (const accountId of this.accounts.keys()) {
+        if (!whatsappManager.getAccountStatus(accountId)) this.forget(accountId);
+      }
+
+      for (const [accountId, client] of whatsappManager.clients) {
+        const problem = await this.diagnose(accountId, client);
+        if (problem === 'logged_out') {
+          await this.giveUp(accountId, 'Logged out from the phone');
+        } else if (problem) {
+          this.schedule(accountId, problem);
+        }
+      }
+
+      // Clients that failed before the supervisor saw it (e.g. at startup)
+      for (const [accountId, status] of Object.entries(whatsappManager.getAllAccountStatuses())) {
+        if (RECONNECT_STATUSES.includes(status) && !whatsappManager.clients.has(accountId)) {
+          this.schedule(accountId, status);
+        }
+      }
+    } catch (error) {
+      console.error('Error checking WhatsApp clients:', error);
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  // Why a client needs restarting, or null if it looks healthy (or is already being handled)
+  async diagnose(accountId, client) {
+    const state = this.accounts.get(accountId);
+    if (state && (state.timer || state.gaveUp)) return null;
+
+    const status = whatsappManager.getAccountStatus(accountId);
+
+    if (client.pupBrowser && !client.pupBrowser.isConnected()) {
+      return 'Browser crashed';
+    }
+    if (RECONNECT_STATUSES.includes(status)) {
+      return status;
+    }
+    if (status === 'initializing') {
+      const since = whatsappManager.statusSince.get(accountId) || Date.now();
+      return Date.now() - since > INIT_TIMEOUT_MS ? `Stuck initializing for over ${Math.round(INIT_TIMEOUT_MS / 1000)}s` : null;
+    }
+    if (status !== 'ready' && status !== 'qr_ready') {
+      return null;
+    }
+    if (!client.pupPage || client.pupPage.isClosed()) {
+      return 'Browser page closed';
+    }
+    if (status !== 'ready') {
+      return null;
+    }
+
+    let waState;
+    try {
+      waState = await withTimeout(client.getState(), STATE_TIMEOUT_MS);
+    } catch (error) {
+      waState = null;
+    }
+
+    if (LOGGED_OUT_STATES.includes(waState)) {
+      return 'logged_out';
+    }
+
+    const current = this.state(accountId);
+    if (waState === 'CONNECTED') {
+      current.unhealthyChecks = 0;
+      return null;
+    }
+
+    current.unhealthyChecks++;
+    return current.unhealthyChecks >= UNHEALTHY_CHECKS ? `Unhealthy connection state: ${waState || 'no response'}` : null;
+  }
+}
+
+module.exports = new ConnectionSupervisor();
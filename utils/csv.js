@@ -0,0 +1,78 @@
+// Minimal RFC 4180 CSV parser: quoted fields, escaped quotes ("") and newlines inside quotes
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 BOM left by spreadsheet exports
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Parse a CSV with a header row into objects keyed by lower-cased header names
+function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { columns: [], records: [] };
+
+  const columns = header.map(name => name.trim().toLowerCase());
+  const records = rows.map(row => Object.fromEntries(
+    columns.map((column, index) => [column, (row[index] || '').trim()])
+  ));
+
+  return { columns, records };
+}
+
+// Quote a value for CSV output; formula-like values are prefixed so spreadsheets don't evaluate them
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Serialize objects to CSV with a header row of the given columns
+function toCsv(records, columns) {
+  const lines = [columns.join(',')];
+  for (const record of records) {
+    lines.push(columns.map(column => escapeCsvValue(record[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = { parseCsv, parseCsvRecords, escapeCsvValue, toCsv };
@@ -0,0 +1,99 @@
+const { db } = require('../config/database');
+
+// Chats are built from this many of an account's latest messages
+const CHAT_LIST_WINDOW = 1000;
+const THREAD_PAGE_SIZE = 50;
+const MAX_THREAD_PAGE_SIZE = 200;
+
+class Inbox {
+  // Conversations of an account, most recent activity first
+  async listChats(accountId) {
+    // Messages are logged in batches; include the ones still buffered
+    await db.flushMessageQueue();
+
+    const [messages, reads] = await Promise.all([
+      db.getRecentChatMessages(accountId, CHAT_LIST_WINDOW),
+      db.getChatReads(accountId)
+    ]);
+    const lastReadAt = new Map(reads.map(read => [read.chat_id, new Date(read.last_read_at)]));
+    const chats = new Map();
+
+    // Newest first, so the first message seen for a chat is its last message
+    for (const message of messages) {
+      let chat = chats.get(message.chat_id);
+      if (!chat) {
+        chat = {
+          chat_id: message.chat_id,
+          name: null,
+          is_group: !!message.is_group || message.chat_id.endsWith('@g.us'),
+          last_message: this.summarize(message),
+          last_message_at: message.created_at,
+          unread_count: 0
+        };
+        chats.set(message.chat_id, chat);
+      }
+
+      if (!chat.name) {
+        chat.name = chat.is_group ? message.group_name : (message.direction === 'incoming' ? message.contact_name : null);
+      }
+
+      const readAt = lastReadAt.get(message.chat_id);
+      if (message.direction === 'incoming' && (!readAt || new Date(message.created_at) > readAt)) {
+        chat.unread_count++;
+      }
+    }
+
+    return [...chats.values()].map(chat => ({ ...chat, name: chat.name || this.formatChatId(chat.chat_id) }));
+  }
+
+  // A page of a chat, oldest first; next_before fetches the page before it
+  async getThread(accountId, chatId, { before = null, limit = THREAD_PAGE_SIZE } = {}) {
+    await db.flushMessageQueue();
+
+    const pageSize = Math.min(Math.max(parseInt(limit) || THREAD_PAGE_SIZE, 1), MAX_THREAD_PAGE_SIZE);
+    const messages = await db.getChatMessages(accountId, chatId, before, pageSize);
+
+    return {
+      chat_id: chatId,
+      messages: messages.map(message => this.withoutMediaData(message)).reverse(),
+      next_before: messages.length === pageSize ? messages[messages.length - 1].created_at : null
+    };
+  }
+
+  async markRead(accountId, chatId) {
+    return db.markChatRead(accountId, chatId, new Date().toISOString());
+  }
+
+  // Full message including inline media, for serving attachments
+  async getMessage(id) {
+    await db.flushMessageQueue();
+    return db.getMessageLog(id);
+  }
+
+  // Media is served from /api/messages/:id/media instead of being sent inline
+  withoutMediaData(message) {
+    if (!message.media || (!message.media.data && !message.media.media_id)) return message;
+    const { data, ...media } = message.media;
+    return { ...message, media: { ...media, has_data: true } };
+  }
+
+  summarize(message) {
+    return {
+      id: message.id,
+      direction: message.direction,
+      message: message.message || (message.type && message.type !== 'chat' ? `[${message.type}]` : ''),
+      type: message.type,
+      status: message.status,
+      ack_status: message.ack_status,
+      created_at: message.created_at
+    };
+  }
+
+  // 919876543210@c.us -> +919876543210
+  formatChatId(chatId) {
+    const [user, server] = chatId.split('@');
+    return server === 'c.us' ? `+${user}` : chatId;
+  }
+}
+
+module.exports = new Inbox();
@@ -0,0 +1,226 @@
+const { PassThrough } = require('stream');
+const archiver = require('archiver');
+const moment = require('moment');
+const { db } = require('../config/database');
+const { escapeCsvValue } = require('./csv');
+const mediaStore = require('./mediaStore');
+
+const FORMATS = ['csv', 'jsonl', 'txt'];
+const PAGE_SIZE = 500;
+
+const CSV_COLUMNS = [
+  'created_at', 'direction', 'chat_id', 'is_group', 'group_name', 'sender', 'recipient', 'contact_name',
+  'type', 'message', 'status', 'ack_status', 'error_message', 'message_id', 'id'
+];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  txt: 'text/plain; charset=utf-8'
+};
+
+// Write to a stream, waiting when its buffer is full
+function write(stream, chunk) {
+  if (stream.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => { stream.off('error', onError); resolve(); };
+    const onError = (error) => { stream.off('drain', onDrain); reject(error); };
+    stream.once('drain', onDrain);
+    stream.once('error', onError);
+  });
+}
+
+// Streams message_logs rows page by page (keyset on created_at, id), so exports never hold every row in memory
+class LogExport {
+  parseFormat(format = 'csv') {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`format must be one of: ${FORMATS.join(', ')}`);
+    }
+    return format;
+  }
+
+  // Matching rows, oldest first
+  async *rows(filters) {
+    let after = null;
+    for (;;) {
+      const page = await db.searchMessages(filters, { after, limit: PAGE_SIZE, ascending: true });
+      yield* page;
+      if (page.length < PAGE_SIZE) return;
+      after = page[page.length - 1];
+    }
+  }
+
+  // Chat ids in order of their first matching message
+  async chatIds(filters) {
+    const chats = new Set();
+    for await (const row of this.rows(filters)) {
+      if (row.chat_id) chats.add(row.chat_id);
+    }
+    return [...chats];
+  }
+
+  // Only incoming messages keep their media data; it's fetched one row at a time
+  mayHaveMedia(row) {
+    return row.direction === 'incoming' && !!row.type && row.type !== 'chat';
+  }
+
+  // media/<log id>-<original name>
+  mediaPath(row, media) {
+    const extension = (media.mimetype || '').split('/')[1]?.split(';')[0] || 'bin';
+    const name = (media.filename || `${row.type || 'media'}.${extension}`).replace(/[^\w.\-]+/g, '_');
+    return `media/${row.id}-${name}`;
+  }
+
+  filename(account, format, includeMedia) {
+    const slug = (account.name || account.id).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'account';
+    return `${slug}-messages-${new Date().toISOString().slice(0, 10)}.${includeMedia ? 'zip' : format}`;
+  }
+
+  // Write an export to an HTTP response.
+  // options: { format, includeMedia, utcOffset (minutes, for txt timestamps), isClosed() }
+  async send(res, account, filters, options) {
+    const { format, includeMedia } = options;
+    const context = { ...options, account, mediaRows: [] };
+
+    // Messages are logged in batches; include the ones still buffered
+    await db.flushMessageQueue();
+
+    res.setHeader('Content-Type', includeMedia ? 'application/zip' : CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${this.filename(account, format, includeMedia)}"`);
+
+    if (!includeMedia) {
+      if (format === 'txt') {
+        for (const chatId of await this.chatIds(filters)) {
+          if (options.isClosed()) return;
+          await this.writeTranscript(res, { ...filters, chat_id: chatId }, context, true);
+        }
+      } else {
+        await this.writeRows(res, filters, context);
+      }
+      res.end();
+      return;
+    }
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    archive.on('warning', (error) => console.warn('Log export archive warning:', error));
+    archive.pipe(res);
+
+    // Entries are written one after another; wait for each so only one is buffered at a time
+    const addEntry = (source, name) => new Promise((resolve, reject) => {
+      const onEntry = () => { archive.off('error', onError); resolve(); };
+      const onError = (error) => { archive.off('entry', onEntry); reject(error); };
+      archive.once('entry', onEntry);
+      archive.once('error', onError);
+      archive.append(source, { name });
+    });
+
+    const streamEntry = async (name, writeContent) => {
+      const entry = new PassThrough();
+      const added = addEntry(entry, name);
+      await writeContent(entry);
+      entry.end();
+      await added;
+    };
+
+    if (format === 'txt') {
+      for (const chatId of await this.chatIds(filters)) {
+        if (options.isClosed()) return archive.abort();
+        const name = `chats/${chatId.replace(/[^\w.\-@]+/g, '_')}.txt`;
+        await streamEntry(name, (entry) => this.writeTranscript(entry, { ...filters, chat_id: chatId }, context, false));
+      }
+    } else {
+      await streamEntry(`messages.${format}`, (entry) => this.writeRows(entry, filters, context));
+    }
+
+    for (const { id, path } of context.mediaRows) {
+      if (options.isClosed()) return archive.abort();
+      const source = await this.openMedia(await db.getMessageLog(id));
+      if (source) {
+        await addEntry(source, path);
+      }
+    }
+
+    await archive.finalize();
+  }
+
+  // Inline data, or a stream from the media store
+  async openMedia(row) {
+    const media = row && row.media;
+    if (!media) return null;
+    if (media.data) return Buffer.from(media.data, 'base64');
+    if (!media.media_id) return null;
+
+    const stored = await mediaStore.open(media.media_id);
+    return stored ? stored.stream : null;
+  }
+
+  // Media file name for a row when bundling media; remembers the row for the media pass
+  async attachMedia(row, context) {
+    if (!context.includeMedia || !this.mayHaveMedia(row)) return null;
+
+    const full = await db.getMessageLog(row.id);
+    if (!full || !full.media || (!full.media.data && !full.media.media_id)) return null;
+
+    const path = this.mediaPath(row, full.media);
+    context.mediaRows.push({ id: row.id, path });
+    return path;
+  }
+
+  async writeRows(stream, filters, context) {
+    const columns = context.includeMedia ? [...CSV_COLUMNS, 'media_file'] : CSV_COLUMNS;
+    if (context.format === 'csv') {
+      await write(stream, columns.join(',') + '\r\n');
+    }
+
+    for await (const row of this.rows(filters)) {
+      if (context.isClosed()) return;
+      const mediaFile = await this.attachMedia(row, context);
+      const record = context.includeMedia ? { ...row, media_file: mediaFile } : row;
+
+      await write(stream, context.format === 'csv'
+        ? columns.map(column => escapeCsvValue(record[column])).join(',') + '\r\n'
+        : JSON.stringify(record) + '\n');
+    }
+  }
+
+  // One chat in the style of WhatsApp's "Export chat": [date, time] Name: message
+  async writeTranscript(stream, filters, context, withHeading) {
+    let heading = withHeading;
+
+    for await (const row of this.rows(filters)) {
+      if (context.isClosed()) return;
+      if (row.direction !== 'incoming' && row.direction !== 'outgoing') continue;
+
+      if (heading) {
+        const title = row.group_name || row.contact_name || row.chat_id;
+        await write(stream, `=== ${title} (${row.chat_id}) ===\n`);
+        heading = false;
+      }
+      await write(stream, await this.formatTranscriptLine(row, context));
+    }
+
+    if (!heading && withHeading) await write(stream, '\n');
+  }
+
+  async formatTranscriptLine(row, context) {
+    const time = moment(row.created_at).utcOffset(context.utcOffset || 0).format('DD/MM/YYYY, HH:mm:ss');
+    const author = row.direction === 'outgoing'
+      ? context.account.name
+      : row.contact_name || (row.sender || '').split('@')[0];
+
+    let text = row.message || '';
+    if (this.mayHaveMedia(row)) {
+      const mediaFile = await this.attachMedia(row, context);
+      const attachment = mediaFile ? `<attached: ${mediaFile}>` : '<Media omitted>';
+      text = text ? `${attachment} ${text}` : attachment;
+    }
+    if (row.status === 'failed') {
+      text += ` (not sent: ${row.error_message || 'failed'})`;
+    }
+
+    // Continuation lines are indented so every message still starts with its timestamp
+    return `[${time}] ${author}: ${text.replace(/\r?\n/g, '\n    ')}\n`;
+  }
+}
+
+module.exports = new LogExport();
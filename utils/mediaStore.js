@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { db, supabase } = require('../config/database');
+
+// Where media is written: 'local' (MEDIA_LOCAL_PATH), 's3' (any S3-compatible store) or 'supabase' (Storage bucket)
+const MEDIA_STORE = (process.env.MEDIA_STORE || 'local').toLowerCase();
+// Files up to this size also stay base64-inline in logs and webhooks (0 = never)
+const INLINE_MAX_BYTES = parseInt(process.env.MEDIA_INLINE_MAX_BYTES) || 0;
+const URL_TTL_SECONDS = parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 86400; // 24 hours
+const URL_SECRET_FILE = process.env.MEDIA_URL_SECRET_FILE || './data/media-url-secret';
+// Placeholders from the docs and env.example; anyone could sign media URLs with them
+const PLACEHOLDER_SECRETS = ['your-secret-key', 'your-super-secret-session-key-here'];
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+// MEDIA_URL_SECRET, else SESSION_SECRET, else a random key generated once and kept in URL_SECRET_FILE
+function loadUrlSecret() {
+  const configured = [process.env.MEDIA_URL_SECRET, process.env.SESSION_SECRET]
+    .find(secret => secret && !PLACEHOLDER_SECRETS.includes(secret));
+  if (configured) return configured;
+
+  if (fs.pathExistsSync(URL_SECRET_FILE)) {
+    const stored = fs.readFileSync(URL_SECRET_FILE, 'utf8').trim();
+    if (stored) return stored;
+  }
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  fs.outputFileSync(URL_SECRET_FILE, secret, { mode: 0o600 });
+  console.warn(`MEDIA_URL_SECRET is not set; generated a media URL signing key in ${URL_SECRET_FILE}`);
+  return secret;
+}
+
+function createStore(name) {
+  switch (name) {
+    case 'local':
+      return require('./mediaStores/local').createLocalStore({
+        directory: process.env.MEDIA_LOCAL_PATH || './data/media'
+      });
+    case 's3':
+      return require('./mediaStores/s3').createS3Store({
+        bucket: process.env.MEDIA_S3_BUCKET,
+        region: process.env.MEDIA_S3_REGION,
+        endpoint: process.env.MEDIA_S3_ENDPOINT,
+        accessKeyId: process.env.MEDIA_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.MEDIA_S3_SECRET_ACCESS_KEY,
+        prefix: process.env.MEDIA_S3_PREFIX
+      });
+    case 'supabase':
+      return require('./mediaStores/supabase').createSupabaseStore({
+        supabase,
+        url: process.env.SUPABASE_URL,
+        key: process.env.SUPABASE_SERVICE_ROLE_KEY,
+        bucket: process.env.MEDIA_SUPABASE_BUCKET || 'media'
+      });
+    default:
+      throw new Error(`Unknown MEDIA_STORE: ${name}. Expected local, s3 or supabase`);
+  }
+}
+
+// Content-addressed media objects: each distinct file is stored once, keyed by its SHA-256,
+// and tracked in media_objects. Logs and webhooks carry a signed, expiring /api/media/:id URL.
+class MediaStore {
+  constructor() {
+    this.driver = MEDIA_STORE;
+    this.stores = new Map(); // store name -> backend, created on first use
+    this.urlSecret = null; // loaded on first use
+  }
+
+  // Objects keep the store they were written to, so switching MEDIA_STORE doesn't orphan them
+  store(name = this.driver) {
+    if (!this.stores.has(name)) {
+      this.stores.set(name, createStore(name));
+    }
+    return this.stores.get(name);
+  }
+
+  // Store a downloaded whatsapp-web.js MessageMedia ({ mimetype, data (base64), filename });
+  // returns the media descriptor for the message log and webhook payload
+  async save(media) {
+    const buffer = Buffer.from(media.data, 'base64');
+    const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+
+    let object = await db.getMediaObjectByHash(sha256);
+    if (!object) {
+      const storage = this.store();
+      const storageKey = `${sha256.slice(0, 2)}/${sha256}`;
+      await storage.put(storageKey, buffer, media.mimetype);
+
+      try {
+        object = await db.createMediaObject({
+          sha256,
+          mimetype: media.mimetype || null,
+          size: buffer.length,
+          storage: storage.name,
+          storage_key: storageKey,
+          created_at: new Date().toISOString()
+        });
+      } catch (error) {
+        // The same file arrived twice at once; the other insert won
+        object = await db.getMediaObjectByHash(sha256);
+        if (!object) throw error;
+      }
+    } else {
+      // The message about to reference it may sit in the log buffer for a while
+      await db.touchMediaObject(object.id);
+    }
+
+    return {
+      ...this.describe(object, media.filename),
+      ...(buffer.length <= INLINE_MAX_BYTES ? { data: media.data } : {})
+    };
+  }
+
+  describe(object, filename = null) {
+    const { url, expires_at } = this.signUrl(object.id);
+    return {
+      media_id: object.id,
+      mimetype: object.mimetype,
+      filename: filename || null,
+      size: Number(object.size),
+      sha256: object.sha256,
+      url,
+      url_expires_at: expires_at
+    };
+  }
+
+  signature(id, expires) {
+    if (!this.urlSecret) {
+      this.urlSecret = loadUrlSecret();
+    }
+    return crypto.createHmac('sha256', this.urlSecret).update(`${id}.${expires}`).digest('hex');
+  }
+
+  signUrl(id, ttlSeconds = URL_TTL_SECONDS) {
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    return {
+      url: `${PUBLIC_URL}/api/media/${id}?expires=${expires}&signature=${this.signature(id, expires)}`,
+      expires_at: new Date(expires * 1000).toISOString()
+    };
+  }
+
+  verifyUrl(id, expires, signature) {
+    const expiresAt = parseInt(expires, 10);
+    if (!Number.isFinite(expiresAt) || expiresAt < Math.floor(Date.now() / 1000) || !signature) return false;
+
+    const expected = Buffer.from(this.signature(id, expiresAt));
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  // { object, stream } for a stored object, or null if it's unknown or missing from its store
+  async open(id) {
+    const object = await db.getMediaObject(id);
+    if (!object) return null;
+
+    const stream = await this.store(object.storage).get(object.storage_key);
+    return stream ? { object, stream } : null;
+  }
+
+  // Delete a stored file, then its row (so a failed delete is retried on the next cleanup)
+  async remove(object) {
+    await this.store(object.storage).remove(object.storage_key);
+    await db.deleteMediaObject(object.id);
+  }
+}
+
+module.exports = new MediaStore();
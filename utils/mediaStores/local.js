@@ -0,0 +1,33 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Files under a local directory (MEDIA_LOCAL_PATH)
+function createLocalStore({ directory }) {
+  const root = path.resolve(directory);
+  const resolve = (key) => path.join(root, ...key.split('/'));
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.ensureDir(path.dirname(file));
+      // Write to a temp file first so a crash never leaves a truncated object behind
+      const temp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(temp, buffer);
+      await fs.move(temp, file, { overwrite: true });
+    },
+
+    async get(key) {
+      const file = resolve(key);
+      if (!(await fs.pathExists(file))) return null;
+      return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+      await fs.remove(resolve(key));
+    }
+  };
+}
+
+module.exports = { createLocalStore };
@@ -0,0 +1,50 @@
+// Any S3-compatible object store (AWS S3, MinIO, Cloudflare R2, Backblaze B2, ...)
+function createS3Store({ bucket, region, endpoint, accessKeyId, secretAccessKey, prefix = '' }) {
+  if (!bucket) {
+    throw new Error('The s3 media store needs MEDIA_S3_BUCKET');
+  }
+
+  let s3;
+  try {
+    s3 = require('@aws-sdk/client-s3');
+  } catch (error) {
+    throw new Error('The s3 media store needs the @aws-sdk/client-s3 package: npm install @aws-sdk/client-s3');
+  }
+
+  const client = new s3.S3Client({
+    region: region || 'us-east-1',
+    // Custom endpoints (MinIO etc.) usually don't support virtual-hosted bucket names
+    ...(endpoint ? { endpoint, forcePathStyle: true } : {}),
+    ...(accessKeyId && secretAccessKey ? { credentials: { accessKeyId, secretAccessKey } } : {})
+  });
+  const objectKey = (key) => `${prefix}${key}`;
+
+  return {
+    name: 's3',
+
+    async put(key, buffer, mimetype) {
+      await client.send(new s3.PutObjectCommand({
+        Bucket: bucket,
+        Key: objectKey(key),
+        Body: buffer,
+        ContentType: mimetype || 'application/octet-stream'
+      }));
+    },
+
+    async get(key) {
+      try {
+        const response = await client.send(new s3.GetObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        return response.Body;
+      } catch (error) {
+        if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      await client.send(new s3.DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+    }
+  };
+}
+
+module.exports = { createS3Store };
@@ -0,0 +1,40 @@
+const { Readable } = require('stream');
+
+// A Supabase Storage bucket; uses the database client when DB_DRIVER=supabase
+function createSupabaseStore({ supabase, url, key, bucket }) {
+  if (!supabase) {
+    if (!url || !key) {
+      throw new Error('The supabase media store needs SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY');
+    }
+    supabase = require('@supabase/supabase-js').createClient(url, key, { auth: { persistSession: false } });
+  }
+  const storage = () => supabase.storage.from(bucket);
+
+  return {
+    name: 'supabase',
+
+    async put(key, buffer, mimetype) {
+      const { error } = await storage().upload(key, buffer, {
+        contentType: mimetype || 'application/octet-stream',
+        upsert: true
+      });
+      if (error) throw error;
+    },
+
+    async get(key) {
+      const { data, error } = await storage().download(key);
+      if (error) {
+        if (error.statusCode === '404' || error.status === 404 || /not found/i.test(error.message)) return null;
+        throw error;
+      }
+      return Readable.from(Buffer.from(await data.arrayBuffer()));
+    },
+
+    async remove(key) {
+      const { error } = await storage().remove([key]);
+      if (error) throw error;
+    }
+  };
+}
+
+module.exports = { createSupabaseStore };
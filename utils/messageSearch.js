@@ -0,0 +1,98 @@
+const { db } = require('../config/database');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Query parameters accepting a comma-separated list -> filter name
+const LIST_FILTERS = { account_id: 'account_ids', direction: 'directions', status: 'statuses', type: 'types' };
+const TEXT_FILTERS = ['sender', 'recipient', 'chat_id', 'group_name', 'q'];
+
+class MessageSearch {
+  // Filters from GET /api/messages query parameters; throws on invalid values
+  parseFilters(query) {
+    const filters = {};
+
+    for (const [param, name] of Object.entries(LIST_FILTERS)) {
+      const values = this.parseList(query[param]);
+      if (values) filters[name] = values;
+    }
+
+    for (const name of TEXT_FILTERS) {
+      const value = typeof query[name] === 'string' ? query[name].trim() : '';
+      if (value) filters[name] = value;
+    }
+
+    if (query.is_group !== undefined && query.is_group !== '') {
+      if (!['true', 'false'].includes(query.is_group)) {
+        throw new Error('is_group must be true or false');
+      }
+      filters.is_group = query.is_group === 'true';
+    }
+
+    for (const name of ['from', 'to']) {
+      if (!query[name]) continue;
+      const date = new Date(query[name]);
+      if (isNaN(date.getTime())) {
+        throw new Error(`${name} must be a date or ISO timestamp`);
+      }
+      filters[name] = date.toISOString();
+    }
+
+    return filters;
+  }
+
+  // account_id=a,b or account_id=a&account_id=b
+  parseList(value) {
+    if (value === undefined) return null;
+    const values = [].concat(value).flatMap(item => String(item).split(',')).map(item => item.trim()).filter(Boolean);
+    return values.length > 0 ? values : null;
+  }
+
+  // Page options from query parameters: limit, order (asc|desc) and cursor
+  parsePage(query) {
+    const order = query.order || 'desc';
+    if (!['asc', 'desc'].includes(order)) {
+      throw new Error('order must be asc or desc');
+    }
+
+    return {
+      limit: Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+      ascending: order === 'asc',
+      after: query.cursor ? this.decodeCursor(query.cursor) : null
+    };
+  }
+
+  // One page of matching messages; next_cursor is null on the last page
+  async search(filters, { limit = DEFAULT_PAGE_SIZE, ascending = false, after = null } = {}) {
+    // Messages are logged in batches; include the ones still buffered
+    await db.flushMessageQueue();
+
+    const rows = await db.searchMessages(filters, { after, limit: limit + 1, ascending });
+    const messages = rows.slice(0, limit);
+
+    return {
+      messages,
+      next_cursor: rows.length > limit ? this.encodeCursor(messages[messages.length - 1]) : null
+    };
+  }
+
+  // Opaque to clients: base64url of [created_at, id]
+  encodeCursor(message) {
+    return Buffer.from(JSON.stringify([message.created_at, message.id])).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+      // Both end up in a PostgREST filter string, so only allow timestamp and id characters
+      if (/^[\d\-T:.+Z ]+$/.test(createdAt) && /^[\w-]+$/.test(id)) {
+        return { created_at: createdAt, id };
+      }
+    } catch (_) {
+      // fall through
+    }
+    throw new Error('Invalid cursor');
+  }
+}
+
+module.exports = new MessageSearch();
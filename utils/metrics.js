@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const { db } = require('../config/database');
+
+// Protects GET /metrics when set (Authorization: Bearer <token>)
+const METRICS_TOKEN = process.env.METRICS_TOKEN || '';
+// Seconds
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+// Slow collectors (e.g. a hung browser page) are skipped after this long
+const COLLECT_TIMEOUT_MS = 2000;
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function labelKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('Timed out')), ms); })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Prometheus metrics in the text exposition format. Counters and histograms are recorded as
+// things happen; gauges are read from their collectors at scrape time.
+class Metrics {
+  constructor() {
+    this.metrics = new Map(); // name -> { help, type, series: Map(label key -> { labels, value | buckets }) }
+    this.collectors = []; // { name, help, collect() -> [{ labels, value }] }
+
+    this.gauge('wa_log_buffer_size', 'Message log rows buffered in memory, waiting to be written', () => [
+      { labels: {}, value: db.messageQueue ? db.messageQueue.length : 0 }
+    ]);
+    this.gauge('process_resident_memory_bytes', 'Resident memory of the Node.js process', () => [
+      { labels: {}, value: process.memoryUsage().rss }
+    ]);
+    this.gauge('nodejs_heap_used_bytes', 'V8 heap in use', () => [
+      { labels: {}, value: process.memoryUsage().heapUsed }
+    ]);
+    this.gauge('process_uptime_seconds', 'Seconds since the process started', () => [
+      { labels: {}, value: Math.round(process.uptime()) }
+    ]);
+  }
+
+  define(name, help, type) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, { help, type, series: new Map() });
+    }
+    return this.metrics.get(name);
+  }
+
+  // counter(name, help).inc(labels, value = 1)
+  counter(name, help) {
+    const metric = this.define(name, help, 'counter');
+    return {
+      inc: (labels = {}, value = 1) => {
+        const key = labelKey(labels);
+        const series = metric.series.get(key) || { labels, value: 0 };
+        series.value += value;
+        metric.series.set(key, series);
+      }
+    };
+  }
+
+  // histogram(name, help).observe(labels, seconds)
+  histogram(name, help) {
+    const metric = this.define(name, help, 'histogram');
+    return {
+      observe: (labels, seconds) => {
+        const key = labelKey(labels);
+        let series = metric.series.get(key);
+        if (!series) {
+          series = { labels, buckets: DURATION_BUCKETS.map(() => 0), sum: 0, count: 0 };
+          metric.series.set(key, series);
+        }
+
+        DURATION_BUCKETS.forEach((bound, index) => {
+          if (seconds <= bound) series.buckets[index]++;
+        });
+        series.sum += seconds;
+        series.count++;
+      }
+    };
+  }
+
+  // Register a gauge read at scrape time; collect() may be async
+  gauge(name, help, collect) {
+    this.collectors.push({ name, help, collect });
+  }
+
+  // Bearer token check for GET /metrics (always true when METRICS_TOKEN is unset)
+  authorize(header) {
+    if (!METRICS_TOKEN) return true;
+
+    const match = /^Bearer\s+(.+)$/i.exec(header || '');
+    if (!match) return false;
+
+    const expected = Buffer.from(METRICS_TOKEN);
+    const received = Buffer.from(match[1].trim());
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  async render() {
+    const lines = [];
+
+    for (const { name, help, collect } of this.collectors) {
+      let samples;
+      try {
+        samples = await withTimeout(Promise.resolve(collect()), COLLECT_TIMEOUT_MS);
+      } catch (error) {
+        console.error(`Error collecting metric ${name}:`, error.message);
+        continue;
+      }
+
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+      for (const { labels, value } of samples) {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+      }
+    }
+
+    for (const [name, { help, type, series }] of this.metrics) {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+
+      for (const sample of series.values()) {
+        if (type === 'counter') {
+          lines.push(`${name}${formatLabels(sample.labels)} ${sample.value}`);
+          continue;
+        }
+
+        DURATION_BUCKETS.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...sample.labels, le: bound })} ${sample.buckets[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...sample.labels, le: '+Inf' })} ${sample.count}`);
+        lines.push(`${name}_sum${formatLabels(sample.labels)} ${sample.sum}`);
+        lines.push(`${name}_count${formatLabels(sample.labels)} ${sample.count}`);
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+}
+
+module.exports = new Metrics();
@@ -0,0 +1,142 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { client } = require('../config/database');
+
+// migrations/<dialect>/<version>_<name>.up.sql and .down.sql; supabase and postgres share the postgres set
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const FILE_PATTERN = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+// "Table doesn't exist" from Postgres/SQLite (42P01) and the Supabase REST API (PGRST205)
+const MISSING_TABLE_CODES = ['42P01', 'PGRST205'];
+
+const TRACKING_TABLE = {
+  postgres: `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);`,
+  sqlite: `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);`
+};
+
+class Migrator {
+  constructor() {
+    this.dialect = client.sqlDialect;
+    this.directory = path.join(MIGRATIONS_DIR, this.dialect);
+  }
+
+  placeholder(index) {
+    return this.dialect === 'postgres' ? `$${index}` : '?';
+  }
+
+  // All migrations on disk, oldest first
+  async list() {
+    const files = await fs.readdir(this.directory);
+    const migrations = new Map();
+
+    for (const file of files) {
+      const match = file.match(FILE_PATTERN);
+      if (!match) continue;
+
+      const [, version, name, direction] = match;
+      const migration = migrations.get(version) || { version, name, up: null, down: null };
+      migration[direction] = path.join(this.directory, file);
+      migrations.set(version, migration);
+    }
+
+    const sorted = [...migrations.values()].sort((a, b) => a.version.localeCompare(b.version));
+    const missingUp = sorted.filter(migration => !migration.up);
+    if (missingUp.length > 0) {
+      throw new Error(`Migration(s) without an .up.sql file: ${missingUp.map(m => m.version).join(', ')}`);
+    }
+    return sorted;
+  }
+
+  // Rows of schema_migrations; none when the table hasn't been created yet
+  async getApplied() {
+    const { data, error } = await client
+      .from('schema_migrations')
+      .select('version, name, applied_at')
+      .order('version', { ascending: true });
+
+    if (error && MISSING_TABLE_CODES.includes(error.code)) return [];
+    if (error) throw error;
+    return data || [];
+  }
+
+  async getPending() {
+    const applied = new Set((await this.getApplied()).map(row => row.version));
+    return (await this.list()).filter(migration => !applied.has(migration.version));
+  }
+
+  // Every known migration with its applied time, plus applied versions this code doesn't know
+  async status() {
+    const applied = await this.getApplied();
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const migrations = await this.list();
+    const known = new Set(migrations.map(migration => migration.version));
+
+    return [
+      ...migrations.map(migration => ({
+        version: migration.version,
+        name: migration.name,
+        applied_at: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null
+      })),
+      ...applied
+        .filter(row => !known.has(row.version))
+        .map(row => ({ version: row.version, name: row.name, applied_at: row.applied_at, unknown: true }))
+    ];
+  }
+
+  // Apply every pending migration in order; each runs in its own transaction
+  async up() {
+    const pending = await this.getPending();
+    const applied = [];
+
+    for (const migration of pending) {
+      const script = await fs.readFile(migration.up, 'utf8');
+      await client.runScript(this.wrapScript(`${TRACKING_TABLE[this.dialect]}\n${script}`), [{
+        sql: `INSERT INTO schema_migrations (version, name, applied_at) VALUES (${this.placeholder(1)}, ${this.placeholder(2)}, ${this.placeholder(3)})`,
+        params: [migration.version, migration.name, new Date().toISOString()]
+      }]);
+      console.log(`Applied migration ${migration.version}_${migration.name}`);
+      applied.push(migration);
+    }
+
+    return applied;
+  }
+
+  // Revert the most recently applied migrations
+  async down(steps = 1) {
+    const migrations = new Map((await this.list()).map(migration => [migration.version, migration]));
+    const applied = (await this.getApplied()).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const row of applied) {
+      const migration = migrations.get(row.version);
+      if (!migration || !migration.down) {
+        throw new Error(`No .down.sql file for applied migration ${row.version}_${row.name}`);
+      }
+
+      const script = await fs.readFile(migration.down, 'utf8');
+      await client.runScript(this.wrapScript(script), [{
+        sql: `DELETE FROM schema_migrations WHERE version = ${this.placeholder(1)}`,
+        params: [migration.version]
+      }]);
+      console.log(`Reverted migration ${migration.version}_${migration.name}`);
+      reverted.push(migration);
+    }
+
+    return reverted;
+  }
+
+  // Supabase's REST API caches the schema; ask it to reload after DDL
+  wrapScript(script) {
+    return this.dialect === 'postgres' ? `${script}\nNOTIFY pgrst, 'reload schema';` : script;
+  }
+}
+
+module.exports = new Migrator();
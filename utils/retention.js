@@ -0,0 +1,305 @@
+const EventEmitter = require('events');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { db } = require('../config/database');
+const mediaStore = require('./mediaStore');
+
+const gzip = promisify(zlib.gzip);
+
+// Days; 0 keeps rows forever
+function parseDays(value, fallback) {
+  const days = parseInt(value, 10);
+  return Number.isInteger(days) && days >= 0 ? days : fallback;
+}
+
+// Used for accounts without their own policy (override via environment)
+const DEFAULTS = {
+  incoming_days: parseDays(process.env.RETENTION_INCOMING_DAYS, 90),
+  outgoing_days: parseDays(process.env.RETENTION_OUTGOING_DAYS, 90),
+  webhook_days: parseDays(process.env.RETENTION_WEBHOOK_DAYS, 30),
+  media_days: parseDays(process.env.RETENTION_MEDIA_DAYS, 30),
+  action: process.env.RETENTION_ACTION === 'archive' ? 'archive' : 'delete'
+};
+// Chats (incoming and outgoing messages) are never kept longer than this, whatever the policy; 0 lifts the cap
+const MAX_CHAT_DAYS = parseDays(process.env.RETENTION_MAX_CHAT_DAYS, 90);
+const RUN_INTERVAL_MS = parseInt(process.env.RETENTION_INTERVAL_MS) || 3600000; // 1 hour
+const BATCH_SIZE = 500;
+// Media created or reused this recently may belong to a message still waiting in the log buffer
+const ORPHAN_GRACE_MS = 3600000;
+
+// message_logs directions covered by each setting
+const DIRECTION_GROUPS = {
+  incoming_days: ['incoming'],
+  outgoing_days: ['outgoing'],
+  webhook_days: ['webhook', 'webhook_incoming']
+};
+const CHAT_SETTINGS = ['incoming_days', 'outgoing_days'];
+const SETTINGS = [...Object.keys(DIRECTION_GROUPS), 'media_days'];
+const ACTIONS = ['delete', 'archive'];
+
+// Purges (or archives, then purges) expired message logs in batches, strips media from
+// messages past the media retention, and deletes media files no message refers to.
+// Emits 'run' with the retention_runs row whenever a run starts, progresses or ends.
+class Retention extends EventEmitter {
+  constructor() {
+    super();
+    this.timer = null;
+    this.running = null; // the run in progress
+  }
+
+  // Validate a per-account policy; null/empty settings fall back to the defaults
+  buildPolicy(input) {
+    const policy = {};
+
+    for (const setting of SETTINGS) {
+      const value = input[setting];
+      if (value === undefined || value === null || value === '') {
+        policy[setting] = null;
+        continue;
+      }
+
+      const days = Number(value);
+      if (!Number.isInteger(days) || days < 0) {
+        throw new Error(`${setting} must be a whole number of days (0 = keep forever)`);
+      }
+      if (CHAT_SETTINGS.includes(setting) && MAX_CHAT_DAYS > 0 && (days === 0 || days > MAX_CHAT_DAYS)) {
+        throw new Error(`${setting} can be at most ${MAX_CHAT_DAYS} days (RETENTION_MAX_CHAT_DAYS)`);
+      }
+      policy[setting] = days;
+    }
+
+    if (input.action !== undefined && input.action !== null && input.action !== '' && !ACTIONS.includes(input.action)) {
+      throw new Error(`action must be one of: ${ACTIONS.join(', ')}`);
+    }
+    policy.action = input.action || null;
+
+    return policy;
+  }
+
+  // Settings that apply to an account: its overrides, then the defaults, capped for chats
+  effectivePolicy(policy = null) {
+    const effective = { action: (policy && policy.action) || DEFAULTS.action };
+
+    for (const setting of SETTINGS) {
+      const override = policy ? policy[setting] : null;
+      let days = override === null || override === undefined ? DEFAULTS[setting] : override;
+      if (CHAT_SETTINGS.includes(setting) && MAX_CHAT_DAYS > 0 && (days === 0 || days > MAX_CHAT_DAYS)) {
+        days = MAX_CHAT_DAYS;
+      }
+      effective[setting] = days;
+    }
+
+    return effective;
+  }
+
+  // Defaults plus every account's override and effective settings
+  async getOverview() {
+    const [accounts, policies] = await Promise.all([db.getAccounts(), db.getRetentionPolicies()]);
+    const byAccount = new Map(policies.map(policy => [policy.account_id, policy]));
+
+    return {
+      defaults: this.effectivePolicy(),
+      max_chat_days: MAX_CHAT_DAYS,
+      interval_ms: RUN_INTERVAL_MS,
+      running: this.running,
+      accounts: accounts.map(account => ({
+        account_id: account.id,
+        name: account.name,
+        policy: byAccount.get(account.id) || null,
+        effective: this.effectivePolicy(byAccount.get(account.id))
+      }))
+    };
+  }
+
+  async setPolicy(accountId, input) {
+    return db.upsertRetentionPolicy({ account_id: accountId, ...this.buildPolicy(input) });
+  }
+
+  async clearPolicy(accountId) {
+    return db.deleteRetentionPolicy(accountId);
+  }
+
+  async start() {
+    if (this.timer) return;
+
+    try {
+      const interrupted = await db.failInterruptedRetentionRuns();
+      if (interrupted > 0) {
+        console.log(`Marked ${interrupted} interrupted retention run(s) as failed`);
+      }
+    } catch (error) {
+      console.error('Error closing interrupted retention runs:', error);
+    }
+
+    this.timer = setInterval(() => this.scheduledRun(), RUN_INTERVAL_MS);
+    this.scheduledRun();
+    console.log('Retention job started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  scheduledRun() {
+    if (this.running) return;
+    this.run('schedule').catch(error => console.error('Error starting retention run:', error));
+  }
+
+  // Start a run in the background and return its row; only one runs at a time
+  async run(triggeredBy = 'manual') {
+    if (this.running) {
+      throw new Error('A retention run is already in progress');
+    }
+
+    this.running = { status: 'starting' };
+    try {
+      this.running = await db.createRetentionRun({
+        triggered_by: triggeredBy,
+        status: 'running',
+        started_at: new Date().toISOString(),
+        created_at: new Date().toISOString()
+      });
+    } catch (error) {
+      this.running = null;
+      throw error;
+    }
+
+    this.emit('run', this.running);
+    const run = this.running;
+    this.execute(run)
+      .catch(error => console.error('Error in retention run:', error))
+      .finally(() => { this.running = null; });
+    return run;
+  }
+
+  async execute(run) {
+    const totals = { deleted_count: 0, archived_count: 0, media_purged_count: 0, media_files_deleted: 0 };
+    const details = { accounts: {} };
+    const save = async (updates) => {
+      const updated = await db.updateRetentionRun(run.id, { ...totals, details, ...updates });
+      if (updated) this.emit('run', updated);
+      return updated;
+    };
+
+    try {
+      const [accounts, policies] = await Promise.all([db.getAccounts(), db.getRetentionPolicies()]);
+      const byAccount = new Map(policies.map(policy => [policy.account_id, policy]));
+
+      for (const account of accounts) {
+        const policy = this.effectivePolicy(byAccount.get(account.id));
+        const counts = {};
+
+        for (const [setting, directions] of Object.entries(DIRECTION_GROUPS)) {
+          if (!policy[setting]) continue;
+          const removed = await this.purgeMessages(run, account, directions, this.cutoff(policy[setting]), policy.action);
+          if (removed === 0) continue;
+
+          counts[setting.replace('_days', '')] = removed;
+          totals[policy.action === 'archive' ? 'archived_count' : 'deleted_count'] += removed;
+          if (policy.action === 'archive') details.archive_prefix = this.archivePrefix(run);
+        }
+
+        if (policy.media_days) {
+          const purged = await this.purgeMedia(account.id, this.cutoff(policy.media_days));
+          if (purged > 0) {
+            counts.media = purged;
+            totals.media_purged_count += purged;
+          }
+        }
+
+        if (Object.keys(counts).length > 0) {
+          details.accounts[account.id] = { name: account.name, action: policy.action, ...counts };
+          await save({});
+        }
+      }
+
+      totals.media_files_deleted = await this.deleteOrphanedMedia();
+      return await save({ status: 'completed', finished_at: new Date().toISOString() });
+    } catch (error) {
+      console.error('Retention run failed:', error);
+      return save({ status: 'failed', error_message: error.message, finished_at: new Date().toISOString() });
+    }
+  }
+
+  cutoff(days) {
+    return new Date(Date.now() - days * 86400000).toISOString();
+  }
+
+  // Delete (or archive and delete) an account's messages older than the cutoff; returns the row count
+  async purgeMessages(run, account, directions, before, action) {
+    const archive = action === 'archive';
+    let removed = 0;
+
+    for (let batch = 1; ; batch++) {
+      const rows = await db.getExpiredMessages(account.id, directions, before, BATCH_SIZE, archive ? '*' : 'id');
+      if (rows.length === 0) break;
+
+      if (archive) {
+        await this.archiveRows(run, account, directions, batch, rows);
+      }
+      await db.deleteMessageLogs(rows.map(row => row.id));
+      removed += rows.length;
+
+      if (rows.length < BATCH_SIZE) break;
+    }
+
+    return removed;
+  }
+
+  archivePrefix(run) {
+    return `archive/${run.started_at.slice(0, 10)}/${run.id}/`;
+  }
+
+  // One gzipped JSON Lines file per batch, written to the media store
+  async archiveRows(run, account, directions, batch, rows) {
+    const body = rows.map(row => JSON.stringify(row)).join('\n') + '\n';
+    const key = `${this.archivePrefix(run)}${account.id}-${directions[0]}-${String(batch).padStart(4, '0')}.jsonl.gz`;
+    await mediaStore.store().put(key, await gzip(body), 'application/gzip');
+  }
+
+  // Drop the media of incoming messages older than the cutoff; the message text is kept
+  async purgeMedia(accountId, before) {
+    let purged = 0;
+
+    for (;;) {
+      const rows = await db.getMessagesWithExpiredMedia(accountId, before, BATCH_SIZE);
+      if (rows.length === 0) break;
+
+      await db.clearMessageMedia(rows.map(row => row.id));
+      purged += rows.length;
+
+      if (rows.length < BATCH_SIZE) break;
+    }
+
+    return purged;
+  }
+
+  // Delete stored files no message refers to any more
+  async deleteOrphanedMedia() {
+    const before = new Date(Date.now() - ORPHAN_GRACE_MS).toISOString();
+    let after = null;
+    let deleted = 0;
+
+    for (;;) {
+      const objects = await db.getMediaObjectsBefore(before, after, BATCH_SIZE);
+      if (objects.length === 0) break;
+
+      const referenced = await db.getReferencedMediaIds(objects.map(object => object.id));
+      for (const object of objects) {
+        if (referenced.has(object.id)) continue;
+        await mediaStore.remove(object);
+        deleted++;
+      }
+
+      if (objects.length < BATCH_SIZE) break;
+      after = objects[objects.length - 1];
+    }
+
+    return deleted;
+  }
+}
+
+module.exports = new Retention();
@@ -0,0 +1,219 @@
+const cronParser = require('cron-parser');
+const { db } = require('../config/database');
+const sendQueue = require('./sendQueue');
+
+const POLL_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 15000;
+const BATCH_SIZE = 50;
+// A schedule that can't be queued is retried with backoff, then set to 'failed'
+const MAX_FAILURES = parseInt(process.env.SCHEDULER_MAX_FAILURES) || 5;
+const RETRY_BASE_MS = 60000;
+const RETRY_MAX_MS = 3600000; // 1 hour
+
+class Scheduler {
+  constructor() {
+    this.timer = null;
+    this.processing = false;
+  }
+
+  // Validate a create/edit request against the current row and return the fields to store
+  buildSchedule(input, existing = {}) {
+    const schedule = {
+      account_id: input.account_id ?? existing.account_id,
+      number: input.number ?? existing.number,
+      message: input.message ?? existing.message ?? null,
+      media: input.media ?? existing.media ?? null,
+      caption: input.caption ?? existing.caption ?? null,
+      options: input.options ?? existing.options ?? {},
+      timezone: input.timezone || existing.timezone || 'UTC',
+      send_at: existing.send_at || null,
+      cron: existing.cron || null
+    };
+
+    // Setting one kind of schedule replaces the other
+    if (input.cron) {
+      schedule.cron = String(input.cron).trim();
+      schedule.send_at = null;
+    } else if (input.send_at) {
+      schedule.send_at = input.send_at;
+      schedule.cron = null;
+    }
+
+    if (!schedule.account_id || !schedule.number) {
+      throw new Error('account_id and number are required');
+    }
+    if (!schedule.message && !schedule.media) {
+      throw new Error('Either message or media is required');
+    }
+    if (schedule.media && !schedule.media.data && !schedule.media.url) {
+      throw new Error('media must include either data (base64) or url');
+    }
+    if (schedule.media && schedule.media.data && !schedule.media.mimetype) {
+      throw new Error('media.mimetype is required when media.data is provided');
+    }
+    if (!schedule.send_at && !schedule.cron) {
+      throw new Error('Either send_at or cron is required');
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: schedule.timezone });
+    } catch (_) {
+      throw new Error(`Invalid timezone: ${schedule.timezone}`);
+    }
+
+    if (schedule.send_at) {
+      const sendAt = new Date(schedule.send_at);
+      if (isNaN(sendAt.getTime())) {
+        throw new Error('send_at must be a valid ISO timestamp');
+      }
+      schedule.send_at = sendAt.toISOString();
+    }
+
+    schedule.next_run_at = this.getNextRun(schedule);
+    return schedule;
+  }
+
+  // Next fire time: the one-off send time, or the next cron occurrence after `from`
+  getNextRun(schedule, from = new Date()) {
+    if (!schedule.cron) {
+      return schedule.send_at;
+    }
+
+    try {
+      const interval = cronParser.parseExpression(schedule.cron, {
+        currentDate: from,
+        tz: schedule.timezone || 'UTC'
+      });
+      return interval.next().toDate().toISOString();
+    } catch (error) {
+      throw new Error(`Invalid cron expression "${schedule.cron}": ${error.message}`);
+    }
+  }
+
+  async create(input) {
+    const schedule = this.buildSchedule(input);
+    return db.createScheduledMessage({
+      ...schedule,
+      status: 'active',
+      run_count: 0,
+      created_at: new Date().toISOString()
+    });
+  }
+
+  async update(id, input) {
+    const existing = await db.getScheduledMessage(id);
+    if (!existing) return null;
+    if (existing.status === 'cancelled') {
+      throw new Error('Cancelled schedules cannot be edited');
+    }
+
+    const schedule = this.buildSchedule(input, existing);
+    return db.updateScheduledMessage(id, {
+      ...schedule,
+      // Editing a finished or failed schedule re-arms it
+      status: 'active',
+      failure_count: 0,
+      last_error: null,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  async cancel(id) {
+    return db.updateScheduledMessage(id, {
+      status: 'cancelled',
+      next_run_at: null,
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processDue(), POLL_INTERVAL_MS);
+    // Fire anything that became due while the server was down
+    this.processDue();
+    console.log('Message scheduler started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const schedules = await db.getDueScheduledMessages(BATCH_SIZE);
+      for (const schedule of schedules) {
+        await this.fire(schedule);
+      }
+    } catch (error) {
+      console.error('Error processing scheduled messages:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  // Hand a due schedule to the send queue, which waits for the account to be ready
+  // The run is recorded before its job is queued, so a schedule is never left due (and sent twice)
+  // because saving it failed after the job was created
+  async fire(schedule) {
+    try {
+      // Missed cron occurrences are skipped: the next run is computed from now
+      await db.updateScheduledMessage(schedule.id, {
+        status: schedule.cron ? 'active' : 'completed',
+        next_run_at: schedule.cron ? this.getNextRun(schedule) : null,
+        last_run_at: new Date().toISOString(),
+        run_count: (schedule.run_count || 0) + 1,
+        failure_count: 0,
+        last_error: null,
+        updated_at: new Date().toISOString()
+      });
+    } catch (error) {
+      // Nothing was queued; the schedule is still due and is tried again on the next check
+      console.error(`Error starting scheduled message ${schedule.id}:`, error);
+      return;
+    }
+
+    let job;
+    try {
+      job = await sendQueue.enqueue(schedule.account_id, {
+        type: schedule.media ? 'media' : 'text',
+        number: schedule.number,
+        message: schedule.message,
+        media: schedule.media,
+        caption: schedule.caption || schedule.message || '',
+        options: schedule.options || {}
+      });
+    } catch (error) {
+      console.error(`Error firing scheduled message ${schedule.id}:`, error);
+      await db.updateScheduledMessage(schedule.id, this.getFailureUpdate(schedule, error))
+        .catch(err => console.error('Error updating scheduled message:', err));
+      return;
+    }
+
+    await db.updateScheduledMessage(schedule.id, { last_job_id: job.id, updated_at: new Date().toISOString() })
+      .catch(error => console.error(`Error saving the job of scheduled message ${schedule.id}:`, error));
+  }
+
+  // Undo the recorded run and try again later, backing off exponentially; give up after MAX_FAILURES runs in a row
+  getFailureUpdate(schedule, error) {
+    const failures = (schedule.failure_count || 0) + 1;
+    const update = {
+      run_count: schedule.run_count || 0,
+      failure_count: failures,
+      last_error: error.message,
+      updated_at: new Date().toISOString()
+    };
+
+    if (failures >= MAX_FAILURES) {
+      return { ...update, status: 'failed', next_run_at: null };
+    }
+    const delay = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, failures - 1));
+    return { ...update, status: 'active', next_run_at: new Date(Date.now() + delay).toISOString() };
+  }
+}
+
+module.exports = new Scheduler();
@@ -0,0 +1,228 @@
+const { db } = require('../config/database');
+const whatsappManager = require('./whatsappManager');
+
+// Throttling and retry settings (override via environment)
+const RATE_PER_MINUTE = parseInt(process.env.SEND_RATE_PER_MINUTE) || 20;
+const MIN_DELAY_MS = parseInt(process.env.SEND_MIN_DELAY_MS) || 1000;
+const MAX_DELAY_MS = Math.max(parseInt(process.env.SEND_MAX_DELAY_MS) || 4000, MIN_DELAY_MS);
+const MAX_ATTEMPTS = parseInt(process.env.SEND_MAX_ATTEMPTS) || 3;
+const POLL_INTERVAL_MS = parseInt(process.env.SEND_QUEUE_INTERVAL_MS) || 1000;
+const RETRY_BASE_MS = 10000;
+// Writing 'sent' is retried this often (WRITE_RETRY_MS apart) before the job is marked 'unconfirmed'
+const WRITE_ATTEMPTS = 3;
+const WRITE_RETRY_MS = 500;
+
+// Puppeteer / WhatsApp Web errors that usually succeed on a later attempt
+const TRANSIENT_ERROR_PATTERN = /protocol error|target closed|session closed|execution context was destroyed|page is closed|not ready|navigation|timeout|timed out|econnreset|socket hang up/i;
+
+class SendQueue {
+  constructor() {
+    this.timer = null;
+    this.polling = false;
+    this.busyAccounts = new Set(); // Accounts with a send in flight
+    this.sentTimes = new Map(); // accountId -> send timestamps within the last minute
+    this.nextSendAt = new Map(); // accountId -> earliest time for the next send
+  }
+
+  // Persist a job; job: { type: 'text'|'media', number, message?, media?, caption?, options?, run_at? }
+  async enqueue(accountId, job) {
+    const type = job.type === 'media' ? 'media' : 'text';
+
+    if (!accountId || !job.number) {
+      throw new Error('account_id and number are required');
+    }
+    if (type === 'text' && !job.message) {
+      throw new Error('message is required for text jobs');
+    }
+    if (type === 'media' && (!job.media || (!job.media.data && !job.media.url))) {
+      throw new Error('media must include either data (base64) or url');
+    }
+
+    let runAt = new Date();
+    if (job.run_at) {
+      runAt = new Date(job.run_at);
+      if (isNaN(runAt.getTime())) {
+        throw new Error('send_at must be a valid ISO timestamp');
+      }
+    }
+
+    return db.createMessageJob({
+      account_id: accountId,
+      type,
+      number: job.number,
+      message: job.message || null,
+      media: type === 'media' ? job.media : null,
+      caption: job.caption || null,
+      options: job.options || {},
+      status: 'queued',
+      attempts: 0,
+      max_attempts: MAX_ATTEMPTS,
+      run_at: runAt.toISOString(),
+      created_at: new Date().toISOString()
+    });
+  }
+
+  // Cancel a job that has not been picked up yet
+  async cancel(jobId) {
+    return db.transitionMessageJob(jobId, 'queued', {
+      status: 'cancelled',
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  async start() {
+    if (this.timer) return;
+
+    try {
+      const interrupted = await db.markInterruptedMessageJobs();
+      if (interrupted > 0) {
+        console.warn(`${interrupted} send job(s) were interrupted mid-send and marked unconfirmed; check them before sending again`);
+      }
+    } catch (error) {
+      console.error('Error closing interrupted send jobs:', error);
+    }
+
+    this.timer = setInterval(() => this.poll(), POLL_INTERVAL_MS);
+    console.log('Send queue worker started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Pick the next due job for every ready account that is allowed to send
+  async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      const statuses = whatsappManager.getAllAccountStatuses();
+
+      for (const [accountId, status] of Object.entries(statuses)) {
+        if (status !== 'ready' || !this.canSend(accountId)) continue;
+
+        const job = await db.getNextMessageJob(accountId);
+        if (!job) continue;
+
+        this.reserve(accountId);
+        this.process(job).finally(() => this.release(accountId));
+      }
+    } catch (error) {
+      console.error('Error polling send queue:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  // Per-account throttle: one send at a time, random spacing, messages-per-minute cap
+  canSend(accountId) {
+    if (this.busyAccounts.has(accountId)) return false;
+
+    const now = Date.now();
+    if (now < (this.nextSendAt.get(accountId) || 0)) return false;
+
+    const recent = (this.sentTimes.get(accountId) || []).filter(t => t > now - 60000);
+    this.sentTimes.set(accountId, recent);
+    return recent.length < RATE_PER_MINUTE;
+  }
+
+  // Other senders (e.g. campaigns) share the per-account throttle through reserve/release
+  reserve(accountId) {
+    this.busyAccounts.add(accountId);
+  }
+
+  release(accountId) {
+    this.busyAccounts.delete(accountId);
+  }
+
+  recordSend(accountId) {
+    const now = Date.now();
+    const recent = this.sentTimes.get(accountId) || [];
+    recent.push(now);
+    this.sentTimes.set(accountId, recent);
+
+    // Randomised gap between sends to look less like automation
+    const delay = MIN_DELAY_MS + Math.floor(Math.random() * (MAX_DELAY_MS - MIN_DELAY_MS + 1));
+    this.nextSendAt.set(accountId, now + delay);
+  }
+
+  async process(job) {
+    const attempts = (job.attempts || 0) + 1;
+
+    // Claim the job; skip it if it was cancelled in the meantime
+    const claimed = await db.transitionMessageJob(job.id, 'queued', {
+      status: 'processing',
+      attempts,
+      updated_at: new Date().toISOString()
+    }).catch(error => {
+      console.error('Error claiming send job:', error);
+      return null;
+    });
+    if (!claimed) return;
+
+    let result;
+    try {
+      result = job.type === 'media'
+        ? await whatsappManager.sendMedia(job.account_id, job.number, job.media, job.caption || '', job.options || {})
+        : await whatsappManager.sendMessage(job.account_id, job.number, job.message, job.options || {});
+    } catch (error) {
+      const retry = this.isTransientError(error) && attempts < (job.max_attempts || MAX_ATTEMPTS);
+
+      await db.updateMessageJob(job.id, {
+        status: retry ? 'queued' : 'failed',
+        last_error: error.message,
+        run_at: retry
+          ? new Date(Date.now() + RETRY_BASE_MS * Math.pow(2, attempts - 1)).toISOString()
+          : job.run_at,
+        updated_at: new Date().toISOString()
+      }).catch(err => console.error('Error updating send job:', err));
+      return;
+    } finally {
+      this.recordSend(job.account_id);
+    }
+
+    // The message is out: from here on the job is never queued again, whatever the database does
+    await this.markSent(job, result);
+  }
+
+  // 'unconfirmed' is final: neither the worker nor a restart sends the job again
+  async markSent(job, result) {
+    try {
+      await this.retryWrite(() => db.updateMessageJob(job.id, {
+        status: 'sent',
+        result,
+        last_error: null,
+        sent_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }));
+    } catch (error) {
+      console.error(`Send job ${job.id} was sent but couldn't be marked as sent:`, error);
+      await db.updateMessageJob(job.id, {
+        status: 'unconfirmed',
+        last_error: `Sent, but saving the result failed: ${error.message}`,
+        updated_at: new Date().toISOString()
+      }).catch(err => console.error('Error updating send job:', err));
+    }
+  }
+
+  // Run a database write that follows a send, retrying it WRITE_ATTEMPTS times
+  async retryWrite(write) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await write();
+      } catch (error) {
+        if (attempt >= WRITE_ATTEMPTS) throw error;
+        await new Promise(resolve => setTimeout(resolve, WRITE_RETRY_MS * attempt));
+      }
+    }
+  }
+
+  isTransientError(error) {
+    return TRANSIENT_ERROR_PATTERN.test(error && error.message ? error.message : '');
+  }
+}
+
+module.exports = new SendQueue();
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const { LocalAuth, RemoteAuth } = require('whatsapp-web.js');
+const { db } = require('../config/database');
+
+// How WhatsApp sessions are kept: 'local' (LocalAuth, only under ./sessions), 'remote' (RemoteAuth,
+// backed up to AUTH_REMOTE_STORE) or 'encrypted' (RemoteAuth, backed up as encrypted files)
+const AUTH_STRATEGY = (process.env.AUTH_STRATEGY || 'local').toLowerCase();
+// Where 'remote' backs sessions up: 'database' (auth_sessions table) or 's3'
+const REMOTE_STORE = (process.env.AUTH_REMOTE_STORE || 'database').toLowerCase();
+// RemoteAuth won't take less than a minute
+const BACKUP_INTERVAL_MS = Math.max(60000, parseInt(process.env.AUTH_BACKUP_INTERVAL_MS) || 300000); // 5 minutes
+// Encrypts session archives (required for 'encrypted', optional for 'remote')
+const ENCRYPTION_KEY = process.env.AUTH_ENCRYPTION_KEY || '';
+const SESSIONS_PATH = './sessions';
+const STRATEGIES = ['local', 'remote', 'encrypted'];
+
+// Encrypted archives: magic, IV, auth tag, then the AES-256-GCM ciphertext of the zip
+const MAGIC = Buffer.from('WAS1');
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+// The parts of a Chromium profile RemoteAuth keeps (see RemoteAuth.deleteMetadata)
+const SESSION_ENTRIES = /^Default\/(IndexedDB|Local Storage)\//;
+
+function createBackend(strategy) {
+  if (strategy === 'encrypted') {
+    return require('./mediaStores/local').createLocalStore({
+      directory: process.env.AUTH_ARCHIVE_PATH || './data/sessions'
+    });
+  }
+
+  switch (REMOTE_STORE) {
+    case 'database':
+      return require('./sessionStores/database').createDatabaseStore({ db });
+    case 's3': {
+      // Defaults to the media bucket, under its own prefix
+      const bucket = process.env.AUTH_S3_BUCKET || process.env.MEDIA_S3_BUCKET;
+      if (!bucket) {
+        throw new Error('The s3 session store needs AUTH_S3_BUCKET (or MEDIA_S3_BUCKET)');
+      }
+      return require('./mediaStores/s3').createS3Store({
+        bucket,
+        region: process.env.AUTH_S3_REGION || process.env.MEDIA_S3_REGION,
+        endpoint: process.env.AUTH_S3_ENDPOINT || process.env.MEDIA_S3_ENDPOINT,
+        accessKeyId: process.env.AUTH_S3_ACCESS_KEY_ID || process.env.MEDIA_S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AUTH_S3_SECRET_ACCESS_KEY || process.env.MEDIA_S3_SECRET_ACCESS_KEY,
+        prefix: process.env.AUTH_S3_PREFIX || 'sessions/'
+      });
+    }
+    default:
+      throw new Error(`Unknown AUTH_REMOTE_STORE: ${REMOTE_STORE}. Expected database or s3`);
+  }
+}
+
+async function toBuffer(body) {
+  if (Buffer.isBuffer(body)) return body;
+  const chunks = [];
+  for await (const chunk of body) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Picks the whatsapp-web.js auth strategy for every client. With RemoteAuth, the session is
+// restored from the store when the client starts and backed up every AUTH_BACKUP_INTERVAL_MS;
+// this class is also the RemoteAuth store (sessionExists/save/extract/delete).
+class SessionStore {
+  constructor() {
+    if (!STRATEGIES.includes(AUTH_STRATEGY)) {
+      throw new Error(`Unknown AUTH_STRATEGY: ${AUTH_STRATEGY}. Expected ${STRATEGIES.join(', ')}`);
+    }
+    if (AUTH_STRATEGY === 'encrypted' && !ENCRYPTION_KEY) {
+      throw new Error('AUTH_STRATEGY=encrypted needs AUTH_ENCRYPTION_KEY');
+    }
+
+    this.strategy = AUTH_STRATEGY;
+    this.key = ENCRYPTION_KEY ? crypto.createHash('sha256').update(ENCRYPTION_KEY).digest() : null;
+    this.backend = null; // created on first use
+  }
+
+  store() {
+    if (!this.backend) {
+      this.backend = createBackend(this.strategy);
+    }
+    return this.backend;
+  }
+
+  // Auth strategy for a new client
+  async create(accountId) {
+    await fs.ensureDir(SESSIONS_PATH);
+    if (this.strategy === 'local') {
+      return new LocalAuth({ clientId: accountId, dataPath: SESSIONS_PATH });
+    }
+
+    await this.importLocalSession(accountId);
+    return new RemoteAuth({
+      clientId: accountId,
+      dataPath: SESSIONS_PATH,
+      store: this,
+      backupSyncIntervalMs: BACKUP_INTERVAL_MS
+    });
+  }
+
+  // RemoteAuth store. session is 'RemoteAuth-<account id>'; RemoteAuth zips the session
+  // into '<session>.zip' in the working directory before save() and reads it after extract().
+  async sessionExists({ session }) {
+    const key = `${session}.zip`;
+    const backend = this.store();
+    if (backend.exists) return backend.exists(key);
+
+    const body = await backend.get(key);
+    if (body && body.destroy) body.destroy();
+    return !!body;
+  }
+
+  // RemoteAuth calls this from a timer without catching, so a failed backup would be an unhandled
+  // rejection that ends the process; it is logged instead and tried again on the next backup
+  async save({ session }) {
+    try {
+      await this.backup({ session });
+    } catch (error) {
+      console.error(`Error backing up session ${session}:`, error);
+    }
+  }
+
+  async backup({ session }) {
+    const archive = await fs.readFile(`${session}.zip`);
+    await this.store().put(`${session}.zip`, this.encrypt(archive), 'application/zip');
+  }
+
+  async extract({ session, path: target }) {
+    const body = await this.store().get(`${session}.zip`);
+    if (!body) {
+      throw new Error(`No stored session ${session}`);
+    }
+    await fs.writeFile(target, this.decrypt(await toBuffer(body)));
+  }
+
+  async delete({ session }) {
+    await this.store().remove(`${session}.zip`);
+  }
+
+  encrypt(archive) {
+    if (!this.key) return archive;
+
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(archive), cipher.final()]);
+    return Buffer.concat([MAGIC, iv, cipher.getAuthTag(), ciphertext]);
+  }
+
+  // Archives saved before a key was set are plain zips and are read as they are
+  decrypt(stored) {
+    if (!stored.subarray(0, MAGIC.length).equals(MAGIC)) return stored;
+    if (!this.key) {
+      throw new Error('The stored session is encrypted; set AUTH_ENCRYPTION_KEY');
+    }
+
+    const iv = stored.subarray(MAGIC.length, MAGIC.length + IV_BYTES);
+    const tag = stored.subarray(MAGIC.length + IV_BYTES, MAGIC.length + IV_BYTES + TAG_BYTES);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(stored.subarray(MAGIC.length + IV_BYTES + TAG_BYTES)), decipher.final()]);
+  }
+
+  // After switching from LocalAuth: store the account's existing LocalAuth session once,
+  // so it starts without a new QR scan
+  async importLocalSession(accountId) {
+    const localDir = path.join(SESSIONS_PATH, `session-${accountId}`);
+    const session = `RemoteAuth-${accountId}`;
+    if (!(await fs.pathExists(path.join(localDir, 'Default'))) || (await this.sessionExists({ session }))) return;
+
+    const archiver = require('archiver');
+    await new Promise((resolve, reject) => {
+      const archive = archiver('zip');
+      const output = fs.createWriteStream(`${session}.zip`);
+      output.on('close', resolve);
+      archive.on('error', reject);
+      archive.pipe(output);
+      archive.directory(localDir, false, entry => (SESSION_ENTRIES.test(entry.name) ? entry : false));
+      archive.finalize();
+    });
+
+    try {
+      await this.backup({ session });
+    } finally {
+      await fs.remove(`${session}.zip`);
+    }
+    await fs.remove(localDir);
+    console.log(`Moved the LocalAuth session of account ${accountId} to the ${this.strategy} session store (${this.store().name})`);
+  }
+
+  // Delete everything kept for an account: the working copies under ./sessions and the stored archive
+  async removeSession(accountId) {
+    await Promise.all([
+      `session-${accountId}`, // LocalAuth
+      `RemoteAuth-${accountId}`,
+      `wwebjs_temp_session_${accountId}`,
+      accountId // session_dir, created with the account
+    ].map(dir => fs.remove(path.join(SESSIONS_PATH, dir))));
+
+    if (this.strategy !== 'local') {
+      await this.delete({ session: `RemoteAuth-${accountId}` });
+    }
+  }
+}
+
+module.exports = new SessionStore();
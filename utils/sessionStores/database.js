@@ -0,0 +1,26 @@
+// Session archives in the auth_sessions table (base64), on whichever DB_DRIVER is configured.
+// Same interface as the media stores, plus exists().
+function createDatabaseStore({ db }) {
+  return {
+    name: 'database',
+
+    async exists(key) {
+      return db.authSessionExists(key);
+    },
+
+    async put(key, buffer) {
+      await db.saveAuthSession({ session_key: key, data: buffer.toString('base64'), size: buffer.length });
+    },
+
+    async get(key) {
+      const row = await db.getAuthSession(key);
+      return row ? Buffer.from(row.data, 'base64') : null;
+    },
+
+    async remove(key) {
+      await db.deleteAuthSession(key);
+    }
+  };
+}
+
+module.exports = { createDatabaseStore };
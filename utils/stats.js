@@ -0,0 +1,148 @@
+const { db } = require('../config/database');
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+// Chart ranges: bucket size and number of buckets (UTC hours/days, the current one included)
+const RANGES = {
+  '24h': { granularity: 'hour', buckets: 24 },
+  '7d': { granularity: 'hour', buckets: 168 },
+  '30d': { granularity: 'day', buckets: 30 },
+  '90d': { granularity: 'day', buckets: 90 }
+};
+const MESSAGE_DIRECTIONS = ['incoming', 'outgoing'];
+const WEBHOOK_DIRECTION = 'webhook';
+
+function emptyCounts() {
+  return {
+    incoming: 0,
+    outgoing: 0,
+    outgoing_failed: 0,
+    webhook_success: 0,
+    webhook_failed: 0,
+    latency_count: 0,
+    latency_sum_ms: 0,
+    latency_max_ms: null
+  };
+}
+
+// Add a message_stats row (or message_stats_totals row) to a set of counts
+function addRow(counts, row) {
+  const count = Number(row.message_count) || 0;
+
+  if (MESSAGE_DIRECTIONS.includes(row.direction)) {
+    counts[row.direction] += count;
+    if (row.direction === 'outgoing' && row.status === 'failed') counts.outgoing_failed += count;
+  } else if (row.direction === WEBHOOK_DIRECTION) {
+    if (row.status === 'success') counts.webhook_success += count;
+    if (row.status === 'failed') counts.webhook_failed += count;
+
+    counts.latency_count += Number(row.latency_count) || 0;
+    counts.latency_sum_ms += Number(row.latency_sum_ms) || 0;
+    if (row.latency_max_ms !== null && row.latency_max_ms !== undefined) {
+      counts.latency_max_ms = Math.max(counts.latency_max_ms || 0, Number(row.latency_max_ms));
+    }
+  }
+}
+
+function percentage(part, total) {
+  return total > 0 ? Math.round((part / total) * 100) : null;
+}
+
+// Public shape of a set of counts
+function summarize(counts) {
+  const { latency_count, latency_sum_ms, latency_max_ms, ...rest } = counts;
+  const webhookTotal = counts.webhook_success + counts.webhook_failed;
+  return {
+    ...rest,
+    webhook_success_rate: percentage(counts.webhook_success, webhookTotal),
+    webhook_avg_latency_ms: latency_count > 0 ? Math.round(latency_sum_ms / latency_count) : null,
+    webhook_max_latency_ms: latency_max_ms
+  };
+}
+
+// Message statistics from the message_stats rollup, which a trigger on message_logs keeps current
+class Stats {
+  parseRange(range = '24h') {
+    if (!RANGES[range]) {
+      throw new Error(`range must be one of: ${Object.keys(RANGES).join(', ')}`);
+    }
+    return range;
+  }
+
+  // All-time totals for the given accounts (as shown on the dashboard cards)
+  async getTotals(accountIds) {
+    if (accountIds.length === 0) {
+      return { totalMessages: 0, successMessages: 0, failedMessages: 0, successRate: 0 };
+    }
+
+    // Messages are logged in batches; include the ones still buffered
+    await db.flushMessageQueue();
+    const rows = await db.getMessageStatsTotals(accountIds);
+
+    let totalMessages = 0;
+    let successMessages = 0;
+    let failedMessages = 0;
+    for (const row of rows) {
+      const count = Number(row.message_count) || 0;
+      totalMessages += count;
+      if (row.status === 'success') successMessages += count;
+      if (row.status === 'failed') failedMessages += count;
+    }
+
+    return {
+      totalMessages,
+      successMessages,
+      failedMessages,
+      successRate: percentage(successMessages, totalMessages) || 0
+    };
+  }
+
+  // Start of every bucket in a range, oldest first
+  buckets(range, now = new Date()) {
+    const { granularity, buckets } = RANGES[range];
+    const step = granularity === 'hour' ? HOUR_MS : DAY_MS;
+    const current = Math.floor(now.getTime() / step) * step;
+
+    return Array.from({ length: buckets }, (_, index) => new Date(current - (buckets - 1 - index) * step).toISOString());
+  }
+
+  // Per-bucket counts for a range, plus range totals overall and per account
+  async getSeries(range, accountIds) {
+    const { granularity } = RANGES[range];
+    const buckets = this.buckets(range);
+    const points = new Map(buckets.map(bucket => [bucket, emptyCounts()]));
+    const totals = emptyCounts();
+    const accounts = new Map(accountIds.map(id => [id, emptyCounts()]));
+    const statuses = {};
+
+    if (accountIds.length > 0) {
+      await db.flushMessageQueue();
+      const rows = await db.getMessageStatsSeries(granularity, buckets[0], accountIds);
+
+      for (const row of rows) {
+        const point = points.get(new Date(row.bucket).toISOString());
+        if (!point) continue;
+
+        addRow(point, row);
+        addRow(totals, row);
+        if (accounts.has(row.account_id)) addRow(accounts.get(row.account_id), row);
+
+        // direction -> status -> count
+        statuses[row.direction] = statuses[row.direction] || {};
+        statuses[row.direction][row.status] = (statuses[row.direction][row.status] || 0) + (Number(row.message_count) || 0);
+      }
+    }
+
+    return {
+      range,
+      granularity,
+      from: buckets[0],
+      series: buckets.map(bucket => ({ bucket, ...summarize(points.get(bucket)) })),
+      totals: { ...summarize(totals), statuses },
+      accounts: [...accounts].map(([accountId, counts]) => ({ account_id: accountId, ...summarize(counts) }))
+    };
+  }
+}
+
+module.exports = new Stats();
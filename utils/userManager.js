@@ -0,0 +1,193 @@
+const bcrypt = require('bcryptjs');
+const { db } = require('../config/database');
+
+// Dashboard roles and what they may do; permission names are shared with API keys
+const ROLE_PERMISSIONS = {
+  admin: ['send', 'read_logs', 'manage_webhooks', 'admin'],
+  operator: ['send', 'read_logs', 'manage_webhooks'],
+  viewer: ['read_logs']
+};
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+const CACHE_TTL_MS = 30000;
+
+class UserManager {
+  constructor() {
+    this.roles = ROLES;
+    this.cache = new Map(); // userId -> { user, expiresAt }
+  }
+
+  // First start: seed an admin from DASHBOARD_USERNAME / DASHBOARD_PASSWORD
+  async ensureDefaultAdmin() {
+    const users = await db.getUsers();
+    if (users.length > 0) return null;
+
+    const username = process.env.DASHBOARD_USERNAME || 'admin';
+    const password = process.env.DASHBOARD_PASSWORD || 'admin123';
+    if (!process.env.DASHBOARD_PASSWORD) {
+      console.warn('DASHBOARD_PASSWORD is not set; created admin user with the default password. Change it now.');
+    }
+
+    const user = await db.createUser({
+      username,
+      password_hash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      role: 'admin',
+      account_ids: null,
+      is_active: true,
+      created_at: new Date().toISOString()
+    });
+    console.log(`Created initial admin user "${username}"`);
+    return this.sanitize(user);
+  }
+
+  // Returns the user for valid, active credentials, otherwise null
+  async authenticate(username, password) {
+    if (!username || !password) return null;
+
+    const user = await db.getUserByUsername(username);
+    if (!user || !user.is_active) return null;
+    if (!await bcrypt.compare(password, user.password_hash)) return null;
+
+    await db.updateUser(user.id, { last_login_at: new Date().toISOString() })
+      .catch(error => console.error('Error recording login:', error));
+    return this.sanitize(user);
+  }
+
+  // Session lookups are cached briefly; changes made here invalidate the cache
+  async getUser(id) {
+    const cached = this.cache.get(id);
+    if (cached && cached.expiresAt > Date.now()) return cached.user;
+
+    const user = await db.getUser(id);
+    const sanitized = user ? this.sanitize(user) : null;
+    this.cache.set(id, { user: sanitized, expiresAt: Date.now() + CACHE_TTL_MS });
+    return sanitized;
+  }
+
+  async list() {
+    const users = await db.getUsers();
+    return users.map(user => this.sanitize(user));
+  }
+
+  async create({ username, password, role, account_ids }) {
+    if (!username || !password) {
+      throw new Error('username and password are required');
+    }
+    this.validatePassword(password);
+
+    const existing = await db.getUserByUsername(username);
+    if (existing) {
+      throw new Error(`Username already exists: ${username}`);
+    }
+
+    const user = await db.createUser({
+      username,
+      password_hash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+      role: this.validateRole(role || 'viewer'),
+      account_ids: this.normalizeAccountIds(account_ids),
+      is_active: true,
+      created_at: new Date().toISOString()
+    });
+    return this.sanitize(user);
+  }
+
+  // actingUserId guards against admins locking themselves out
+  async update(id, input, actingUserId = null) {
+    const existing = await db.getUser(id);
+    if (!existing) return null;
+
+    const updates = {};
+    if (input.role !== undefined) updates.role = this.validateRole(input.role);
+    if (input.account_ids !== undefined) updates.account_ids = this.normalizeAccountIds(input.account_ids);
+    if (input.is_active !== undefined) updates.is_active = input.is_active === true;
+    if (input.password) {
+      this.validatePassword(input.password);
+      updates.password_hash = await bcrypt.hash(input.password, BCRYPT_ROUNDS);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      throw new Error('No updatable fields provided');
+    }
+
+    const losesAdmin = existing.role === 'admin' &&
+      ((updates.role && updates.role !== 'admin') || updates.is_active === false);
+    if (losesAdmin && id === actingUserId) {
+      throw new Error('You cannot remove your own admin access');
+    }
+    if (losesAdmin) {
+      await this.assertAnotherAdmin(id);
+    }
+
+    updates.updated_at = new Date().toISOString();
+    const user = await db.updateUser(id, updates);
+    this.cache.delete(id);
+    return this.sanitize(user);
+  }
+
+  async delete(id, actingUserId = null) {
+    const existing = await db.getUser(id);
+    if (!existing) return false;
+    if (id === actingUserId) {
+      throw new Error('You cannot delete your own user');
+    }
+    if (existing.role === 'admin') {
+      await this.assertAnotherAdmin(id);
+    }
+
+    await db.deleteUser(id);
+    this.cache.delete(id);
+    return true;
+  }
+
+  async assertAnotherAdmin(id) {
+    const users = await db.getUsers();
+    const otherAdmins = users.filter(user => user.id !== id && user.role === 'admin' && user.is_active);
+    if (otherAdmins.length === 0) {
+      throw new Error('At least one active admin is required');
+    }
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role: ${role}. Expected one of ${ROLES.join(', ')}`);
+    }
+    return role;
+  }
+
+  validatePassword(password) {
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  // null/omitted means every account; an empty list means none
+  normalizeAccountIds(accountIds) {
+    if (accountIds === undefined || accountIds === null) return null;
+    if (!Array.isArray(accountIds)) {
+      throw new Error('account_ids must be an array');
+    }
+    return [...new Set(accountIds)];
+  }
+
+  getPermissions(user) {
+    return ROLE_PERMISSIONS[user.role] || [];
+  }
+
+  hasPermission(user, permission) {
+    return this.getPermissions(user).includes(permission);
+  }
+
+  // Admins always see every account
+  hasAccountAccess(user, accountId) {
+    return user.role === 'admin' || !Array.isArray(user.account_ids) || user.account_ids.includes(accountId);
+  }
+
+  sanitize(user) {
+    const { password_hash, ...rest } = user;
+    return rest;
+  }
+}
+
+module.exports = new UserManager();
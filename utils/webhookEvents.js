@@ -0,0 +1,44 @@
+// Event types a webhook can subscribe to
+const WEBHOOK_EVENTS = [
+  'message',                 // incoming message
+  'message_create',          // message sent by this account (API or phone)
+  'message_ack',             // delivery/read receipt for an outgoing message
+  'message_revoke_everyone', // message deleted for everyone
+  'group_join',
+  'group_leave',
+  'call',
+  'change_state',            // WhatsApp Web connection state change
+  'qr',
+  'ready',
+  'auth_failure',
+  'disconnected'
+];
+
+// Webhooks created before subscriptions existed only received incoming messages
+const DEFAULT_WEBHOOK_EVENTS = ['message'];
+
+// Validate and de-duplicate a requested subscription list
+function normalizeEvents(events) {
+  if (events === undefined || events === null) return [...DEFAULT_WEBHOOK_EVENTS];
+  if (!Array.isArray(events)) {
+    throw new Error('events must be an array');
+  }
+
+  const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown webhook event(s): ${unknown.join(', ')}`);
+  }
+  if (events.length === 0) {
+    throw new Error('At least one webhook event is required');
+  }
+
+  return [...new Set(events)];
+}
+
+// Whether a webhook row is subscribed to an event
+function isSubscribed(webhook, event) {
+  const events = Array.isArray(webhook.events) ? webhook.events : DEFAULT_WEBHOOK_EVENTS;
+  return events.includes(event);
+}
+
+module.exports = { WEBHOOK_EVENTS, DEFAULT_WEBHOOK_EVENTS, normalizeEvents, isSubscribed };
@@ -0,0 +1,247 @@
+const EventEmitter = require('events');
+const axios = require('axios');
+const { db } = require('../config/database');
+const { signPayload } = require('./webhookSignature');
+const metrics = require('./metrics');
+
+// Retry settings (override via environment)
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 5000;
+const RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 3600000; // 1 hour
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_MS) || 5000;
+const BATCH_SIZE = 50;
+
+const deliveryDuration = metrics.histogram('wa_webhook_delivery_duration_seconds', 'Webhook delivery attempt duration, retries included');
+const deliveryResponses = metrics.counter('wa_webhook_deliveries_total', 'Webhook delivery attempts by HTTP status code ("error" when no response arrived)');
+
+// Emits 'delivery' with the outcome of every delivery attempt
+class WebhookQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.timer = null;
+    this.processing = false;
+  }
+
+  // Deliver a payload to one webhook; failures are stored for retry
+  async deliver(webhook, accountId, payload) {
+    const startedAt = Date.now();
+    try {
+      const response = await this.post(webhook, accountId, payload);
+
+      this.logDelivery({
+        account_id: accountId,
+        direction: 'webhook',
+        status: 'success',
+        webhook_id: webhook.id,
+        webhook_url: webhook.url,
+        response_status: response.status,
+        latency_ms: Date.now() - startedAt,
+        created_at: new Date().toISOString()
+      }, { event: payload.event, attempts: 1 });
+
+      return { success: true, webhook_id: webhook.id };
+    } catch (error) {
+      this.logDelivery({
+        account_id: accountId,
+        direction: 'webhook',
+        status: 'failed',
+        webhook_id: webhook.id,
+        webhook_url: webhook.url,
+        response_status: error.response?.status,
+        error_message: error.message,
+        latency_ms: Date.now() - startedAt,
+        created_at: new Date().toISOString()
+      }, { event: payload.event, attempts: 1, will_retry: MAX_ATTEMPTS > 1 });
+
+      await this.enqueue(webhook, accountId, payload, error);
+
+      return { success: false, webhook_id: webhook.id, error: error.message };
+    }
+  }
+
+  // Perform the HTTP call for a single webhook
+  post(webhook, accountId, payload) {
+    // Identify n8n webhooks for optimized handling
+    const isN8n = webhook.url.includes('n8n') || webhook.url.includes('nodemation');
+
+    // Serialize once so the signature covers the exact bytes sent
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Account-ID': accountId,
+      'X-Timestamp': String(timestamp)
+    };
+
+    if (webhook.secret) {
+      headers['X-Signature'] = signPayload(webhook.secret, timestamp, body);
+      // Plaintext secret header is only sent to webhooks still migrating
+      if (webhook.legacy_secret_header) {
+        headers['X-Webhook-Secret'] = webhook.secret;
+      }
+    }
+
+    return axios.post(webhook.url, body, {
+      headers,
+      // Shorter timeout for n8n for faster processing
+      timeout: isN8n ? 5000 : 10000
+    });
+  }
+
+  // Store a failed delivery so the worker retries it later
+  async enqueue(webhook, accountId, payload, error) {
+    try {
+      await db.createWebhookDelivery({
+        account_id: accountId,
+        webhook_id: webhook.id,
+        payload,
+        status: 'pending',
+        attempts: 1,
+        max_attempts: MAX_ATTEMPTS,
+        next_attempt_at: new Date(Date.now() + this.getRetryDelay(1)).toISOString(),
+        last_error: error.message,
+        response_status: error.response?.status || null,
+        created_at: new Date().toISOString()
+      });
+    } catch (err) {
+      console.error('Error queueing webhook delivery for retry:', err);
+    }
+  }
+
+  // Exponential backoff with equal jitter (between half and all of the step), capped at RETRY_MAX_MS
+  getRetryDelay(attempts) {
+    const ceiling = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * Math.pow(2, attempts - 1));
+    return Math.floor(ceiling / 2 + Math.random() * (ceiling / 2));
+  }
+
+  // Start polling for due deliveries
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.processDue(), POLL_INTERVAL_MS);
+    console.log('Webhook retry worker started');
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  // Retry every delivery whose next attempt is due
+  async processDue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const deliveries = await db.getDueWebhookDeliveries(BATCH_SIZE);
+      for (const delivery of deliveries) {
+        await this.retry(delivery);
+      }
+    } catch (error) {
+      console.error('Error processing webhook retry queue:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  async retry(delivery) {
+    const attempts = (delivery.attempts || 0) + 1;
+
+    let webhook;
+    try {
+      webhook = await db.getWebhook(delivery.webhook_id);
+    } catch (_) {
+      webhook = null;
+    }
+
+    if (!webhook || !webhook.is_active) {
+      await db.updateWebhookDelivery(delivery.id, {
+        status: 'dead',
+        last_error: webhook ? 'Webhook is inactive' : 'Webhook no longer exists',
+        updated_at: new Date().toISOString()
+      });
+      return;
+    }
+
+    const startedAt = Date.now();
+    try {
+      const response = await this.post(webhook, delivery.account_id, delivery.payload);
+
+      await db.updateWebhookDelivery(delivery.id, {
+        status: 'delivered',
+        attempts,
+        response_status: response.status,
+        updated_at: new Date().toISOString()
+      });
+
+      this.logDelivery({
+        account_id: delivery.account_id,
+        direction: 'webhook',
+        status: 'success',
+        webhook_id: webhook.id,
+        webhook_url: webhook.url,
+        response_status: response.status,
+        latency_ms: Date.now() - startedAt,
+        created_at: new Date().toISOString()
+      }, { event: delivery.payload?.event, attempts, delivery_id: delivery.id });
+    } catch (error) {
+      const maxAttempts = delivery.max_attempts || MAX_ATTEMPTS;
+      const exhausted = attempts >= maxAttempts;
+
+      await db.updateWebhookDelivery(delivery.id, {
+        status: exhausted ? 'dead' : 'pending',
+        attempts,
+        next_attempt_at: new Date(Date.now() + this.getRetryDelay(attempts)).toISOString(),
+        last_error: error.message,
+        response_status: error.response?.status || null,
+        updated_at: new Date().toISOString()
+      });
+
+      this.logDelivery({
+        account_id: delivery.account_id,
+        direction: 'webhook',
+        status: 'failed',
+        webhook_id: webhook.id,
+        webhook_url: webhook.url,
+        response_status: error.response?.status,
+        error_message: exhausted
+          ? `Gave up after ${attempts} attempts: ${error.message}`
+          : error.message,
+        latency_ms: Date.now() - startedAt,
+        created_at: new Date().toISOString()
+      }, { event: delivery.payload?.event, attempts, delivery_id: delivery.id, will_retry: !exhausted });
+
+      if (exhausted) {
+        console.warn(`Webhook delivery ${delivery.id} moved to dead-letter after ${attempts} attempts`);
+      }
+    }
+  }
+
+  // Re-queue a dead-lettered delivery for immediate retry
+  async requeue(deliveryId) {
+    return db.updateWebhookDelivery(deliveryId, {
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
+  }
+
+  // Non-blocking delivery log; details (event, attempts, ...) are only announced, not stored
+  logDelivery(logData, details = {}) {
+    deliveryDuration.observe({ account_id: logData.account_id, status: logData.status }, logData.latency_ms / 1000);
+    deliveryResponses.inc({ account_id: logData.account_id, code: logData.response_status || 'error' });
+    this.emit('delivery', { ...logData, ...details });
+    setImmediate(async () => {
+      try {
+        await db.logMessage(logData);
+      } catch (error) {
+        console.error('Error logging webhook delivery:', error);
+      }
+    });
+  }
+}
+
+module.exports = new WebhookQueue();
@@ -0,0 +1,42 @@
+// Webhook payload signing and verification (HMAC-SHA256)
+//
+// This module has no dependencies besides Node's crypto, so webhook receivers
+// can copy it as-is to verify deliveries:
+//
+//   const { verifySignature } = require('./webhookSignature');
+//   const ok = verifySignature(secret, req.headers['x-signature'], req.headers['x-timestamp'], rawBody);
+//
+// The signature covers `${timestamp}.${rawBody}`, where rawBody is the exact
+// request body string (verify before JSON.parse / re-serialization).
+const crypto = require('crypto');
+
+const SIGNATURE_PREFIX = 'sha256=';
+const DEFAULT_TOLERANCE_SECONDS = 300; // 5 minutes
+
+// Compute the X-Signature header value for a body sent at the given timestamp
+function signPayload(secret, timestamp, body) {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return SIGNATURE_PREFIX + digest;
+}
+
+// Check a received signature; rejects stale timestamps to prevent replays
+function verifySignature(secret, signature, timestamp, body, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS) {
+  if (!secret || !signature || !timestamp) return false;
+
+  const ts = parseInt(timestamp, 10);
+  if (!Number.isFinite(ts)) return false;
+
+  const now = Math.floor(Date.now() / 1000);
+  if (Math.abs(now - ts) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, ts, body));
+  const received = Buffer.from(String(signature));
+  if (expected.length !== received.length) return false;
+
+  return crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = { signPayload, verifySignature };
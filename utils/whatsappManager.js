@@ -1,16 +1,131 @@
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const EventEmitter = require('events');
+const { MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const { v4: uuidv4 } = require('uuid');
 const { db } = require('../config/database');
 const axios = require('axios');
 const moment = require('moment');
 const fs = require('fs-extra');
+const webhookQueue = require('./webhookQueue');
+const { isSubscribed } = require('./webhookEvents');
+const inbox = require('./inbox');
+const mediaStore = require('./mediaStore');
+const metrics = require('./metrics');
+const clientFactory = require('./clientFactory');
+const sessionStore = require('./sessionStore');
 
-class WhatsAppManager {
+// whatsapp-web.js MessageAck values -> tracked receipt state
+const ACK_STATUSES = {
+  '-1': 'error',
+  0: 'pending',
+  1: 'sent',
+  2: 'delivered',
+  3: 'read',
+  4: 'played'
+};
+const ACK_RETRY_DELAY_MS = 5000;
+const DESTROY_TIMEOUT_MS = 15000;
+
+// Startup of saved accounts (override via environment)
+const STARTUP_CONCURRENCY = Math.max(1, parseInt(process.env.STARTUP_CONCURRENCY) || 2);
+const STARTUP_STAGGER_MS = parseInt(process.env.STARTUP_STAGGER_MS) || 2000; // between the first launches
+const STARTUP_INIT_TIMEOUT_MS = parseInt(process.env.STARTUP_INIT_TIMEOUT_MS) || 120000; // 2 minutes
+
+// In-memory account states, exported as one wa_account_status series each
+const ACCOUNT_STATUSES = ['initializing', 'qr_ready', 'ready', 'disconnected', 'auth_failed', 'failed', 'needs_rescan', 'stopped'];
+const messagesSent = metrics.counter('wa_messages_sent_total', 'Messages sent');
+const messagesReceived = metrics.counter('wa_messages_received_total', 'Messages received');
+const sendFailures = metrics.counter('wa_send_failures_total', 'Failed sends by error class');
+const sendDuration = metrics.histogram('wa_send_duration_seconds', 'Time WhatsApp Web took to accept a sent message');
+
+// Events (all payloads carry the account id, for per-account socket rooms):
+//   'qr'               { accountId, qr_code } - a new QR code to scan
+//   'status'           { accountId, status, ... } - every status transition
+//   'message'          logged incoming/outgoing message (media data omitted)
+//   'webhook_delivery' result of each webhook delivery attempt
+//   'startup'          startup progress (see getStartupProgress)
+class WhatsAppManager extends EventEmitter {
   constructor() {
+    super();
     this.clients = new Map(); // Store active WhatsApp clients
     this.qrCodes = new Map(); // Store QR codes for each account
     this.accountStatus = new Map(); // Store account status
+    this.statusSince = new Map(); // accountId -> when the current status was entered (ms)
+    this.startup = { state: 'idle' }; // progress of initializeExistingAccounts
+
+    webhookQueue.on('delivery', (delivery) => this.emit('webhook_delivery', delivery));
+
+    metrics.gauge('wa_account_status', 'Connection state of each account (1 for the current state)', () =>
+      [...this.accountStatus].flatMap(([accountId, current]) =>
+        ACCOUNT_STATUSES.concat(ACCOUNT_STATUSES.includes(current) ? [] : [current])
+          .map(status => ({ labels: { account_id: accountId, status }, value: status === current ? 1 : 0 }))));
+    metrics.gauge('wa_message_queue_depth', 'Sends in progress per account', () =>
+      [...(this.messageQueues || new Map())].map(([accountId, queue]) => ({ labels: { account_id: accountId }, value: queue.length })));
+    metrics.gauge('wa_browser_resident_memory_bytes', 'Resident memory of each account\'s browser and its child processes', () =>
+      this.collectBrowserMetrics(async (client) => {
+        const pid = client.pupBrowser?.process()?.pid;
+        return pid ? this.getProcessTreeMemory(pid) : null;
+      }));
+    metrics.gauge('wa_browser_js_heap_used_bytes', 'JavaScript heap in use by each account\'s WhatsApp Web page', () =>
+      this.collectBrowserMetrics(async (client) => {
+        if (!client.pupPage || client.pupPage.isClosed()) return null;
+        return (await client.pupPage.metrics()).JSHeapUsedSize;
+      }));
+  }
+
+  // One gauge sample per running browser; read() returns null to skip an account
+  async collectBrowserMetrics(read) {
+    const samples = await Promise.all([...this.clients].map(async ([accountId, client]) => {
+      try {
+        const value = await read(client);
+        return value === null || value === undefined ? null : { labels: { account_id: accountId }, value };
+      } catch (_) {
+        return null;
+      }
+    }));
+    return samples.filter(Boolean);
+  }
+
+  // Resident memory of a process and its descendants, from /proc (Linux only; null elsewhere)
+  async getProcessTreeMemory(pid) {
+    try {
+      const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+      const match = /VmRSS:\s+(\d+) kB/.exec(status);
+      let bytes = match ? parseInt(match[1], 10) * 1024 : 0;
+
+      // Chromium starts its renderer and GPU processes from several threads
+      for (const task of await fs.readdir(`/proc/${pid}/task`)) {
+        const children = await fs.readFile(`/proc/${pid}/task/${task}/children`, 'utf8').catch(() => '');
+        for (const child of children.split(/\s+/).filter(Boolean)) {
+          bytes += (await this.getProcessTreeMemory(child)) || 0;
+        }
+      }
+      return bytes;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Coarse, low-cardinality reason for wa_send_failures_total
+  classifySendError(error) {
+    const message = (error && error.message) || '';
+    if (error && error.isAxiosError) return 'media_download';
+    if (/client not found/i.test(message)) return 'no_client';
+    if (/not ready/i.test(message)) return 'not_ready';
+    if (/page is closed|Target closed|Session closed|Protocol error|Execution context/i.test(message)) return 'browser';
+    if (/queue is full/i.test(message)) return 'queue_full';
+    if (/invalid media|mimetype is required|media too large/i.test(message)) return 'invalid_media';
+    if (/timed? ?out/i.test(message)) return 'timeout';
+    return 'other';
+  }
+
+  // Record an account's in-memory status and announce the transition
+  setStatus(accountId, status, details = {}) {
+    if (this.accountStatus.get(accountId) !== status) {
+      this.statusSince.set(accountId, Date.now());
+    }
+    this.accountStatus.set(accountId, status);
+    this.emit('status', { accountId, status, ...details });
   }
 
   // Create a new WhatsApp account instance - optimized for performance
@@ -38,63 +153,14 @@ class WhatsAppManager {
       // Create DB record immediately (so API can respond fast)
       const accountPromise = db.createAccount(accountData);
       
-      // Initialize WhatsApp client with optimized settings
-      const client = new Client({
-        authStrategy: new LocalAuth({
-          clientId: accountId,
-          // Use a stable base dataPath; LocalAuth will place client data under this path by clientId
-          dataPath: sessionsBase
-        }),
-        puppeteer: {
-          headless: true,
-          // Optimized browser arguments for faster startup and lower resource usage
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            // '--single-process', // can cause hangs on some platforms; avoid
-            '--disable-gpu',
-            '--disable-extensions',
-            '--disable-component-extensions-with-background-pages',
-            '--disable-default-apps',
-            '--mute-audio',
-            '--no-default-browser-check',
-            '--disable-background-timer-throttling',
-            '--disable-backgrounding-occluded-windows',
-            '--disable-renderer-backgrounding',
-            '--disable-background-networking',
-            '--disable-breakpad',
-            '--disable-sync',
-            '--disable-translate',
-            '--metrics-recording-only',
-            '--disable-features=site-per-process,TranslateUI,BlinkGenPropertyTrees',
-            '--disable-hang-monitor',
-            '--disable-ipc-flooding-protection'
-          ],
-          // Reduce memory usage
-          defaultViewport: { width: 800, height: 600 }
-        },
-        // Increase message queue processing speed
-        queueOptions: { 
-          messageProcessingTimeoutMs: 15000, // Faster message processing
-          concurrency: 5 // Process multiple messages concurrently
-        }
-      });
-
-      // Set up event handlers
-      this.setupEventHandlers(client, accountId);
-
-      // Store client reference
-      this.clients.set(accountId, client);
-      this.accountStatus.set(accountId, 'initializing');
+      // Set up the client from the account's profile (defaults for a new account)
+      const client = await this.createClient(accountId);
+      this.setStatus(accountId, 'initializing');
 
       // Initialize the client asynchronously (do not block API response)
       client.initialize().catch(err => {
         console.error('Client initialization error:', err);
-        this.accountStatus.set(accountId, 'failed');
+        this.setStatus(accountId, 'failed', { error_message: err.message });
         // Try to reflect error in DB
         db.updateAccount(accountId, { status: 'failed', error_message: err.message, updated_at: new Date().toISOString() }).catch(() => {});
       });
@@ -105,7 +171,7 @@ class WhatsAppManager {
     } catch (error) {
       console.error('Error creating WhatsApp account:', error);
       if (accountId) {
-        this.accountStatus.set(accountId, 'failed');
+        this.setStatus(accountId, 'failed');
       }
       throw error;
     }
@@ -118,6 +184,7 @@ class WhatsAppManager {
         // Generate QR code as data URL
         const qrDataUrl = await qrcode.toDataURL(qr);
         this.qrCodes.set(accountId, qrDataUrl);
+        this.emit('qr', { accountId, qr_code: qrDataUrl });
         
         // Update account status
         await db.updateAccount(accountId, { 
@@ -126,8 +193,10 @@ class WhatsAppManager {
           updated_at: new Date().toISOString()
         });
         
-        this.accountStatus.set(accountId, 'qr_ready');
+        this.setStatus(accountId, 'qr_ready');
         console.log(`QR code generated for account ${accountId}`);
+        
+        await this.sendToWebhooks(accountId, 'qr', { qr, qr_code: qrDataUrl });
       } catch (error) {
         console.error('Error generating QR code:', error);
       }
@@ -142,10 +211,12 @@ class WhatsAppManager {
           updated_at: new Date().toISOString()
         });
         
-        this.accountStatus.set(accountId, 'ready');
         this.qrCodes.delete(accountId); // Clear QR code
+        this.setStatus(accountId, 'ready', { phone_number: client.info.wid.user });
         
         console.log(`WhatsApp client ready for account ${accountId}`);
+        
+        await this.sendToWebhooks(accountId, 'ready', { phone_number: client.info.wid.user });
       } catch (error) {
         console.error('Error updating account status:', error);
       }
@@ -163,8 +234,10 @@ class WhatsAppManager {
           updated_at: new Date().toISOString()
         });
         
-        this.accountStatus.set(accountId, 'auth_failed');
+        this.setStatus(accountId, 'auth_failed', { error_message: msg });
         console.error(`Authentication failed for account ${accountId}:`, msg);
+        
+        await this.sendToWebhooks(accountId, 'auth_failure', { error: msg });
       } catch (error) {
         console.error('Error updating account status:', error);
       }
@@ -178,13 +251,19 @@ class WhatsAppManager {
           updated_at: new Date().toISOString()
         });
         
-        this.accountStatus.set(accountId, 'disconnected');
+        this.setStatus(accountId, 'disconnected', { error_message: reason });
         console.log(`WhatsApp client disconnected for account ${accountId}:`, reason);
+        
+        await this.sendToWebhooks(accountId, 'disconnected', { reason });
       } catch (error) {
         console.error('Error updating account status:', error);
       }
     });
 
+    client.on('change_state', async (state) => {
+      await this.sendToWebhooks(accountId, 'change_state', { state });
+    });
+
     client.on('message', async (message) => {
       try {
         await this.handleIncomingMessage(client, accountId, message);
@@ -192,6 +271,87 @@ class WhatsAppManager {
         console.error('Error handling incoming message:', error);
       }
     });
+
+    // Fires for every new message; only our own are forwarded (incoming use 'message')
+    client.on('message_create', async (message) => {
+      if (!message.fromMe) return;
+      await this.sendToWebhooks(accountId, 'message_create', this.serializeMessage(message));
+    });
+
+    client.on('message_ack', async (message, ack) => {
+      const messageId = message.id._serialized;
+      const ackStatus = ACK_STATUSES[ack] || String(ack);
+
+      await this.recordMessageAck(messageId, ack, ackStatus);
+      await this.sendToWebhooks(accountId, 'message_ack', {
+        message_id: messageId,
+        recipient: message.to,
+        ack,
+        ack_status: ackStatus
+      });
+    });
+
+    client.on('message_revoke_everyone', async (message, revokedMessage) => {
+      await this.sendToWebhooks(accountId, 'message_revoke_everyone', {
+        ...this.serializeMessage(message),
+        revoked_message: revokedMessage ? this.serializeMessage(revokedMessage) : null
+      });
+    });
+
+    client.on('group_join', async (notification) => {
+      await this.sendToWebhooks(accountId, 'group_join', this.serializeGroupNotification(notification));
+    });
+
+    client.on('group_leave', async (notification) => {
+      await this.sendToWebhooks(accountId, 'group_leave', this.serializeGroupNotification(notification));
+    });
+
+    client.on('call', async (call) => {
+      await this.sendToWebhooks(accountId, 'call', {
+        call_id: call.id,
+        from: call.from,
+        is_video: call.isVideo,
+        is_group: call.isGroup,
+        timestamp: call.timestamp
+      });
+    });
+  }
+
+  // Update the outgoing log row for a receipt; retry once if the row isn't written yet
+  async recordMessageAck(messageId, ack, ackStatus, isRetry = false) {
+    try {
+      const updated = await db.updateMessageAck(messageId, ack, ackStatus);
+      if (updated === 0 && !isRetry) {
+        setTimeout(() => this.recordMessageAck(messageId, ack, ackStatus, true), ACK_RETRY_DELAY_MS);
+      }
+    } catch (error) {
+      console.error('Error updating message ack:', error);
+    }
+  }
+
+  // Plain-object view of a whatsapp-web.js Message for webhook payloads
+  serializeMessage(message) {
+    return {
+      message_id: message.id?._serialized,
+      sender: message.from,
+      recipient: message.to,
+      from_me: message.fromMe,
+      message: message.body,
+      type: message.type,
+      has_media: message.hasMedia,
+      timestamp: message.timestamp
+    };
+  }
+
+  // Plain-object view of a group join/leave notification
+  serializeGroupNotification(notification) {
+    return {
+      chat_id: notification.chatId,
+      author: notification.author,
+      recipients: notification.recipientIds,
+      type: notification.type,
+      timestamp: notification.timestamp
+    };
   }
 
   // Handle incoming messages
@@ -212,24 +372,28 @@ class WhatsAppManager {
         chat_id: chat.id._serialized,
         is_group: chat.isGroup,
         group_name: chat.isGroup ? chat.name : null,
+        // Sender's push name in groups, saved contact name otherwise
+        contact_name: (chat.isGroup ? message._data?.notifyName : chat.name || message._data?.notifyName) || null,
         created_at: new Date().toISOString()
       };
 
-      // Add media data if present
+      // Add media if present: written to the media store, referenced by a signed URL
       if (message.hasMedia) {
         const media = await message.downloadMedia();
-        messageData.media = {
-          mimetype: media.mimetype,
-          data: media.data,
-          filename: media.filename
-        };
+        if (media) {
+          messageData.media = await this.storeMedia(media);
+          messageData.media_id = messageData.media.media_id || null;
+        }
       }
 
+      messagesReceived.inc({ account_id: accountId, type: message.type || 'unknown' });
+
       // Log message to database
       await db.logMessage(messageData);
+      this.emit('message', inbox.withoutMediaData(messageData));
 
       // Send to webhooks
-      await this.sendToWebhooks(accountId, messageData);
+      await this.sendToWebhooks(accountId, 'message', messageData);
 
     } catch (error) {
       console.error('Error handling incoming message:', error);
@@ -245,8 +409,18 @@ class WhatsAppManager {
     }
   }
 
-  // Send message to webhooks - optimized for performance
-  async sendToWebhooks(accountId, messageData) {
+  // Store downloaded media; keeps it inline if the store is unavailable so it isn't lost
+  async storeMedia(media) {
+    try {
+      return await mediaStore.save(media);
+    } catch (error) {
+      console.error('Error storing media, keeping it inline:', error.message);
+      return { mimetype: media.mimetype, data: media.data, filename: media.filename };
+    }
+  }
+
+  // Dispatch an event envelope { event, account_id, data } to subscribed webhooks
+  async sendToWebhooks(accountId, event, data) {
     try {
       const webhooks = await db.getWebhooks(accountId);
       
@@ -255,53 +429,20 @@ class WhatsAppManager {
       
       // Process webhooks in parallel for better performance
       const webhookPromises = webhooks
-        .filter(webhook => webhook.is_active)
-        .map(async (webhook) => {
+        .filter(webhook => webhook.is_active && isSubscribed(webhook, event))
+        .map((webhook) => {
           // Identify n8n webhooks for optimized handling
           const isN8n = webhook.url.includes('n8n') || webhook.url.includes('nodemation');
           
-          try {
-            // Set optimized timeout for n8n (shorter timeout for faster processing)
-            const timeout = isN8n ? 5000 : 10000;
-            
-            // Optimize payload for n8n
-            const payload = isN8n ? this.optimizePayloadForN8n(messageData) : messageData;
-            
-            const response = await axios.post(webhook.url, payload, {
-              headers: {
-                'Content-Type': 'application/json',
-                'X-Webhook-Secret': webhook.secret || '',
-                'X-Account-ID': accountId
-              },
-              timeout
-            });
-
-            // Log successful webhook delivery - non-blocking
-            this.logWebhookDelivery({
-              account_id: accountId,
-              direction: 'webhook',
-              status: 'success',
-              webhook_id: webhook.id,
-              webhook_url: webhook.url,
-              response_status: response.status,
-              created_at: new Date().toISOString()
-            });
-            
-            return { success: true, webhook_id: webhook.id };
-          } catch (error) {
-            // Log failed webhook delivery - non-blocking
-            this.logWebhookDelivery({
-              account_id: accountId,
-              direction: 'webhook',
-              status: 'failed',
-              webhook_id: webhook.id,
-              webhook_url: webhook.url,
-              error_message: error.message,
-              created_at: new Date().toISOString()
-            });
-            
-            return { success: false, webhook_id: webhook.id, error: error.message };
-          }
+          // Optimize message payloads for n8n
+          const payload = {
+            event,
+            account_id: accountId,
+            data: isN8n && event === 'message' ? this.optimizePayloadForN8n(data) : data
+          };
+          
+          // Failed deliveries are queued and retried with backoff
+          return webhookQueue.deliver(webhook, accountId, payload);
         });
       
       // Execute all webhook calls in parallel
@@ -314,7 +455,7 @@ class WhatsAppManager {
   // Optimize payload for n8n to reduce processing time
   optimizePayloadForN8n(messageData) {
     // Create a streamlined version of the payload for n8n
-    const { account_id, direction, sender, recipient, message, timestamp, type, chat_id, is_group } = messageData;
+    const { account_id, direction, sender, recipient, message, timestamp, type, chat_id, is_group, media } = messageData;
     
     return {
       account_id,
@@ -326,23 +467,13 @@ class WhatsAppManager {
       type,
       chat_id,
       is_group,
+      // Download URL only, never the inline data
+      ...(media && media.url ? { media: { url: media.url, mimetype: media.mimetype, filename: media.filename, size: media.size } } : {}),
       // Add a flag to indicate this is an optimized payload
       optimized: true
     };
   }
   
-  // Non-blocking log message
-  logWebhookDelivery(logData) {
-    // Use setImmediate to make this non-blocking
-    setImmediate(async () => {
-      try {
-        await db.logMessage(logData);
-      } catch (error) {
-        console.error('Error logging webhook delivery:', error);
-      }
-    });
-  }
-
   // Send message from an account - optimized for performance
   async sendMessage(accountId, number, message, options = {}) {
     // Use a message queue to prevent overloading the WhatsApp client
@@ -360,6 +491,7 @@ class WhatsAppManager {
     
     // Check if we're already processing too many messages
     if (queue.length > 20) {
+      sendFailures.inc({ account_id: accountId, reason: 'queue_full' });
       throw new Error('Message queue is full. Please try again later.');
     }
     
@@ -389,7 +521,10 @@ class WhatsAppManager {
       queue.push(queueItem);
       
       // Send message with optimized error handling
+      const startedAt = process.hrtime.bigint();
       const result = await client.sendMessage(formattedNumber, message, options);
+      sendDuration.observe({ account_id: accountId, type: 'text' }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+      messagesSent.inc({ account_id: accountId, type: 'text' });
       
       // Remove from queue
       const index = queue.findIndex(item => 
@@ -406,10 +541,13 @@ class WhatsAppManager {
         message_id: result.id._serialized,
         sender: result.from,
         recipient: result.to,
+        chat_id: result.id.remote || result.to,
+        is_group: this.isGroupChat(result.id.remote || result.to),
         message: message,
         timestamp: result.timestamp,
         type: 'text',
         status: 'success',
+        ...this.getInitialAck(result),
         created_at: new Date().toISOString()
       });
       
@@ -420,11 +558,14 @@ class WhatsAppManager {
       };
 
     } catch (error) {
+      sendFailures.inc({ account_id: accountId, reason: this.classifySendError(error) });
+
       // Log failed message in a non-blocking way
       this.logOutgoingMessage({
         account_id: accountId,
         direction: 'outgoing',
         recipient: number,
+        chat_id: typeof number === 'string' ? this.formatPhoneNumber(number) : null,
         message: message,
         status: 'failed',
         error_message: error.message,
@@ -435,11 +576,20 @@ class WhatsAppManager {
     }
   }
   
+  // Receipt fields for a message right after client.sendMessage resolves
+  getInitialAck(result) {
+    const ack = typeof result.ack === 'number' ? result.ack : 0;
+    const fields = { ack, ack_status: ACK_STATUSES[ack] || String(ack) };
+    if (ack >= 1) fields.sent_at = new Date().toISOString();
+    return fields;
+  }
+
   // Non-blocking message logging
   logOutgoingMessage(messageData) {
     setImmediate(async () => {
       try {
         await db.logMessage(messageData);
+        this.emit('message', messageData);
       } catch (error) {
         console.error('Error logging message:', error);
       }
@@ -450,107 +600,118 @@ class WhatsAppManager {
   // media: { data(base64) | url, mimetype?, filename? }
   // options: { sendMediaAsDocument?: boolean, sendAudioAsVoice?: boolean }
   async sendMedia(accountId, number, media, caption = '', options = {}) {
-    // Validate media payload
-    if (!media || (!media.data && !media.url)) {
-      throw new Error('Invalid media payload. Expect { data | url, mimetype?, filename? }');
-    }
+    try {
+      // Validate media payload
+      if (!media || (!media.data && !media.url)) {
+        throw new Error('Invalid media payload. Expect { data | url, mimetype?, filename? }');
+      }
     
-    // Ensure client exists and ready
-    const client = this.clients.get(accountId);
-    if (!client) {
-      throw new Error('WhatsApp client not found for this account');
-    }
-    const status = this.accountStatus.get(accountId);
-    if (status !== 'ready') {
-      throw new Error(`WhatsApp client is not ready. Current status: ${status}`);
-    }
-    if (!client.pupPage || client.pupPage._closed) {
-      throw new Error('WhatsApp client page is closed or not available');
-    }
+      // Ensure client exists and ready
+      const client = this.clients.get(accountId);
+      if (!client) {
+        throw new Error('WhatsApp client not found for this account');
+      }
+      const status = this.accountStatus.get(accountId);
+      if (status !== 'ready') {
+        throw new Error(`WhatsApp client is not ready. Current status: ${status}`);
+      }
+      if (!client.pupPage || client.pupPage._closed) {
+        throw new Error('WhatsApp client page is closed or not available');
+      }
 
-    // Prepare media data
-    let base64Data = media.data || '';
-    let mimetype = media.mimetype || '';
-    let filename = media.filename || '';
-
-    if (media.url && !base64Data) {
-      // Fetch from URL
-      const response = await axios.get(media.url, { responseType: 'arraybuffer' });
-      const buffer = Buffer.from(response.data);
-      base64Data = buffer.toString('base64');
-      mimetype = mimetype || response.headers['content-type'] || 'application/octet-stream';
-      if (!filename) {
-        try {
-          const urlObj = new URL(media.url);
-          filename = urlObj.pathname.split('/').pop() || '';
-        } catch {}
+      // Prepare media data
+      let base64Data = media.data || '';
+      let mimetype = media.mimetype || '';
+      let filename = media.filename || '';
+
+      if (media.url && !base64Data) {
+        // Fetch from URL
+        const response = await axios.get(media.url, { responseType: 'arraybuffer' });
+        const buffer = Buffer.from(response.data);
+        base64Data = buffer.toString('base64');
+        mimetype = mimetype || response.headers['content-type'] || 'application/octet-stream';
+        if (!filename) {
+          try {
+            const urlObj = new URL(media.url);
+            filename = urlObj.pathname.split('/').pop() || '';
+          } catch {}
+        }
       }
-    }
 
-    // Normalize base64: strip possible data URL prefix
-    const dataUrlPrefix = /^data:[^;]+;base64,/i;
-    if (base64Data && dataUrlPrefix.test(base64Data)) {
-      base64Data = base64Data.replace(dataUrlPrefix, '');
-    }
+      // Normalize base64: strip possible data URL prefix
+      const dataUrlPrefix = /^data:[^;]+;base64,/i;
+      if (base64Data && dataUrlPrefix.test(base64Data)) {
+        base64Data = base64Data.replace(dataUrlPrefix, '');
+      }
 
-    if (!mimetype) {
-      throw new Error('mimetype is required when sending media');
-    }
+      if (!mimetype) {
+        throw new Error('mimetype is required when sending media');
+      }
 
-    // Enforce size limit (~16MB)
-    try {
-      const sizeBytes = Buffer.byteLength(base64Data, 'base64');
-      const MAX = 16 * 1024 * 1024; // 16MB
-      if (sizeBytes > MAX) {
-        throw new Error(`Media too large (${(sizeBytes/1024/1024).toFixed(2)}MB). Max allowed ~16MB`);
+      // Enforce size limit (~16MB)
+      try {
+        const sizeBytes = Buffer.byteLength(base64Data, 'base64');
+        const MAX = 16 * 1024 * 1024; // 16MB
+        if (sizeBytes > MAX) {
+          throw new Error(`Media too large (${(sizeBytes/1024/1024).toFixed(2)}MB). Max allowed ~16MB`);
+        }
+      } catch (e) {
+        if (e.message.startsWith('Media too large')) throw e;
       }
-    } catch (e) {
-      if (e.message.startsWith('Media too large')) throw e;
-    }
     
-    // Build MessageMedia
-    filename = filename || this.deriveDefaultFilename(mimetype);
-    const msgMedia = new MessageMedia(mimetype, base64Data, filename);
+      // Build MessageMedia
+      filename = filename || this.deriveDefaultFilename(mimetype);
+      const msgMedia = new MessageMedia(mimetype, base64Data, filename);
     
-    // Format number
-    const formattedNumber = this.getFormattedNumber(number);
+      // Format number
+      const formattedNumber = this.getFormattedNumber(number);
     
-    // Send media
-    const isAudio = typeof mimetype === 'string' && mimetype.startsWith('audio/');
-    const sendOptions = { caption };
-    if (isAudio && options.sendAudioAsVoice) {
-      // Voice note takes precedence for audio files
-      sendOptions.sendAudioAsVoice = true;
-    } else if (options.sendMediaAsDocument) {
-      // Otherwise, allow sending as document
-      sendOptions.sendMediaAsDocument = true;
-    }
-    const result = await client.sendMessage(formattedNumber, msgMedia, sendOptions);
+      // Send media
+      const isAudio = typeof mimetype === 'string' && mimetype.startsWith('audio/');
+      const sendOptions = { caption };
+      if (isAudio && options.sendAudioAsVoice) {
+        // Voice note takes precedence for audio files
+        sendOptions.sendAudioAsVoice = true;
+      } else if (options.sendMediaAsDocument) {
+        // Otherwise, allow sending as document
+        sendOptions.sendMediaAsDocument = true;
+      }
+      const startedAt = process.hrtime.bigint();
+      const result = await client.sendMessage(formattedNumber, msgMedia, sendOptions);
+      sendDuration.observe({ account_id: accountId, type: 'media' }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+      messagesSent.inc({ account_id: accountId, type: 'media' });
     
-    // Log outgoing media in a non-blocking way
-    this.logOutgoingMessage({
-      account_id: accountId,
-      direction: 'outgoing',
-      message_id: result.id?._serialized,
-      sender: result.from,
-      recipient: result.to,
-      message: caption || '',
-      type: 'media',
-      media: {
-        mimetype: mimetype,
-        filename: filename,
-        source: media.url ? 'url' : 'base64'
-      },
-      status: 'success',
-      timestamp: result.timestamp,
-      created_at: new Date().toISOString()
-    });
+      // Log outgoing media in a non-blocking way
+      this.logOutgoingMessage({
+        account_id: accountId,
+        direction: 'outgoing',
+        message_id: result.id?._serialized,
+        sender: result.from,
+        recipient: result.to,
+        chat_id: result.id?.remote || result.to,
+        is_group: this.isGroupChat(result.id?.remote || result.to),
+        message: caption || '',
+        type: 'media',
+        media: {
+          mimetype: mimetype,
+          filename: filename,
+          source: media.url ? 'url' : 'base64'
+        },
+        status: 'success',
+        ...this.getInitialAck(result),
+        timestamp: result.timestamp,
+        created_at: new Date().toISOString()
+      });
     
-    return {
-      success: true,
-      messageId: result.id?._serialized,
-      timestamp: result.timestamp
-    };
+      return {
+        success: true,
+        messageId: result.id?._serialized,
+        timestamp: result.timestamp
+      };
+    } catch (error) {
+      sendFailures.inc({ account_id: accountId, reason: this.classifySendError(error) });
+      throw error;
+    }
   }
 
   // Derive a default filename from mimetype
@@ -589,8 +750,15 @@ class WhatsAppManager {
     return formattedNumber;
   }
 
+  isGroupChat(chatId) {
+    return typeof chatId === 'string' && chatId.endsWith('@g.us');
+  }
+
   // Format phone number for WhatsApp
   formatPhoneNumber(number) {
+    // Already a WhatsApp ID, e.g. a chat_id from the inbox (groups are @g.us)
+    if (number.includes('@')) return number;
+
     // Remove any non-digit characters
     let cleaned = number.replace(/[^\d]/g, '');
 
@@ -626,20 +794,21 @@ class WhatsAppManager {
     return statuses;
   }
 
-  // Delete an account
+  // Delete an account along with its client and saved session
   async deleteAccount(accountId) {
     try {
-      const client = this.clients.get(accountId);
-      if (client) {
-        await client.destroy();
-        this.clients.delete(accountId);
-      }
+      await this.destroyClient(accountId);
       
       this.qrCodes.delete(accountId);
       this.accountStatus.delete(accountId);
+      this.statusSince.delete(accountId);
       
       // Delete from database
       await db.deleteAccount(accountId);
+
+      // The account is gone either way; a session left behind is only logged
+      await sessionStore.removeSession(accountId)
+        .catch(error => console.error(`Error removing session of account ${accountId}:`, error));
       
       return true;
     } catch (error) {
@@ -648,67 +817,255 @@ class WhatsAppManager {
     }
   }
 
-  // Initialize existing accounts from database
-  async initializeExistingAccounts() {
+  // A client built from the account's profile, with event handlers, tracked in this.clients
+  async createClient(accountId) {
+    const client = await clientFactory.create(accountId);
+    this.setupEventHandlers(client, accountId);
+    this.clients.set(accountId, client);
+    return client;
+  }
+
+  // Stop an account's browser, keeping its session on disk; a client that won't close is killed
+  async destroyClient(accountId) {
+    const client = this.clients.get(accountId);
+    if (!client) return;
+
+    this.clients.delete(accountId);
+    // Nothing the old client still emits should change the account's status
+    client.removeAllListeners();
+    // Never got as far as launching a browser
+    if (!client.pupBrowser) return;
+
+    let timer;
     try {
-      const accounts = await db.getAccounts();
-      
-      // Attempt to reconnect all accounts to reuse persisted sessions
-      for (const account of accounts) {
-        await this.reconnectAccount(account);
-      }
+      await Promise.race([
+        client.destroy(),
+        new Promise((_, reject) => { timer = setTimeout(() => reject(new Error('Timed out closing the browser')), DESTROY_TIMEOUT_MS); })
+      ]);
     } catch (error) {
-      console.error('Error initializing existing accounts:', error);
+      console.error(`Error destroying client for account ${accountId}:`, error.message);
+      try {
+        client.pupBrowser?.process()?.kill('SIGKILL');
+      } catch (_) {
+        // already gone
+      }
+      // destroy() never got to stop RemoteAuth's backups
+      client.authStrategy.destroy().catch(() => {});
+    } finally {
+      clearTimeout(timer);
     }
   }
 
-  // Reconnect to an existing account
-  async reconnectAccount(account) {
+  // Shut down an account's browser to free memory; the session is kept for the next start
+  async stopAccount(accountId) {
+    await this.destroyClient(accountId);
+    this.qrCodes.delete(accountId);
+
+    await db.updateAccount(accountId, {
+      status: 'stopped',
+      qr_code: null,
+      error_message: null,
+      updated_at: new Date().toISOString()
+    });
+    this.setStatus(accountId, 'stopped');
+  }
+
+  // Launch a stopped account from its saved session; initialization continues in the background
+  async startAccount(accountId) {
+    if (this.clients.has(accountId)) {
+      throw new Error('Account is already running');
+    }
+
+    const account = await db.getAccount(accountId);
+    if (account.disabled) {
+      throw new Error('Account is disabled');
+    }
+    await db.updateAccount(accountId, { status: 'initializing', error_message: null, updated_at: new Date().toISOString() });
+    this.setStatus(accountId, 'initializing');
+
+    // reconnectAccount records its own failures on the account
+    this.reconnectAccount(account)
+      .catch(error => console.error(`Error starting account ${accountId}:`, error));
+  }
+
+  async restartAccount(accountId) {
+    await this.destroyClient(accountId);
+    this.qrCodes.delete(accountId);
+    await this.startAccount(accountId);
+  }
+
+  // Unlink the device and delete the saved session (and its backup), then start over with a new QR code
+  async logoutAccount(accountId) {
+    const client = this.clients.get(accountId);
+    if (client && this.getAccountStatus(accountId) === 'ready') {
+      client.removeAllListeners();
+      try {
+        await client.logout();
+      } catch (error) {
+        console.error(`Error logging out account ${accountId}:`, error.message);
+      }
+    }
+
+    await this.destroyClient(accountId);
+    this.qrCodes.delete(accountId);
+    await sessionStore.removeSession(accountId);
+    await db.updateAccount(accountId, { phone_number: null, qr_code: null, updated_at: new Date().toISOString() });
+    await this.startAccount(accountId);
+  }
+
+  // A disabled account is stopped and stays stopped (also across restarts) until it's enabled
+  async disableAccount(accountId) {
+    await db.updateAccount(accountId, { disabled: true, updated_at: new Date().toISOString() });
+    await this.stopAccount(accountId);
+  }
+
+  async enableAccount(accountId) {
+    await db.updateAccount(accountId, { disabled: false, updated_at: new Date().toISOString() });
+  }
+
+  // Counts only; served by the public /api/health
+  getStartupProgress() {
+    return { ...this.startup };
+  }
+
+  updateStartup(changes) {
+    Object.assign(this.startup, changes);
+    this.emit('startup', this.getStartupProgress());
+  }
+
+  // Startup order: connected at shutdown, then paired before, then never paired (waiting for a QR scan)
+  startupPriority(account) {
+    if (account.status === 'ready') return 0;
+    if (account.phone_number) return 1;
+    return 2;
+  }
+
+  // Start saved accounts STARTUP_CONCURRENCY at a time, so a slow or hung one doesn't hold up
+  // the rest and dozens of browsers don't launch at once. Stopped and disabled accounts are skipped.
+  async initializeExistingAccounts() {
+    let accounts;
     try {
-      const sessionsBase = `./sessions`;
-      // Ensure base sessions directory exists
-      await fs.ensureDir(sessionsBase);
-      
-      // Initialize WhatsApp client with existing session
-      const client = new Client({
-        authStrategy: new LocalAuth({
-          clientId: account.id,
-          // Use the same stable base as on creation so tokens are reused across restarts
-          dataPath: sessionsBase
-        }),
-        puppeteer: {
-          headless: true,
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-          ]
+      accounts = await db.getAccounts();
+    } catch (error) {
+      console.error('Error initializing existing accounts:', error);
+      return;
+    }
+
+    const queue = [];
+    for (const account of accounts) {
+      if (account.disabled || account.status === 'stopped') {
+        this.setStatus(account.id, 'stopped');
+      } else {
+        queue.push(account);
+      }
+    }
+    queue.sort((a, b) => this.startupPriority(a) - this.startupPriority(b));
+
+    this.updateStartup({
+      state: 'running',
+      concurrency: STARTUP_CONCURRENCY,
+      total: queue.length,
+      skipped: accounts.length - queue.length,
+      pending: queue.length,
+      starting: 0,
+      ready: 0,
+      qr_ready: 0,
+      failed: 0,
+      timed_out: 0,
+      started_at: new Date().toISOString(),
+      finished_at: null
+    });
+    console.log(`Starting ${queue.length} account(s), ${STARTUP_CONCURRENCY} at a time`);
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const account = queue.shift();
+        this.updateStartup({ pending: this.startup.pending - 1, starting: this.startup.starting + 1 });
+
+        let outcome;
+        try {
+          outcome = await this.startupLaunch(account);
+        } catch (error) {
+          console.error(`Error starting account ${account.id}:`, error);
+          outcome = 'failed';
         }
+        this.updateStartup({ starting: this.startup.starting - 1, [outcome]: this.startup[outcome] + 1 });
+      }
+    };
+
+    const workers = Array.from({ length: Math.min(STARTUP_CONCURRENCY, queue.length) }, (_, index) =>
+      new Promise(resolve => setTimeout(resolve, index * STARTUP_STAGGER_MS)).then(worker));
+    await Promise.all(workers);
+
+    this.updateStartup({ state: 'completed', finished_at: new Date().toISOString() });
+    const { ready, qr_ready, failed, timed_out } = this.startup;
+    console.log(`Startup finished: ${ready} ready, ${qr_ready} waiting for a QR scan, ${failed} failed, ${timed_out} timed out`);
+  }
+
+  // Launch one account and wait until it's connected, showing a QR code, failed or out of time;
+  // resolves with the outcome it's counted under
+  async startupLaunch(queued) {
+    // Deleted, stopped or started by hand while it was waiting its turn
+    const account = await db.getAccount(queued.id).catch(() => null);
+    if (!account || account.disabled || this.clients.has(account.id) || this.getAccountStatus(account.id) === 'stopped') {
+      return 'skipped';
+    }
+
+    const outcome = await new Promise((resolve) => {
+      let timer;
+      const finish = (result) => {
+        clearTimeout(timer);
+        this.off('status', onStatus);
+        resolve(result);
+      };
+      const onStatus = ({ accountId, status }) => {
+        if (accountId !== account.id || status === 'initializing') return;
+        if (status === 'ready' || status === 'qr_ready') finish(status);
+        else finish(status === 'stopped' ? 'skipped' : 'failed');
+      };
+
+      this.on('status', onStatus);
+      timer = setTimeout(() => finish('timed_out'), STARTUP_INIT_TIMEOUT_MS);
+      this.reconnectAccount(account).catch((error) => {
+        console.error(`Error starting account ${account.id}:`, error);
+        finish('failed');
       });
+    });
 
-      // Set up event handlers
-      this.setupEventHandlers(client, account.id);
+    if (outcome === 'timed_out') {
+      const message = `Initialization timed out after ${Math.round(STARTUP_INIT_TIMEOUT_MS / 1000)}s`;
+      console.warn(`Account ${account.id}: ${message}`);
+      await this.destroyClient(account.id);
+      await db.updateAccount(account.id, { status: 'failed', error_message: message, updated_at: new Date().toISOString() });
+      this.setStatus(account.id, 'failed', { error_message: message });
+    }
+    return outcome;
+  }
 
-      // Store client reference
-      this.clients.set(account.id, client);
-      this.accountStatus.set(account.id, 'initializing');
+  // Reconnect to an existing account
+  async reconnectAccount(account) {
+    let launched = null;
+    try {
+      const client = await this.createClient(account.id);
+      launched = client;
+      this.setStatus(account.id, 'initializing');
 
       // Initialize the client
       await client.initialize();
 
       console.log(`Reconnected to existing account: ${account.name} (${account.id})`);
     } catch (error) {
+      // Thrown away meanwhile (stopped, restarted or timed out); the new state is already recorded
+      if (launched && this.clients.get(account.id) !== launched) return;
+
       console.error(`Error reconnecting to account ${account.id}:`, error);
-      // Update account status to disconnected if reconnection fails
+      // Update account status to disconnected if reconnection fails; the status event goes out either way
       await db.updateAccount(account.id, { 
         status: 'disconnected',
+        error_message: error.message,
         updated_at: new Date().toISOString()
-      });
-      this.accountStatus.set(account.id, 'disconnected');
+      }).catch(updateError => console.error(`Error saving the status of account ${account.id}:`, updateError));
+      this.setStatus(account.id, 'disconnected', { error_message: error.message });
     }
   }
 }